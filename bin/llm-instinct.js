@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// bin/llm-instinct.js
+
+/**
+ * llm-instinct command-line entry point
+ * Compiles the ES module sources on the fly so the core runs under plain Node.js
+ */
+
+const path = require('path');
+
+// Presets resolve from the package, not from the directory the command runs in
+require('@babel/register')({
+  cwd: path.join(__dirname, '..'),
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  only: [path.join(__dirname, '..', 'src')],
+  babelrc: false,
+  configFile: false
+});
+
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -1,8 +1,35 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import DecisionTree from './components/DecisionTree';
 import NodeDetails from './components/NodeDetails';
-import OpenRouterClient from './api/openrouter';
-import InstinctMCTS from './core/InstinctMCTS';
+import ReplayScrubber from './components/ReplayScrubber';
+import UsageBreakdown from './components/UsageBreakdown';
+import RubricEditor from './components/RubricEditor';
+import PromptEditor from './components/PromptEditor';
+import RecommendationPanel from './components/RecommendationPanel';
+import {
+  createProvider,
+  describeProviderError,
+  PROVIDER_TYPES,
+  IndexedDBCacheStore,
+  MemoryCacheStore
+} from './api';
+import InstinctMCTS, { EVALUATION_MODES } from './core/InstinctMCTS';
+import { buildPricingTable, formatCost } from './core/usage';
+import { describeExceededBudget } from './core/budget';
+import { DEFAULT_RUBRIC, normalizeRubric, validateRubric } from './core/rubric';
+import { normalizePromptTemplates } from './core/prompts';
+import { PERSONAS, getPersona, comparePersonas } from './core/personas';
+import { JUDGE_AGGREGATIONS } from './core/judging';
+import { RATING_SYSTEMS } from './core/ratings';
+import { saveSession, listSessions, loadSession, deleteSession } from './utils/sessionStore';
+import {
+  listTemplateVersions,
+  saveTemplateVersion,
+  setActiveTemplateVersion,
+  loadPromptTemplates
+} from './utils/promptStore';
+import { diffTreeStates } from './utils/treeUtils';
+import { formatSearchEvent, createProgressTracker } from './utils/searchEvents';
 
 // Import example problems (will be loaded dynamically in real implementation)
 import businessExamples from '../examples/business.json';
@@ -10,41 +37,104 @@ import creativeExamples from '../examples/creative.json';
 import researchExamples from '../examples/research.json';
 import personalExamples from '../examples/personal.json';
 
+// Number of recent search events kept for the progress log
+const MAX_SEARCH_EVENTS = 50;
+
 const App = () => {
   // State for API configuration
+  const [providerType, setProviderType] = useState('openrouter');
+  const [baseUrl, setBaseUrl] = useState('http://localhost:11434/v1');
+  const [mockScript, setMockScript] = useState(null);
   const [apiKey, setApiKey] = useState('');
   const [model, setModel] = useState('anthropic/claude-3-sonnet');
   const [availableModels, setAvailableModels] = useState([]);
   const [apiConfigured, setApiConfigured] = useState(false);
+  const [cacheEnabled, setCacheEnabled] = useState(true);
+  const [judgeModels, setJudgeModels] = useState([]);
+  const [judgeAggregation, setJudgeAggregation] = useState('mean');
   
   // State for problem definition
   const [problem, setProblem] = useState('');
   const [context, setContext] = useState('');
   const [examples, setExamples] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('business');
+  const [rubric, setRubric] = useState(() => normalizeRubric(DEFAULT_RUBRIC));
+  
+  // State for prompt templates: the ones this run uses, and every saved version
+  const [promptTemplates, setPromptTemplates] = useState(() => loadPromptTemplates());
+  const [promptVersions, setPromptVersions] = useState(() => listTemplateVersions());
   
   // State for algorithm parameters
   const [explorationWeight, setExplorationWeight] = useState(1.4);
   const [instinctRatio, setInstinctRatio] = useState(0.6);
   const [confidenceBias, setConfidenceBias] = useState(0.2);
   const [perseveranceFactor, setPerseveranceFactor] = useState(0.7);
+  const [uncertaintyWeight, setUncertaintyWeight] = useState(0.5);
   const [iterations, setIterations] = useState(3);
   const [simulationsPerIteration, setSimulationsPerIteration] = useState(5);
+  const [batchAnalysis, setBatchAnalysis] = useState(true);
+  const [streamThoughts, setStreamThoughts] = useState(false);
+  const [evaluationMode, setEvaluationMode] = useState('absolute');
+  const [ratingSystem, setRatingSystem] = useState('elo');
+  const [comparisonsPerEvaluation, setComparisonsPerEvaluation] = useState(2);
+  const [rolloutDepth, setRolloutDepth] = useState(0);
+  const [rolloutTemperature, setRolloutTemperature] = useState(0.8);
+  const [rolloutsPerSimulation, setRolloutsPerSimulation] = useState(1);
+  const [branchingFactor, setBranchingFactor] = useState(2);
+  const [maxDepth, setMaxDepth] = useState('');
+  const [progressiveWidening, setProgressiveWidening] = useState(false);
+  const [wideningCoefficient, setWideningCoefficient] = useState(1);
+  const [wideningExponent, setWideningExponent] = useState(0.5);
+  const [detectTerminal, setDetectTerminal] = useState(true);
+  const [deduplicateThoughts, setDeduplicateThoughts] = useState(true);
+  const [similarityThreshold, setSimilarityThreshold] = useState(0.8);
+  
+  // State for personas ('' means no persona) and the comparison between them
+  const [persona, setPersona] = useState('');
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [comparedPersonas, setComparedPersonas] = useState(() => PERSONAS.map(option => option.id));
+  const [personaResults, setPersonaResults] = useState([]);
+  
+  // State for budgets (empty means unlimited)
+  const [maxTokens, setMaxTokens] = useState('');
+  const [maxCost, setMaxCost] = useState('');
+  const [maxTimeSeconds, setMaxTimeSeconds] = useState('');
+  const [maxCalls, setMaxCalls] = useState('');
+  const [bypassCache, setBypassCache] = useState(false);
+  
+  // State for the final recommendation synthesized from the top leaves
+  const [synthesizeRecommendation, setSynthesizeRecommendation] = useState(true);
+  const [recommendationSize, setRecommendationSize] = useState(3);
   
   // State for simulation
   const [simulationRunning, setSimulationRunning] = useState(false);
   const [simulationProgress, setSimulationProgress] = useState(0);
   const [simulationStep, setSimulationStep] = useState('');
+  const [searchStatus, setSearchStatus] = useState('idle'); // 'idle' | 'running' | 'paused'
+  const [searchEvents, setSearchEvents] = useState([]);
+  const [usageSummary, setUsageSummary] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
   
   // State for results
   const [treeData, setTreeData] = useState(null);
   const [selectedNode, setSelectedNode] = useState(null);
   const [bestApproach, setBestApproach] = useState('');
+  const [recommendation, setRecommendation] = useState(null);
+  const [stopReason, setStopReason] = useState('');
   const [simulationHistory, setSimulationHistory] = useState([]);
   
+  // State for history replay (null index shows the live tree)
+  const [replayIndex, setReplayIndex] = useState(null);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  
+  // State for saved sessions
+  const [recentSessions, setRecentSessions] = useState(() => listSessions());
+  
   // References
   const llmClientRef = useRef(null);
   const mctsRef = useRef(null);
+  const sessionIdRef = useRef(null);
   
   // Load example problems based on selected category
   useEffect(() => {
@@ -66,32 +156,91 @@ const App = () => {
     }
   }, [selectedCategory]);
   
-  // Set up models when API key changes
+  // Set up provider and models when the API configuration changes
   useEffect(() => {
-    if (apiKey) {
-      const client = new OpenRouterClient(apiKey, model);
-      llmClientRef.current = client;
-      
-      // Fetch available models
-      client.getModels()
-        .then(models => {
-          setAvailableModels(models);
-          setApiConfigured(true);
-        })
-        .catch(error => {
-          console.error('Error fetching models:', error);
-          // Show fallback options
-          setAvailableModels([
-            { id: 'anthropic/claude-3-opus', name: 'Claude 3 Opus' },
-            { id: 'anthropic/claude-3-sonnet', name: 'Claude 3 Sonnet' },
-            { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku' },
-            { id: 'openai/gpt-4-turbo', name: 'GPT-4 Turbo' },
-            { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo' }
-          ]);
-          setApiConfigured(true);
-        });
+    const ready = {
+      'openrouter': Boolean(apiKey),
+      'openai-compatible': Boolean(baseUrl),
+      'mock': Boolean(mockScript)
+    }[providerType];
+    
+    if (!ready) {
+      llmClientRef.current = null;
+      setApiConfigured(false);
+      return;
+    }
+    
+    const client = createProvider({
+      type: providerType,
+      apiKey,
+      model,
+      baseUrl,
+      script: mockScript || {},
+      // Cached responses survive reloads where IndexedDB is available
+      cache: cacheEnabled ? {
+        store: IndexedDBCacheStore.isSupported() ? new IndexedDBCacheStore() : new MemoryCacheStore()
+      } : null
+    });
+    llmClientRef.current = client;
+    
+    // Fetch available models
+    client.getModels()
+      .then(models => {
+        setAvailableModels(models);
+        if (providerType !== 'openrouter' && models.length > 0) {
+          setModel(models[0].id);
+          client.defaultModel = models[0].id;
+        }
+        setApiConfigured(true);
+      })
+      .catch(error => {
+        console.error('Error fetching models:', error);
+        // Show fallback options
+        setAvailableModels(providerType === 'openrouter' ? [
+          { id: 'anthropic/claude-3-opus', name: 'Claude 3 Opus' },
+          { id: 'anthropic/claude-3-sonnet', name: 'Claude 3 Sonnet' },
+          { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku' },
+          { id: 'openai/gpt-4-turbo', name: 'GPT-4 Turbo' },
+          { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo' }
+        ] : [{ id: model, name: model }]);
+        setApiConfigured(true);
+      });
+  }, [providerType, apiKey, baseUrl, mockScript, cacheEnabled]);
+  
+  // Keep the provider's default model in sync with the selection
+  useEffect(() => {
+    if (llmClientRef.current) {
+      llmClientRef.current.defaultModel = model;
     }
-  }, [apiKey]);
+  }, [model]);
+  
+  // Drop judges the current provider does not offer
+  useEffect(() => {
+    setJudgeModels(prev => prev.filter(id => availableModels.some(m => m.id === id)));
+  }, [availableModels]);
+  
+  // Per-token prices of the available models, used to cost each search
+  const pricing = useMemo(() => buildPricingTable(availableModels), [availableModels]);
+  
+  // Searches cannot start while the rubric editor shows errors
+  const rubricValid = useMemo(() => validateRubric(rubric).length === 0, [rubric]);
+  
+  // Load a mock provider script from a JSON file
+  const handleMockScriptUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setMockScript(JSON.parse(reader.result));
+      } catch (error) {
+        console.error('Error parsing mock script:', error);
+        alert(`Invalid mock script: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
   
   // Load example problem
   const loadExample = (example) => {
@@ -107,76 +256,481 @@ const App = () => {
         setPerseveranceFactor(example.suggested_parameters.perseveranceFactor);
       }
     }
+    
+    // Each problem brings its own rubric, or the default one
+    setRubric(normalizeRubric(example.suggested_rubric || DEFAULT_RUBRIC));
   };
   
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!problem || !context || !apiConfigured) return;
-    
+  // Save the current search to the recent sessions list
+  const persistSession = (mcts) => {
+    sessionIdRef.current = saveSession(mcts.toJSON(), { id: sessionIdRef.current });
+    setRecentSessions(listSessions());
+  };
+  
+  // Run the search on an MCTS instance, initializing it if needed
+  const executeSearch = async (mcts) => {
     setSimulationRunning(true);
+    setSearchStatus('running');
     setSimulationProgress(0);
-    setSimulationStep('Initializing...');
+    setSimulationStep(mcts.root ? 'Resuming...' : 'Initializing...');
+    setReplayIndex(null);
+    setReplayPlaying(false);
+    setSearchEvents([]);
+    setUsageSummary(mcts.getUsageSummary());
+    setStopReason('');
+    setRecommendation(null);
+    setSearchError(null);
+    setCacheStats(null);
     
+    // Count cache hits and misses for this run only
+    const cacheStatsAtStart = mcts.llmClient.stats ? { ...mcts.llmClient.stats } : null;
+    
+    let unsubscribe = null;
     try {
-      // Initialize MCTS
-      const mcts = new InstinctMCTS({
-        llmClient: llmClientRef.current,
-        problem,
-        context,
-        explorationWeight,
-        instinctRatio,
-        confidenceBias,
-        perseveranceFactor
-      });
-      
       mctsRef.current = mcts;
       
+      // A resumed search continues with the current settings
+      const settings = searchSettings();
+      Object.assign(mcts, settings, { promptTemplates: normalizePromptTemplates(settings.promptTemplates) });
+      
+      // Nodes carry their own copy of the selection and scoring parameters
+      if (mcts.root) {
+        mcts.root.getAllNodes().forEach(node => node.updateParameters({
+          explorationWeight,
+          confidenceBias,
+          perseveranceFactor,
+          uncertaintyWeight
+        }));
+      }
+      
       // Set update callback
       mcts.setUpdateCallback((treeState) => {
         setTreeData(treeState.tree);
-        setSimulationHistory(prev => [...prev, treeState]);
-        
-        // Calculate progress
-        const totalSteps = iterations * simulationsPerIteration;
-        const currentStep = mcts.treeHistory.length;
-        const progress = Math.min(100, Math.round((currentStep / totalSteps) * 100));
-        
-        setSimulationProgress(progress);
-        setSimulationStep(`Simulation ${currentStep} of ${totalSteps}`);
+        setSimulationHistory([...mcts.treeHistory]);
+      });
+      
+      // Track progress from search events
+      const trackProgress = createProgressTracker(iterations * simulationsPerIteration);
+      unsubscribe = mcts.on('*', (event) => {
+        const progress = trackProgress(event);
+        setSimulationProgress(progress.percent);
+        setSimulationStep(
+          `Simulation ${Math.min(progress.completed + 1, progress.total)} of ${progress.total}: ` +
+          formatSearchEvent(event)
+        );
+        // Streamed text would crowd everything else out of the event log
+        if (event.type !== 'stream') {
+          setSearchEvents(prev => [...prev.slice(-(MAX_SEARCH_EVENTS - 1)), event]);
+        }
+        if (event.type === 'usage') {
+          setUsageSummary(mcts.getUsageSummary());
+        }
       });
       
-      // Initialize tree
-      await mcts.initialize();
+      // Run search (initializes the tree if needed)
+      const result = await mcts.run(runOptions());
       
-      // Run simulation
-      const result = await mcts.simulate(iterations, simulationsPerIteration);
+      if (result.budgetExceeded) {
+        setStopReason(`Stopped early: ${describeExceededBudget(result.budgetExceeded)}.`);
+      } else if (result.cancelled) {
+        setStopReason('Stopped by user.');
+      }
       
-      // Update results
-      setTreeData(result.finalTree.tree);
-      setBestApproach(result.bestApproach);
-      setSelectedNode(result.bestNode);
+      // Update results (a stopped run still returns the partial tree)
+      if (result.finalTree) {
+        setTreeData(result.finalTree.tree);
+        setBestApproach(result.bestApproach);
+        setRecommendation(result.recommendation);
+        setSelectedNode(result.bestNode);
+        setSimulationHistory([...mcts.treeHistory]);
+        persistSession(mcts);
+      }
       
     } catch (error) {
       console.error('Simulation error:', error);
-      // Show error message
-      alert(`Error during simulation: ${error.message}`);
+      setSearchError(describeProviderError(error));
+      
+      // Keep what was explored before the failure
+      if (mcts.root) {
+        setTreeData(mcts._getCurrentTreeState().tree);
+        setSimulationHistory([...mcts.treeHistory]);
+        persistSession(mcts);
+      }
+    } finally {
+      if (unsubscribe) unsubscribe();
+      if (cacheStatsAtStart) {
+        setCacheStats({
+          hits: mcts.llmClient.stats.hits - cacheStatsAtStart.hits,
+          misses: mcts.llmClient.stats.misses - cacheStatsAtStart.misses
+        });
+      }
+      setSimulationRunning(false);
+      setSearchStatus('idle');
+    }
+  };
+  
+  // Pause or resume the running search
+  const handleTogglePause = () => {
+    const mcts = mctsRef.current;
+    if (!mcts) return;
+    
+    if (searchStatus === 'paused') {
+      mcts.resume();
+      setSearchStatus('running');
+    } else {
+      mcts.pause();
+      setSearchStatus('paused');
+    }
+  };
+  
+  // Stop the running search, keeping the partial tree
+  const handleStop = () => {
+    const mcts = mctsRef.current;
+    if (!mcts) return;
+    
+    mcts.cancel();
+    setSimulationStep('Stopping...');
+  };
+  
+  // Remove every cached response
+  const handleClearCache = async () => {
+    const client = llmClientRef.current;
+    if (!client || !client.clear) return;
+    
+    try {
+      await client.clear();
+    } catch (error) {
+      console.error('Error clearing the response cache:', error);
+    }
+  };
+  
+  // Search parameters from the current settings, also applied when resuming
+  const searchSettings = () => ({
+    explorationWeight,
+    instinctRatio,
+    confidenceBias,
+    perseveranceFactor,
+    uncertaintyWeight,
+    pricing,
+    batchAnalysis,
+    streamThoughts,
+    rubric: normalizeRubric(rubric),
+    judgeModels,
+    judgeAggregation,
+    evaluationMode,
+    ratingSystem,
+    comparisonsPerEvaluation,
+    rolloutDepth,
+    rolloutTemperature,
+    rolloutsPerSimulation,
+    branchingFactor,
+    maxDepth: maxDepth === '' ? null : parseInt(maxDepth),
+    progressiveWidening,
+    wideningCoefficient,
+    wideningExponent,
+    detectTerminal,
+    deduplicateThoughts,
+    similarityThreshold,
+    promptTemplates,
+    persona: persona || null,
+    systemPrompt,
+    recommendationSize
+  });
+  
+  // Constructor parameters for a new search from the current settings
+  const searchConfig = () => ({
+    llmClient: llmClientRef.current,
+    problem,
+    context,
+    ...searchSettings()
+  });
+  
+  // Options for run() from the current settings
+  const runOptions = () => ({
+    iterations,
+    simulationsPerIteration,
+    budget: {
+      maxTokens,
+      maxCost,
+      maxTimeMs: maxTimeSeconds === '' ? null : maxTimeSeconds * 1000,
+      maxCalls
+    },
+    bypassCache,
+    synthesize: synthesizeRecommendation
+  });
+  
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!problem || !context || !apiConfigured || !rubricValid) return;
+    
+    // Initialize MCTS
+    const mcts = new InstinctMCTS(searchConfig());
+    
+    sessionIdRef.current = null;
+    setSimulationHistory([]);
+    await executeSearch(mcts);
+  };
+  
+  // Continue searching a restored or finished tree
+  const handleResume = async () => {
+    const mcts = mctsRef.current;
+    if (!mcts || !mcts.root || !apiConfigured || !rubricValid) return;
+    
+    mcts.llmClient = llmClientRef.current;
+    await executeSearch(mcts);
+  };
+  
+  // Load a serialized search into the UI
+  const restoreSearch = (data, sessionId = null) => {
+    const mcts = InstinctMCTS.fromJSON(data, llmClientRef.current);
+    const config = mcts.getConfig();
+    
+    mctsRef.current = mcts;
+    sessionIdRef.current = sessionId;
+    
+    setProblem(config.problem);
+    setContext(config.context);
+    setExplorationWeight(config.explorationWeight);
+    setInstinctRatio(config.instinctRatio);
+    setConfidenceBias(config.confidenceBias);
+    setPerseveranceFactor(config.perseveranceFactor);
+    setUncertaintyWeight(config.uncertaintyWeight);
+    setRubric(config.rubric);
+    setJudgeModels(config.judgeModels);
+    setJudgeAggregation(config.judgeAggregation);
+    setEvaluationMode(config.evaluationMode);
+    setRatingSystem(config.ratingSystem);
+    setComparisonsPerEvaluation(config.comparisonsPerEvaluation);
+    setRolloutDepth(config.rolloutDepth);
+    setRolloutTemperature(config.rolloutTemperature);
+    setRolloutsPerSimulation(config.rolloutsPerSimulation);
+    setBranchingFactor(config.branchingFactor);
+    setMaxDepth(config.maxDepth ?? '');
+    setProgressiveWidening(config.progressiveWidening);
+    setWideningCoefficient(config.wideningCoefficient);
+    setWideningExponent(config.wideningExponent);
+    setDetectTerminal(config.detectTerminal);
+    setDeduplicateThoughts(config.deduplicateThoughts);
+    setSimilarityThreshold(config.similarityThreshold);
+    setPromptTemplates(config.promptTemplates);
+    setPersona(config.persona || '');
+    setSystemPrompt(config.systemPrompt);
+    setRecommendationSize(config.recommendationSize);
+    setRecommendation(mcts.recommendation);
+    setSimulationHistory([...mcts.treeHistory]);
+    setReplayIndex(null);
+    setReplayPlaying(false);
+    setUsageSummary(mcts.getUsageSummary());
+    
+    if (mcts.root) {
+      const bestNode = mcts.getBestNode();
+      setTreeData(mcts._getCurrentTreeState().tree);
+      setBestApproach(bestNode.content);
+      setSelectedNode(bestNode);
+    } else {
+      setTreeData(null);
+      setBestApproach('');
+      setSelectedNode(null);
+    }
+  };
+  
+  // Download the current search as a JSON file
+  const handleExport = () => {
+    const mcts = mctsRef.current;
+    if (!mcts || !mcts.root) return;
+    
+    const blob = new Blob([JSON.stringify(mcts.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `llm-instinct-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  // Load a search from a JSON file
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        restoreSearch(JSON.parse(reader.result));
+      } catch (error) {
+        console.error('Error importing tree:', error);
+        alert(`Error importing tree: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+  
+  // Load a recent session from browser storage
+  const handleLoadSession = (id) => {
+    const data = loadSession(id);
+    if (!data) return;
+    
+    try {
+      restoreSearch(data, id);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      alert(`Error loading session: ${error.message}`);
+    }
+  };
+  
+  // Remove a recent session from browser storage
+  const handleDeleteSession = (id) => {
+    deleteSession(id);
+    if (sessionIdRef.current === id) {
+      sessionIdRef.current = null;
+    }
+    setRecentSessions(listSessions());
+  };
+  
+  // Start from a persona's voice, instinct parameters and rubric
+  const handlePersonaChange = (id) => {
+    setPersona(id);
+    if (!id) {
+      setSystemPrompt('');
+      return;
+    }
+    
+    const selected = getPersona(id);
+    setSystemPrompt(selected.systemPrompt);
+    setInstinctRatio(selected.parameters.instinctRatio);
+    setPerseveranceFactor(selected.parameters.perseveranceFactor);
+    setConfidenceBias(selected.parameters.confidenceBias);
+    setExplorationWeight(selected.parameters.explorationWeight);
+    setRubric(normalizeRubric(selected.rubric));
+  };
+  
+  // Search the problem once per selected persona and show their best approaches side by side
+  const handleComparePersonas = async () => {
+    if (!problem || !context || !apiConfigured || comparedPersonas.length < 2) return;
+    
+    setSimulationRunning(true);
+    setSearchStatus('running');
+    setSimulationProgress(0);
+    setSearchError(null);
+    setPersonaResults([]);
+    
+    try {
+      const results = await comparePersonas({
+        personas: comparedPersonas,
+        config: searchConfig(),
+        run: runOptions(),
+        onSearch: (mcts, searchPersona, index) => {
+          // Pause and stop act on the persona being searched
+          mctsRef.current = mcts;
+          const trackProgress = createProgressTracker(iterations * simulationsPerIteration);
+          mcts.on('*', (event) => {
+            const progress = trackProgress(event);
+            setSimulationProgress((index * 100 + progress.percent) / comparedPersonas.length);
+            setSimulationStep(`${searchPersona.name} (${index + 1} of ${comparedPersonas.length}): ${formatSearchEvent(event)}`);
+          });
+        }
+      });
+      
+      setPersonaResults(results.map(result => ({
+        persona: result.persona,
+        bestApproach: result.bestApproach,
+        bestScore: result.bestScore,
+        stopped: result.cancelled || Boolean(result.budgetExceeded),
+        data: result.mcts.toJSON()
+      })));
+    } catch (error) {
+      console.error('Persona comparison error:', error);
+      setSearchError(describeProviderError(error));
     } finally {
       setSimulationRunning(false);
+      setSearchStatus('idle');
     }
   };
   
+  // Save an edited prompt template as a new version and use it from now on
+  const handleSavePromptVersion = (id, text) => {
+    const version = saveTemplateVersion(id, text);
+    setPromptVersions(listTemplateVersions());
+    setPromptTemplates({ ...promptTemplates, [id]: { text, version: version ?? 1 } });
+  };
+  
+  // Switch a prompt template to a saved version, or back to the built-in one
+  const handleSelectPromptVersion = (id, version) => {
+    setActiveTemplateVersion(id, version);
+    const { [id]: previous, ...others } = promptTemplates;
+    const saved = (promptVersions[id] || []).find(entry => entry.version === version);
+    setPromptTemplates(saved ? { ...others, [id]: { text: saved.text, version } } : others);
+  };
+  
+  // Snapshot shown by the replay scrubber, if any
+  const replaySnapshot = replayIndex !== null ? simulationHistory[replayIndex] : null;
+  const replayHighlights = useMemo(() => {
+    if (!replaySnapshot) return null;
+    
+    const previous = replayIndex > 0 ? simulationHistory[replayIndex - 1].tree : null;
+    return {
+      expandedNodeId: replaySnapshot.step?.expandedNodeId || null,
+      evaluatedNodeId: replaySnapshot.step?.evaluatedNodeId || null,
+      changes: diffTreeStates(previous, replaySnapshot.tree)
+    };
+  }, [replaySnapshot, replayIndex, simulationHistory]);
+  
   // Handle node selection
   const handleNodeSelect = (node) => {
+    // Tree snapshots only carry summary fields; show the full node when it exists
+    setSelectedNode(mctsRef.current?.root?.findNodeById(node.id) || node);
+  };
+  
+  // Show a node the recommendation links to
+  const handleRecommendationSourceSelect = (nodeId) => {
+    const node = mctsRef.current?.root?.findNodeById(nodeId);
+    if (!node) return;
+    
+    setReplayIndex(null);
     setSelectedNode(node);
   };
   
+  // Synthesize a recommendation for a tree that finished without one
+  const handleSynthesize = async () => {
+    const mcts = mctsRef.current;
+    if (!mcts || !mcts.root || !apiConfigured) return;
+    
+    setSimulationRunning(true);
+    setSimulationStep('Synthesizing recommendation...');
+    setSearchError(null);
+    
+    // A response that cannot be used is reported as an error event rather than thrown
+    let failure = null;
+    const unsubscribe = mcts.on('error', (event) => { failure = event; });
+    
+    try {
+      mcts.llmClient = llmClientRef.current;
+      mcts.recommendationSize = recommendationSize;
+      const result = await mcts.recommend();
+      if (!result && failure) {
+        setSearchError({ ...describeProviderError(failure.error), title: 'Could not synthesize a recommendation' });
+      }
+      setRecommendation(result);
+      setUsageSummary(mcts.getUsageSummary());
+      persistSession(mcts);
+    } catch (error) {
+      console.error('Recommendation error:', error);
+      setSearchError(describeProviderError(error));
+    } finally {
+      unsubscribe();
+      setSimulationRunning(false);
+    }
+  };
+  
   // Handle branch exploration
-  const handleExploreAlternative = async () => {
+  const handleExploreAlternative = async (direction = '') => {
     if (!selectedNode || !selectedNode.content) return;
     
     setSimulationRunning(true);
     setSimulationStep('Exploring alternative branch...');
+    setSearchError(null);
     
     try {
       // Get current MCTS instance
@@ -187,22 +741,19 @@ const App = () => {
       const nodeInTree = mcts.root.findNodeById(selectedNode.id);
       if (!nodeInTree) return;
       
-      // Expand this node with a new child
-      const newChild = await mcts.expand(nodeInTree);
-      
-      // Simulate from this new child
-      const score = await mcts.simulate(newChild);
-      
-      // Backpropagate the score
-      mcts.backpropagate(newChild, score);
+      // Add a child in the requested direction, then score and backpropagate it
+      const { child: newChild } = await mcts.exploreBranch(nodeInTree, direction);
       
       // Update tree visualization
       setTreeData(mcts._getCurrentTreeState().tree);
+      setSimulationHistory([...mcts.treeHistory]);
       setSelectedNode(newChild);
+      setUsageSummary(mcts.getUsageSummary());
+      persistSession(mcts);
       
     } catch (error) {
       console.error('Branch exploration error:', error);
-      alert(`Error exploring alternative: ${error.message}`);
+      setSearchError(describeProviderError(error));
     } finally {
       setSimulationRunning(false);
     }
@@ -230,20 +781,68 @@ const App = () => {
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    OpenRouter API Key
+                    Provider
                   </label>
-                  <input
-                    type="password"
-                    value={apiKey}
-                    onChange={(e) => setApiKey(e.target.value)}
+                  <select
+                    value={providerType}
+                    onChange={(e) => setProviderType(e.target.value)}
                     className="w-full p-2 border border-gray-300 rounded-md"
-                    placeholder="sk-or-v1-..."
-                  />
+                  >
+                    {PROVIDER_TYPES.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
                 </div>
                 
+                {providerType === 'openai-compatible' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Base URL
+                    </label>
+                    <input
+                      type="text"
+                      value={baseUrl}
+                      onChange={(e) => setBaseUrl(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      placeholder="http://localhost:11434/v1"
+                    />
+                  </div>
+                )}
+                
+                {providerType !== 'mock' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {providerType === 'openrouter' ? 'OpenRouter API Key' : 'API Key (optional)'}
+                    </label>
+                    <input
+                      type="password"
+                      value={apiKey}
+                      onChange={(e) => setApiKey(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                      placeholder={providerType === 'openrouter' ? 'sk-or-v1-...' : ''}
+                    />
+                  </div>
+                )}
+                
+                {providerType === 'mock' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Mock Script (JSON)
+                    </label>
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleMockScriptUpload}
+                      className="w-full text-sm"
+                    />
+                  </div>
+                )}
+                
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Model
+                    Generator Model
                   </label>
                   <select
                     value={model}
@@ -258,6 +857,68 @@ const App = () => {
                     ))}
                   </select>
                 </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Judge Models
+                  </label>
+                  <select
+                    multiple
+                    size={4}
+                    value={judgeModels}
+                    onChange={(e) => setJudgeModels(Array.from(e.target.selectedOptions, option => option.value))}
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                    disabled={!apiConfigured || simulationRunning}
+                  >
+                    {availableModels.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {judgeModels.length === 0
+                      ? 'None selected: the generator model scores its own thoughts. Ctrl/Cmd-click to pick several.'
+                      : `${judgeModels.length} ${judgeModels.length === 1 ? 'judge scores' : 'judges score'} every thought.`}
+                  </p>
+                  {judgeModels.length > 1 && (
+                    <select
+                      value={judgeAggregation}
+                      onChange={(e) => setJudgeAggregation(e.target.value)}
+                      className="w-full mt-2 p-2 border border-gray-300 rounded-md text-sm"
+                      disabled={simulationRunning}
+                    >
+                      {JUDGE_AGGREGATIONS.map((aggregation) => (
+                        <option key={aggregation.id} value={aggregation.id}>
+                          Combine with: {aggregation.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={cacheEnabled}
+                      onChange={(e) => setCacheEnabled(e.target.checked)}
+                      className="mr-2"
+                      disabled={simulationRunning}
+                    />
+                    Cache analysis and evaluation responses
+                  </label>
+                  {cacheEnabled && (
+                    <button
+                      type="button"
+                      onClick={handleClearCache}
+                      className="text-xs text-blue-700 hover:underline"
+                      disabled={simulationRunning || !apiConfigured}
+                    >
+                      Clear cache
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
             
@@ -361,13 +1022,39 @@ const App = () => {
                   />
                 </div>
                 
+                <RubricEditor rubric={rubric} onChange={setRubric} disabled={simulationRunning} />
+                
+                {cacheEnabled && (
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={bypassCache}
+                      onChange={(e) => setBypassCache(e.target.checked)}
+                      className="mr-2"
+                      disabled={simulationRunning}
+                    />
+                    Bypass cache for this run
+                  </label>
+                )}
+                
                 <button
                   type="submit"
                   className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 transition"
-                  disabled={simulationRunning || !apiConfigured}
+                  disabled={simulationRunning || !apiConfigured || !rubricValid}
                 >
-                  {simulationRunning ? 'Running Simulation...' : 'Start Simulation'}
+                  {simulationRunning ? (searchStatus === 'paused' ? 'Paused' : 'Running Simulation...') : 'Start Simulation'}
                 </button>
+                
+                {treeData && (
+                  <button
+                    type="button"
+                    onClick={handleResume}
+                    className="w-full bg-blue-100 text-blue-700 py-2 rounded-md hover:bg-blue-200 transition"
+                    disabled={simulationRunning || !apiConfigured || !rubricValid}
+                  >
+                    Resume Search
+                  </button>
+                )}
               </form>
             </div>
             
@@ -376,6 +1063,32 @@ const App = () => {
               <h2 className="text-lg font-semibold mb-4">Algorithm Parameters</h2>
               
               <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Persona</label>
+                  <select
+                    value={persona}
+                    onChange={(e) => handlePersonaChange(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="">None (set the parameters yourself)</option>
+                    {PERSONAS.map(option => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                  {persona && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {PERSONAS.find(option => option.id === persona)?.description} Choosing it set the sliders below and the rubric.
+                    </p>
+                  )}
+                  <textarea
+                    value={systemPrompt}
+                    onChange={(e) => setSystemPrompt(e.target.value)}
+                    className="w-full mt-2 p-2 text-xs border border-gray-300 rounded-md"
+                    rows={3}
+                    placeholder="Voice thoughts are written in (optional), e.g. 'You are a cautious hospital administrator.'"
+                  />
+                </div>
+                
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Exploration Weight: {explorationWeight}
@@ -444,6 +1157,125 @@ const App = () => {
                   />
                 </div>
                 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Uncertainty Weight: {uncertaintyWeight}
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    value={uncertaintyWeight}
+                    onChange={(e) => setUncertaintyWeight(parseFloat(e.target.value))}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    How much disagreement between judges favors exploring a thought.
+                  </p>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-1">Branching</h3>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Thoughts / Expansion</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="6"
+                        value={branchingFactor}
+                        onChange={(e) => setBranchingFactor(parseInt(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Max Depth</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={maxDepth}
+                        onChange={(e) => setMaxDepth(e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                  </div>
+                  <label className="flex items-center text-sm text-gray-700 mt-2">
+                    <input
+                      type="checkbox"
+                      checked={progressiveWidening}
+                      onChange={(e) => setProgressiveWidening(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Progressive widening
+                  </label>
+                  {progressiveWidening && (
+                    <div className="grid grid-cols-2 gap-4 mt-2">
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Coefficient</label>
+                        <input
+                          type="number"
+                          min="0.1"
+                          step="0.1"
+                          value={wideningCoefficient}
+                          onChange={(e) => setWideningCoefficient(parseFloat(e.target.value))}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Exponent</label>
+                        <input
+                          type="number"
+                          min="0.1"
+                          max="1"
+                          step="0.05"
+                          value={wideningExponent}
+                          onChange={(e) => setWideningExponent(parseFloat(e.target.value))}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <label className="flex items-center text-sm text-gray-700 mt-2">
+                    <input
+                      type="checkbox"
+                      checked={detectTerminal}
+                      onChange={(e) => setDetectTerminal(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Stop expanding thoughts that complete their path
+                  </label>
+                  <div className="flex items-center justify-between mt-2">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={deduplicateThoughts}
+                        onChange={(e) => setDeduplicateThoughts(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Discard near-duplicate thoughts
+                    </label>
+                    {deduplicateThoughts && (
+                      <input
+                        type="number"
+                        min="0.1"
+                        max="1"
+                        step="0.05"
+                        value={similarityThreshold}
+                        onChange={(e) => setSimilarityThreshold(parseFloat(e.target.value))}
+                        title="Similarity from which a thought counts as a near-duplicate"
+                        className="w-20 p-1 text-sm border border-gray-300 rounded-md"
+                      />
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {progressiveWidening
+                      ? 'A thought may have up to coefficient × visits^exponent children, and never fewer than the thoughts per expansion.'
+                      : 'Each thought is expanded once into this many children.'}
+                  </p>
+                </div>
+                
                 <div className="grid grid-cols-2 gap-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -472,31 +1304,390 @@ const App = () => {
                     />
                   </div>
                 </div>
+                
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={synthesizeRecommendation}
+                        onChange={(e) => setSynthesizeRecommendation(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Synthesize a final recommendation
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={recommendationSize}
+                      onChange={(e) => setRecommendationSize(parseInt(e.target.value))}
+                      title="Top leaves the recommendation is synthesized from"
+                      className="w-20 p-1 text-sm border border-gray-300 rounded-md"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Combines the most visited, best scored and most confident leaves into an action plan with risks and a conviction level.
+                  </p>
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Evaluation
+                  </label>
+                  <select
+                    value={evaluationMode}
+                    onChange={(e) => setEvaluationMode(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  >
+                    {EVALUATION_MODES.map((mode) => (
+                      <option key={mode.id} value={mode.id}>
+                        {mode.name}
+                      </option>
+                    ))}
+                  </select>
+                  {evaluationMode === 'pairwise' && (
+                    <div className="grid grid-cols-2 gap-4 mt-2">
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Rating System</label>
+                        <select
+                          value={ratingSystem}
+                          onChange={(e) => setRatingSystem(e.target.value)}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                        >
+                          {RATING_SYSTEMS.map((system) => (
+                            <option key={system.id} value={system.id}>
+                              {system.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-600 mb-1">Comparisons / Evaluation</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="5"
+                          value={comparisonsPerEvaluation}
+                          onChange={(e) => setComparisonsPerEvaluation(parseInt(e.target.value))}
+                          className="w-full p-2 border border-gray-300 rounded-md"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    {evaluationMode === 'pairwise'
+                      ? 'Thoughts are compared head-to-head with their siblings; ratings drive the search.'
+                      : 'Each thought is scored on its own against the rubric.'}
+                  </p>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-1">Rollouts</h3>
+                  <div className="grid grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Depth</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="10"
+                        value={rolloutDepth}
+                        onChange={(e) => setRolloutDepth(parseInt(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Rollouts / Simulation</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="5"
+                        value={rolloutsPerSimulation}
+                        onChange={(e) => setRolloutsPerSimulation(parseInt(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                        disabled={rolloutDepth === 0}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Temperature</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="2"
+                        step="0.1"
+                        value={rolloutTemperature}
+                        onChange={(e) => setRolloutTemperature(parseFloat(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                        disabled={rolloutDepth === 0}
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {rolloutDepth === 0
+                      ? 'Leaves are scored as written.'
+                      : 'Each leaf is played forward this many steps and scored by where it leads. Pairwise evaluation skips rollouts.'}
+                  </p>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-1">Budgets</h3>
+                  <p className="text-xs text-gray-500 mb-2">
+                    The search stops at whichever limit is reached first. Leave empty for no limit.
+                  </p>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Max Tokens</label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1000"
+                        value={maxTokens}
+                        onChange={(e) => setMaxTokens(e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Max Cost ($)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={maxCost}
+                        onChange={(e) => setMaxCost(e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Max Time (s)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={maxTimeSeconds}
+                        onChange={(e) => setMaxTimeSeconds(e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-600 mb-1">Max LLM Calls</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={maxCalls}
+                        onChange={(e) => setMaxCalls(e.target.value)}
+                        placeholder="No limit"
+                        className="w-full p-2 border border-gray-300 rounded-md"
+                      />
+                    </div>
+                  </div>
+                </div>
+                
+                <div>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={batchAnalysis}
+                      onChange={(e) => setBatchAnalysis(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Analyze sibling thoughts in one request
+                  </label>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Falls back to one request per thought if the batched response cannot be parsed.
+                  </p>
+                </div>
+                
+                <div>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={streamThoughts}
+                      onChange={(e) => setStreamThoughts(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Stream thoughts into the tree as they are written
+                  </label>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Each streamed thought is analyzed as soon as it is complete, so streamed siblings are not analyzed in one request.
+                  </p>
+                </div>
               </div>
             </div>
+            
+            {/* Prompts */}
+            <div className="bg-white p-6 rounded-lg shadow-md">
+              <h2 className="text-lg font-semibold mb-4">Prompts</h2>
+              <PromptEditor
+                templates={promptTemplates}
+                versions={promptVersions}
+                onSaveVersion={handleSavePromptVersion}
+                onSelectVersion={handleSelectPromptVersion}
+                disabled={simulationRunning}
+              />
+            </div>
+            
+            {/* Compare Personas */}
+            <div className="bg-white p-6 rounded-lg shadow-md">
+              <h2 className="text-lg font-semibold mb-4">Compare Personas</h2>
+              <p className="text-xs text-gray-500 mb-2">
+                Search the problem once as each persona, with the other settings above, and compare their best approaches.
+              </p>
+              <div className="space-y-1">
+                {PERSONAS.map(option => (
+                  <label key={option.id} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={comparedPersonas.includes(option.id)}
+                      onChange={(e) => setComparedPersonas(e.target.checked
+                        ? [...comparedPersonas, option.id]
+                        : comparedPersonas.filter(id => id !== option.id))}
+                      className="mr-2"
+                      disabled={simulationRunning}
+                    />
+                    {option.name}
+                  </label>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={handleComparePersonas}
+                className="w-full mt-3 bg-blue-100 text-blue-700 py-2 rounded-md hover:bg-blue-200 transition"
+                disabled={simulationRunning || !apiConfigured || !problem || !context || comparedPersonas.length < 2}
+              >
+                Compare {comparedPersonas.length} Personas
+              </button>
+            </div>
+            
+            {/* Recent Sessions */}
+            {recentSessions.length > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-lg font-semibold mb-4">Recent Sessions</h2>
+                <ul className="space-y-2">
+                  {recentSessions.map((session) => (
+                    <li key={session.id} className="flex items-center justify-between gap-2">
+                      <button
+                        onClick={() => handleLoadSession(session.id)}
+                        className="flex-1 text-left text-sm truncate hover:text-blue-700"
+                        title={session.name}
+                        disabled={simulationRunning}
+                      >
+                        {session.name}
+                        <span className="block text-xs text-gray-500">
+                          {new Date(session.savedAt).toLocaleString()}
+                        </span>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSession(session.id)}
+                        className="px-2 py-1 text-xs text-gray-500 hover:text-red-600"
+                        title="Delete session"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
           
           {/* Middle and right columns: Visualization and Details */}
           <div className="col-span-1 lg:col-span-2 space-y-6">
+            {/* Search Error */}
+            {searchError && (
+              <div className="bg-red-50 border border-red-200 p-4 rounded-lg shadow-md flex justify-between items-start gap-4">
+                <div>
+                  <h2 className="text-md font-semibold text-red-800">{searchError.title}</h2>
+                  {searchError.hint && (
+                    <p className="mt-1 text-sm text-red-700">{searchError.hint}</p>
+                  )}
+                  <p className="mt-2 text-xs font-mono text-red-600 break-all">{searchError.message}</p>
+                </div>
+                <button
+                  onClick={() => setSearchError(null)}
+                  className="text-red-400 hover:text-red-700"
+                  title="Dismiss"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+            
             {/* Simulation Progress */}
             {simulationRunning && (
               <div className="bg-white p-6 rounded-lg shadow-md">
-                <h2 className="text-lg font-semibold mb-4">Simulation Progress</h2>
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Simulation Progress</h2>
+                  {searchStatus !== 'idle' && (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={handleTogglePause}
+                        className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition"
+                      >
+                        {searchStatus === 'paused' ? 'Resume' : 'Pause'}
+                      </button>
+                      <button
+                        onClick={handleStop}
+                        className="px-3 py-1 text-sm bg-red-100 text-red-700 rounded-md hover:bg-red-200 transition"
+                      >
+                        Stop
+                      </button>
+                    </div>
+                  )}
+                </div>
                 <div className="w-full bg-gray-200 rounded-full h-4">
                   <div 
-                    className="bg-blue-600 h-4 rounded-full" 
+                    className={`${searchStatus === 'paused' ? 'bg-yellow-500' : 'bg-blue-600'} h-4 rounded-full`} 
                     style={{ width: `${simulationProgress}%` }}
                   ></div>
                 </div>
                 <p className="mt-2 text-sm text-gray-600">{simulationStep}</p>
+                {searchEvents.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-xs font-mono text-gray-500 max-h-32 overflow-y-auto">
+                    {searchEvents.slice(-5).reverse().map((event, index) => (
+                      <li key={`${event.timestamp}-${event.type}-${index}`} className={event.type === 'error' ? 'text-red-600' : ''}>
+                        {formatSearchEvent(event)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             )}
             
             {/* Tree Visualization */}
             <div className="bg-white p-6 rounded-lg shadow-md">
-              <h2 className="text-lg font-semibold mb-4">Decision Tree</h2>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold">Decision Tree</h2>
+                <div className="flex space-x-2">
+                  <label className="px-3 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200 transition cursor-pointer">
+                    Import
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleImport}
+                      className="hidden"
+                      disabled={simulationRunning}
+                    />
+                  </label>
+                  <button
+                    onClick={handleExport}
+                    className="px-3 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200 transition"
+                    disabled={!treeData || simulationRunning}
+                  >
+                    Export
+                  </button>
+                </div>
+              </div>
               <div className="h-96">
-                {treeData ? (
+                {replaySnapshot ? (
+                  <DecisionTree 
+                    treeData={replaySnapshot.tree}
+                    onNodeSelect={handleNodeSelect}
+                    selectedNodeId={replaySnapshot.selectedNodeId}
+                    highlights={replayHighlights}
+                  />
+                ) : treeData ? (
                   <DecisionTree 
                     treeData={treeData}
                     onNodeSelect={handleNodeSelect}
@@ -508,6 +1699,17 @@ const App = () => {
                   </div>
                 )}
               </div>
+              
+              {/* History Replay */}
+              {!simulationRunning && simulationHistory.length > 1 && (
+                <ReplayScrubber
+                  history={simulationHistory}
+                  currentIndex={replayIndex}
+                  onChange={setReplayIndex}
+                  playing={replayPlaying}
+                  onPlayingChange={setReplayPlaying}
+                />
+              )}
             </div>
             
             {/* Node Details */}
@@ -515,15 +1717,91 @@ const App = () => {
               node={selectedNode}
               onExploreAlternative={handleExploreAlternative}
               simulationRunning={simulationRunning}
+              similarityThreshold={similarityThreshold}
             />
             
             {/* Best Approach */}
             {bestApproach && (
               <div className="bg-white p-6 rounded-lg shadow-md">
                 <h2 className="text-lg font-semibold mb-4">Best Approach</h2>
+                {stopReason && (
+                  <p className="mb-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-2">
+                    {stopReason} This is the best approach found so far.
+                  </p>
+                )}
                 <div className="p-4 bg-blue-50 border border-blue-200 rounded-md">
                   <p className="text-sm">{bestApproach}</p>
                 </div>
+                {recommendation ? (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <RecommendationPanel
+                      recommendation={recommendation}
+                      onSelectNode={handleRecommendationSourceSelect}
+                    />
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleSynthesize}
+                    className="mt-3 px-3 py-1 text-xs bg-blue-100 text-blue-700 hover:bg-blue-200 rounded-md"
+                    disabled={simulationRunning || !apiConfigured}
+                  >
+                    Synthesize recommendation from the top {recommendationSize} leaves
+                  </button>
+                )}
+              </div>
+            )}
+            
+            {/* Persona Comparison */}
+            {personaResults.length > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-lg font-semibold mb-1">Persona Comparison</h2>
+                <p className="text-xs text-gray-500 mb-4">
+                  Each persona scores on its own rubric, so scores show conviction rather than which approach is better.
+                </p>
+                <div className={`grid gap-4 grid-cols-1 ${personaResults.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+                  {personaResults.map(result => (
+                    <div key={result.persona} className="p-3 border border-gray-200 rounded-md flex flex-col">
+                      <h3 className="text-md font-medium">{PERSONAS.find(option => option.id === result.persona)?.name}</h3>
+                      <p className="text-xs text-gray-500 mb-2">
+                        Best score: {typeof result.bestScore === 'number' ? result.bestScore.toFixed(2) : 'n/a'}
+                        {result.stopped ? ' (stopped early)' : ''}
+                      </p>
+                      <p className="text-sm flex-1">{result.bestApproach}</p>
+                      <button
+                        type="button"
+                        onClick={() => restoreSearch(result.data)}
+                        className="mt-3 px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md self-start"
+                        disabled={simulationRunning}
+                      >
+                        Open tree
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            
+            {/* Run Summary */}
+            {usageSummary && usageSummary.total.calls > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-semibold">Run Summary</h2>
+                  <span className="text-sm text-gray-600">
+                    {usageSummary.total.totalTokens.toLocaleString()} tokens · {formatCost(usageSummary.total)}
+                  </span>
+                </div>
+                <UsageBreakdown byPhase={usageSummary.byPhase} />
+                {usageSummary.total.unpricedCalls > 0 && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    {usageSummary.total.unpricedCalls} of {usageSummary.total.calls} calls used a model without pricing data.
+                  </p>
+                )}
+                {cacheStats && cacheStats.hits + cacheStats.misses > 0 && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Response cache: {cacheStats.hits} hits, {cacheStats.misses} misses.
+                  </p>
+                )}
               </div>
             )}
           </div>
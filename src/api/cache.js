@@ -0,0 +1,325 @@
+// src/api/cache.js
+
+/**
+ * Response cache for LLM Instinct providers
+ * Wraps any provider and replays completions for identical requests, keyed by
+ * model, prompt and sampling options. Only low-temperature calls are cached by
+ * default, so analysis and evaluation hit the cache while sampled thoughts
+ * stay diverse.
+ */
+
+import LLMProvider, { isProvider } from './provider';
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_MAX_TEMPERATURE = 0.3;
+
+/**
+ * Hash a string into 14 hex characters (53-bit cyrb53)
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ * @private
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Describe the parts of a request that determine its response
+ * @param {string} model - Model id
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Request options
+ * @returns {Object} Cache key material
+ */
+export function getCacheKeyMaterial(model, prompt, options = {}) {
+  return {
+    model,
+    prompt,
+    temperature: options.temperature ?? null,
+    maxTokens: options.maxTokens ?? null,
+    responseFormat: options.responseFormat ? options.responseFormat.name : null,
+    // Left out when unset so keys from before system prompts stay valid
+    ...(options.systemPrompt ? { systemPrompt: options.systemPrompt } : {})
+  };
+}
+
+/**
+ * Build the cache key for a request
+ * @param {string} model - Model id
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Request options
+ * @returns {string} Cache key
+ */
+export function getCacheKey(model, prompt, options = {}) {
+  return hashString(JSON.stringify(getCacheKeyMaterial(model, prompt, options)));
+}
+
+/**
+ * In-memory cache store
+ * Every store implements async get(key), set(key, entry), delete(key) and clear().
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Entries kept before the oldest are dropped
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry, if stored
+   */
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store an entry, dropping the oldest entries beyond `maxEntries`
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Provider wrapper that caches completions
+ */
+class CachingProvider extends LLMProvider {
+  /**
+   * Create a caching provider
+   * @param {Object} provider - Provider to wrap
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Cache store (default: MemoryCacheStore)
+   * @param {number} options.ttl - Time to live of entries in milliseconds (default: 7 days)
+   * @param {number} options.maxTemperature - Highest temperature that is cached (default: 0.3)
+   */
+  constructor(provider, {
+    store = new MemoryCacheStore(),
+    ttl = DEFAULT_TTL,
+    maxTemperature = DEFAULT_MAX_TEMPERATURE
+  } = {}) {
+    super(provider.defaultModel, provider.options);
+    this.provider = provider;
+    this.store = store;
+    this.ttl = ttl;
+    this.maxTemperature = maxTemperature;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * The wrapped provider's default model
+   * @type {string}
+   */
+  get defaultModel() {
+    return this.provider ? this.provider.defaultModel : this._defaultModel;
+  }
+
+  set defaultModel(model) {
+    if (this.provider) {
+      this.provider.defaultModel = model;
+    } else {
+      this._defaultModel = model;
+    }
+  }
+
+  /**
+   * Fetch available models from the wrapped provider
+   * @returns {Promise<Array>} List of available models
+   */
+  async getModels() {
+    return this.provider.getModels();
+  }
+
+  /**
+   * Generate a completion, replaying a cached response when available
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {boolean} options.bypassCache - Skip cached responses (fresh responses are still stored)
+   * @param {number} options.cacheTtl - Overrides the cache TTL for this response
+   * @returns {Promise<string>} The generated text
+   */
+  async generateCompletion(prompt, options = {}) {
+    return this._cached(prompt, options, () => this.provider.generateCompletion(prompt, options));
+  }
+
+  /**
+   * Generate a streaming completion; cached responses arrive as a single chunk
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {Function} onChunk - Callback for each chunk of generated text
+   * @returns {Promise<string>} The complete generated text
+   */
+  async generateStreamingCompletion(prompt, options = {}, onChunk = null) {
+    let replayed = true;
+    const text = await this._cached(prompt, options, () => {
+      replayed = false;
+      return this.provider.generateStreamingCompletion(prompt, options, onChunk);
+    });
+
+    if (replayed && onChunk && text) onChunk(text);
+    return text;
+  }
+
+  /**
+   * Analyze text for emotional state and instinct indicators
+   * Providers built on LLMProvider analyze through the cached generateCompletion();
+   * other providers are called directly.
+   * @param {string} text - The text to analyze
+   * @param {Object} options - Additional options for the request
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyzeContent(text, options = {}) {
+    if (this.provider instanceof LLMProvider) {
+      return super.analyzeContent(text, options);
+    }
+    return this.provider.analyzeContent(text, options);
+  }
+
+  /**
+   * Analyze several texts in a single request
+   * @param {Array<string>} texts - The texts to analyze
+   * @param {Object} options - Additional options for the request
+   * @returns {Promise<Array<Object>|null>} One analysis per text, or null if
+   *   the batch failed or the wrapped provider cannot analyze batches
+   */
+  async analyzeContentBatch(texts, options = {}) {
+    if (this.provider instanceof LLMProvider) {
+      return super.analyzeContentBatch(texts, options);
+    }
+    if (typeof this.provider.analyzeContentBatch === 'function') {
+      return this.provider.analyzeContentBatch(texts, options);
+    }
+    return null;
+  }
+
+  /**
+   * Remove every cached response
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Look up a response, calling the provider on a miss
+   * @param {string} prompt - The prompt
+   * @param {Object} options - Request options
+   * @param {Function} request - Makes the uncached request
+   * @returns {Promise<string>} Response text
+   * @private
+   */
+  async _cached(prompt, options, request) {
+    const temperature = options.temperature ?? 0.7;
+    if (temperature > this.maxTemperature) {
+      return request();
+    }
+
+    const material = getCacheKeyMaterial(options.model || this.defaultModel, prompt, options);
+    const key = getCacheKey(material.model, prompt, options);
+
+    if (!options.bypassCache) {
+      const entry = await this._read(key);
+
+      // The stored key material guards against hash collisions
+      if (entry && entry.prompt === prompt && entry.model === material.model) {
+        this.stats.hits += 1;
+        return entry.value;
+      }
+    }
+
+    this.stats.misses += 1;
+    const value = await request();
+    const now = Date.now();
+
+    try {
+      await this.store.set(key, {
+        ...material,
+        value,
+        createdAt: now,
+        expiresAt: now + (options.cacheTtl ?? this.ttl)
+      });
+    } catch (error) {
+      console.warn('Could not write to the response cache:', error);
+    }
+
+    return value;
+  }
+
+  /**
+   * Read an unexpired cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry, or null if missing, expired or unreadable
+   * @private
+   */
+  async _read(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        await this.store.delete(key);
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      console.warn('Could not read from the response cache:', error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Wrap a provider with a response cache
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} options - Cache options (see CachingProvider)
+ * @returns {CachingProvider} Caching provider
+ */
+export function withCache(provider, options = {}) {
+  if (!isProvider(provider)) {
+    throw new TypeError('withCache() needs an LLM provider');
+  }
+  return new CachingProvider(provider, options);
+}
+
+export default CachingProvider;
@@ -0,0 +1,218 @@
+// src/api/cache.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CachingProvider, { MemoryCacheStore, withCache, getCacheKey } from './cache';
+import FileCacheStore from './fileCache';
+import MockProvider from './mock';
+import { isProvider } from './provider';
+import { createProvider } from './index';
+
+describe('getCacheKey', () => {
+  it('depends on the model, prompt and sampling options', () => {
+    const key = getCacheKey('model-a', 'prompt', { temperature: 0.3, maxTokens: 100 });
+
+    expect(key).toMatch(/^[0-9a-f]{14}$/);
+    expect(getCacheKey('model-a', 'prompt', { temperature: 0.3, maxTokens: 100, signal: {} })).toBe(key);
+    expect(getCacheKey('model-b', 'prompt', { temperature: 0.3, maxTokens: 100 })).not.toBe(key);
+    expect(getCacheKey('model-a', 'prompt!', { temperature: 0.3, maxTokens: 100 })).not.toBe(key);
+    expect(getCacheKey('model-a', 'prompt', { temperature: 0.2, maxTokens: 100 })).not.toBe(key);
+    expect(getCacheKey('model-a', 'prompt', { temperature: 0.3, maxTokens: 50 })).not.toBe(key);
+    expect(getCacheKey('model-a', 'prompt', { temperature: 0.3, maxTokens: 100, systemPrompt: 'Be bold' })).not.toBe(key);
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  it('drops the oldest entries beyond maxEntries', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('a', 3);
+    await store.set('c', 4);
+
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBe(3);
+    expect(await store.get('c')).toBe(4);
+  });
+});
+
+describe('CachingProvider', () => {
+  const createCached = (options) => {
+    const provider = new MockProvider({ fallback: (prompt) => `response to ${prompt}` });
+    return { provider, cached: withCache(provider, options) };
+  };
+
+  it('satisfies the provider contract and shares the default model', () => {
+    const { provider, cached } = createCached();
+
+    expect(isProvider(cached)).toBe(true);
+    cached.defaultModel = 'other-model';
+    expect(provider.defaultModel).toBe('other-model');
+  });
+
+  it('rejects objects that are not providers', () => {
+    expect(() => withCache({})).toThrow(TypeError);
+  });
+
+  it('replays low-temperature completions without calling the provider', async () => {
+    const { provider, cached } = createCached();
+
+    await expect(cached.generateCompletion('ping', { temperature: 0.3 })).resolves.toBe('response to ping');
+    await expect(cached.generateCompletion('ping', { temperature: 0.3 })).resolves.toBe('response to ping');
+
+    expect(provider.calls).toHaveLength(1);
+    expect(cached.stats).toEqual({ hits: 1, misses: 1 });
+  });
+
+  it('does not report usage for cached responses', async () => {
+    const { cached } = createCached();
+    const onUsage = jest.fn();
+
+    await cached.generateCompletion('ping', { temperature: 0, onUsage });
+    await cached.generateCompletion('ping', { temperature: 0, onUsage });
+
+    expect(onUsage).toHaveBeenCalledTimes(1);
+  });
+
+  it('never caches sampled completions above maxTemperature', async () => {
+    const { provider, cached } = createCached();
+
+    await cached.generateCompletion('ping', { temperature: 0.7 });
+    await cached.generateCompletion('ping', { temperature: 0.7 });
+    await cached.generateCompletion('ping');
+
+    expect(provider.calls).toHaveLength(3);
+    expect(cached.stats).toEqual({ hits: 0, misses: 0 });
+  });
+
+  it('keys responses by model', async () => {
+    const { provider, cached } = createCached();
+
+    await cached.generateCompletion('ping', { temperature: 0, model: 'a' });
+    await cached.generateCompletion('ping', { temperature: 0, model: 'b' });
+
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('refreshes cached responses when bypassing the cache', async () => {
+    const { provider, cached } = createCached();
+    provider.setResponse('ping', ['first', 'second']);
+
+    await cached.generateCompletion('ping', { temperature: 0 });
+    await expect(cached.generateCompletion('ping', { temperature: 0, bypassCache: true })).resolves.toBe('second');
+    await expect(cached.generateCompletion('ping', { temperature: 0 })).resolves.toBe('second');
+
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('expires entries after their TTL', async () => {
+    const { provider, cached } = createCached({ ttl: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    try {
+      await cached.generateCompletion('ping', { temperature: 0 });
+      now.mockReturnValue(999);
+      await cached.generateCompletion('ping', { temperature: 0 });
+      now.mockReturnValue(1000);
+      await cached.generateCompletion('ping', { temperature: 0 });
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('caches analyses through generateCompletion', async () => {
+    const { provider, cached } = createCached();
+    provider.fallback = () => '{"confidence": 8, "perseverance": 7, "instinctVsAnalysis": 6, "emotionalState": 5}';
+
+    const first = await cached.analyzeContent('some text');
+    const second = await cached.analyzeContent('some text');
+
+    expect(second).toEqual(first);
+    expect(first.confidence).toBe(8);
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('replays cached streaming completions as a single chunk', async () => {
+    const { provider, cached } = createCached();
+    provider.generateStreamingCompletion = jest.fn(async (prompt, options, onChunk) => {
+      onChunk('str');
+      onChunk('eamed');
+      return 'streamed';
+    });
+    const chunks = [];
+
+    await cached.generateStreamingCompletion('ping', { temperature: 0 }, chunk => chunks.push(chunk));
+    await cached.generateStreamingCompletion('ping', { temperature: 0 }, chunk => chunks.push(chunk));
+
+    expect(chunks).toEqual(['str', 'eamed', 'streamed']);
+    expect(provider.generateStreamingCompletion).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the provider when the store fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = {
+      get: jest.fn().mockRejectedValue(new Error('read failed')),
+      set: jest.fn().mockRejectedValue(new Error('write failed'))
+    };
+    const { provider, cached } = createCached({ store });
+
+    try {
+      await expect(cached.generateCompletion('ping', { temperature: 0 })).resolves.toBe('response to ping');
+    } finally {
+      warn.mockRestore();
+    }
+
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('is created by createProvider when a cache is configured', () => {
+    expect(createProvider({ type: 'mock', cache: true })).toBeInstanceOf(CachingProvider);
+    expect(createProvider({ type: 'mock' })).toBeInstanceOf(MockProvider);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-instinct-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores entries as files that outlive the store', async () => {
+    await new FileCacheStore(directory).set('abc', { value: 'cached' });
+
+    const store = new FileCacheStore(directory);
+    await expect(store.get('abc')).resolves.toEqual({ value: 'cached' });
+    await expect(store.get('missing')).resolves.toBeUndefined();
+
+    await store.delete('abc');
+    await expect(store.get('abc')).resolves.toBeUndefined();
+  });
+
+  it('clears every entry', async () => {
+    const store = new FileCacheStore(path.join(directory, 'nested'));
+    await store.clear();
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+
+    await store.clear();
+
+    expect(fs.readdirSync(path.join(directory, 'nested'))).toEqual([]);
+  });
+
+  it('serves a CachingProvider across runs', async () => {
+    const provider = new MockProvider({ fallback: 'answer' });
+
+    await withCache(provider, { store: new FileCacheStore(directory) }).generateCompletion('q', { temperature: 0 });
+    await withCache(provider, { store: new FileCacheStore(directory) }).generateCompletion('q', { temperature: 0 });
+
+    expect(provider.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,256 @@
+// src/api/errors.js
+
+/**
+ * Classified provider errors for LLM Instinct
+ * Lets callers tell transient failures (retried automatically) from ones the
+ * user has to fix, and show each meaningfully.
+ */
+
+/**
+ * Base class for errors returned by an LLM provider
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status (if any)
+   * @param {number} details.retryAfterMs - Delay requested by the server (if any)
+   */
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = 'unknown';
+    this.retryable = false;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The API key is missing, invalid or lacks credit
+ */
+export class AuthenticationError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+    this.kind = 'auth';
+  }
+}
+
+/**
+ * The provider is throttling requests
+ */
+export class RateLimitError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.kind = 'rateLimit';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The requested model does not exist or has no available endpoint
+ */
+export class ModelUnavailableError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ModelUnavailableError';
+    this.kind = 'modelUnavailable';
+  }
+}
+
+/**
+ * The prompt or completion was blocked by moderation
+ */
+export class ContentFilterError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ContentFilterError';
+    this.kind = 'contentFilter';
+  }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class RequestTimeoutError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RequestTimeoutError';
+    this.kind = 'timeout';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The server could not be reached
+ */
+export class NetworkError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.kind = 'network';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The server failed to handle the request
+ */
+export class ServerError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+    this.kind = 'server';
+    this.retryable = true;
+  }
+}
+
+/**
+ * A response did not match the expected JSON schema, even after repair attempts
+ * Not a ProviderError: the request succeeded but its content was unusable.
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {Array<string>} details.errors - Validation errors of the last response
+   * @param {string} details.response - Last response text
+   * @param {number} details.attempts - Number of requests made
+   */
+  constructor(message, { errors = [], response = '', attempts = 1 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.response = response;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Titles and hints shown to the user for each kind of provider error
+ * @type {Object}
+ */
+const ERROR_DESCRIPTIONS = {
+  auth: {
+    title: 'Authentication failed',
+    hint: 'Check your API key and account credit.'
+  },
+  rateLimit: {
+    title: 'Rate limited',
+    hint: 'The provider is throttling requests. Wait a moment, or run fewer simulations at once.'
+  },
+  modelUnavailable: {
+    title: 'Model unavailable',
+    hint: 'The selected model does not exist or is currently offline. Choose a different model.'
+  },
+  contentFilter: {
+    title: 'Blocked by content filter',
+    hint: 'The provider refused the prompt or response. Try rephrasing the problem or context.'
+  },
+  timeout: {
+    title: 'Request timed out',
+    hint: 'The model took too long to respond. Try again or pick a faster model.'
+  },
+  network: {
+    title: 'Network error',
+    hint: 'The provider could not be reached. Check your connection and the base URL.'
+  },
+  server: {
+    title: 'Provider error',
+    hint: 'The provider failed to handle the request. Try again later.'
+  },
+  unknown: {
+    title: 'Request failed',
+    hint: ''
+  }
+};
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value (seconds or an HTTP date)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Classify a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @param {Object} options - Classification options
+ * @param {Headers} options.headers - Response headers
+ * @param {string} options.provider - Provider name for the message
+ * @returns {ProviderError} Classified error
+ */
+export function classifyHttpError(status, body = '', { headers = null, provider = 'LLM' } = {}) {
+  const message = `${provider} API error: ${status} - ${body}`;
+  const details = {
+    status,
+    retryAfterMs: parseRetryAfter(headers ? headers.get('retry-after') : null)
+  };
+  const text = String(body).toLowerCase();
+
+  if (/moderation|flagged|content[ _-]?(filter|policy)|safety/.test(text)) {
+    return new ContentFilterError(message, details);
+  }
+  if (status === 401 || status === 402 || status === 403) {
+    return new AuthenticationError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, details);
+  }
+  if (status === 404 || /no endpoints|not a valid model|invalid model|model.*(not found|not available|does not exist)/.test(text)) {
+    return new ModelUnavailableError(message, details);
+  }
+  if (status === 408) {
+    return new RequestTimeoutError(message, details);
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+
+  return new ProviderError(message, details);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True for transient provider errors
+ */
+export function isRetryableError(error) {
+  return error instanceof ProviderError && error.retryable;
+}
+
+/**
+ * Check whether an error will fail every later request too, so a search
+ * should stop instead of falling back to default values
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True for authentication and unavailable-model errors
+ */
+export function isFatalProviderError(error) {
+  return error instanceof AuthenticationError || error instanceof ModelUnavailableError;
+}
+
+/**
+ * Describe an error for display
+ * @param {Error} error - Any error
+ * @returns {Object} { kind, title, hint, message }
+ */
+export function describeProviderError(error) {
+  const kind = error instanceof ProviderError ? error.kind : 'unknown';
+  const { title, hint } = ERROR_DESCRIPTIONS[kind] || ERROR_DESCRIPTIONS.unknown;
+
+  return { kind, title, hint, message: error.message };
+}
@@ -0,0 +1,64 @@
+// src/api/errors.test.js
+
+import {
+  AuthenticationError,
+  ContentFilterError,
+  ModelUnavailableError,
+  ProviderError,
+  RateLimitError,
+  ServerError,
+  classifyHttpError,
+  describeProviderError,
+  isFatalProviderError,
+  isRetryableError,
+  parseRetryAfter
+} from './errors';
+
+describe('provider errors', () => {
+  const headers = (values) => ({ get: (name) => values[name.toLowerCase()] ?? null });
+
+  it('classifies HTTP failures', () => {
+    expect(classifyHttpError(401, 'No auth credentials found')).toBeInstanceOf(AuthenticationError);
+    expect(classifyHttpError(402, 'Insufficient credits')).toBeInstanceOf(AuthenticationError);
+    expect(classifyHttpError(404, 'No endpoints found for foo/bar')).toBeInstanceOf(ModelUnavailableError);
+    expect(classifyHttpError(400, 'foo/bar is not a valid model ID')).toBeInstanceOf(ModelUnavailableError);
+    expect(classifyHttpError(403, 'Input was flagged by moderation')).toBeInstanceOf(ContentFilterError);
+    expect(classifyHttpError(502, 'Bad gateway')).toBeInstanceOf(ServerError);
+    expect(classifyHttpError(400, 'Bad request')).toBeInstanceOf(ProviderError);
+  });
+
+  it('reads Retry-After from rate limit responses', () => {
+    const error = classifyHttpError(429, 'Rate limit exceeded', {
+      headers: headers({ 'retry-after': '3' }),
+      provider: 'OpenRouter'
+    });
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(3000);
+    expect(error.message).toBe('OpenRouter API error: 429 - Rate limit exceeded');
+  });
+
+  it('parses Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', Date.parse('2026-01-01T00:00:00Z'))).toBe(10000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+
+  it('separates retryable from fatal errors', () => {
+    expect(isRetryableError(new RateLimitError('x'))).toBe(true);
+    expect(isRetryableError(new AuthenticationError('x'))).toBe(false);
+    expect(isRetryableError(new Error('x'))).toBe(false);
+    expect(isFatalProviderError(new ModelUnavailableError('x'))).toBe(true);
+    expect(isFatalProviderError(new ContentFilterError('x'))).toBe(false);
+  });
+
+  it('describes errors for display', () => {
+    expect(describeProviderError(new RateLimitError('429'))).toMatchObject({
+      kind: 'rateLimit',
+      title: 'Rate limited',
+      message: '429'
+    });
+    expect(describeProviderError(new Error('boom'))).toMatchObject({ kind: 'unknown', message: 'boom' });
+  });
+});
@@ -0,0 +1,90 @@
+// src/api/fileCache.js
+
+/**
+ * Filesystem cache store for Node.js
+ * Stores one JSON file per cached response. Implements the same interface as
+ * MemoryCacheStore in src/api/cache.js. Node-only: do not import from the browser app.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Cache store backed by a directory of JSON files
+ */
+class FileCacheStore {
+  /**
+   * @param {string} directory - Directory holding the cache files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry, if stored and readable
+   */
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._path(key), 'utf8'));
+    } catch (error) {
+      // Missing files are misses; corrupt files are overwritten on the next set()
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Write then rename so concurrent readers never see a partial file
+    const file = this._path(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(entry));
+    await fs.promises.rename(temp, file);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      return;
+    }
+
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.promises.rm(path.join(this.directory, file), { force: true })));
+  }
+
+  /**
+   * Path of the file for a key
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   * @private
+   */
+  _path(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+export default FileCacheStore;
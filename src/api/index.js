@@ -0,0 +1,80 @@
+// src/api/index.js
+
+/**
+ * LLM provider registry for LLM Instinct
+ */
+
+import OpenRouterClient from './openrouter';
+import OpenAICompatibleClient from './openaiCompatible';
+import MockProvider from './mock';
+import { withCache } from './cache';
+
+/**
+ * Available provider types
+ * @type {Array<Object>}
+ */
+export const PROVIDER_TYPES = [
+  { id: 'openrouter', name: 'OpenRouter' },
+  { id: 'openai-compatible', name: 'OpenAI-compatible (llama.cpp, Ollama, vLLM)' },
+  { id: 'mock', name: 'Scripted Mock (offline)' }
+];
+
+/**
+ * Create an LLM provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.type - Provider type (see PROVIDER_TYPES)
+ * @param {string} config.apiKey - API key
+ * @param {string} config.model - Default model
+ * @param {string} config.baseUrl - Base URL (OpenAI-compatible only)
+ * @param {Object} config.script - Scripted responses (mock only)
+ * @param {Object} config.options - Additional provider options
+ * @param {Object|boolean} config.cache - Response cache options (see
+ *   src/api/cache.js), true for an in-memory cache, or null for none
+ * @returns {Object} LLM provider
+ */
+export function createProvider({
+  type = 'openrouter',
+  apiKey = '',
+  model,
+  baseUrl = '',
+  script = {},
+  options = {},
+  cache = null
+}) {
+  let provider;
+  switch (type) {
+    case 'openrouter':
+      provider = new OpenRouterClient(apiKey, model, options);
+      break;
+    case 'openai-compatible':
+      provider = new OpenAICompatibleClient(baseUrl, apiKey, model, options);
+      break;
+    case 'mock':
+      provider = new MockProvider(script, options);
+      break;
+    default:
+      throw new Error(`Unknown LLM provider type: ${type}`);
+  }
+
+  if (!cache) return provider;
+  return withCache(provider, cache === true ? {} : cache);
+}
+
+export { default as LLMProvider, isProvider, assertProvider } from './provider';
+export { OpenRouterClient, OpenAICompatibleClient, MockProvider };
+export { hashPrompt } from './mock';
+export { default as CachingProvider, MemoryCacheStore, withCache, getCacheKey } from './cache';
+export { default as IndexedDBCacheStore } from './indexedDBCache';
+export {
+  ProviderError,
+  AuthenticationError,
+  RateLimitError,
+  ModelUnavailableError,
+  ContentFilterError,
+  RequestTimeoutError,
+  NetworkError,
+  ServerError,
+  StructuredOutputError,
+  describeProviderError
+} from './errors';
+export { generateStructured, extractJson } from './structured';
@@ -0,0 +1,122 @@
+// src/api/indexedDBCache.js
+
+/**
+ * IndexedDB cache store for the browser
+ * Keeps cached responses across page reloads. Implements the same interface
+ * as MemoryCacheStore in src/api/cache.js.
+ */
+
+const DEFAULT_DB_NAME = 'llm-instinct-cache';
+const STORE_NAME = 'responses';
+
+/**
+ * Get the environment's IndexedDB implementation
+ * @returns {IDBFactory|null} IndexedDB, or null where it is unavailable
+ * @private
+ */
+function getIndexedDB() {
+  return typeof indexedDB !== 'undefined' ? indexedDB : null;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ * @private
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Cache store backed by IndexedDB
+ */
+class IndexedDBCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dbName - Database name (default: 'llm-instinct-cache')
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: window.indexedDB)
+   */
+  constructor({ dbName = DEFAULT_DB_NAME, indexedDB = getIndexedDB() } = {}) {
+    this.dbName = dbName;
+    this.indexedDB = indexedDB;
+    this._db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this environment
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  static isSupported() {
+    return getIndexedDB() !== null;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry, if stored
+   */
+  async get(key) {
+    const store = await this._store('readonly');
+    const record = await promisify(store.get(key));
+    return record ? record.entry : undefined;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    const store = await this._store('readwrite');
+    await promisify(store.put({ key, entry }));
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const store = await this._store('readwrite');
+    await promisify(store.delete(key));
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this._store('readwrite');
+    await promisify(store.clear());
+  }
+
+  /**
+   * Open the object store in a new transaction
+   * @param {string} mode - Transaction mode
+   * @returns {Promise<IDBObjectStore>} Object store
+   * @private
+   */
+  async _store(mode) {
+    if (!this._db) {
+      if (!this.indexedDB) {
+        throw new Error('IndexedDB is not available');
+      }
+
+      const request = this.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      this._db = promisify(request);
+    }
+
+    const db = await this._db;
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+}
+
+export default IndexedDBCacheStore;
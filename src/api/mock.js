@@ -0,0 +1,150 @@
+// src/api/mock.js
+
+/**
+ * Scripted mock provider for LLM Instinct
+ * Replays canned responses keyed by prompt hash so searches can run
+ * offline and in CI without calling a real model
+ */
+
+import LLMProvider, { throwIfAborted, reportRequest, reportUsage } from './provider';
+import { estimateTokens } from '../core/usage';
+
+/**
+ * Hash a prompt into a stable key (32-bit FNV-1a, hex encoded)
+ * Leading and trailing whitespace is ignored.
+ * @param {string} prompt - Prompt to hash
+ * @returns {string} 8-character hex hash
+ */
+export function hashPrompt(prompt) {
+  const text = (prompt || '').trim();
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Deterministic scripted LLM provider
+ * Reports estimated token usage so accounting can be exercised offline.
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * Create a new mock provider
+   * @param {Object} script - Scripted responses
+   * @param {Object} script.responses - Map of prompt hash to a response, or to an
+   *   array of responses replayed in order (the last one repeats)
+   * @param {string} script.model - Model name reported by getModels()
+   * @param {string} script.fallback - Response for unscripted prompts
+   * @param {Object} options - Additional options
+   * @param {string|Function} options.fallback - Response for unscripted prompts, or
+   *   a function (prompt, hash) returning one. Overrides script.fallback.
+   *   Unscripted prompts throw if neither is given.
+   */
+  constructor(script = {}, options = {}) {
+    super(script.model || 'mock/scripted', options);
+    this.responses = { ...(script.responses || {}) };
+    this.fallback = options.fallback ?? script.fallback;
+    this.calls = [];
+    this.misses = {};
+    this._replayCounts = {};
+  }
+
+  /**
+   * Fetch available models
+   * @returns {Promise<Array>} The scripted model
+   */
+  async getModels() {
+    return [{ id: this.defaultModel, name: 'Scripted Mock' }];
+  }
+
+  /**
+   * Replay the scripted completion for a prompt
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request (only `signal`,
+   *   `onRequest` and `onUsage` are used)
+   * @returns {Promise<string>} The scripted text
+   */
+  async generateCompletion(prompt, options = {}) {
+    throwIfAborted(options.signal);
+
+    reportRequest(options);
+    const hash = hashPrompt(prompt);
+    const response = this._nextResponse(prompt, hash);
+
+    this.calls.push({ hash, prompt, options, response });
+    reportUsage(options, {
+      prompt_tokens: estimateTokens(prompt),
+      completion_tokens: estimateTokens(response)
+    }, this.defaultModel);
+    return response;
+  }
+
+  /**
+   * Add or replace a scripted response
+   * @param {string} prompt - Prompt to script
+   * @param {string|Array<string>} response - Response or ordered responses
+   * @returns {string} The prompt hash
+   */
+  setResponse(prompt, response) {
+    const hash = hashPrompt(prompt);
+    this.responses[hash] = response;
+    delete this.misses[hash];
+    return hash;
+  }
+
+  /**
+   * Export the current script, including unscripted prompts seen so far
+   * @returns {Object} Script with `responses` and `misses` (hash to prompt)
+   */
+  toScript() {
+    const script = {
+      model: this.defaultModel,
+      responses: { ...this.responses },
+      misses: { ...this.misses }
+    };
+
+    if (typeof this.fallback === 'string') {
+      script.fallback = this.fallback;
+    }
+
+    return script;
+  }
+
+  /**
+   * Resolve the next response for a prompt
+   * @param {string} prompt - The prompt
+   * @param {string} hash - The prompt hash
+   * @returns {string} Response text
+   * @private
+   */
+  _nextResponse(prompt, hash) {
+    const scripted = this.responses[hash];
+
+    if (Array.isArray(scripted) && scripted.length > 0) {
+      const index = this._replayCounts[hash] || 0;
+      this._replayCounts[hash] = index + 1;
+      return scripted[Math.min(index, scripted.length - 1)];
+    }
+
+    if (typeof scripted === 'string') {
+      return scripted;
+    }
+
+    this.misses[hash] = prompt;
+
+    if (typeof this.fallback === 'function') {
+      return this.fallback(prompt, hash);
+    }
+    if (typeof this.fallback === 'string') {
+      return this.fallback;
+    }
+
+    throw new Error(`Mock provider has no scripted response for prompt ${hash}`);
+  }
+}
+
+export default MockProvider;
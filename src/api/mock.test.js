@@ -0,0 +1,164 @@
+// src/api/mock.test.js
+
+import MockProvider, { hashPrompt } from './mock';
+import { isProvider } from './provider';
+import { StructuredOutputError } from './errors';
+import {
+  generateEmotionalAnalysisPrompt,
+  generateBatchEmotionalAnalysisPrompt
+} from '../core/prompts';
+import InstinctMCTS from '../core/InstinctMCTS';
+
+describe('hashPrompt', () => {
+  it('is stable and ignores surrounding whitespace', () => {
+    expect(hashPrompt('hello')).toBe(hashPrompt('\n  hello \n'));
+    expect(hashPrompt('hello')).toMatch(/^[0-9a-f]{8}$/);
+    expect(hashPrompt('hello')).not.toBe(hashPrompt('hello!'));
+  });
+});
+
+describe('MockProvider', () => {
+  it('satisfies the provider contract', () => {
+    expect(isProvider(new MockProvider())).toBe(true);
+  });
+
+  it('replays responses keyed by prompt hash', async () => {
+    const provider = new MockProvider({
+      responses: { [hashPrompt('ping')]: 'pong' }
+    });
+
+    await expect(provider.generateCompletion('ping')).resolves.toBe('pong');
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('replays response arrays in order and repeats the last one', async () => {
+    const provider = new MockProvider();
+    provider.setResponse('next', ['one', 'two']);
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await provider.generateCompletion('next'));
+    }
+
+    expect(results).toEqual(['one', 'two', 'two']);
+  });
+
+  it('throws for unscripted prompts and records the miss', async () => {
+    const provider = new MockProvider();
+
+    await expect(provider.generateCompletion('unknown')).rejects.toThrow(hashPrompt('unknown'));
+    expect(provider.toScript().misses).toEqual({ [hashPrompt('unknown')]: 'unknown' });
+  });
+
+  it('uses the fallback for unscripted prompts', async () => {
+    const provider = new MockProvider({}, { fallback: (prompt, hash) => `fallback ${hash}` });
+
+    await expect(provider.generateCompletion('unknown')).resolves.toBe(`fallback ${hashPrompt('unknown')}`);
+  });
+
+  it('generates several completions with rising temperatures', async () => {
+    const provider = new MockProvider({ fallback: 'idea' });
+
+    await expect(provider.generateMultipleCompletions('ideas?', 3, { temperature: 0.8 })).resolves.toEqual(['idea', 'idea', 'idea']);
+    expect(provider.calls.map(call => call.options.temperature)).toEqual([0.8, 0.9, 1]);
+  });
+
+  it('reports estimated token usage', async () => {
+    const provider = new MockProvider({ fallback: 'twelve chars' });
+    const onUsage = jest.fn();
+
+    await provider.generateCompletion('four', { onUsage });
+
+    expect(onUsage).toHaveBeenCalledWith({
+      model: 'mock/scripted',
+      promptTokens: 1,
+      completionTokens: 3,
+      totalTokens: 4
+    });
+  });
+
+  it('rejects aborted requests, including analysis', async () => {
+    const provider = new MockProvider({ fallback: 'reply' });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(provider.generateCompletion('prompt', { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    await expect(provider.analyzeContent('text', { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  it('analyzes content through the scripted analysis prompt', async () => {
+    const provider = new MockProvider();
+    provider.setResponse(
+      generateEmotionalAnalysisPrompt('Bold plan'),
+      '{"confidence": 9, "perseverance": 8, "instinctVsAnalysis": 7, "emotionalState": 6}'
+    );
+
+    await expect(provider.analyzeContent('Bold plan')).resolves.toEqual({
+      confidence: 9,
+      perseverance: 8,
+      instinctVsAnalysis: 7,
+      emotionalState: 6
+    });
+  });
+
+  it('throws instead of inventing an analysis it cannot parse', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = new MockProvider({ fallback: 'Very confident, I would say.' });
+
+    try {
+      await expect(provider.analyzeContent('Bold plan')).rejects.toBeInstanceOf(StructuredOutputError);
+    } finally {
+      warn.mockRestore();
+    }
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('analyzes several texts in one request', async () => {
+    const provider = new MockProvider();
+    provider.setResponse(
+      generateBatchEmotionalAnalysisPrompt(['Bold plan', 'Careful plan']),
+      '```json\n{"analyses": [{"confidence": 9, "perseverance": 8, "instinctVsAnalysis": 7, "emotionalState": 6},' +
+      ' {"confidence": 3, "perseverance": 4, "instinctVsAnalysis": 2, "emotionalState": 5}]}\n```'
+    );
+
+    await expect(provider.analyzeContentBatch(['Bold plan', 'Careful plan'])).resolves.toEqual([
+      { confidence: 9, perseverance: 8, instinctVsAnalysis: 7, emotionalState: 6 },
+      { confidence: 3, perseverance: 4, instinctVsAnalysis: 2, emotionalState: 5 }
+    ]);
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('returns null for batched analyses it cannot parse', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const texts = ['a', 'b'];
+    const item = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5}';
+    const provider = new MockProvider();
+    provider.fallback = `{"analyses": [${item}]}`;
+
+    try {
+      await expect(provider.analyzeContentBatch(texts)).resolves.toBeNull();
+    } finally {
+      warn.mockRestore();
+    }
+    // The batch and one repair attempt
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('drives a full search offline', async () => {
+    const provider = new MockProvider({}, {
+      fallback: (prompt) => prompt.includes('Rate this approach') ? '7' : 'Keep going despite the odds'
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const mcts = new InstinctMCTS({ llmClient: provider, problem: 'P', context: 'C' });
+    const result = await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+
+    expect(result.bestApproach).toBe('Keep going despite the odds');
+    expect(mcts.root.visits).toBe(2);
+
+    console.warn.mockRestore();
+  });
+});
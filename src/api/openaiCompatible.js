@@ -0,0 +1,403 @@
+// src/api/openaiCompatible.js
+
+/**
+ * OpenAI-compatible API client for LLM Instinct
+ * Talks to any server exposing the OpenAI chat completions API
+ * (llama.cpp, Ollama, vLLM, OpenRouter, ...)
+ */
+
+import LLMProvider, { reportRequest, reportUsage, throwIfAborted } from './provider';
+import {
+  ContentFilterError,
+  NetworkError,
+  ProviderError,
+  RequestTimeoutError,
+  classifyHttpError,
+  isRetryableError
+} from './errors';
+import { getRetryDelay, sleep } from './retry';
+
+/**
+ * OpenAI-compatible API client
+ */
+class OpenAICompatibleClient extends LLMProvider {
+  /**
+   * Create a new OpenAI-compatible client
+   * @param {string} baseUrl - Base URL of the API (e.g. http://localhost:11434/v1)
+   * @param {string} apiKey - API key (optional for most local servers)
+   * @param {string} defaultModel - Default model to use
+   * @param {Object} options - Additional options
+   * @param {number} options.timeout - Timeout per attempt in milliseconds (0 for none)
+   * @param {number} options.retries - Retries for rate limits, timeouts and server errors
+   * @param {number} options.retryDelay - Base delay for exponential backoff in milliseconds
+   * @param {number} options.maxRetryDelay - Maximum delay between retries in milliseconds,
+   *   also capping the server's Retry-After
+   * @param {string} options.structuredOutputs - How to request JSON for structured
+   *   outputs: 'json_schema' (default), 'json_object', or 'off' to rely on the prompt
+   */
+  constructor(baseUrl, apiKey = '', defaultModel = 'default', options = {}) {
+    super(defaultModel, {
+      timeout: 60000, // 60 seconds
+      retries: 2,
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      structuredOutputs: 'json_schema',
+      ...options
+    });
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this._responseFormatRejected = false;
+  }
+
+  /**
+   * Fetch available models from the server
+   * @returns {Promise<Array>} List of available models (OpenRouter includes `pricing`)
+   */
+  async getModels() {
+    try {
+      const data = await this._request('/models', {
+        method: 'GET',
+        headers: this._getHeaders(),
+      }, {}, response => response.json());
+
+      return (data.data || []).map(model => ({
+        ...model,
+        name: model.name || model.id
+      }));
+    } catch (error) {
+      console.error('Error fetching models:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate completion from the LLM
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {number} options.timeout - Overrides the client timeout for this request
+   * @param {number} options.retries - Overrides the client retries for this request
+   * @param {Object} options.responseFormat - Expected JSON ({ name, schema }),
+   *   requested through `response_format` when the server supports it
+   * @param {string} options.systemPrompt - Sent as a system message before the prompt
+   * @returns {Promise<string>} The generated text
+   * @throws {ProviderError} Classified error once retries are exhausted
+   */
+  async generateCompletion(prompt, options = {}) {
+    try {
+      const request = () => this._request('/chat/completions', {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(this._buildRequestBody(prompt, options, false)),
+      }, options, response => response.json());
+
+      let data;
+      try {
+        data = await request();
+      } catch (error) {
+        if (!this._rejectsResponseFormat(error, options)) throw error;
+
+        // Servers without JSON mode still get the expected format through the prompt
+        console.warn(`${this._getProviderName()} rejected response_format; relying on prompts for JSON`);
+        this._responseFormatRejected = true;
+        data = await request();
+      }
+
+      // Some providers report failures inside a 200 response
+      if (data.error) {
+        throw classifyHttpError(Number(data.error.code) || 500, data.error.message || JSON.stringify(data.error), {
+          provider: this._getProviderName()
+        });
+      }
+
+      const choice = data.choices[0];
+      if (choice.finish_reason === 'content_filter') {
+        throw new ContentFilterError(`${this._getProviderName()} response was blocked by its content filter`);
+      }
+
+      reportUsage(options, data.usage, options.model || this.defaultModel);
+      return choice.message.content;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error generating completion:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a streaming completion
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {Function} onChunk - Callback for each chunk of generated text
+   * @returns {Promise<string>} The complete generated text
+   */
+  async generateStreamingCompletion(prompt, options = {}, onChunk = null) {
+    // Chunks already delivered cannot be taken back, so only retry before the first
+    let completeText = '';
+
+    try {
+      return await this._request('/chat/completions', {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(this._buildRequestBody(prompt, options, true)),
+      }, {
+        ...options,
+        shouldRetry: () => completeText === ''
+      }, response => this._readStream(response, options, (content) => {
+        completeText += content;
+        if (onChunk) onChunk(content);
+      }));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error generating streaming completion:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a server-sent events completion stream
+   * Events can be split anywhere between network chunks, even inside a
+   * multi-byte character, so text is decoded as a stream and only complete
+   * lines are parsed.
+   * @param {Response} response - Streaming response
+   * @param {Object} options - Request options (for usage reporting)
+   * @param {Function} onContent - Called with each piece of generated text
+   * @returns {Promise<string>} The complete generated text
+   * @private
+   */
+  async _readStream(response, options, onContent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let completeText = '';
+    let pending = '';
+
+    // Parse one complete line of the stream
+    const readLine = (line) => {
+      if (!line.startsWith('data:')) return; // Blank separators, comments and other fields
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      try {
+        const json = JSON.parse(data);
+
+        // Usage arrives in the final chunk (see stream_options)
+        if (json.usage) {
+          reportUsage(options, json.usage, options.model || this.defaultModel);
+        }
+
+        if (json.choices && json.choices[0]) {
+          const content = json.choices[0].delta?.content || '';
+          if (content) {
+            completeText += content;
+            onContent(content);
+          }
+        }
+      } catch (e) {
+        console.warn('Error parsing streaming response:', e);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      pending += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      // Keep the last, possibly incomplete, line for the next chunk
+      const lines = pending.split('\n');
+      pending = done ? '' : lines.pop();
+      lines.forEach(line => readLine(line.replace(/\r$/, '')));
+
+      if (done) break;
+    }
+
+    return completeText;
+  }
+
+  /**
+   * Send a request with a timeout per attempt, retrying transient failures
+   * with exponential backoff (or the server's Retry-After)
+   * @param {string} path - API path below the base URL
+   * @param {Object} init - fetch() options (without signal)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Caller's abort signal
+   * @param {number} options.timeout - Timeout per attempt in milliseconds
+   * @param {number} options.retries - Maximum number of retries
+   * @param {Function} options.shouldRetry - Extra condition checked before retrying
+   * @param {Function} options.onRequest - Called before every attempt, retries included
+   * @param {Function} read - Reads the successful response within the timeout
+   * @returns {Promise<*>} Result of `read`
+   * @throws {ProviderError} Classified error once retries are exhausted
+   * @private
+   */
+  async _request(path, init, options, read) {
+    const {
+      timeout = this.options.timeout,
+      retries = this.options.retries,
+      shouldRetry = () => true
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        reportRequest(options);
+        return await this._attempt(path, init, options.signal, timeout, read);
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= retries || !shouldRetry(error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempt, {
+          retryDelay: this.options.retryDelay,
+          maxRetryDelay: this.options.maxRetryDelay,
+          retryAfterMs: error.retryAfterMs
+        });
+        console.warn(`${this._getProviderName()} request failed (${error.message}), retrying in ${Math.round(delay)} ms`);
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Make a single request attempt
+   * @param {string} path - API path below the base URL
+   * @param {Object} init - fetch() options (without signal)
+   * @param {AbortSignal} signal - Caller's abort signal
+   * @param {number} timeout - Timeout in milliseconds (0 for none)
+   * @param {Function} read - Reads the successful response
+   * @returns {Promise<*>} Result of `read`
+   * @private
+   */
+  async _attempt(path, init, signal, timeout, read) {
+    throwIfAborted(signal);
+
+    // One controller aborts the request on timeout or when the caller aborts
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timedOut = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, { ...init, signal: controller.signal });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw classifyHttpError(response.status, errorText, {
+          headers: response.headers,
+          provider: this._getProviderName()
+        });
+      }
+
+      return await read(response);
+    } catch (error) {
+      if (timedOut) {
+        throw new RequestTimeoutError(`${this._getProviderName()} request timed out after ${timeout} ms`);
+      }
+      if (error.name === 'AbortError' || error instanceof ProviderError) {
+        throw error;
+      }
+      // fetch() rejects with a TypeError when the server cannot be reached
+      if (error instanceof TypeError) {
+        throw new NetworkError(`${this._getProviderName()} request failed: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {boolean} stream - Whether to request a streaming response
+   * @returns {Object} Request body
+   * @private
+   */
+  _buildRequestBody(prompt, options, stream) {
+    return {
+      model: options.model || this.defaultModel,
+      messages: [
+        ...(options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []),
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 500,
+      stream,
+      ...(stream ? { stream_options: { include_usage: true } } : {}),
+      ...this._buildResponseFormat(options.responseFormat),
+    };
+  }
+
+  /**
+   * Build the `response_format` request field for structured outputs
+   * @param {Object} responseFormat - Expected JSON ({ name, schema }), if any
+   * @returns {Object} { response_format } or an empty object
+   * @private
+   */
+  _buildResponseFormat(responseFormat) {
+    if (!responseFormat || this._responseFormatRejected) return {};
+
+    switch (this.options.structuredOutputs) {
+      case 'json_schema':
+        return {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+          }
+        };
+      case 'json_object':
+        return { response_format: { type: 'json_object' } };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Check whether a request failed because the server does not support `response_format`
+   * @param {Error} error - Error thrown by the request
+   * @param {Object} options - Request options
+   * @returns {boolean} True if retrying without `response_format` may succeed
+   * @private
+   */
+  _rejectsResponseFormat(error, options) {
+    return Object.keys(this._buildResponseFormat(options.responseFormat)).length > 0 &&
+      error instanceof ProviderError &&
+      (error.status === 400 || error.status === 422) &&
+      /response_format|json_schema|json_object|structured output/i.test(error.message);
+  }
+
+  /**
+   * Get a human-readable provider name for error messages
+   * @returns {string} Provider name
+   * @private
+   */
+  _getProviderName() {
+    return 'OpenAI-compatible';
+  }
+
+  /**
+   * Get headers for API requests
+   * @returns {Object} Headers object
+   * @private
+   */
+  _getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+}
+
+export default OpenAICompatibleClient;
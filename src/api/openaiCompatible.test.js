@@ -0,0 +1,240 @@
+// src/api/openaiCompatible.test.js
+
+import { TextDecoder, TextEncoder } from 'util';
+import OpenAICompatibleClient from './openaiCompatible';
+import {
+  AuthenticationError,
+  ContentFilterError,
+  NetworkError,
+  RateLimitError,
+  RequestTimeoutError
+} from './errors';
+
+describe('OpenAICompatibleClient', () => {
+  afterEach(() => {
+    delete global.fetch;
+    delete global.TextDecoder;
+  });
+
+  it('reports token usage from the response', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: 'Hello' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+      })
+    }));
+    const client = new OpenAICompatibleClient('http://localhost:11434/v1/', '', 'llama3');
+    const onUsage = jest.fn();
+
+    await expect(client.generateCompletion('Hi', { onUsage })).resolves.toBe('Hello');
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:11434/v1/chat/completions',
+      expect.any(Object)
+    );
+    expect(onUsage).toHaveBeenCalledWith({
+      model: 'llama3',
+      promptTokens: 12,
+      completionTokens: 3,
+      totalTokens: 15
+    });
+  });
+
+  it('aborts the request when the caller aborts', async () => {
+    global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => {
+        reject(new DOMException('The operation was aborted', 'AbortError'));
+      });
+    }));
+    const client = new OpenAICompatibleClient('http://localhost:11434/v1');
+    const controller = new AbortController();
+
+    const request = client.generateCompletion('Hi', { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends the system prompt as a system message', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Hello' } }] })
+    }));
+    const client = new OpenAICompatibleClient('http://x/v1');
+
+    await client.generateCompletion('Hi', { systemPrompt: 'You are a CFO.' });
+    await client.generateCompletion('Hi');
+
+    const [withSystem, without] = global.fetch.mock.calls.map(call => JSON.parse(call[1].body).messages);
+    expect(withSystem).toEqual([
+      { role: 'system', content: 'You are a CFO.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+    expect(without).toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+
+  it('parses streamed events split across chunks', async () => {
+    // Browsers and Node have TextDecoder; the test environment does not
+    global.TextDecoder = TextDecoder;
+    const stream = [
+      'data: {"choices":[{"delta":{"content":"Caf"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"é au lait"}}]}\r\n\r\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":4,"total_tokens":9}}\n\n',
+      'data: [DONE]\n\n'
+    ].join('');
+    // Split inside an event, inside the two-byte "é" and between "\r" and "\n"
+    const bytes = new TextEncoder().encode(stream);
+    const cuts = [20, stream.indexOf('é') + 1, stream.indexOf('\r') + 1, bytes.length];
+    const chunks = cuts.map((cut, i) => bytes.slice(i === 0 ? 0 : cuts[i - 1], cut));
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true })
+        })
+      }
+    }));
+    const client = new OpenAICompatibleClient('http://x/v1', '', 'llama3');
+    const onChunk = jest.fn();
+    const onUsage = jest.fn();
+
+    await expect(client.generateStreamingCompletion('Hi', { onUsage }, onChunk)).resolves.toBe('Café au lait');
+
+    expect(onChunk.mock.calls.map(([content]) => content)).toEqual(['Caf', 'é au lait']);
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ totalTokens: 9 }));
+  });
+
+  describe('structured outputs', () => {
+    const responseFormat = { name: 'evaluation', schema: { type: 'object' } };
+    const requestBody = (call) => JSON.parse(call[1].body);
+
+    it('requests JSON through response_format', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: '{}' } }] })
+      }));
+
+      await new OpenAICompatibleClient('http://x/v1').generateCompletion('Hi', { responseFormat });
+      await new OpenAICompatibleClient('http://x/v1', '', 'm', { structuredOutputs: 'json_object' })
+        .generateCompletion('Hi', { responseFormat });
+      await new OpenAICompatibleClient('http://x/v1', '', 'm', { structuredOutputs: 'off' })
+        .generateCompletion('Hi', { responseFormat });
+      await new OpenAICompatibleClient('http://x/v1').generateCompletion('Hi');
+
+      const bodies = global.fetch.mock.calls.map(requestBody);
+      expect(bodies[0].response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'evaluation', schema: { type: 'object' }, strict: false }
+      });
+      expect(bodies[1].response_format).toEqual({ type: 'json_object' });
+      expect(bodies[2].response_format).toBeUndefined();
+      expect(bodies[3].response_format).toBeUndefined();
+    });
+
+    it('stops sending response_format once the server rejects it', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          text: async () => 'Unrecognized request argument: response_format',
+          headers: { get: () => null }
+        })
+        .mockResolvedValue({
+          ok: true,
+          json: async () => ({ choices: [{ message: { content: '{}' } }] })
+        });
+      const client = new OpenAICompatibleClient('http://x/v1', '', 'm', { retries: 0 });
+
+      try {
+        await expect(client.generateCompletion('Hi', { responseFormat })).resolves.toBe('{}');
+        await client.generateCompletion('Hi', { responseFormat });
+      } finally {
+        console.warn.mockRestore();
+      }
+
+      const bodies = global.fetch.mock.calls.map(requestBody);
+      expect(bodies.map(body => Boolean(body.response_format))).toEqual([true, false, false]);
+    });
+  });
+
+  describe('retries and errors', () => {
+    const errorResponse = (status, body, headers = {}) => ({
+      ok: false,
+      status,
+      text: async () => body,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null }
+    });
+    const okResponse = (content) => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content } }] })
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('retries rate limits, honoring Retry-After', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(errorResponse(429, 'slow down', { 'retry-after': '0' }))
+        .mockResolvedValueOnce(errorResponse(503, 'overloaded'))
+        .mockResolvedValueOnce(okResponse('Hello'));
+      const client = new OpenAICompatibleClient('http://x/v1', '', 'm', { retryDelay: 1 });
+      const onRequest = jest.fn();
+
+      await expect(client.generateCompletion('Hi', { onRequest })).resolves.toBe('Hello');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onRequest).toHaveBeenCalledTimes(3);
+    });
+
+    it('gives up after the configured retries', async () => {
+      global.fetch = jest.fn(async () => errorResponse(429, 'slow down', { 'retry-after': '0' }));
+      const client = new OpenAICompatibleClient('http://x/v1', '', 'm', { retries: 1 });
+
+      await expect(client.generateCompletion('Hi')).rejects.toBeInstanceOf(RateLimitError);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry authentication errors', async () => {
+      global.fetch = jest.fn(async () => errorResponse(401, 'No auth credentials found'));
+      const client = new OpenAICompatibleClient('http://x/v1');
+
+      await expect(client.generateCompletion('Hi')).rejects.toBeInstanceOf(AuthenticationError);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('times out slow requests', async () => {
+      global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+          reject(new DOMException('The operation was aborted', 'AbortError'));
+        });
+      }));
+      const client = new OpenAICompatibleClient('http://x/v1', '', 'm', { timeout: 5, retries: 0 });
+
+      await expect(client.generateCompletion('Hi')).rejects.toBeInstanceOf(RequestTimeoutError);
+    });
+
+    it('classifies unreachable servers and filtered responses', async () => {
+      const client = new OpenAICompatibleClient('http://x/v1', '', 'm', { retries: 0 });
+
+      global.fetch = jest.fn(async () => {
+        throw new TypeError('Failed to fetch');
+      });
+      await expect(client.generateCompletion('Hi')).rejects.toBeInstanceOf(NetworkError);
+
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ choices: [{ finish_reason: 'content_filter', message: { content: '' } }] })
+      }));
+      await expect(client.generateCompletion('Hi')).rejects.toBeInstanceOf(ContentFilterError);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+// src/api/provider.js
+
+import {
+  generateEmotionalAnalysisPrompt,
+  generateBatchEmotionalAnalysisPrompt
+} from '../core/prompts';
+import {
+  ANALYSIS_SCHEMA,
+  EVALUATION_SCHEMA,
+  getAnalysisBatchSchema,
+  toScoreObject
+} from '../core/schemas';
+import { isFatalProviderError, StructuredOutputError } from './errors';
+import { generateStructured } from './structured';
+
+/**
+ * LLM provider contract for LLM Instinct
+ *
+ * Every backend used by InstinctMCTS must implement `generateCompletion` and
+ * `analyzeContent`. Providers that extend LLMProvider only need to implement
+ * `generateCompletion`; the remaining methods are built on top of it.
+ */
+
+/**
+ * Methods every LLM provider must expose
+ * @type {Array<string>}
+ */
+export const REQUIRED_PROVIDER_METHODS = ['generateCompletion', 'analyzeContent'];
+
+/**
+ * Check whether an object satisfies the provider contract
+ * @param {Object} client - Candidate provider
+ * @returns {boolean} True if all required methods are present
+ */
+export function isProvider(client) {
+  return Boolean(client) && REQUIRED_PROVIDER_METHODS.every(
+    method => typeof client[method] === 'function'
+  );
+}
+
+/**
+ * Throw if an object does not satisfy the provider contract
+ * @param {Object} client - Candidate provider
+ * @throws {TypeError} If a required method is missing
+ */
+export function assertProvider(client) {
+  if (!isProvider(client)) {
+    const missing = REQUIRED_PROVIDER_METHODS.filter(
+      method => !client || typeof client[method] !== 'function'
+    );
+    throw new TypeError(`LLM provider is missing required methods: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Throw an AbortError if a request signal has been aborted
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @throws {DOMException} AbortError if the signal is aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('The operation was aborted', 'AbortError');
+  }
+}
+
+/**
+ * Tell the caller's `onRequest` callback that a request is going to the model
+ * Providers report every request they send (retries, structured-output
+ * repairs and other follow-ups included) and nothing else, so callers can
+ * charge exactly the requests made against a budget.
+ * @param {Object} options - Request options (may contain `onRequest`)
+ */
+export function reportRequest(options) {
+  if (typeof options.onRequest === 'function') options.onRequest();
+}
+
+/**
+ * Pass token usage for a call to the caller's `onUsage` callback
+ * @param {Object} options - Request options (may contain `onUsage`)
+ * @param {Object} usage - Usage in OpenAI format
+ *   ({ prompt_tokens, completion_tokens, total_tokens })
+ * @param {string} model - Model that served the call
+ */
+export function reportUsage(options, usage, model) {
+  if (!usage || typeof options.onUsage !== 'function') return;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  options.onUsage({
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? promptTokens + completionTokens
+  });
+}
+
+/**
+ * Temperatures for several completions of the same request, rising by 0.1
+ * with each completion (up to 1.0) so the later ones range further
+ * @param {number} count - Number of completions
+ * @param {number} base - Temperature of the first completion
+ * @returns {Array<number>} One temperature per completion
+ */
+export function temperatureRamp(count, base) {
+  return Array(count).fill().map((_, i) => Math.min(Math.round((base + i * 0.1) * 100) / 100, 1.0));
+}
+
+/**
+ * Base class for LLM providers
+ */
+class LLMProvider {
+  /**
+   * Create a new provider
+   * @param {string} defaultModel - Default model to use
+   * @param {Object} options - Additional options
+   */
+  constructor(defaultModel = 'default', options = {}) {
+    this.defaultModel = defaultModel;
+    this.options = { ...options };
+  }
+
+  /**
+   * Fetch available models
+   * @returns {Promise<Array>} List of available models ({ id, name })
+   */
+  async getModels() {
+    return [{ id: this.defaultModel, name: this.defaultModel }];
+  }
+
+  /**
+   * Generate completion from the LLM
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {AbortSignal} options.signal - Signal that aborts the request
+   * @param {Function} options.onUsage - Called with { model, promptTokens,
+   *   completionTokens, totalTokens } when the backend reports token usage
+   * @param {Function} options.onRequest - Called before each request is sent
+   *   to the model, retries included (cached responses are not requests)
+   * @param {string} options.systemPrompt - Instructions sent ahead of the
+   *   prompt as a system message, e.g. a persona's voice (optional)
+   * @returns {Promise<string>} The generated text
+   */
+  async generateCompletion(prompt, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement generateCompletion()`);
+  }
+
+  /**
+   * Generate a streaming completion
+   * Providers without streaming support deliver the whole text as one chunk.
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for the request
+   * @param {Function} onChunk - Callback for each chunk of generated text
+   * @returns {Promise<string>} The complete generated text
+   */
+  async generateStreamingCompletion(prompt, options = {}, onChunk = null) {
+    const text = await this.generateCompletion(prompt, options);
+    if (onChunk && text) onChunk(text);
+    return text;
+  }
+
+  /**
+   * Generate multiple completions for thought exploration
+   * @param {string} prompt - The base prompt to send
+   * @param {number} count - Number of completions to generate
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array<string>>} Array of completions
+   */
+  async generateMultipleCompletions(prompt, count = 3, options = {}) {
+    const model = options.model || this.defaultModel;
+    const temperature = options.temperature || 0.9; // Higher temperature for more diverse results
+
+    // Use slightly higher temperature for each subsequent completion to increase diversity
+    const promises = temperatureRamp(count, temperature).map((rampedTemperature) => {
+      return this.generateCompletion(prompt, {
+        ...options,
+        model,
+        temperature: rampedTemperature,
+      });
+    });
+
+    return Promise.all(promises);
+  }
+
+  /**
+   * Evaluate a piece of text against specific criteria
+   * @param {string} text - The text to evaluate
+   * @param {string} criteria - Evaluation criteria
+   * @param {Object} options - Additional options
+   * @returns {Promise<number>} Evaluation score (1-10)
+   * @throws {StructuredOutputError} If no valid score could be parsed
+   * @throws {Error} If the request failed
+   */
+  async evaluateText(text, criteria, options = {}) {
+    const prompt = `
+Rate the following text on a scale from 1 to 10 based on this criteria: "${criteria}"
+
+Text to evaluate:
+"""
+${text}
+"""
+
+Respond with only a JSON object containing your rating, where 1 is lowest and 10 is highest, like this: {"score": 7}
+`;
+
+    try {
+      const { value } = await generateStructured(this, prompt, EVALUATION_SCHEMA, {
+        ...options,
+        schemaName: 'evaluation',
+        coerce: toScoreObject,
+        temperature: 0.3, // Lower temperature for more consistent ratings
+        maxTokens: 50,
+      });
+
+      return value.score;
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        console.warn('Could not parse rating from:', error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze text for emotional state and instinct indicators
+   * @param {string} text - The text to analyze
+   * @param {Object} options - Additional options for the request
+   * @param {Object} options.template - Prompt template to use (default: built-in)
+   * @returns {Promise<Object>} Analysis results
+   * @throws {StructuredOutputError} If the response did not match ANALYSIS_SCHEMA
+   * @throws {Error} If the request failed
+   */
+  async analyzeContent(text, options = {}) {
+    const { template, ...requestOptions } = options;
+    const prompt = generateEmotionalAnalysisPrompt(text, template);
+
+    try {
+      const { value } = await generateStructured(this, prompt, ANALYSIS_SCHEMA, {
+        ...requestOptions,
+        schemaName: 'analysis',
+        temperature: 0.3,
+        maxTokens: 100,
+      });
+
+      return value;
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        console.warn('Could not parse analysis from:', error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze several texts in a single request
+   * Optional for providers: callers fall back to analyzeContent() per text when
+   * it is missing or returns null.
+   * @param {Array<string>} texts - The texts to analyze
+   * @param {Object} options - Additional options for the request
+   * @param {Object} options.template - Prompt template to use (default: built-in)
+   * @returns {Promise<Array<Object>|null>} One analysis per text, in order, or
+   *   null if the request failed or the response could not be parsed
+   */
+  async analyzeContentBatch(texts, options = {}) {
+    const { template, ...requestOptions } = options;
+    const prompt = generateBatchEmotionalAnalysisPrompt(texts, template);
+
+    try {
+      const { value } = await generateStructured(this, prompt, getAnalysisBatchSchema(texts.length), {
+        ...requestOptions,
+        schemaName: 'analysis_batch',
+        temperature: 0.3,
+        maxTokens: 40 + texts.length * 60,
+      });
+
+      return value.analyses;
+    } catch (error) {
+      if (error instanceof StructuredOutputError) {
+        console.warn('Could not parse batched analysis from:', error.response);
+        return null;
+      }
+      if (error.name === 'AbortError' || isFatalProviderError(error)) throw error;
+      console.error('Error analyzing content batch:', error);
+      return null;
+    }
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,59 @@
+// src/api/retry.js
+
+/**
+ * Retry helpers for LLM provider requests
+ */
+
+/**
+ * Compute the delay before a retry: exponential backoff with jitter, or the
+ * delay requested by the server when it sent Retry-After (never more than
+ * maxRetryDelay)
+ * @param {number} attempt - Number of the failed attempt (0 for the first)
+ * @param {Object} options - Backoff options
+ * @param {number} options.retryDelay - Base delay in milliseconds
+ * @param {number} options.maxRetryDelay - Maximum delay in milliseconds
+ * @param {number} options.retryAfterMs - Delay requested by the server (optional)
+ * @param {Function} random - Random number source (for tests)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, {
+  retryDelay = 1000,
+  maxRetryDelay = 30000,
+  retryAfterMs = null
+} = {}, random = Math.random) {
+  if (typeof retryAfterMs === 'number') {
+    return Math.min(retryAfterMs, maxRetryDelay);
+  }
+
+  // "Equal jitter": half the backoff is fixed, the other half random
+  const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+  return backoff / 2 + random() * (backoff / 2);
+}
+
+/**
+ * Wait for a delay, ending early with an AbortError if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The operation was aborted', 'AbortError');
+
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,33 @@
+// src/api/retry.test.js
+
+import { getRetryDelay, sleep } from './retry';
+
+describe('retry helpers', () => {
+  it('backs off exponentially with jitter up to the maximum', () => {
+    const options = { retryDelay: 1000, maxRetryDelay: 5000 };
+
+    expect(getRetryDelay(0, options, () => 0)).toBe(500);
+    expect(getRetryDelay(0, options, () => 1)).toBe(1000);
+    expect(getRetryDelay(2, options, () => 1)).toBe(4000);
+    expect(getRetryDelay(5, options, () => 1)).toBe(5000);
+  });
+
+  it('uses the delay requested by the server', () => {
+    expect(getRetryDelay(3, { retryAfterMs: 1500 })).toBe(1500);
+    expect(getRetryDelay(0, { retryAfterMs: 5000, maxRetryDelay: 5000 })).toBe(5000);
+  });
+
+  it('caps the delay requested by the server at the maximum', () => {
+    expect(getRetryDelay(0, { retryAfterMs: 3600000 })).toBe(30000);
+    expect(getRetryDelay(0, { retryAfterMs: 8000, maxRetryDelay: 2000 })).toBe(2000);
+  });
+
+  it('stops sleeping when aborted', async () => {
+    const controller = new AbortController();
+    const sleeping = sleep(60000, controller.signal);
+
+    controller.abort();
+
+    await expect(sleeping).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
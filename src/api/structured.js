@@ -0,0 +1,89 @@
+// src/api/structured.js
+
+/**
+ * Structured outputs for LLM Instinct
+ * Requests JSON matching a schema, validates the response and asks the model
+ * to repair invalid responses before giving up.
+ */
+
+import { PROMPT_TEMPLATES, generateRepairPrompt } from '../core/prompts';
+import { validateSchema } from '../utils/jsonSchema';
+import { StructuredOutputError } from './errors';
+
+/**
+ * Extract a JSON value from a model response
+ * Accepts bare JSON, JSON in a Markdown code fence, or JSON surrounded by prose.
+ * @param {string} text - Model response
+ * @returns {Object} { value } if JSON was found, or { error } describing why not
+ */
+export function extractJson(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const embedded = trimmed.match(/[{[][\s\S]*[}\]]/);
+  const candidates = [trimmed, fenced && fenced[1].trim(), embedded && embedded[0]];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+
+  return { error: trimmed ? 'the response is not valid JSON' : 'the response is empty' };
+}
+
+/**
+ * Generate a completion and parse it as JSON matching a schema
+ * @param {Object} client - LLM provider
+ * @param {string} prompt - The prompt, which should describe the expected JSON
+ * @param {Object} schema - JSON schema of the expected value
+ * @param {Object} options - Request options passed to generateCompletion, plus:
+ * @param {string} options.schemaName - Name of the schema for providers' JSON modes
+ * @param {number} options.repairAttempts - Follow-up requests that show the model
+ *   its invalid response and ask for a fix (default: 1)
+ * @param {Function} options.coerce - Maps the parsed JSON before validation
+ * @param {Object} options.repairTemplate - Template of the repair prompts
+ *   (default: built-in)
+ * @returns {Promise<Object>} { value, response, attempts }
+ * @throws {StructuredOutputError} If no response matched the schema
+ */
+export async function generateStructured(client, prompt, schema, {
+  schemaName = 'response',
+  repairAttempts = 1,
+  coerce = value => value,
+  repairTemplate = PROMPT_TEMPLATES.repair,
+  ...options
+} = {}) {
+  const requestOptions = {
+    ...options,
+    responseFormat: { name: schemaName, schema }
+  };
+
+  let currentPrompt = prompt;
+  let response = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    response = await client.generateCompletion(currentPrompt, requestOptions);
+
+    const parsed = extractJson(response);
+    if (parsed.error) {
+      errors = [parsed.error];
+    } else {
+      const value = coerce(parsed.value);
+      errors = validateSchema(value, schema);
+      if (errors.length === 0) {
+        return { value, response, attempts: attempt };
+      }
+    }
+
+    currentPrompt = generateRepairPrompt(prompt, response, errors, schema, repairTemplate);
+  }
+
+  throw new StructuredOutputError(
+    `Response did not match the ${schemaName} schema: ${errors.join('; ')}`,
+    { errors, response, attempts: repairAttempts + 1 }
+  );
+}
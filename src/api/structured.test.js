@@ -0,0 +1,91 @@
+// src/api/structured.test.js
+
+import { extractJson, generateStructured } from './structured';
+import { StructuredOutputError } from './errors';
+import MockProvider from './mock';
+import { normalizePromptTemplates } from '../core/prompts';
+
+describe('extractJson', () => {
+  it('finds JSON alone, in code fences and in prose', () => {
+    expect(extractJson(' {"score": 7} ')).toEqual({ value: { score: 7 } });
+    expect(extractJson('```json\n{"score": 7}\n```')).toEqual({ value: { score: 7 } });
+    expect(extractJson('Here you go: [1, 2] Hope it helps.')).toEqual({ value: [1, 2] });
+    expect(extractJson('8')).toEqual({ value: 8 });
+  });
+
+  it('explains why no JSON was found', () => {
+    expect(extractJson('Out of 10, 8')).toEqual({ error: 'the response is not valid JSON' });
+    expect(extractJson('')).toEqual({ error: 'the response is empty' });
+  });
+});
+
+describe('generateStructured', () => {
+  const schema = {
+    type: 'object',
+    properties: { score: { type: 'number', minimum: 1, maximum: 10 } },
+    required: ['score']
+  };
+
+  it('returns the first valid response and passes the schema to the provider', async () => {
+    const provider = new MockProvider({ fallback: '{"score": 6}' });
+
+    const result = await generateStructured(provider, 'Rate it', schema, {
+      schemaName: 'evaluation',
+      temperature: 0.3
+    });
+
+    expect(result).toEqual({ value: { score: 6 }, response: '{"score": 6}', attempts: 1 });
+    expect(provider.calls[0].options).toEqual(expect.objectContaining({
+      temperature: 0.3,
+      responseFormat: { name: 'evaluation', schema }
+    }));
+  });
+
+  it('shows invalid responses to the model to repair them', async () => {
+    const provider = new MockProvider();
+    provider.setResponse('Rate it', '{"score": 0}');
+    provider.fallback = '{"score": 4}';
+
+    const result = await generateStructured(provider, 'Rate it', schema);
+
+    expect(result.value).toEqual({ score: 4 });
+    expect(result.attempts).toBe(2);
+    expect(provider.calls[1].prompt).toContain('{"score": 0}');
+    expect(provider.calls[1].prompt).toContain('$.score must be at least 1');
+  });
+
+  it('repairs with a custom template', async () => {
+    const provider = new MockProvider();
+    provider.setResponse('Rate it', 'eight');
+    provider.fallback = '{"score": 8}';
+    const { repair } = normalizePromptTemplates({ repair: { text: 'Only JSON please. {{prompt}}' } });
+
+    await generateStructured(provider, 'Rate it', schema, { repairTemplate: repair });
+
+    expect(provider.calls[1].prompt).toBe('Only JSON please. Rate it');
+    expect(provider.calls[1].options.repairTemplate).toBeUndefined();
+  });
+
+  it('throws a StructuredOutputError once repair attempts run out', async () => {
+    const provider = new MockProvider({ fallback: 'Out of 10, 8' });
+
+    const error = await generateStructured(provider, 'Rate it', schema, { repairAttempts: 2 })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.attempts).toBe(3);
+    expect(error.response).toBe('Out of 10, 8');
+    expect(error.errors).toEqual(['the response is not valid JSON']);
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  it('coerces parsed values before validating them', async () => {
+    const provider = new MockProvider({ fallback: '9' });
+
+    const { value } = await generateStructured(provider, 'Rate it', schema, {
+      coerce: v => (typeof v === 'number' ? { score: v } : v)
+    });
+
+    expect(value).toEqual({ score: 9 });
+  });
+});
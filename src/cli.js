@@ -0,0 +1,623 @@
+// src/cli.js
+
+/**
+ * Headless command-line runner for LLM Instinct
+ * Runs InstinctMCTS from Node.js and writes the results as JSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import InstinctMCTS, { EVALUATION_MODES } from './core/InstinctMCTS';
+import { buildPricingTable, formatCost } from './core/usage';
+import { normalizeBudget, describeExceededBudget } from './core/budget';
+import { DEFAULT_RUBRIC, normalizeRubric, applyWeights } from './core/rubric';
+import { PROMPT_TEMPLATES, normalizePromptTemplates, templateRef } from './core/prompts';
+import { PERSONAS } from './core/personas';
+import { JUDGE_AGGREGATIONS } from './core/judging';
+import { RATING_SYSTEMS } from './core/ratings';
+import { createProvider, describeProviderError, PROVIDER_TYPES } from './api';
+import FileCacheStore from './api/fileCache';
+import { formatSearchEvent } from './utils/searchEvents';
+
+const EXAMPLES_DIR = path.join(__dirname, '..', 'examples');
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'off'];
+
+export const USAGE = `
+Usage: llm-instinct [options]
+
+Problem:
+  -p, --problem <text>              Problem statement
+  -c, --context <text>              Additional context
+  -e, --example <id>                Load problem, context, suggested parameters and rubric
+                                    from examples/*.json (e.g. business-startup)
+
+Algorithm parameters:
+      --persona <id>                Think and judge as a decision-maker persona: its voice, rubric
+                                    and instinct parameters, which the options below override
+                                    (${PERSONAS.map(persona => persona.id).join(', ')})
+      --exploration-weight <n>      Exploration weight for UCT (default: 1.4)
+      --instinct-ratio <n>          Balance between instinct and analysis (default: 0.6)
+      --confidence-bias <n>         Bias toward confident responses (default: 0.2)
+      --perseverance-factor <n>     Factor to boost perseverance (default: 0.7)
+      --uncertainty-weight <n>      Weight of judge disagreement in UCT (default: 0.5)
+  -i, --iterations <n>              Number of iterations (default: 3)
+  -s, --simulations <n>             Simulations per iteration (default: 5)
+      --branching-factor <n>        Thoughts generated per expansion (default: 2)
+      --max-depth <n>               Do not expand thoughts at this depth (default: no limit)
+      --progressive-widening        Let thoughts gain children as their visits grow
+      --widening-coefficient <n>    Children allowed = coefficient × visits^exponent (default: 1)
+      --widening-exponent <n>       (default: 0.5)
+      --no-terminal-detection       Keep expanding thoughts the model marks as complete
+      --similarity-threshold <n>    Similarity (0-1) from which sibling thoughts count as
+                                    near-duplicates and are retried or discarded (default: 0.8)
+      --keep-duplicates             Keep near-duplicate sibling thoughts
+      --path-token-limit <n>        Estimated tokens of earlier reasoning shown verbatim when
+                                    expanding a thought; older steps are summarized (default: 1000)
+      --prompts <file>              Custom prompt templates as JSON: { "<id>": { "text", "version" } }
+                                    (ids: ${Object.keys(PROMPT_TEMPLATES).join(', ')})
+      --rubric <file>               Evaluation rubric as JSON: { "scale": { "min", "max" },
+                                    "criteria": [{ "name", "description", "weight" }] }
+      --weights <list>              Evaluation criteria weights, e.g. creativity=2,conviction=0
+                                    (default criteria: ${DEFAULT_RUBRIC.criteria.map(c => c.id).join(', ')})
+      --judges <models>             Comma-separated judge models that each score every node
+                                    (default: the generator model alone)
+      --judge-aggregation <method>  How judge scores are combined: ${JUDGE_AGGREGATIONS.map(a => a.id).join(' | ')}
+                                    (default: mean)
+      --evaluation <mode>           ${EVALUATION_MODES.map(m => m.id).join(' | ')} (default: absolute)
+      --rating-system <system>      Ratings for pairwise evaluation: ${RATING_SYSTEMS.map(r => r.id).join(' | ')}
+                                    (default: elo)
+      --comparisons <n>             Siblings each node is compared with (default: 2)
+      --rollout-depth <n>           Steps the LLM plays each leaf forward before it is scored
+                                    (default: 0, score leaves as written)
+      --rollout-temperature <n>     Sampling temperature of rollout steps (default: 0.8)
+      --rollouts <n>                Rollouts averaged into each simulation's score (default: 1)
+      --recommendation-size <n>     Top leaves the final recommendation is synthesized from
+                                    (default: 3)
+      --no-recommendation           Skip synthesizing a final recommendation after the search
+
+Budgets (the search stops early with the best approach so far):
+      --max-tokens <n>              Maximum tokens
+      --max-cost <usd>              Maximum cost in dollars (needs model pricing)
+      --max-time <seconds>          Maximum wall-clock time
+      --max-calls <n>               Maximum number of LLM calls
+
+Provider:
+      --provider <type>             ${PROVIDER_TYPES.map(p => p.id).join(' | ')} (default: openrouter)
+  -m, --model <id>                  Model that generates thoughts (and judges them without --judges)
+      --api-key <key>               API key (default: $LLM_INSTINCT_API_KEY or $OPENROUTER_API_KEY)
+      --base-url <url>              Base URL for openai-compatible providers
+      --mock-script <file>          Scripted responses for the mock provider
+      --timeout <seconds>           Timeout per request attempt (default: 60)
+      --retries <n>                 Retries for rate limits, timeouts and server errors (default: 2)
+      --structured-outputs <mode>   How to request JSON: json_schema | json_object | off
+                                    (default: json_schema)
+      --concurrency <n>             Maximum parallel requests per expansion (default: 4)
+      --per-node-analysis           Analyze each new node in its own request instead of
+                                    all siblings in one
+
+Response cache (low-temperature analysis and evaluation calls):
+      --cache-dir <dir>             Cache responses on disk (default: $LLM_INSTINCT_CACHE_DIR, or off)
+      --cache-ttl <hours>           Hours a cached response stays valid (default: 168)
+      --bypass-cache                Ignore cached responses for this run (still stores new ones)
+
+Output:
+  -o, --output <file>               Write results to a file instead of stdout
+  -v, --verbose                     Log search events to stderr
+  -h, --help                        Show this help
+`;
+
+const OPTIONS = {
+  'problem': { type: 'string', short: 'p' },
+  'context': { type: 'string', short: 'c' },
+  'example': { type: 'string', short: 'e' },
+  'persona': { type: 'string' },
+  'exploration-weight': { type: 'string' },
+  'instinct-ratio': { type: 'string' },
+  'confidence-bias': { type: 'string' },
+  'perseverance-factor': { type: 'string' },
+  'uncertainty-weight': { type: 'string' },
+  'iterations': { type: 'string', short: 'i' },
+  'simulations': { type: 'string', short: 's' },
+  'branching-factor': { type: 'string' },
+  'max-depth': { type: 'string' },
+  'progressive-widening': { type: 'boolean' },
+  'widening-coefficient': { type: 'string' },
+  'widening-exponent': { type: 'string' },
+  'no-terminal-detection': { type: 'boolean' },
+  'similarity-threshold': { type: 'string' },
+  'keep-duplicates': { type: 'boolean' },
+  'path-token-limit': { type: 'string' },
+  'prompts': { type: 'string' },
+  'rubric': { type: 'string' },
+  'weights': { type: 'string' },
+  'judges': { type: 'string' },
+  'judge-aggregation': { type: 'string' },
+  'evaluation': { type: 'string' },
+  'rating-system': { type: 'string' },
+  'comparisons': { type: 'string' },
+  'rollout-depth': { type: 'string' },
+  'rollout-temperature': { type: 'string' },
+  'rollouts': { type: 'string' },
+  'recommendation-size': { type: 'string' },
+  'no-recommendation': { type: 'boolean' },
+  'max-tokens': { type: 'string' },
+  'max-cost': { type: 'string' },
+  'max-time': { type: 'string' },
+  'max-calls': { type: 'string' },
+  'provider': { type: 'string' },
+  'model': { type: 'string', short: 'm' },
+  'api-key': { type: 'string' },
+  'base-url': { type: 'string' },
+  'mock-script': { type: 'string' },
+  'timeout': { type: 'string' },
+  'retries': { type: 'string' },
+  'structured-outputs': { type: 'string' },
+  'concurrency': { type: 'string' },
+  'per-node-analysis': { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  'cache-ttl': { type: 'string' },
+  'bypass-cache': { type: 'boolean' },
+  'output': { type: 'string', short: 'o' },
+  'verbose': { type: 'boolean', short: 'v' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error caused by invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a numeric option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {boolean} integer - Whether the value must be a positive integer
+ * @returns {number|undefined} Parsed number, or undefined if not given
+ * @private
+ */
+function parseNumber(values, name, integer = false) {
+  if (values[name] === undefined) return undefined;
+
+  const number = Number(values[name]);
+  if (!Number.isFinite(number) || (integer && (!Number.isInteger(number) || number < 1))) {
+    throw new UsageError(`--${name} must be ${integer ? 'a positive integer' : 'a number'}`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse the --weights option
+ * @param {string|undefined} list - Comma-separated criterion=weight pairs
+ * @param {Object} rubric - Normalized rubric whose criteria may be weighted
+ * @returns {Object} Map of criterion id to weight
+ * @throws {UsageError} If a pair is malformed or names an unknown criterion
+ * @private
+ */
+function parseWeights(list, rubric) {
+  if (list === undefined) return {};
+
+  const ids = rubric.criteria.map(criterion => criterion.id);
+  const weights = {};
+  for (const pair of list.split(',')) {
+    const [id, value] = pair.split('=').map(part => part.trim());
+    if (!ids.includes(id)) {
+      throw new UsageError(`--weights: unknown criterion "${id}" (expected one of ${ids.join(', ')})`);
+    }
+    const weight = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(weight) || weight < 0) {
+      throw new UsageError(`--weights: the weight of ${id} must be a non-negative number`);
+    }
+    weights[id] = weight;
+  }
+
+  return weights;
+}
+
+/**
+ * Load the evaluation rubric from --rubric, the example, or the default
+ * @param {string|undefined} file - Path of a JSON rubric file
+ * @param {Object|undefined} suggested - Rubric suggested by the example
+ * @returns {Object} Normalized rubric
+ * @throws {UsageError} If the rubric cannot be read or is invalid
+ * @private
+ */
+function loadRubric(file, suggested) {
+  let rubric = suggested || DEFAULT_RUBRIC;
+  if (file !== undefined) {
+    try {
+      rubric = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`--rubric: could not read ${file}: ${error.message}`);
+    }
+  }
+
+  try {
+    return normalizeRubric(rubric);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Load custom prompt templates from --prompts
+ * @param {string|undefined} file - Path of a JSON file mapping template ids to
+ *   { text, version }
+ * @returns {Object} Normalized custom templates (empty without a file)
+ * @throws {UsageError} If the file cannot be read or the templates are invalid
+ * @private
+ */
+function loadPromptTemplates(file) {
+  if (file === undefined) return {};
+
+  let templates;
+  try {
+    templates = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`--prompts: could not read ${file}: ${error.message}`);
+  }
+
+  try {
+    return normalizePromptTemplates(templates);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Find an example problem by id in examples/*.json
+ * @param {string} id - Example id
+ * @param {string} examplesDir - Directory holding the example files
+ * @returns {Object} The example
+ * @throws {UsageError} If no example has that id
+ */
+export function findExample(id, examplesDir = EXAMPLES_DIR) {
+  const files = fs.readdirSync(examplesDir).filter(file => file.endsWith('.json'));
+
+  for (const file of files) {
+    const { examples = [] } = JSON.parse(fs.readFileSync(path.join(examplesDir, file), 'utf8'));
+    const example = examples.find(e => e.id === id);
+    if (example) return example;
+  }
+
+  throw new UsageError(`Unknown example: ${id}`);
+}
+
+/**
+ * Parse command-line arguments into a run configuration
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Run configuration
+ * @throws {UsageError} If the arguments are invalid
+ */
+export function parseCliArgs(argv, env = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const example = values.example ? findExample(values.example) : {};
+  const suggested = example.suggested_parameters || {};
+  const persona = values.persona === undefined ? null : PERSONAS.find(candidate => candidate.id === values.persona);
+  if (persona === undefined) {
+    throw new UsageError(`--persona must be one of ${PERSONAS.map(p => p.id).join(', ')}`);
+  }
+  const voiced = persona ? persona.parameters : {};
+
+  const problem = values.problem ?? example.problem;
+  const context = values.context ?? example.context ?? '';
+  if (!problem) {
+    throw new UsageError('A problem is required (--problem or --example)');
+  }
+
+  const providerType = values.provider || 'openrouter';
+  if (!PROVIDER_TYPES.some(p => p.id === providerType)) {
+    throw new UsageError(`Unknown provider: ${providerType}`);
+  }
+
+  const apiKey = values['api-key'] || env.LLM_INSTINCT_API_KEY || env.OPENROUTER_API_KEY || '';
+  if (providerType === 'openrouter' && !apiKey) {
+    throw new UsageError('An API key is required for OpenRouter (--api-key or $OPENROUTER_API_KEY)');
+  }
+  if (providerType === 'openai-compatible' && !values['base-url']) {
+    throw new UsageError('--base-url is required for openai-compatible providers');
+  }
+  if (providerType === 'mock' && !values['mock-script']) {
+    throw new UsageError('--mock-script is required for the mock provider');
+  }
+
+  const pick = (...candidates) => candidates.find(value => value !== undefined);
+  const maxTime = parseNumber(values, 'max-time');
+  const timeout = parseNumber(values, 'timeout');
+  const retries = parseNumber(values, 'retries');
+  if (retries !== undefined && (!Number.isInteger(retries) || retries < 0)) {
+    throw new UsageError('--retries must be a non-negative integer');
+  }
+  const structuredOutputs = values['structured-outputs'];
+  if (structuredOutputs !== undefined && !STRUCTURED_OUTPUT_MODES.includes(structuredOutputs)) {
+    throw new UsageError(`--structured-outputs must be one of ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+  }
+  const cacheDir = values['cache-dir'] || env.LLM_INSTINCT_CACHE_DIR || null;
+  const cacheTtl = parseNumber(values, 'cache-ttl');
+  const rubric = loadRubric(values.rubric, persona ? persona.rubric : example.suggested_rubric);
+  const judgeAggregation = values['judge-aggregation'] || 'mean';
+  if (!JUDGE_AGGREGATIONS.some(aggregation => aggregation.id === judgeAggregation)) {
+    throw new UsageError(`--judge-aggregation must be one of ${JUDGE_AGGREGATIONS.map(a => a.id).join(', ')}`);
+  }
+  const evaluationMode = values.evaluation || 'absolute';
+  if (!EVALUATION_MODES.some(mode => mode.id === evaluationMode)) {
+    throw new UsageError(`--evaluation must be one of ${EVALUATION_MODES.map(m => m.id).join(', ')}`);
+  }
+  const ratingSystem = values['rating-system'] || 'elo';
+  if (!RATING_SYSTEMS.some(system => system.id === ratingSystem)) {
+    throw new UsageError(`--rating-system must be one of ${RATING_SYSTEMS.map(r => r.id).join(', ')}`);
+  }
+  const rolloutDepth = parseNumber(values, 'rollout-depth');
+  if (rolloutDepth !== undefined && (!Number.isInteger(rolloutDepth) || rolloutDepth < 0)) {
+    throw new UsageError('--rollout-depth must be a non-negative integer');
+  }
+
+  return {
+    problem,
+    context,
+    exampleId: example.id || null,
+    parameters: {
+      explorationWeight: pick(parseNumber(values, 'exploration-weight'), voiced.explorationWeight, suggested.explorationWeight, 1.4),
+      instinctRatio: pick(parseNumber(values, 'instinct-ratio'), voiced.instinctRatio, suggested.instinctRatio, 0.6),
+      confidenceBias: pick(parseNumber(values, 'confidence-bias'), voiced.confidenceBias, suggested.confidenceBias, 0.2),
+      perseveranceFactor: pick(
+        parseNumber(values, 'perseverance-factor'),
+        voiced.perseveranceFactor,
+        suggested.perseveranceFactor,
+        0.7
+      ),
+      uncertaintyWeight: pick(parseNumber(values, 'uncertainty-weight'), suggested.uncertaintyWeight, 0.5)
+    },
+    rubric: applyWeights(rubric, parseWeights(values.weights, rubric)),
+    judgeModels: values.judges ? values.judges.split(',').map(model => model.trim()).filter(Boolean) : [],
+    judgeAggregation,
+    evaluationMode,
+    ratingSystem,
+    comparisonsPerEvaluation: pick(parseNumber(values, 'comparisons', true), 2),
+    rolloutDepth: pick(rolloutDepth, 0),
+    rolloutTemperature: pick(parseNumber(values, 'rollout-temperature'), 0.8),
+    rolloutsPerSimulation: pick(parseNumber(values, 'rollouts', true), 1),
+    recommendationSize: pick(parseNumber(values, 'recommendation-size', true), 3),
+    synthesize: !values['no-recommendation'],
+    branchingFactor: pick(parseNumber(values, 'branching-factor', true), 2),
+    maxDepth: pick(parseNumber(values, 'max-depth', true), null),
+    progressiveWidening: Boolean(values['progressive-widening']),
+    wideningCoefficient: pick(parseNumber(values, 'widening-coefficient'), 1),
+    wideningExponent: pick(parseNumber(values, 'widening-exponent'), 0.5),
+    detectTerminal: !values['no-terminal-detection'],
+    deduplicateThoughts: !values['keep-duplicates'],
+    similarityThreshold: pick(parseNumber(values, 'similarity-threshold'), 0.8),
+    pathTokenLimit: pick(parseNumber(values, 'path-token-limit', true), 1000),
+    promptTemplates: loadPromptTemplates(values.prompts),
+    persona: persona ? persona.id : null,
+    systemPrompt: persona ? persona.systemPrompt : '',
+    maxConcurrency: pick(parseNumber(values, 'concurrency', true), 4),
+    batchAnalysis: !values['per-node-analysis'],
+    iterations: pick(parseNumber(values, 'iterations', true), 3),
+    simulationsPerIteration: pick(parseNumber(values, 'simulations', true), 5),
+    budget: normalizeBudget({
+      maxTokens: parseNumber(values, 'max-tokens', true),
+      maxCost: parseNumber(values, 'max-cost'),
+      maxTimeMs: maxTime === undefined ? undefined : maxTime * 1000,
+      maxCalls: parseNumber(values, 'max-calls', true)
+    }),
+    provider: {
+      type: providerType,
+      apiKey,
+      model: values.model,
+      baseUrl: values['base-url'],
+      scriptPath: values['mock-script'],
+      options: {
+        ...(timeout !== undefined ? { timeout: timeout * 1000 } : {}),
+        ...(retries !== undefined ? { retries } : {}),
+        ...(structuredOutputs !== undefined ? { structuredOutputs } : {})
+      }
+    },
+    cache: cacheDir ? {
+      dir: cacheDir,
+      ...(cacheTtl !== undefined ? { ttl: cacheTtl * 60 * 60 * 1000 } : {})
+    } : null,
+    bypassCache: Boolean(values['bypass-cache']),
+    output: values.output || null,
+    verbose: Boolean(values.verbose)
+  };
+}
+
+/**
+ * Run a search from a parsed configuration
+ * @param {Object} config - Run configuration from parseCliArgs
+ * @param {Object} io - Output streams
+ * @param {Object} io.stderr - Stream for progress logging
+ * @param {Object} io.llmClient - Provider override (skips provider creation)
+ * @param {AbortSignal} io.signal - Signal that stops the search early
+ * @returns {Promise<Object>} JSON-serializable results (partial if cancelled)
+ */
+export async function runSearch(config, {
+  stderr = process.stderr,
+  llmClient = null,
+  signal = undefined
+} = {}) {
+  const { provider } = config;
+  const client = llmClient || createProvider({
+    type: provider.type,
+    apiKey: provider.apiKey,
+    model: provider.model,
+    baseUrl: provider.baseUrl,
+    script: provider.scriptPath ? JSON.parse(fs.readFileSync(provider.scriptPath, 'utf8')) : {},
+    options: provider.options,
+    cache: config.cache ? { store: new FileCacheStore(config.cache.dir), ttl: config.cache.ttl } : null
+  });
+
+  // Pricing is best effort: runs still work when the model list is unavailable
+  let pricing = {};
+  try {
+    pricing = buildPricingTable(await client.getModels());
+  } catch (error) {
+    if (config.verbose) stderr.write(`Could not load model pricing: ${error.message}\n`);
+  }
+
+  const mcts = new InstinctMCTS({
+    llmClient: client,
+    problem: config.problem,
+    context: config.context,
+    pricing,
+    maxConcurrency: config.maxConcurrency,
+    batchAnalysis: config.batchAnalysis,
+    rubric: config.rubric,
+    judgeModels: config.judgeModels,
+    judgeAggregation: config.judgeAggregation,
+    evaluationMode: config.evaluationMode,
+    ratingSystem: config.ratingSystem,
+    comparisonsPerEvaluation: config.comparisonsPerEvaluation,
+    rolloutDepth: config.rolloutDepth,
+    rolloutTemperature: config.rolloutTemperature,
+    rolloutsPerSimulation: config.rolloutsPerSimulation,
+    branchingFactor: config.branchingFactor,
+    maxDepth: config.maxDepth,
+    progressiveWidening: config.progressiveWidening,
+    wideningCoefficient: config.wideningCoefficient,
+    wideningExponent: config.wideningExponent,
+    detectTerminal: config.detectTerminal,
+    deduplicateThoughts: config.deduplicateThoughts,
+    similarityThreshold: config.similarityThreshold,
+    pathTokenLimit: config.pathTokenLimit,
+    promptTemplates: config.promptTemplates,
+    persona: config.persona,
+    systemPrompt: config.systemPrompt,
+    recommendationSize: config.recommendationSize,
+    ...config.parameters
+  });
+
+  if (config.verbose) {
+    mcts.on('*', (event) => {
+      stderr.write(`[${event.type}] ${formatSearchEvent(event)}\n`);
+    });
+  }
+
+  const result = await mcts.run({
+    iterations: config.iterations,
+    simulationsPerIteration: config.simulationsPerIteration,
+    budget: config.budget,
+    bypassCache: config.bypassCache,
+    synthesize: config.synthesize,
+    signal
+  });
+
+  if (config.verbose) {
+    const { total } = result.usage;
+    if (result.budgetExceeded) {
+      stderr.write(`Stopped early: ${describeExceededBudget(result.budgetExceeded)}\n`);
+    }
+    stderr.write(`Used ${total.totalTokens} tokens in ${total.calls} calls (${formatCost(total)})\n`);
+    if (client.stats) {
+      stderr.write(`Response cache: ${client.stats.hits} hits, ${client.stats.misses} misses\n`);
+    }
+  }
+
+  return {
+    problem: config.problem,
+    context: config.context,
+    example: config.exampleId,
+    persona: config.persona,
+    model: client.defaultModel || null,
+    parameters: config.parameters,
+    rubric: config.rubric,
+    judgeModels: config.judgeModels,
+    judgeAggregation: config.judgeAggregation,
+    evaluationMode: config.evaluationMode,
+    ratingSystem: config.ratingSystem,
+    rolloutDepth: config.rolloutDepth,
+    rolloutsPerSimulation: config.rolloutsPerSimulation,
+    branchingFactor: config.branchingFactor,
+    maxDepth: config.maxDepth,
+    progressiveWidening: config.progressiveWidening,
+    promptTemplates: Object.values(config.promptTemplates).map(templateRef),
+    iterations: config.iterations,
+    simulationsPerIteration: config.simulationsPerIteration,
+    budget: config.budget,
+    cancelled: result.cancelled,
+    budgetExceeded: result.budgetExceeded,
+    bestApproach: result.bestApproach,
+    bestScore: result.bestScore,
+    bestNode: result.bestNode ? result.bestNode.getState() : null,
+    recommendation: result.recommendation,
+    usage: result.usage,
+    tree: result.finalTree ? result.finalTree.tree : null
+  };
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @param {Object} io - Process bindings
+ * @param {Object} io.stdout - Stream for results
+ * @param {Object} io.stderr - Stream for progress and errors
+ * @param {Object} io.env - Environment variables
+ * @returns {Promise<number>} Exit code (130 if interrupted with Ctrl+C)
+ */
+export async function main(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  env = process.env
+} = {}) {
+  let config;
+  try {
+    config = parseCliArgs(argv, env);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`llm-instinct: ${error.message}\nRun llm-instinct --help for usage.\n`);
+    return 2;
+  }
+
+  if (config.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  // Ctrl+C stops the search and still writes the partial results
+  const controller = new AbortController();
+  const interrupt = () => {
+    stderr.write('Interrupted, writing partial results...\n');
+    controller.abort();
+  };
+  process.once('SIGINT', interrupt);
+
+  try {
+    const results = await runSearch(config, { stderr, signal: controller.signal });
+    const json = JSON.stringify(results, null, 2) + '\n';
+
+    if (config.output) {
+      fs.writeFileSync(config.output, json);
+      if (config.verbose) stderr.write(`Results written to ${config.output}\n`);
+    } else {
+      stdout.write(json);
+    }
+
+    return results.cancelled ? 130 : 0;
+  } catch (error) {
+    const { kind, title, hint } = describeProviderError(error);
+    stderr.write(kind === 'unknown'
+      ? `llm-instinct: ${error.message}\n`
+      : `llm-instinct: ${title}: ${error.message}\n${hint}\n`);
+    return 1;
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+  }
+}
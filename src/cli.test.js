@@ -0,0 +1,349 @@
+// src/cli.test.js
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main, parseCliArgs, runSearch, findExample, UsageError } from './cli';
+import MockProvider from './api/mock';
+import { validateRubric } from './core/rubric';
+
+/**
+ * Create a writable stream stub that collects output
+ * @returns {Object} Stream stub with collected `output`
+ */
+function createStream() {
+  const stream = {
+    output: '',
+    write: (text) => {
+      stream.output += text;
+    }
+  };
+  return stream;
+}
+
+describe('findExample', () => {
+  it('finds examples across example files', () => {
+    expect(findExample('business-startup').problem).toMatch(/Starting a business/);
+    expect(findExample('creative-novel')).toBeDefined();
+  });
+
+  it('ships only valid suggested rubrics', () => {
+    const dir = path.join(__dirname, '..', 'examples');
+    const withRubrics = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .flatMap(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).examples)
+      .filter(example => example.suggested_rubric);
+
+    expect(withRubrics.length).toBeGreaterThan(0);
+    for (const example of withRubrics) {
+      expect(validateRubric(example.suggested_rubric)).toEqual([]);
+    }
+  });
+
+  it('rejects unknown ids', () => {
+    expect(() => findExample('nope')).toThrow(UsageError);
+  });
+});
+
+describe('parseCliArgs', () => {
+  const env = { OPENROUTER_API_KEY: 'sk-test' };
+
+  it('loads an example and its suggested parameters', () => {
+    const config = parseCliArgs(['--example', 'business-startup'], env);
+
+    expect(config.problem).toMatch(/Starting a business/);
+    expect(config.parameters).toEqual({
+      explorationWeight: 1.4,
+      instinctRatio: 0.7,
+      confidenceBias: 0.2,
+      perseveranceFactor: 0.8,
+      uncertaintyWeight: 0.5
+    });
+    expect(config.provider.apiKey).toBe('sk-test');
+  });
+
+  it('lets flags override example values', () => {
+    const config = parseCliArgs([
+      '-e', 'business-startup',
+      '-p', 'Custom problem',
+      '--instinct-ratio', '0.3',
+      '-i', '2',
+      '-s', '4'
+    ], env);
+
+    expect(config.problem).toBe('Custom problem');
+    expect(config.parameters.instinctRatio).toBe(0.3);
+    expect(config.iterations).toBe(2);
+    expect(config.simulationsPerIteration).toBe(4);
+  });
+
+  it('requires a problem', () => {
+    expect(() => parseCliArgs([], env)).toThrow('problem is required');
+  });
+
+  it('validates numeric options', () => {
+    expect(() => parseCliArgs(['-p', 'x', '-i', '0'], env)).toThrow('positive integer');
+    expect(() => parseCliArgs(['-p', 'x', '--confidence-bias', 'high'], env)).toThrow('a number');
+  });
+
+  it('parses budgets, converting the time limit to milliseconds', () => {
+    const config = parseCliArgs([
+      '-p', 'x', '--max-tokens', '20000', '--max-cost', '0.25', '--max-time', '90'
+    ], env);
+
+    expect(config.budget).toEqual({ maxTokens: 20000, maxCost: 0.25, maxTimeMs: 90000 });
+    expect(() => parseCliArgs(['-p', 'x', '--max-calls', '1.5'], env)).toThrow('positive integer');
+  });
+
+  it('passes the structured output mode to the provider', () => {
+    expect(parseCliArgs(['-p', 'x', '--structured-outputs', 'json_object'], env).provider.options)
+      .toEqual({ structuredOutputs: 'json_object' });
+    expect(() => parseCliArgs(['-p', 'x', '--structured-outputs', 'xml'], env)).toThrow('json_schema');
+  });
+
+  it('batches sibling analysis unless --per-node-analysis is given', () => {
+    expect(parseCliArgs(['-p', 'x'], env).batchAnalysis).toBe(true);
+    expect(parseCliArgs(['-p', 'x', '--per-node-analysis'], env).batchAnalysis).toBe(false);
+  });
+
+  it('applies evaluation criteria weights', () => {
+    const { rubric } = parseCliArgs(['-p', 'x', '--weights', 'creativity=2, conviction=0'], env);
+
+    expect(Object.fromEntries(rubric.criteria.map(c => [c.id, c.weight]))).toEqual({
+      balance: 1,
+      perseverance: 1,
+      creativity: 2,
+      conviction: 0,
+      patternRecognition: 1
+    });
+    expect(() => parseCliArgs(['-p', 'x', '--weights', 'speed=2'], env)).toThrow('unknown criterion');
+    expect(() => parseCliArgs(['-p', 'x', '--weights', 'creativity'], env)).toThrow('non-negative number');
+  });
+
+  it('parses judge models and their aggregation', () => {
+    const config = parseCliArgs(['-p', 'x', '--judges', 'a/one, b/two', '--judge-aggregation', 'median'], env);
+
+    expect(config.judgeModels).toEqual(['a/one', 'b/two']);
+    expect(config.judgeAggregation).toBe('median');
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({ judgeModels: [], judgeAggregation: 'mean' }));
+    expect(() => parseCliArgs(['-p', 'x', '--judge-aggregation', 'mode'], env)).toThrow('trimmedMean');
+  });
+
+  it('selects pairwise evaluation and its rating system', () => {
+    const config = parseCliArgs(['-p', 'x', '--evaluation', 'pairwise', '--rating-system', 'bradleyTerry', '--comparisons', '3'], env);
+
+    expect(config).toEqual(expect.objectContaining({
+      evaluationMode: 'pairwise',
+      ratingSystem: 'bradleyTerry',
+      comparisonsPerEvaluation: 3
+    }));
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({ evaluationMode: 'absolute', ratingSystem: 'elo' }));
+    expect(() => parseCliArgs(['-p', 'x', '--evaluation', 'vibes'], env)).toThrow('absolute, pairwise');
+    expect(() => parseCliArgs(['-p', 'x', '--rating-system', 'glicko'], env)).toThrow('elo, bradleyTerry');
+  });
+
+  it('configures rollouts', () => {
+    const config = parseCliArgs(['-p', 'x', '--rollout-depth', '3', '--rollout-temperature', '1', '--rollouts', '2'], env);
+
+    expect(config).toEqual(expect.objectContaining({ rolloutDepth: 3, rolloutTemperature: 1, rolloutsPerSimulation: 2 }));
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({ rolloutDepth: 0, rolloutsPerSimulation: 1 }));
+    expect(() => parseCliArgs(['-p', 'x', '--rollout-depth', '1.5'], env)).toThrow('non-negative integer');
+  });
+
+  it('synthesizes a recommendation from the top leaves unless --no-recommendation is given', () => {
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({ recommendationSize: 3, synthesize: true }));
+    expect(parseCliArgs(['-p', 'x', '--recommendation-size', '5', '--no-recommendation'], env))
+      .toEqual(expect.objectContaining({ recommendationSize: 5, synthesize: false }));
+  });
+
+  it('configures branching', () => {
+    const config = parseCliArgs([
+      '-p', 'x', '--branching-factor', '3', '--max-depth', '4', '--progressive-widening',
+      '--widening-exponent', '0.4', '--no-terminal-detection', '--similarity-threshold', '0.6', '--keep-duplicates',
+      '--path-token-limit', '400'
+    ], env);
+
+    expect(config).toEqual(expect.objectContaining({
+      branchingFactor: 3,
+      maxDepth: 4,
+      progressiveWidening: true,
+      wideningCoefficient: 1,
+      wideningExponent: 0.4,
+      detectTerminal: false,
+      similarityThreshold: 0.6,
+      deduplicateThoughts: false,
+      pathTokenLimit: 400
+    }));
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({
+      branchingFactor: 2,
+      maxDepth: null,
+      progressiveWidening: false,
+      detectTerminal: true,
+      deduplicateThoughts: true,
+      pathTokenLimit: 1000
+    }));
+    expect(() => parseCliArgs(['-p', 'x', '--branching-factor', '0'], env)).toThrow('positive integer');
+  });
+
+  it('thinks as a persona unless options override it', () => {
+    const config = parseCliArgs(['-p', 'x', '--persona', 'riskAverseCfo', '--instinct-ratio', '0.5'], env);
+
+    expect(config.persona).toBe('riskAverseCfo');
+    expect(config.systemPrompt).toContain('risk-averse chief financial officer');
+    expect(config.parameters).toEqual(expect.objectContaining({ instinctRatio: 0.5, perseveranceFactor: 0.4 }));
+    expect(config.rubric.criteria.map(c => c.id)).toContain('downsideProtection');
+    expect(parseCliArgs(['-p', 'x'], env)).toEqual(expect.objectContaining({ persona: null, systemPrompt: '' }));
+    expect(() => parseCliArgs(['-p', 'x', '--persona', 'pirate'], env)).toThrow('--persona must be one of');
+  });
+
+  it('uses the rubric suggested by an example', () => {
+    const { rubric } = parseCliArgs(['-e', 'hiring-decision', '--weights', 'teamFit=3'], env);
+
+    expect(rubric.scale).toEqual({ min: 1, max: 5 });
+    expect(rubric.criteria.find(c => c.id === 'teamFit').weight).toBe(3);
+    expect(rubric.criteria.map(c => c.id)).toContain('legalRisk');
+  });
+
+  it('loads a rubric file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-instinct-'));
+    const file = path.join(dir, 'rubric.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ criteria: [{ name: 'Cost' }, { name: 'Speed', weight: 2 }] }));
+      expect(parseCliArgs(['-p', 'x', '--rubric', file], env).rubric.criteria.map(c => c.id))
+        .toEqual(['cost', 'speed']);
+
+      fs.writeFileSync(file, JSON.stringify({ criteria: [] }));
+      expect(() => parseCliArgs(['-p', 'x', '--rubric', file], env)).toThrow('At least one criterion');
+      expect(() => parseCliArgs(['-p', 'x', '--rubric', path.join(dir, 'missing.json')], env))
+        .toThrow('could not read');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('loads a prompt templates file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-instinct-'));
+    const file = path.join(dir, 'prompts.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ thought: { text: 'Next step for {{currentApproach}}?', version: 3 } }));
+      expect(parseCliArgs(['-p', 'x', '--prompts', file], env).promptTemplates.thought)
+        .toEqual(expect.objectContaining({ id: 'thought', version: 3, custom: true }));
+      expect(parseCliArgs(['-p', 'x'], env).promptTemplates).toEqual({});
+
+      fs.writeFileSync(file, JSON.stringify({ thought: { text: '{{approach}}' } }));
+      expect(() => parseCliArgs(['-p', 'x', '--prompts', file], env)).toThrow('unknown variables: approach');
+      expect(() => parseCliArgs(['-p', 'x', '--prompts', path.join(dir, 'missing.json')], env))
+        .toThrow('could not read');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('parses cache options, converting the TTL to milliseconds', () => {
+    const config = parseCliArgs(['-p', 'x', '--cache-dir', '/tmp/cache', '--cache-ttl', '2', '--bypass-cache'], env);
+
+    expect(config.cache).toEqual({ dir: '/tmp/cache', ttl: 7200000 });
+    expect(config.bypassCache).toBe(true);
+    expect(parseCliArgs(['-p', 'x'], env).cache).toBeNull();
+    expect(parseCliArgs(['-p', 'x'], { ...env, LLM_INSTINCT_CACHE_DIR: '/tmp/env-cache' }).cache)
+      .toEqual({ dir: '/tmp/env-cache' });
+  });
+
+  it('requires provider-specific settings', () => {
+    expect(() => parseCliArgs(['-p', 'x'], {})).toThrow('API key');
+    expect(() => parseCliArgs(['-p', 'x', '--provider', 'openai-compatible'], {})).toThrow('--base-url');
+    expect(() => parseCliArgs(['-p', 'x', '--provider', 'mock'], {})).toThrow('--mock-script');
+  });
+});
+
+describe('main', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-instinct-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.warn.mockRestore();
+  });
+
+  it('runs a mock search and writes results to a file', async () => {
+    const scriptPath = path.join(tmpDir, 'script.json');
+    const outputPath = path.join(tmpDir, 'result.json');
+    fs.writeFileSync(scriptPath, JSON.stringify({ fallback: '6' }));
+    const stdout = createStream();
+    const stderr = createStream();
+
+    const code = await main([
+      '-e', 'product-pivot',
+      '--provider', 'mock',
+      '--mock-script', scriptPath,
+      '-i', '1',
+      '-s', '2',
+      '-o', outputPath
+    ], { stdout, stderr, env: {} });
+
+    expect(code).toBe(0);
+    expect(stdout.output).toBe('');
+
+    const result = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    expect(result.example).toBe('product-pivot');
+    expect(result.bestApproach).toBe('6');
+    expect(result.tree.visits).toBe(2);
+    expect(result.bestNode.id).toBeDefined();
+  });
+
+  it('returns partial results when the search is cancelled', async () => {
+    const controller = new AbortController();
+    // Cancel while the first simulation is being evaluated
+    let thoughts = 0;
+    const client = new MockProvider({}, {
+      fallback: (prompt) => {
+        if (prompt.includes('Rate this approach')) controller.abort();
+        return prompt.includes('Generate a next step') ? `Thought ${++thoughts}` : '6';
+      }
+    });
+    const config = parseCliArgs([
+      '-p', 'Test problem',
+      '--provider', 'mock',
+      '--mock-script', 'unused.json',
+      '-i', '2',
+      '-s', '3'
+    ], {});
+
+    const result = await runSearch(config, {
+      stderr: createStream(),
+      llmClient: client,
+      signal: controller.signal
+    });
+
+    expect(result.cancelled).toBe(true);
+    expect(result.tree.children).toHaveLength(2);
+    expect(result.bestNode.id).toBe(result.tree.children[0].id);
+  });
+
+  it('runs the installed command from any directory', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'llm-instinct.js');
+
+    const output = execFileSync(process.execPath, [bin, '--help'], { cwd: tmpDir, encoding: 'utf8', timeout: 60000 });
+
+    expect(output).toMatch(/Usage: llm-instinct/);
+  });
+
+  it('prints help', async () => {
+    const stdout = createStream();
+
+    await expect(main(['--help'], { stdout, stderr: createStream(), env: {} })).resolves.toBe(0);
+    expect(stdout.output).toMatch(/Usage: llm-instinct/);
+  });
+
+  it('reports usage errors', async () => {
+    const stderr = createStream();
+
+    await expect(main(['--bogus'], { stdout: createStream(), stderr, env: {} })).resolves.toBe(2);
+    expect(stderr.output).toMatch(/Unknown option/);
+  });
+});
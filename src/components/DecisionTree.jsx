@@ -1,31 +1,80 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Tree } from 'react-d3-tree';
 
+// Calculate color based on emotional state (red to green)
+const emotionalColor = (emotionalState = 0.5) => {
+  const r = Math.floor(255 * (1 - emotionalState));
+  const g = Math.floor(255 * emotionalState);
+  return `rgb(${r}, ${g}, 0)`;
+};
+
+// Calculate node size based on visit count
+const visitSize = (visits = 0) => {
+  const baseSize = 30;
+  return baseSize + Math.min(visits * 3, 40);
+};
+
 // Custom node component for the decision tree
 const CustomNode = ({ nodeData, onNodeClick }) => {
-  // Calculate color based on emotional state (red to green)
-  const getNodeColor = () => {
-    const emotionalState = nodeData.data.emotionalState || 0.5;
-    const r = Math.floor(255 * (1 - emotionalState));
-    const g = Math.floor(255 * emotionalState);
-    return `rgb(${r}, ${g}, 0)`;
-  };
+  const sizeAnimation = useRef(null);
+  const colorAnimation = useRef(null);
+  const { change } = nodeData.data;
 
-  // Calculate node size based on visit count
-  const getNodeSize = () => {
-    const baseSize = 30;
-    const visits = nodeData.data.visits || 0;
-    return baseSize + Math.min(visits * 3, 40);
-  };
-
-  const nodeSize = getNodeSize();
-  const nodeColor = getNodeColor();
+  const nodeSize = visitSize(nodeData.data.visits || 0);
+  const nodeColor = emotionalColor(nodeData.data.emotionalState || 0.5);
   const nodeBorder = nodeData.data.selected ? '#0af' : '#333';
   const nodeBorderWidth = nodeData.data.selected ? 4 : 1;
 
+  // Animate from the previous snapshot's values when replaying
+  const fromSize = change ? (change.isNew ? 0 : visitSize(change.previousVisits)) : nodeSize;
+  const fromColor = change ? emotionalColor(change.previousEmotionalState || 0.5) : nodeColor;
+
+  useEffect(() => {
+    if (!change) return;
+    sizeAnimation.current?.beginElement?.();
+    colorAnimation.current?.beginElement?.();
+  }, [change]);
+
   return (
     <g onClick={() => onNodeClick(nodeData)}>
-      <circle r={nodeSize} fill={nodeColor} stroke={nodeBorder} strokeWidth={nodeBorderWidth} />
+      {nodeData.data.expanded && (
+        <circle r={nodeSize + 8} fill="none" stroke="#7c3aed" strokeWidth={3} strokeDasharray="6 4" />
+      )}
+      {nodeData.data.evaluated && (
+        <circle r={nodeSize + 8} fill="none" stroke="#ea580c" strokeWidth={3} />
+      )}
+      {nodeData.data.terminal && (
+        <circle r={nodeSize + 4} fill="none" stroke="#111827" strokeWidth={2} />
+      )}
+      {nodeData.data.streaming && (
+        <circle r={nodeSize + 4} fill="none" stroke="#2563eb" strokeWidth={2} strokeDasharray="4 3">
+          <animate attributeName="opacity" values="1;0.3;1" dur="1.2s" repeatCount="indefinite" />
+        </circle>
+      )}
+      <circle r={nodeSize} fill={nodeColor} stroke={nodeBorder} strokeWidth={nodeBorderWidth}>
+        {change && (
+          <>
+            <animate
+              ref={sizeAnimation}
+              attributeName="r"
+              from={fromSize}
+              to={nodeSize}
+              dur="0.6s"
+              begin="indefinite"
+              fill="freeze"
+            />
+            <animate
+              ref={colorAnimation}
+              attributeName="fill"
+              from={fromColor}
+              to={nodeColor}
+              dur="0.6s"
+              begin="indefinite"
+              fill="freeze"
+            />
+          </>
+        )}
+      </circle>
       <text
         className="text-sm font-medium text-white"
         textAnchor="middle"
@@ -34,6 +83,17 @@ const CustomNode = ({ nodeData, onNodeClick }) => {
       >
         {nodeData.data.id}
       </text>
+      {change && change.visitsDelta > 0 && (
+        <text
+          className="text-xs font-semibold"
+          textAnchor="middle"
+          y={nodeSize + 18}
+          fill="#1d4ed8"
+          style={{ pointerEvents: 'none' }}
+        >
+          +{change.visitsDelta} visit{change.visitsDelta > 1 ? 's' : ''}
+        </text>
+      )}
     </g>
   );
 };
@@ -42,6 +102,7 @@ const DecisionTree = ({
   treeData, 
   onNodeSelect, 
   selectedNodeId = null,
+  highlights = null,
   width = 800,
   height = 600
 }) => {
@@ -56,7 +117,10 @@ const DecisionTree = ({
       name: node.id,
       data: {
         ...node,
-        selected: node.id === selectedNodeId
+        selected: node.id === selectedNodeId,
+        expanded: Boolean(highlights) && node.id === highlights.expandedNodeId,
+        evaluated: Boolean(highlights) && node.id === highlights.evaluatedNodeId,
+        change: highlights?.changes?.[node.id] || null
       },
       children: node.children?.map(child => processTreeData(child)) || []
     };
@@ -113,6 +177,22 @@ const DecisionTree = ({
           <div className="w-4 h-4 bg-green-600 rounded-full mr-2"></div>
           <span className="text-xs">High Confidence</span>
         </div>
+        <div className="flex items-center mt-1">
+          <div className="w-4 h-4 border-2 border-gray-900 rounded-full mr-2"></div>
+          <span className="text-xs">Complete Path</span>
+        </div>
+        {highlights && (
+          <>
+            <div className="flex items-center mt-1">
+              <div className="w-4 h-4 border-2 border-dashed border-purple-600 rounded-full mr-2"></div>
+              <span className="text-xs">Expanded</span>
+            </div>
+            <div className="flex items-center mt-1">
+              <div className="w-4 h-4 border-2 border-orange-600 rounded-full mr-2"></div>
+              <span className="text-xs">Evaluated</span>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
+import UsageBreakdown from './UsageBreakdown';
+import ScoreBreakdown from './ScoreBreakdown';
+import { getRecord } from '../core/ratings';
+import { textSimilarity } from '../core/similarity';
+import { PROMPT_TEMPLATES } from '../core/prompts';
+
+// Elo ratings are in the hundreds, Bradley–Terry strengths around 1
+const formatRating = (rating) => (rating < 100 ? rating.toFixed(2) : Math.round(rating));
+
+const NodeDetails = ({ node, onExploreAlternative, simulationRunning, similarityThreshold = 0.8 }) => {
+  // Optional direction for the next explored branch
+  const [direction, setDirection] = useState('');
 
-const NodeDetails = ({ node, onExploreAlternative, simulationRunning }) => {
   if (!node) {
     return (
       <div className="bg-white p-6 rounded-lg shadow-md">
@@ -10,24 +21,50 @@ const NodeDetails = ({ node, onExploreAlternative, simulationRunning }) => {
     );
   }
 
+  // How much this thought repeats each of its siblings
+  const siblings = (node.parent?.children || [])
+    .filter(sibling => sibling.id !== node.id)
+    .map(sibling => ({ id: sibling.id, similarity: textSimilarity(node.content, sibling.content) }));
+  
+  // Win/loss record from pairwise evaluation, if the node was compared
+  const record = typeof node.rating === 'number' && node.parent
+    ? getRecord(node.id, node.parent.comparisons)
+    : null;
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-lg font-semibold">Node Details</h2>
-        <button 
-          onClick={onExploreAlternative}
-          className="px-4 py-1 bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition"
-          disabled={simulationRunning}
-        >
-          Explore Alternative
-        </button>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            placeholder="Direction (optional)"
+            title="What the new branch should explore, e.g. 'what if we wait a year?'"
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+            disabled={simulationRunning}
+          />
+          <button 
+            onClick={() => onExploreAlternative(direction)}
+            className="px-4 py-1 bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition"
+            disabled={simulationRunning}
+          >
+            Explore Alternative
+          </button>
+        </div>
       </div>
       
       <div className="space-y-4">
         <div>
-          <h3 className="text-md font-medium text-gray-700">Content</h3>
+          <h3 className="text-md font-medium text-gray-700">
+            Content{node.streaming && <span className="ml-2 text-xs font-normal text-blue-600">Writing…</span>}
+          </h3>
           <div className="mt-1 p-3 bg-gray-50 rounded-md">
-            <p className="text-sm">{node.content}</p>
+            <p className="text-sm">
+              {node.content}
+              {node.streaming && <span className="animate-pulse text-blue-600">▍</span>}
+            </p>
           </div>
         </div>
         
@@ -39,6 +76,15 @@ const NodeDetails = ({ node, onExploreAlternative, simulationRunning }) => {
               <p className="text-sm">Visits: <span className="font-semibold">{node.visits}</span></p>
               <p className="text-sm">Value: <span className="font-semibold">{node.value?.toFixed(2) || 0}</span></p>
               <p className="text-sm">Depth: <span className="font-semibold">{node.depth || 0}</span></p>
+              {node.terminal && (
+                <p className="text-sm text-gray-700">Complete path: not expanded further</p>
+              )}
+              {record && (
+                <p className="text-sm">
+                  Rating: <span className="font-semibold">{formatRating(node.rating)}</span>
+                  <span className="text-xs text-gray-500"> ({record.wins}W {record.losses}L {record.ties}T vs siblings)</span>
+                </p>
+              )}
             </div>
           </div>
           
@@ -84,6 +130,103 @@ const NodeDetails = ({ node, onExploreAlternative, simulationRunning }) => {
             </div>
           </div>
         </div>
+        
+        <div>
+          <h3 className="text-md font-medium text-gray-700">Evaluation</h3>
+          <div className="mt-1">
+            <ScoreBreakdown breakdown={node.scoreBreakdown} />
+          </div>
+        </div>
+        
+        {siblings.length > 0 && (
+          <div>
+            <h3 className="text-md font-medium text-gray-700">Similarity to Siblings</h3>
+            <div className="mt-1 space-y-1">
+              {siblings.map(sibling => (
+                <div key={sibling.id} className="flex items-center">
+                  <span className="text-sm font-mono w-32">{sibling.id}</span>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div 
+                      className={`h-2 rounded-full ${sibling.similarity >= similarityThreshold ? 'bg-red-500' : 'bg-indigo-500'}`}
+                      style={{ width: `${sibling.similarity * 100}%` }}
+                    ></div>
+                  </div>
+                  <span className="text-xs text-gray-600 w-12 text-right">{Math.round(sibling.similarity * 100)}%</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {node.rollouts?.length > 0 && (
+          <div>
+            <h3 className="text-md font-medium text-gray-700">Rollouts</h3>
+            <div className="mt-1 space-y-2">
+              {node.rollouts.map((rollout, index) => (
+                <div key={index} className="p-3 bg-gray-50 rounded-md">
+                  <p className="text-xs font-medium text-gray-600">
+                    Rollout {index + 1}: score {typeof rollout.score === 'number' ? rollout.score.toFixed(2) : 'n/a'}
+                  </p>
+                  <ol className="mt-1 text-sm list-decimal list-inside space-y-1">
+                    {rollout.steps.map((step, i) => <li key={i}>{step}</li>)}
+                  </ol>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {node.parseFailures && Object.keys(node.parseFailures).length > 0 && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+            <h3 className="text-sm font-medium text-yellow-800">Unparsable LLM responses</h3>
+            <p className="text-xs text-yellow-700 mt-1">
+              These values were left unchanged instead of being replaced by a guess.
+            </p>
+            {Object.entries(node.parseFailures).map(([phase, failure]) => (
+              <div key={phase} className="mt-2 text-xs text-yellow-800">
+                <p className="font-medium capitalize">
+                  {phase} ({failure.attempts} {failure.attempts === 1 ? 'attempt' : 'attempts'}): {failure.errors.join('; ')}
+                </p>
+                <pre className="mt-1 p-2 bg-white rounded whitespace-pre-wrap">{failure.response}</pre>
+              </div>
+            ))}
+          </div>
+        )}
+        
+        {node.requestFailures && Object.keys(node.requestFailures).length > 0 && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+            <h3 className="text-sm font-medium text-yellow-800">Failed LLM requests</h3>
+            <p className="text-xs text-yellow-700 mt-1">
+              These values were left unchanged instead of being replaced by a guess.
+            </p>
+            {Object.entries(node.requestFailures).map(([phase, failure]) => (
+              <p key={phase} className="mt-2 text-xs font-medium text-yellow-800">
+                <span className="capitalize">{phase}</span>: {failure.message}
+              </p>
+            ))}
+          </div>
+        )}
+        
+        <div>
+          <h3 className="text-md font-medium text-gray-700">Token Usage</h3>
+          <div className="mt-1">
+            <UsageBreakdown byPhase={node.usage} />
+          </div>
+        </div>
+        
+        {node.templates && Object.keys(node.templates).length > 0 && (
+          <div>
+            <h3 className="text-md font-medium text-gray-700">Prompt Templates</h3>
+            <div className="mt-1 space-y-1">
+              {Object.entries(node.templates).map(([phase, template]) => (
+                <p key={phase} className="text-xs text-gray-600">
+                  <span className="capitalize">{phase}</span>: {PROMPT_TEMPLATES[template.id]?.name || template.id}{' '}
+                  {template.custom ? 'custom ' : ''}v{template.version}
+                </p>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { PROMPT_TEMPLATES, validatePromptTemplates } from '../core/prompts';
+
+const PromptEditor = ({ templates, versions, onSaveVersion, onSelectVersion, disabled }) => {
+  const [templateId, setTemplateId] = useState('thought');
+  const builtIn = PROMPT_TEMPLATES[templateId];
+  const active = templates[templateId];
+  const saved = versions[templateId] || [];
+
+  // The text being edited starts from whichever version is in use
+  const activeText = active ? active.text : builtIn.text;
+  const [draft, setDraft] = useState(activeText);
+  useEffect(() => {
+    setDraft(activeText);
+  }, [templateId, activeText]);
+
+  const errors = validatePromptTemplates({ [templateId]: { text: draft } });
+  const changed = draft !== activeText;
+
+  // A template restored from a session may not be among the saved versions
+  const restored = active && !saved.some(entry => entry.version === active.version && entry.text === active.text);
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-2">
+        Every prompt is rendered from a template. Saving an edit adds a new version; nodes record the template and version that produced them.
+      </p>
+
+      <div className="flex gap-2 mb-2">
+        <select
+          value={templateId}
+          onChange={(e) => setTemplateId(e.target.value)}
+          className="flex-1 p-1 text-sm border border-gray-300 rounded-md"
+        >
+          {Object.values(PROMPT_TEMPLATES).map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name}{templates[template.id] ? ' (custom)' : ''}
+            </option>
+          ))}
+        </select>
+        <select
+          value={active ? (restored ? 'restored' : active.version) : 'builtIn'}
+          onChange={(e) => onSelectVersion(templateId, e.target.value === 'builtIn' ? null : parseInt(e.target.value, 10))}
+          className="p-1 text-sm border border-gray-300 rounded-md"
+          disabled={disabled}
+        >
+          <option value="builtIn">Built-in v{builtIn.version}</option>
+          {saved.map(entry => (
+            <option key={entry.version} value={entry.version}>Custom v{entry.version}</option>
+          ))}
+          {restored && <option value="restored" disabled>Custom v{active.version} (from session)</option>}
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-1">{builtIn.description}</p>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="w-full p-2 text-xs font-mono border border-gray-300 rounded-md"
+        rows={10}
+        disabled={disabled}
+      />
+
+      <div className="flex flex-wrap gap-1 mt-1">
+        {builtIn.variables.map(variable => (
+          <span
+            key={variable.name}
+            title={variable.description}
+            className="px-1 text-xs font-mono bg-gray-100 text-gray-700 rounded"
+          >
+            {`{{${variable.name}}}`}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2 mt-2">
+        <button
+          type="button"
+          onClick={() => setDraft(activeText)}
+          className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md"
+          disabled={disabled || !changed}
+        >
+          Discard changes
+        </button>
+        <button
+          type="button"
+          onClick={() => onSaveVersion(templateId, draft)}
+          className="px-3 py-1 text-xs bg-blue-100 text-blue-700 hover:bg-blue-200 rounded-md"
+          disabled={disabled || !changed || errors.length > 0}
+        >
+          Save as new version
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mt-2 text-xs text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PromptEditor;
@@ -0,0 +1,70 @@
+import React from 'react';
+
+const RecommendationPanel = ({ recommendation, onSelectNode }) => {
+  const sourceIds = recommendation.sources.map(source => source.nodeId);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-md font-medium">Recommendation</h3>
+          <span className="text-sm text-gray-600" title="How strongly the synthesis stands behind it">
+            Conviction {recommendation.conviction}/10
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+          <div
+            className="h-2 rounded-full bg-blue-600"
+            style={{ width: `${Math.max(0, Math.min(100, recommendation.conviction * 10))}%` }}
+          ></div>
+        </div>
+        <p className="text-sm">{recommendation.summary}</p>
+      </div>
+
+      <div>
+        <h3 className="text-md font-medium mb-1">Action Plan</h3>
+        <ol className="text-sm list-decimal list-inside space-y-1">
+          {recommendation.actionPlan.map((step, index) => <li key={index}>{step}</li>)}
+        </ol>
+      </div>
+
+      {recommendation.risks.length > 0 && (
+        <div>
+          <h3 className="text-md font-medium mb-1">Risks</h3>
+          <ul className="text-sm space-y-2">
+            {recommendation.risks.map((entry, index) => (
+              <li key={index} className="p-2 bg-yellow-50 border border-yellow-200 rounded-md">
+                <p>{entry.risk}</p>
+                <p className="text-xs text-gray-600 mt-1">Mitigation: {entry.mitigation}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-md font-medium mb-1">Synthesized From</h3>
+        <div className="flex flex-wrap gap-1">
+          {recommendation.candidates.map((nodeId, index) => (
+            <button
+              key={nodeId}
+              type="button"
+              onClick={() => onSelectNode(nodeId)}
+              className={`px-2 py-0.5 text-xs font-mono rounded ${sourceIds.includes(nodeId)
+                ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                : 'bg-gray-100 text-gray-500 hover:bg-gray-200'}`}
+              title={sourceIds.includes(nodeId) ? 'Drawn on by the recommendation' : 'Considered but not drawn on'}
+            >
+              {index + 1}. {nodeId}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          The top leaves of the tree, strongest first. Highlighted ones are the recommendation's sources; click one to show it in the tree.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RecommendationPanel;
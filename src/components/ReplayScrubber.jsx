@@ -0,0 +1,116 @@
+import React, { useEffect } from 'react';
+
+const STEP_LABELS = {
+  initialize: 'Initialized root',
+  simulation: 'Simulation',
+  explore: 'Explored alternative'
+};
+
+const ReplayScrubber = ({
+  history,
+  currentIndex,
+  onChange,
+  playing = false,
+  onPlayingChange,
+  interval = 1000
+}) => {
+  const lastIndex = history.length - 1;
+  const index = currentIndex ?? lastIndex;
+  const snapshot = history[index];
+  const step = snapshot?.step || {};
+
+  // Advance automatically while playing, stopping at the last snapshot
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    if (index >= lastIndex) {
+      onPlayingChange(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => onChange(index + 1), interval);
+    return () => clearTimeout(timer);
+  }, [playing, index, lastIndex, interval, onChange, onPlayingChange]);
+
+  if (history.length === 0) {
+    return null;
+  }
+
+  const handlePlay = () => {
+    // Restart from the beginning when already at the end
+    if (index >= lastIndex) {
+      onChange(0);
+    }
+    onPlayingChange(!playing);
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-md">
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onChange(Math.max(0, index - 1))}
+          className="px-2 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200 transition"
+          disabled={index <= 0}
+          title="Previous step"
+        >
+          ◀
+        </button>
+        <button
+          onClick={handlePlay}
+          className="px-3 py-1 text-sm bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition"
+        >
+          {playing ? 'Pause' : 'Replay'}
+        </button>
+        <button
+          onClick={() => onChange(Math.min(lastIndex, index + 1))}
+          className="px-2 py-1 text-sm bg-gray-100 rounded-md hover:bg-gray-200 transition"
+          disabled={index >= lastIndex}
+          title="Next step"
+        >
+          ▶
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={lastIndex}
+          value={index}
+          onChange={(e) => onChange(parseInt(e.target.value))}
+          className="flex-1"
+        />
+        <span className="text-xs text-gray-600 w-20 text-right">
+          Step {index + 1} / {history.length}
+        </span>
+        {currentIndex !== null && (
+          <button
+            onClick={() => {
+              onPlayingChange(false);
+              onChange(null);
+            }}
+            className="px-2 py-1 text-xs text-gray-500 hover:text-blue-700"
+            title="Return to the live tree"
+          >
+            Live
+          </button>
+        )}
+      </div>
+
+      <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-700">
+        <span className="font-medium">{STEP_LABELS[step.type] || 'Snapshot'}</span>
+        {snapshot.selectedNodeId && (
+          <span>Selected: <span className="font-mono">{snapshot.selectedNodeId}</span></span>
+        )}
+        {step.expandedNodeId && (
+          <span>Expanded: <span className="font-mono text-purple-700">{step.expandedNodeId}</span></span>
+        )}
+        {step.evaluatedNodeId && (
+          <span>Evaluated: <span className="font-mono text-orange-600">{step.evaluatedNodeId}</span></span>
+        )}
+        {typeof step.score === 'number' && (
+          <span>Backpropagated score: <span className="font-semibold">{step.score.toFixed(2)}</span></span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayScrubber;
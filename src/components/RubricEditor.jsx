@@ -0,0 +1,128 @@
+import React from 'react';
+import { DEFAULT_RUBRIC, normalizeRubric, validateRubric } from '../core/rubric';
+
+// Show an empty input instead of NaN while a number is being edited
+const numberValue = (value) => (Number.isNaN(value) ? '' : value);
+
+const RubricEditor = ({ rubric, onChange, disabled }) => {
+  const errors = validateRubric(rubric);
+
+  const updateCriterion = (index, changes) => {
+    onChange({
+      ...rubric,
+      criteria: rubric.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    });
+  };
+
+  const removeCriterion = (index) => {
+    onChange({ ...rubric, criteria: rubric.criteria.filter((_, i) => i !== index) });
+  };
+
+  const addCriterion = () => {
+    onChange({ ...rubric, criteria: [...rubric.criteria, { name: '', description: '', weight: 1 }] });
+  };
+
+  const updateScale = (key, value) => {
+    onChange({ ...rubric, scale: { ...rubric.scale, [key]: parseFloat(value) } });
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-1">
+        <label className="block text-sm font-medium text-gray-700">Evaluation Rubric</label>
+        <button
+          type="button"
+          onClick={() => onChange(normalizeRubric(DEFAULT_RUBRIC))}
+          className="text-xs text-blue-600 hover:underline"
+          disabled={disabled}
+        >
+          Reset to default
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        Each thought is scored on every criterion; its score is the weighted mean. A weight of 0 ignores a criterion.
+      </p>
+
+      <div className="space-y-2">
+        {rubric.criteria.map((criterion, index) => (
+          <div key={index} className="p-2 border border-gray-200 rounded-md space-y-1">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={criterion.name}
+                onChange={(e) => updateCriterion(index, { name: e.target.value })}
+                placeholder="Criterion name"
+                className="flex-1 p-1 text-sm border border-gray-300 rounded-md"
+                disabled={disabled}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={numberValue(criterion.weight)}
+                onChange={(e) => updateCriterion(index, { weight: parseFloat(e.target.value) })}
+                title="Weight"
+                className="w-16 p-1 text-sm border border-gray-300 rounded-md"
+                disabled={disabled}
+              />
+              <button
+                type="button"
+                onClick={() => removeCriterion(index)}
+                className="px-2 text-sm text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove criterion"
+                disabled={disabled || rubric.criteria.length === 1}
+              >
+                ×
+              </button>
+            </div>
+            <input
+              type="text"
+              value={criterion.description}
+              onChange={(e) => updateCriterion(index, { description: e.target.value })}
+              placeholder="What should the evaluator look for?"
+              className="w-full p-1 text-xs border border-gray-300 rounded-md"
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-2">
+        <button
+          type="button"
+          onClick={addCriterion}
+          className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-md"
+          disabled={disabled}
+        >
+          Add criterion
+        </button>
+        <div className="flex items-center gap-1 text-xs text-gray-600">
+          Scale
+          <input
+            type="number"
+            value={numberValue(rubric.scale.min)}
+            onChange={(e) => updateScale('min', e.target.value)}
+            className="w-14 p-1 border border-gray-300 rounded-md"
+            disabled={disabled}
+          />
+          to
+          <input
+            type="number"
+            value={numberValue(rubric.scale.max)}
+            onChange={(e) => updateScale('max', e.target.value)}
+            className="w-14 p-1 border border-gray-300 rounded-md"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mt-2 text-xs text-red-600 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RubricEditor;
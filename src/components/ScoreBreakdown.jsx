@@ -0,0 +1,57 @@
+import React from 'react';
+import { JUDGE_AGGREGATIONS } from '../core/judging';
+
+const ScoreBreakdown = ({ breakdown }) => {
+  if (!breakdown || !breakdown.criteria?.length) {
+    return <p className="text-sm text-gray-500">Not evaluated yet</p>;
+  }
+
+  const { min, max } = breakdown.scale || { min: 1, max: 10 };
+  const percent = (score) => Math.max(0, Math.min(100, ((score - min) / (max - min)) * 100));
+
+  return (
+    <div className="space-y-1">
+      {breakdown.criteria.map(criterion => (
+        <div key={criterion.id} className="flex items-center text-sm" title={`Weight ${criterion.weight}`}>
+          <span className={`w-44 truncate ${criterion.weight === 0 ? 'text-gray-400' : ''}`}>
+            {criterion.name}
+          </span>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${criterion.weight === 0 ? 'bg-gray-400' : 'bg-indigo-600'}`}
+              style={{ width: `${criterion.score === undefined ? 0 : percent(criterion.score)}%` }}
+            ></div>
+          </div>
+          <span className="w-10 text-right font-mono">{criterion.score ?? '–'}</span>
+          <span className="w-12 text-right text-xs text-gray-500">×{criterion.weight}</span>
+        </div>
+      ))}
+      <p className="text-sm pt-1">
+        Weighted score: <span className="font-semibold">{breakdown.score.toFixed(2)}</span>
+        <span className="text-xs text-gray-500"> (scale {min}–{max})</span>
+      </p>
+      {breakdown.judges?.length > 1 && (
+        <div className="pt-1">
+          <p className="text-xs text-gray-500">
+            {JUDGE_AGGREGATIONS.find(a => a.id === breakdown.aggregation)?.name || breakdown.aggregation} of{' '}
+            {breakdown.judges.length} judges, variance {breakdown.variance.toFixed(2)}
+          </p>
+          <ul className="mt-1 space-y-0.5 text-xs">
+            {breakdown.judges.map((judge, index) => (
+              <li key={index} className="flex justify-between gap-2">
+                <span className="font-mono truncate">{judge.model}</span>
+                {judge.error ? (
+                  <span className="text-red-600 truncate" title={judge.error}>{judge.error}</span>
+                ) : (
+                  <span className="font-mono">{judge.score.toFixed(2)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { USAGE_PHASES, sumUsage, formatCost } from '../core/usage';
+
+const PHASE_LABELS = {
+  initialization: 'Initialization',
+  expansion: 'Expansion',
+  analysis: 'Analysis',
+  rollout: 'Rollout',
+  evaluation: 'Evaluation',
+  recommendation: 'Recommendation'
+};
+
+const UsageBreakdown = ({ byPhase = {} }) => {
+  const phases = USAGE_PHASES.filter(phase => byPhase[phase]);
+  const total = sumUsage(byPhase);
+
+  if (total.calls === 0) {
+    return <p className="text-sm text-gray-500">No token usage recorded</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500 text-xs">
+          <th className="font-medium py-1">Phase</th>
+          <th className="font-medium py-1 text-right">Calls</th>
+          <th className="font-medium py-1 text-right">Prompt</th>
+          <th className="font-medium py-1 text-right">Completion</th>
+          <th className="font-medium py-1 text-right">Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {phases.map(phase => (
+          <tr key={phase} className="border-t border-gray-100">
+            <td className="py-1">{PHASE_LABELS[phase]}</td>
+            <td className="py-1 text-right">{byPhase[phase].calls}</td>
+            <td className="py-1 text-right">{byPhase[phase].promptTokens.toLocaleString()}</td>
+            <td className="py-1 text-right">{byPhase[phase].completionTokens.toLocaleString()}</td>
+            <td className="py-1 text-right font-mono">{formatCost(byPhase[phase])}</td>
+          </tr>
+        ))}
+        <tr className="border-t border-gray-300 font-semibold">
+          <td className="py-1">Total</td>
+          <td className="py-1 text-right">{total.calls}</td>
+          <td className="py-1 text-right">{total.promptTokens.toLocaleString()}</td>
+          <td className="py-1 text-right">{total.completionTokens.toLocaleString()}</td>
+          <td className="py-1 text-right font-mono">{formatCost(total)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+};
+
+export default UsageBreakdown;
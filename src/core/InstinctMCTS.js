@@ -1,7 +1,83 @@
 // src/core/InstinctMCTS.js
 
 import Node from './Node';
-import { generateThoughtPrompt, generateEvaluationPrompt } from './prompts';
+import { assertProvider, temperatureRamp } from '../api/provider';
+import { isFatalProviderError, StructuredOutputError } from '../api/errors';
+import { generateStructured } from '../api/structured';
+import { createLimiter } from '../utils/concurrency';
+import { SearchCancelledError, BudgetExceededError } from './errors';
+import { addUsage, priceUsage, sumUsage, estimateTokens } from './usage';
+import { normalizeBudget, findExceededBudget } from './budget';
+import {
+  getRubricEvaluationSchema,
+  toRubricScores,
+  COMPARISON_SCHEMA,
+  toComparison,
+  RECOMMENDATION_SCHEMA
+} from './schemas';
+import { DEFAULT_RUBRIC, normalizeRubric, aggregateScores, toSearchScore } from './rubric';
+import { JUDGE_AGGREGATIONS, combineScores, scoreVariance } from './judging';
+import { RATING_SYSTEMS, INITIAL_ELO, updateElo, fitBradleyTerry, ratingToScore } from './ratings';
+import { findMostSimilar } from './similarity';
+import {
+  COMPLETION_MARKER,
+  normalizePromptTemplates,
+  getPromptTemplate,
+  templateRef,
+  formatPath,
+  generateInitialPrompt,
+  generateThoughtPrompt,
+  generatePathSummaryPrompt,
+  generateBranchExplorationPrompt,
+  generateRolloutPrompt,
+  generateEvaluationPrompt,
+  generatePairwiseComparisonPrompt,
+  generateFinalRecommendationPrompt
+} from './prompts';
+
+/**
+ * Version of the serialized search format produced by toJSON()
+ * @type {number}
+ */
+export const SERIALIZATION_VERSION = 1;
+
+/**
+ * Event types emitted during a search
+ * @type {Array<string>}
+ */
+export const SEARCH_EVENTS = [
+  'select',
+  'stream',
+  'expand',
+  'analyze',
+  'rollout',
+  'evaluate',
+  'backpropagate',
+  'iterationComplete',
+  'recommend',
+  'usage',
+  'budgetExceeded',
+  'pause',
+  'resume',
+  'cancel',
+  'error'
+];
+
+/**
+ * Sampling temperature of the first thought in an expansion; later ones
+ * in the same expansion ramp up from it
+ * @type {number}
+ */
+const THOUGHT_TEMPERATURE = 0.7;
+
+/**
+ * Ways to evaluate a node
+ * @type {Array<Object>}
+ */
+export const EVALUATION_MODES = [
+  { id: 'absolute', name: 'Absolute scores' },
+  { id: 'pairwise', name: 'Pairwise comparison with siblings' }
+];
 
 /**
  * Instinct-driven Monte Carlo Tree Search for decision making
@@ -11,13 +87,69 @@ class InstinctMCTS {
   /**
    * Create a new InstinctMCTS instance
    * @param {Object} params - Configuration parameters
-   * @param {Object} params.llmClient - LLM API client
+   * @param {Object} params.llmClient - LLM provider (see src/api/provider.js)
    * @param {string} params.problem - Problem statement
    * @param {string} params.context - Additional context
    * @param {number} params.explorationWeight - Exploration weight for UCT (default: 1.4)
    * @param {number} params.instinctRatio - Balance between instinct and analysis (default: 0.6)
    * @param {number} params.confidenceBias - Bias toward confident responses (default: 0.2)
    * @param {number} params.perseveranceFactor - Factor to boost perseverance (default: 0.7)
+   * @param {Object} params.pricing - Per-token prices by model id, from
+   *   buildPricingTable() in src/core/usage.js (default: no pricing)
+   * @param {number} params.maxConcurrency - Maximum parallel requests when
+   *   expanding a node (default: 4)
+   * @param {boolean} params.batchAnalysis - Analyze all children of an expansion
+   *   in one request when the provider supports it (default: true)
+   * @param {Object} params.rubric - Criteria nodes are scored on, their weights
+   *   and the score scale, see src/core/rubric.js (default: DEFAULT_RUBRIC)
+   * @param {Array<string>} params.judgeModels - Models that each score every
+   *   node (default: [], the provider's default model alone)
+   * @param {string} params.judgeAggregation - How judge scores are combined:
+   *   'mean', 'median' or 'trimmedMean' (default: 'mean')
+   * @param {number} params.uncertaintyWeight - Weight of the judges' disagreement
+   *   (standard deviation) in UCT (default: 0.5)
+   * @param {string} params.evaluationMode - 'absolute' scores or 'pairwise'
+   *   comparisons with siblings (default: 'absolute')
+   * @param {string} params.ratingSystem - How pairwise comparisons become
+   *   ratings: 'elo' or 'bradleyTerry' (default: 'elo')
+   * @param {number} params.comparisonsPerEvaluation - Siblings each node is
+   *   compared with in pairwise mode (default: 2)
+   * @param {number} params.rolloutDepth - Steps the LLM plays a leaf forward
+   *   before it is scored (default: 0, score the leaf as written)
+   * @param {number} params.rolloutTemperature - Sampling temperature of rollout
+   *   steps (default: 0.8)
+   * @param {number} params.rolloutsPerSimulation - Rollouts averaged into each
+   *   simulation's score (default: 1)
+   * @param {number} params.branchingFactor - Thoughts generated per expansion,
+   *   and children a node may have without widening (default: 2)
+   * @param {number|null} params.maxDepth - Depth below which nodes are not
+   *   expanded (default: null, no limit)
+   * @param {boolean} params.progressiveWidening - Let nodes gain children as
+   *   their visits grow (default: false)
+   * @param {number} params.wideningCoefficient - Coefficient of the widening
+   *   limit (default: 1)
+   * @param {number} params.wideningExponent - Exponent of visits in the
+   *   widening limit (default: 0.5)
+   * @param {boolean} params.detectTerminal - Let the LLM mark thoughts that
+   *   complete their path, which are then never expanded (default: true)
+   * @param {boolean} params.deduplicateThoughts - Retry, then discard, thoughts
+   *   that nearly repeat a sibling (default: true)
+   * @param {number} params.similarityThreshold - Lexical similarity (0-1) from
+   *   which a thought counts as a near-duplicate (default: 0.8)
+   * @param {number} params.pathTokenLimit - Estimated tokens of the path to a
+   *   node shown verbatim when expanding it; earlier steps are summarized
+   *   (default: 1000)
+   * @param {Object} params.promptTemplates - Custom prompt templates by id,
+   *   { text, version }, used instead of the built-in ones; see
+   *   src/core/prompts.js (default: none)
+   * @param {string|null} params.persona - Id of the persona the search runs as,
+   *   see src/core/personas.js (default: none)
+   * @param {string} params.systemPrompt - Voice the LLM writes thoughts and
+   *   rollouts in, sent as a system message (default: none)
+   * @param {number} params.recommendationSize - Top leaves the final
+   *   recommendation is synthesized from (default: 3)
+   * @param {boolean} params.streamThoughts - Stream new thoughts into their
+   *   nodes while they are generated, emitting `stream` events (default: false)
    */
   constructor({
     llmClient,
@@ -26,8 +158,48 @@ class InstinctMCTS {
     explorationWeight = 1.4,
     instinctRatio = 0.6, 
     confidenceBias = 0.2,
-    perseveranceFactor = 0.7
+    perseveranceFactor = 0.7,
+    pricing = {},
+    maxConcurrency = 4,
+    batchAnalysis = true,
+    rubric = DEFAULT_RUBRIC,
+    judgeModels = [],
+    judgeAggregation = 'mean',
+    uncertaintyWeight = 0.5,
+    evaluationMode = 'absolute',
+    ratingSystem = 'elo',
+    comparisonsPerEvaluation = 2,
+    rolloutDepth = 0,
+    rolloutTemperature = 0.8,
+    rolloutsPerSimulation = 1,
+    branchingFactor = 2,
+    maxDepth = null,
+    progressiveWidening = false,
+    wideningCoefficient = 1,
+    wideningExponent = 0.5,
+    detectTerminal = true,
+    deduplicateThoughts = true,
+    similarityThreshold = 0.8,
+    pathTokenLimit = 1000,
+    promptTemplates = {},
+    persona = null,
+    systemPrompt = '',
+    recommendationSize = 3,
+    streamThoughts = false
   }) {
+    if (llmClient) {
+      assertProvider(llmClient);
+    }
+    if (!JUDGE_AGGREGATIONS.some(aggregation => aggregation.id === judgeAggregation)) {
+      throw new TypeError(`Unknown judge aggregation: ${judgeAggregation}`);
+    }
+    if (!EVALUATION_MODES.some(mode => mode.id === evaluationMode)) {
+      throw new TypeError(`Unknown evaluation mode: ${evaluationMode}`);
+    }
+    if (!RATING_SYSTEMS.some(system => system.id === ratingSystem)) {
+      throw new TypeError(`Unknown rating system: ${ratingSystem}`);
+    }
+    
     this.llmClient = llmClient;
     this.problem = problem;
     this.context = context;
@@ -35,11 +207,48 @@ class InstinctMCTS {
     this.instinctRatio = instinctRatio;
     this.confidenceBias = confidenceBias;
     this.perseveranceFactor = perseveranceFactor;
+    this.pricing = pricing;
+    this.maxConcurrency = maxConcurrency;
+    this.batchAnalysis = batchAnalysis;
+    this.rubric = normalizeRubric(rubric);
+    this.judgeModels = judgeModels;
+    this.judgeAggregation = judgeAggregation;
+    this.uncertaintyWeight = uncertaintyWeight;
+    this.evaluationMode = evaluationMode;
+    this.ratingSystem = ratingSystem;
+    this.comparisonsPerEvaluation = comparisonsPerEvaluation;
+    this.rolloutDepth = rolloutDepth;
+    this.rolloutTemperature = rolloutTemperature;
+    this.rolloutsPerSimulation = rolloutsPerSimulation;
+    this.branchingFactor = branchingFactor;
+    this.maxDepth = maxDepth;
+    this.progressiveWidening = progressiveWidening;
+    this.wideningCoefficient = wideningCoefficient;
+    this.wideningExponent = wideningExponent;
+    this.detectTerminal = detectTerminal;
+    this.deduplicateThoughts = deduplicateThoughts;
+    this.similarityThreshold = similarityThreshold;
+    this.pathTokenLimit = pathTokenLimit;
+    this.promptTemplates = normalizePromptTemplates(promptTemplates);
+    this.persona = persona;
+    this.systemPrompt = systemPrompt;
+    this.recommendationSize = recommendationSize;
+    this.streamThoughts = streamThoughts;
     
     this.root = null;
+    this.recommendation = null;
     this.selectedNode = null;
     this.treeHistory = [];
     this.onUpdate = null;
+    this.listeners = {};
+    this.usage = {};
+    this.llmCalls = 0;
+    
+    this.paused = false;
+    this.abortController = null;
+    this._resumeWaiters = [];
+    this._budget = null;
+    this._bypassCache = false;
   }
 
   /**
@@ -48,39 +257,44 @@ class InstinctMCTS {
    */
   async initialize() {
     // Generate initial prompt combining problem and context
-    const initialPrompt = `
-You are facing this problem: ${this.problem}
-
-Additional context: ${this.context}
-
-Provide an initial approach or solution to this problem. Think about both analytical reasoning and instinctual feelings about the best path forward.
-`;
+    const template = this._template('initial');
+    const initialPrompt = generateInitialPrompt(this.problem, this.context, template);
 
     try {
       // Get initial response from LLM
-      const initialResponse = await this.llmClient.generateCompletion(initialPrompt, {
-        temperature: 0.7
-      });
+      const usages = [];
+      const initialResponse = await this.llmClient.generateCompletion(initialPrompt, this._callOptions({
+        ...this._voiceOptions(),
+        temperature: 0.7,
+        onUsage: usage => usages.push(usage)
+      }));
       
       // Create root node
       this.root = new Node({
         content: initialResponse,
         explorationWeight: this.explorationWeight,
         confidenceBias: this.confidenceBias,
-        perseveranceFactor: this.perseveranceFactor
+        perseveranceFactor: this.perseveranceFactor,
+        uncertaintyWeight: this.uncertaintyWeight
       });
+      this.root.templates.generation = templateRef(template);
+      usages.forEach(usage => this._recordUsage(this.root, 'initialization', usage));
       
       // Analyze content for emotional state
-      const analysis = await this.llmClient.analyzeContent(initialResponse);
-      this.root.emotionalState = analysis.emotionalState / 10;
-      this.root.instinctWeight = analysis.instinctVsAnalysis / 10;
+      const analysis = await this._analyze(this.root);
+      if (analysis) {
+        this.root.emotionalState = analysis.emotionalState / 10;
+        this.root.instinctWeight = analysis.instinctVsAnalysis / 10;
+      }
       
       // Record initial tree state
-      this._recordTreeState();
+      this._recordTreeState({ type: 'initialize' });
       
       return this.root;
     } catch (error) {
+      if (this.signal?.aborted) throw new SearchCancelledError();
       console.error('Error initializing MCTS:', error);
+      this._emit('error', { phase: 'initialize', nodeId: null, message: error.message, error });
       throw error;
     }
   }
@@ -93,14 +307,83 @@ Provide an initial approach or solution to this problem. Think about both analyt
     this.onUpdate = callback;
   }
 
+  /**
+   * Abort signal for the operation in progress (null when idle)
+   * @type {AbortSignal|null}
+   */
+  get signal() {
+    return this.abortController ? this.abortController.signal : null;
+  }
+
+  /**
+   * Pause the search at the next step boundary
+   * Requests already in flight are allowed to finish.
+   */
+  pause() {
+    if (this.paused) return;
+    
+    this.paused = true;
+    this._emit('pause', {});
+  }
+
+  /**
+   * Resume a paused search
+   */
+  resume() {
+    if (!this.paused) return;
+    
+    this.paused = false;
+    this._emit('resume', {});
+    this._releaseWaiters();
+  }
+
+  /**
+   * Cancel the search in progress, aborting in-flight requests
+   * A cancelled run() still resolves with the partial tree.
+   */
+  cancel() {
+    if (!this.abortController || this.abortController.signal.aborted) return;
+    
+    this.abortController.abort();
+    this.paused = false;
+    this._emit('cancel', {});
+    this._releaseWaiters();
+  }
+
+  /**
+   * Subscribe to search events
+   * Every event is an object with `type` and `timestamp` plus type-specific fields.
+   * @param {string} type - Event type (see SEARCH_EVENTS), or '*' for all events
+   * @param {Function} listener - Function called with each event
+   * @returns {Function} Function that removes the listener
+   */
+  on(type, listener) {
+    if (type !== '*' && !SEARCH_EVENTS.includes(type)) {
+      throw new Error(`Unknown search event: ${type}`);
+    }
+    
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from search events
+   * @param {string} type - Event type, or '*'
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
   /**
    * Select a node to expand using UCT
+   * Descends until it reaches a leaf or a node with room for more children.
    * @returns {Node} The selected node
    */
   select() {
     let node = this.root;
     
-    while (node.children.length > 0) {
+    while (node.children.length > 0 && !this._canExpand(node)) {
       // Sometimes use pure instinct (random choice) instead of UCT
       if (Math.random() < this.instinctRatio) {
         // Weight by emotional state - more confident nodes are more likely
@@ -128,43 +411,142 @@ Provide an initial approach or solution to this problem. Think about both analyt
     }
     
     this.selectedNode = node;
+    this._emit('select', {
+      nodeId: node.id,
+      depth: node.depth,
+      path: [...node.path]
+    });
+    
     return node;
   }
 
+  /**
+   * Maximum number of children a node may have
+   * Without progressive widening this is the branching factor. With it, the
+   * limit grows with the node's visits as wideningCoefficient × visits^wideningExponent,
+   * never dropping below the branching factor.
+   * @param {Node} node - The node
+   * @returns {number} Maximum number of children
+   * @private
+   */
+  _childLimit(node) {
+    if (!this.progressiveWidening) return this.branchingFactor;
+    
+    const widened = Math.floor(this.wideningCoefficient * node.visits ** this.wideningExponent);
+    return Math.max(this.branchingFactor, widened);
+  }
+
+  /**
+   * Whether a node can get more children
+   * Terminal nodes and nodes at the maximum depth are never expanded.
+   * @param {Node} node - The node
+   * @returns {boolean} True if the node is below its child limit
+   * @private
+   */
+  _canExpand(node) {
+    if (node.terminal) return false;
+    if (this.maxDepth !== null && node.depth >= this.maxDepth) return false;
+    return node.children.length < this._childLimit(node);
+  }
+
   /**
    * Expand a node by generating child nodes
+   * Thoughts see the path from the root to the node. With deduplicateThoughts,
+   * near-duplicate thoughts are retried once and discarded if they stay too
+   * similar, so a node may get fewer children.
    * @param {Node} node - The node to expand
-   * @param {number} numChildren - Number of children to generate
+   * @param {number} numChildren - Number of children to generate (default: branchingFactor)
+   * @param {Object} options - Expansion options
+   * @param {string} options.direction - Direction the user wants the new
+   *   children to explore; such children are never deduplicated (optional)
    * @returns {Promise<Node>} A selected child node
    */
-  async expand(node, numChildren = 2) {
+  async expand(node, numChildren = this.branchingFactor, { direction = '' } = {}) {
+    const startedAt = Date.now();
+    const existingChildren = [...node.children];
+    
     try {
-      // Generate multiple thoughts in parallel
-      const thoughtPrompts = Array(numChildren).fill().map(() => {
-        return generateThoughtPrompt(this.problem, this.context, node.content);
-      });
+      // Every thought sees the path so far and the siblings from earlier
+      // expansions, and each parallel request samples a little hotter than
+      // the one before
+      const trajectory = await this._pathContext(node);
+      const template = this._template(direction ? 'branch' : 'thought');
+      const prompt = direction
+        ? generateBranchExplorationPrompt(
+          this.problem,
+          this.context,
+          formatPath([...trajectory.path, node.content], trajectory.pathSummary),
+          direction,
+          template
+        )
+        : this._thoughtPrompt(node, trajectory, node.children.map(child => child.content));
+      const limit = createLimiter(this.maxConcurrency);
+      const selection = this.deduplicateThoughts && !direction
+        ? { existing: existingChildren, kept: [], discarded: [] }
+        : null;
       
-      const thoughts = await Promise.all(
-        thoughtPrompts.map(prompt => this.llmClient.generateCompletion(prompt))
+      // Streamed thoughts are checked for near-duplicates as soon as their
+      // streams complete, and only the thoughts kept are analyzed
+      const drafts = await Promise.all(
+        temperatureRamp(numChildren, THOUGHT_TEMPERATURE).map(temperature => limit(async () => {
+          const draft = await this._draftThought(prompt, temperature, node);
+          if (!this.streamThoughts) return draft;
+          
+          const distinct = selection ? await this._keepDistinctThought(node, draft, trajectory, selection) : draft;
+          if (distinct) distinct.analysis = await this._analyze(distinct.node);
+          return draft;
+        }))
       );
       
-      // Create and analyze child nodes
-      const childNodes = [];
+      if (selection && !this.streamThoughts) {
+        for (const draft of drafts) {
+          await this._keepDistinctThought(node, draft, trajectory, selection);
+        }
+      }
+      const { kept, discarded } = selection ? this._keepAtLeastOne(selection) : { kept: drafts, discarded: [] };
+      
+      // Create child nodes (streamed thoughts already have one), marking those
+      // the LLM says complete their path; usage is attributed to the child
+      // each thought becomes
+      const childNodes = kept.map(draft => {
+        const child = draft.node || node.addChild(draft.content);
+        child.terminal = draft.terminal;
+        child.templates.generation = templateRef(template);
+        draft.usages.forEach(usage => this._recordUsage(child, 'expansion', usage));
+        return child;
+      });
+      discarded.forEach(({ draft }) => draft.usages.forEach(usage => this._recordUsage(node, 'expansion', usage)));
+      const discardedNodes = discarded.map(({ draft }) => draft.node).filter(Boolean);
+      node.children = node.children.filter(child => !discardedNodes.includes(child));
+      
+      // Analyze content for emotional state and instinct weight. Streamed
+      // thoughts were analyzed as their streams completed; the rest are
+      // analyzed in one request when possible and one request per child otherwise
+      const unanalyzed = childNodes.filter((child, i) => !('analysis' in kept[i]));
+      const batched = await this._analyzeBatch(node, unanalyzed);
       
-      for (const thought of thoughts) {
-        // Create child node
-        const child = node.addChild(thought);
+      for (const [i, child] of childNodes.entries()) {
+        const analysis = 'analysis' in kept[i]
+          ? kept[i].analysis
+          : (batched ? batched[unanalyzed.indexOf(child)] : await this._analyze(child));
+        if (!analysis) continue;
         
-        // Analyze content for emotional state and instinct weight
-        const analysis = await this.llmClient.analyzeContent(thought);
         child.emotionalState = analysis.emotionalState / 10;
         child.instinctWeight = analysis.instinctVsAnalysis / 10;
         child.confidence = analysis.confidence / 10;
         child.perseverance = analysis.perseverance / 10;
-        
-        childNodes.push(child);
       }
       
+      this._emit('expand', {
+        nodeId: node.id,
+        childIds: childNodes.map(child => child.id),
+        prompts: kept.map(draft => draft.prompt),
+        responses: kept.map(draft => draft.response),
+        discarded: discarded.map(({ draft, similarity }) => ({ content: draft.content, similarity })),
+        ...(direction ? { direction } : {}),
+        durationMs: Date.now() - startedAt
+      });
+      
       // Sort children by instinct weight for selection
       childNodes.sort((a, b) => b.instinctWeight - a.instinctWeight);
       
@@ -176,49 +558,679 @@ Provide an initial approach or solution to this problem. Think about both analyt
       // Return a child, preferring those with higher instinct weight
       return childNodes[0];
     } catch (error) {
+      // Streamed children of a failed expansion may be half-written
+      if (this.streamThoughts) {
+        node.children = node.children.filter(child => existingChildren.includes(child));
+      }
+      
+      if (this.signal?.aborted) throw new SearchCancelledError();
       console.error('Error expanding node:', error);
+      this._emit('error', { phase: 'expand', nodeId: node.id, message: error.message, error });
       throw error;
     }
   }
 
   /**
-   * Simulate to evaluate a node
-   * @param {Node} node - The node to evaluate
-   * @returns {Promise<number>} Evaluation score
+   * Build the prompt for a new child of a node
+   * @param {Node} node - The node being expanded
+   * @param {Object} trajectory - { path, pathSummary } from _pathContext()
+   * @param {Array<string>} siblings - Thoughts the new one should differ from
+   * @returns {string} Thought prompt
+   * @private
+   */
+  _thoughtPrompt(node, { path, pathSummary }, siblings) {
+    return generateThoughtPrompt(this.problem, this.context, node.content, {
+      path,
+      pathSummary,
+      siblings,
+      allowCompletion: this.detectTerminal
+    }, this._template('thought'));
+  }
+
+  /**
+   * Generate one candidate thought
+   * With streamThoughts, the thought is written into a new child of the node
+   * being expanded as it streams in.
+   * @param {string} prompt - Thought prompt
+   * @param {number} temperature - Sampling temperature
+   * @param {Node} parent - The node being expanded
+   * @returns {Promise<Object>} { content, terminal, prompt, response, temperature,
+   *   usages }, plus the streamed child as `node` when streaming
+   * @private
+   */
+  async _draftThought(prompt, temperature, parent) {
+    const usages = [];
+    const options = this._callOptions({
+      ...this._voiceOptions(),
+      temperature,
+      onUsage: usage => usages.push(usage)
+    });
+    
+    const child = this.streamThoughts ? this._addStreamingChild(parent) : null;
+    const response = child
+      ? await this._streamCompletion(prompt, options, text => {
+        child.content += text;
+        this._emit('stream', { nodeId: child.id, parentId: parent.id, text, length: child.content.length });
+      })
+      : await this.llmClient.generateCompletion(prompt, options);
+    
+    const terminal = this.detectTerminal && response.trimStart().startsWith(COMPLETION_MARKER);
+    const draft = {
+      content: terminal ? response.trimStart().slice(COMPLETION_MARKER.length).trim() : response,
+      terminal,
+      prompt,
+      response,
+      temperature,
+      usages
+    };
+    if (!child) return draft;
+    
+    child.content = draft.content;
+    child.terminal = terminal;
+    child.streaming = false;
+    return { ...draft, node: child };
+  }
+
+  /**
+   * Add an empty child that a streamed thought is written into
+   * @param {Node} parent - The node being expanded
+   * @returns {Node} The new child, marked as streaming
+   * @private
+   */
+  _addStreamingChild(parent) {
+    const child = parent.addChild('');
+    child.streaming = true;
+    
+    // Show the child before its first words arrive
+    if (this.onUpdate) {
+      this.onUpdate(this._getCurrentTreeState());
+    }
+    
+    return child;
+  }
+
+  /**
+   * Stream a completion, or deliver it as one piece from providers that
+   * cannot stream
+   * @param {string} prompt - The prompt
+   * @param {Object} options - Request options from _callOptions()
+   * @param {Function} onText - Called with each piece of generated text
+   * @returns {Promise<string>} The complete text
+   * @private
+   */
+  async _streamCompletion(prompt, options, onText) {
+    if (typeof this.llmClient.generateStreamingCompletion === 'function') {
+      return this.llmClient.generateStreamingCompletion(prompt, options, onText);
+    }
+    
+    const text = await this.llmClient.generateCompletion(prompt, options);
+    if (text) onText(text);
+    return text;
+  }
+
+  /**
+   * Keep a candidate thought unless it nearly repeats a sibling
+   * A draft at least similarityThreshold similar to an existing child or a
+   * draft kept earlier gets one retry whose prompt lists every thought kept so
+   * far; if the retry is no more distinct, it is discarded too.
+   * @param {Node} node - The node being expanded
+   * @param {Object} draft - Draft from _draftThought()
+   * @param {Object} trajectory - { path, pathSummary } from _pathContext()
+   * @param {Object} selection - { existing, kept, discarded } of the expansion,
+   *   updated in place: the children it started with, the drafts kept so far
+   *   and the discarded { draft, similarity }
+   * @returns {Promise<Object|null>} The draft or its retry, whichever was kept,
+   *   or null if both were discarded
+   * @private
+   */
+  async _keepDistinctThought(node, draft, trajectory, selection) {
+    const { existing, kept, discarded } = selection;
+    const siblings = () => [...existing.map(child => child.content), ...kept.map(keptDraft => keptDraft.content)];
+    
+    const { similarity } = findMostSimilar(draft.content, siblings());
+    if (similarity < this.similarityThreshold) {
+      kept.push(draft);
+      return draft;
+    }
+    discarded.push({ draft, similarity });
+    
+    const retry = await this._draftThought(this._thoughtPrompt(node, trajectory, siblings()), draft.temperature, node);
+    const retrySimilarity = findMostSimilar(retry.content, siblings()).similarity;
+    if (retrySimilarity < this.similarityThreshold) {
+      kept.push(retry);
+      return retry;
+    }
+    discarded.push({ draft: retry, similarity: retrySimilarity });
+    return null;
+  }
+
+  /**
+   * Make sure an expansion keeps at least one draft, the least similar one
+   * @param {Object} selection - { kept, discarded } from _keepDistinctThought()
+   * @returns {Object} { kept, discarded }
+   * @private
+   */
+  _keepAtLeastOne({ kept, discarded }) {
+    // Better a near-duplicate than an expansion that adds nothing
+    if (kept.length === 0) {
+      const leastSimilar = discarded.reduce((best, entry) => (entry.similarity < best.similarity ? entry : best));
+      discarded.splice(discarded.indexOf(leastSimilar), 1);
+      kept.push(leastSimilar.draft);
+    }
+    
+    return { kept, discarded };
+  }
+
+  /**
+   * Collect the reasoning that led to a node
+   * The contents of the node's ancestors are included verbatim while they fit
+   * in pathTokenLimit (estimated). Beyond that, the most recent steps filling
+   * half the limit stay verbatim and the earlier ones are summarized by the
+   * LLM; the summary is kept on the last summarized ancestor for reuse.
+   * @param {Node} node - The node whose path to describe
+   * @returns {Promise<Object>} { path, pathSummary }: verbatim steps, oldest
+   *   first, and the summary of the steps before them (or null)
+   * @private
+   */
+  async _pathContext(node) {
+    const ancestors = [];
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+      ancestors.unshift(ancestor);
+    }
+    
+    const contents = ancestors.map(ancestor => ancestor.content);
+    if (estimateTokens(contents.join('\n')) <= this.pathTokenLimit) {
+      return { path: contents, pathSummary: null };
+    }
+    
+    let recentFrom = ancestors.length;
+    let recentTokens = 0;
+    while (recentFrom > 0 && recentTokens + estimateTokens(contents[recentFrom - 1]) <= this.pathTokenLimit / 2) {
+      recentFrom -= 1;
+      recentTokens += estimateTokens(contents[recentFrom]);
+    }
+    
+    const lastSummarized = ancestors[recentFrom - 1];
+    if (!lastSummarized.pathSummary) {
+      lastSummarized.pathSummary = await this._summarizePath(node, contents.slice(0, recentFrom));
+    }
+    
+    return { path: contents.slice(recentFrom), pathSummary: lastSummarized.pathSummary };
+  }
+
+  /**
+   * Ask the LLM to condense the early steps of a long path
+   * A failed summary leaves those steps out rather than stopping the search.
+   * @param {Node} node - The node being expanded (its usage pays for the summary)
+   * @param {Array<string>} steps - Steps to summarize, oldest first
+   * @returns {Promise<string|null>} Summary, or null if it could not be generated
+   * @throws {Error} Fatal provider errors and cancellation
+   * @private
+   */
+  async _summarizePath(node, steps) {
+    try {
+      const summary = await this.llmClient.generateCompletion(
+        generatePathSummaryPrompt(this.problem, steps, this._template('pathSummary')),
+        this._callOptions({
+          temperature: 0.3,
+          maxTokens: 300,
+          onUsage: usage => this._recordUsage(node, 'expansion', usage)
+        })
+      );
+      return summary.trim() || null;
+    } catch (error) {
+      if (this.signal?.aborted || isFatalProviderError(error)) throw error;
+      console.error('Error summarizing path:', error);
+      this._emit('error', { phase: 'summarize', nodeId: node.id, message: error.message, error });
+      return null;
+    }
+  }
+
+  /**
+   * Explore a branch of a node chosen by the user
+   * Adds one child that follows `direction` (or, without one, an ordinary new
+   * thought), then simulates and backpropagates it like a search step.
+   * @param {Node} node - The node to branch from
+   * @param {string} direction - What the branch should explore, e.g.
+   *   "we wait a year before launching" (optional)
+   * @param {Object} options - Exploration options
+   * @param {AbortSignal} options.signal - Cancels the exploration (optional)
+   * @returns {Promise<Object>} { child, score }; score is null if the
+   *   evaluation could not be parsed
+   * @throws {SearchCancelledError} If cancelled
+   */
+  async exploreBranch(node, direction = '', { signal } = {}) {
+    const ownsOperation = this._beginOperation(signal);
+    
+    try {
+      const child = await this.expand(node, 1, { direction: direction.trim() });
+      await this._checkpoint();
+      
+      const score = await this.simulate(child);
+      if (score !== null) {
+        this.backpropagate(child, score);
+      }
+      
+      this._recordTreeState({
+        type: 'explore',
+        selectedNodeId: node.id,
+        expandedNodeId: node.id,
+        evaluatedNodeId: child.id,
+        score,
+        ...(direction.trim() ? { direction: direction.trim() } : {})
+      });
+      
+      if (this.onUpdate) {
+        this.onUpdate(this._getCurrentTreeState());
+      }
+      
+      return { child, score };
+    } finally {
+      if (ownsOperation) this._endOperation();
+    }
+  }
+
+  /**
+   * Simulate where a node leads and score it
+   * Plays the node's approach forward rolloutDepth steps with the LLM, then
+   * scores the approach together with how it played out. Several rollouts are
+   * averaged; node.rollouts keeps them and node.scoreBreakdown holds the last
+   * one's scores. With a rollout depth of 0, or in pairwise mode where
+   * siblings are compared as written, the node is evaluated directly.
+   * @param {Node} node - The node to simulate from
+   * @returns {Promise<number|null>} Mean score of the rollouts, or null if none
+   *   of them could be scored
    */
   async simulate(node) {
+    if (this.rolloutDepth === 0 || this.evaluationMode === 'pairwise') {
+      node.rollouts = [];
+      return this.evaluate(node);
+    }
+    
+    // Rollouts are independent, so they are played out in parallel
+    const limit = createLimiter(this.maxConcurrency);
+    const played = await Promise.all(
+      Array(this.rolloutsPerSimulation).fill().map((_, i) => limit(() => this._rollout(node, i)))
+    );
+    
+    // Scored one at a time so each evaluation sees the judges' full concurrency
+    const rollouts = [];
+    for (const steps of played) {
+      rollouts.push({ steps, score: await this.evaluate(node, { rollout: steps }) });
+    }
+    node.rollouts = rollouts;
+    
+    const scores = rollouts.map(rollout => rollout.score).filter(score => score !== null);
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  /**
+   * Play a node's approach forward with the LLM
+   * A step that fails ends the rollout early; the steps so far are still scored.
+   * @param {Node} node - The node to play forward
+   * @param {number} index - Which of the simulation's rollouts this is
+   * @returns {Promise<Array<string>>} Imagined steps, oldest first
+   * @throws {SearchCancelledError} If the search is cancelled
+   * @throws {Error} Fatal provider errors
+   * @private
+   */
+  async _rollout(node, index) {
+    const startedAt = Date.now();
+    const steps = [];
+    const template = this._template('rollout');
+    node.templates.rollout = templateRef(template);
+    
+    while (steps.length < this.rolloutDepth) {
+      await this._checkpoint();
+      
+      const prompt = generateRolloutPrompt(this.problem, this.context, node.content, steps, template);
+      try {
+        steps.push(await this.llmClient.generateCompletion(prompt, this._callOptions({
+          ...this._voiceOptions(),
+          temperature: this.rolloutTemperature,
+          onUsage: usage => this._recordUsage(node, 'rollout', usage)
+        })));
+      } catch (error) {
+        if (this.signal?.aborted) throw new SearchCancelledError();
+        console.error('Error rolling out node:', error);
+        this._emit('error', { phase: 'rollout', nodeId: node.id, message: error.message, error });
+        if (isFatalProviderError(error)) throw error;
+        break;
+      }
+    }
+    
+    this._emit('rollout', { nodeId: node.id, index, steps, durationMs: Date.now() - startedAt });
+    return steps;
+  }
+
+  /**
+   * Score a node's approach with the LLM
+   * With absolute scoring, the LLM scores every rubric criterion; the weighted
+   * mean of those scores, mapped to 1-10, is the node's score and the breakdown
+   * is kept in node.scoreBreakdown. In pairwise mode the node is compared with
+   * its siblings instead (see _evaluatePairwise).
+   * @param {Node} node - The node to evaluate
+   * @param {Object} options - Evaluation options
+   * @param {Array<string>} options.rollout - Simulated steps of following the
+   *   approach, judged along with it (absolute scoring only)
+   * @returns {Promise<number|null>} Evaluation score, or null if the response
+   *   could not be parsed (recorded in node.parseFailures.evaluation)
+   */
+  async evaluate(node, { rollout = [] } = {}) {
+    // Comparisons need a sibling; a node without one gets an absolute score
+    if (this.evaluationMode === 'pairwise' && node.parent && node.parent.children.length > 1) {
+      return this._evaluatePairwise(node);
+    }
+    
+    const startedAt = Date.now();
+    
+    // Create evaluation prompt
+    const rubric = this.rubric;
+    const template = this._template('evaluation');
+    const evalPrompt = generateEvaluationPrompt(
+      this.problem,
+      this.context, 
+      node.content,
+      rubric,
+      rollout,
+      template
+    );
+    node.templates.evaluation = templateRef(template);
+    
     try {
-      // Create evaluation prompt
-      const evalPrompt = generateEvaluationPrompt(
-        this.problem,
-        this.context, 
-        node.content
+      // Every judge scores the approach on its own
+      const judges = this.judgeModels.length > 0 ? this.judgeModels : [null];
+      const limit = createLimiter(this.maxConcurrency);
+      const verdicts = await Promise.all(judges.map(model => limit(() =>
+        this._judge(node, evalPrompt, rubric, model)
+          .catch(error => ({ model: model || this.llmClient.defaultModel || null, error }))
+      )));
+      
+      const valid = this._usableVerdicts(verdicts);
+      delete node.parseFailures.evaluation;
+      delete node.requestFailures.evaluation;
+      
+      // Combine each criterion across judges, then weight the criteria
+      const scores = Object.fromEntries(rubric.criteria.map(({ id }) => [
+        id,
+        combineScores(valid.map(verdict => verdict.scores[id]), this.judgeAggregation)
+      ]));
+      const aggregate = aggregateScores(scores, rubric);
+      const judgeScores = verdicts.map(verdict => (verdict.error ? null : aggregateScores(verdict.scores, rubric)));
+      
+      // Disagreement is measured on the 1-10 search scale so UCT can compare nodes
+      node.scoreVariance = scoreVariance(
+        judgeScores.filter(score => score !== null).map(score => toSearchScore(score, rubric.scale))
       );
+      node.scoreBreakdown = {
+        criteria: rubric.criteria.map(({ id, name, weight }) => ({ id, name, weight, score: scores[id] })),
+        scale: rubric.scale,
+        score: aggregate,
+        judges: verdicts.map((verdict, i) => (verdict.error
+          ? { model: verdict.model, error: verdict.error.message }
+          : { model: verdict.model, scores: verdict.scores, score: judgeScores[i] })),
+        aggregation: this.judgeAggregation,
+        variance: node.scoreVariance
+      };
       
-      // Get evaluation from LLM
-      const evaluation = await this.llmClient.generateCompletion(evalPrompt, {
-        temperature: 0.3,
-        maxTokens: 10
+      const rawScore = toSearchScore(aggregate, rubric.scale);
+      
+      let score = rawScore;
+      const perseveranceBonus = this._showsPerseverance(node.content);
+      
+      // Apply perseverance bonus
+      if (perseveranceBonus) {
+        score *= (1 + node.perseveranceFactor);
+      }
+      
+      this._emit('evaluate', {
+        nodeId: node.id,
+        prompt: evalPrompt,
+        response: valid[0].response,
+        scores,
+        judges: node.scoreBreakdown.judges,
+        variance: node.scoreVariance,
+        rawScore,
+        perseveranceBonus,
+        score,
+        durationMs: Date.now() - startedAt
       });
       
-      // Extract score from evaluation (1-10)
-      const match = evaluation.match(/(\d+)/);
-      let score = 5; // Default middle score
+      return score;
+    } catch (error) {
+      return this._evaluationFailed(node, error, { prompt: evalPrompt, startedAt });
+    }
+  }
+
+  /**
+   * Evaluate a node by comparing it head-to-head with its siblings
+   * Every judge compares the node with up to comparisonsPerEvaluation siblings,
+   * preferring those it has been compared with least. The comparisons are kept
+   * on the parent and rate all siblings; the node's rating, mapped to 1-10, is
+   * its score.
+   * @param {Node} node - The node to evaluate (must have siblings)
+   * @returns {Promise<number|null>} Evaluation score, or null if no comparison
+   *   could be parsed (recorded in node.parseFailures.evaluation)
+   * @private
+   */
+  async _evaluatePairwise(node) {
+    const startedAt = Date.now();
+    const parent = node.parent;
+    
+    const timesCompared = sibling => parent.comparisons.filter(({ a, b }) =>
+      (a === node.id && b === sibling.id) || (a === sibling.id && b === node.id)
+    ).length;
+    const opponents = parent.children
+      .filter(sibling => sibling !== node)
+      .map(sibling => ({ sibling, count: timesCompared(sibling) }))
+      .sort((x, y) => x.count - y.count)
+      .slice(0, this.comparisonsPerEvaluation)
+      .map(({ sibling }) => sibling);
+    
+    try {
+      const judges = this.judgeModels.length > 0 ? this.judgeModels : [null];
+      const limit = createLimiter(this.maxConcurrency);
+      const verdicts = await Promise.all(opponents.flatMap(opponent => judges.map(model => limit(() =>
+        this._compare(node, opponent, model)
+          .catch(error => ({ opponent, model: model || this.llmClient.defaultModel || null, error }))
+      ))));
       
-      if (match) {
-        score = Math.min(10, Math.max(1, parseInt(match[0], 10)));
+      const valid = this._usableVerdicts(verdicts);
+      delete node.parseFailures.evaluation;
+      delete node.requestFailures.evaluation;
+      
+      for (const { opponent, model, result } of valid) {
+        parent.comparisons.push({ a: node.id, b: opponent.id, result, model });
       }
+      this._updateRatings(parent);
+      
+      const rawScore = ratingToScore(node.rating, this.ratingSystem);
+      
+      let score = rawScore;
+      const perseveranceBonus = this._showsPerseverance(node.content);
       
       // Apply perseverance bonus
-      if (this._showsPerseverance(node.content)) {
+      if (perseveranceBonus) {
         score *= (1 + node.perseveranceFactor);
       }
       
+      this._emit('evaluate', {
+        nodeId: node.id,
+        mode: 'pairwise',
+        comparisons: verdicts.map(({ opponent, model, result, error }) => (error
+          ? { opponentId: opponent.id, model, error: error.message }
+          : { opponentId: opponent.id, model, result })),
+        rating: node.rating,
+        rawScore,
+        perseveranceBonus,
+        score,
+        durationMs: Date.now() - startedAt
+      });
+      
       return score;
     } catch (error) {
-      console.error('Error simulating node:', error);
-      return 5; // Default middle score on error
+      return this._evaluationFailed(node, error, { mode: 'pairwise', startedAt });
+    }
+  }
+
+  /**
+   * Ask one judge model which of two sibling nodes is better
+   * @param {Node} node - The node being evaluated
+   * @param {Node} opponent - Sibling it is compared with
+   * @param {string|null} model - Judge model, or null for the provider's default model
+   * @returns {Promise<Object>} { opponent, model, result, response } where result
+   *   is 1 if the node won, 0 if it lost and 0.5 for a tie
+   * @throws {StructuredOutputError} If the judge's response could not be parsed
+   * @private
+   */
+  async _compare(node, opponent, model) {
+    // Show the pair in random order so position bias favors neither node
+    const swapped = Math.random() < 0.5;
+    const [first, second] = swapped ? [opponent, node] : [node, opponent];
+    const template = this._template('pairwise');
+    const prompt = generatePairwiseComparisonPrompt(
+      this.problem,
+      this.context,
+      first.content,
+      second.content,
+      this.rubric,
+      template
+    );
+    node.templates.evaluation = templateRef(template);
+    
+    const { value, response } = await generateStructured(
+      this.llmClient,
+      prompt,
+      COMPARISON_SCHEMA,
+      this._callOptions({
+        ...(model ? { model } : {}),
+        schemaName: 'comparison',
+        repairTemplate: this._template('repair'),
+        coerce: toComparison,
+        temperature: 0.3,
+        maxTokens: 50,
+        onUsage: usage => this._recordUsage(node, 'evaluation', usage)
+      })
+    );
+    
+    const firstWon = value.winner === 'A';
+    const result = value.winner === 'tie' ? 0.5 : (firstWon !== swapped ? 1 : 0);
+    
+    return { opponent, model: model || this.llmClient.defaultModel || null, result, response };
+  }
+
+  /**
+   * Re-rate a node's children from all comparisons between them
+   * Ratings are recomputed from the full history so they stay consistent when
+   * the rating system changes between runs.
+   * @param {Node} parent - Node whose children were compared
+   * @private
+   */
+  _updateRatings(parent) {
+    const compared = parent.children.filter(child =>
+      parent.comparisons.some(({ a, b }) => a === child.id || b === child.id)
+    );
+    
+    if (this.ratingSystem === 'bradleyTerry') {
+      const strengths = fitBradleyTerry(compared.map(child => child.id), parent.comparisons);
+      compared.forEach(child => { child.rating = strengths[child.id]; });
+      return;
+    }
+    
+    const ratings = Object.fromEntries(compared.map(child => [child.id, INITIAL_ELO]));
+    for (const { a, b, result } of parent.comparisons) {
+      if (!(a in ratings) || !(b in ratings)) continue;
+      [ratings[a], ratings[b]] = updateElo(ratings[a], ratings[b], result);
+    }
+    compared.forEach(child => { child.rating = ratings[child.id]; });
+  }
+
+  /**
+   * Pick the judge verdicts an evaluation can use
+   * @param {Array<Object>} verdicts - Results of every judge call ({ error } if it failed)
+   * @returns {Array<Object>} Verdicts without errors
+   * @throws {Error} The first cancellation or configuration error from any judge,
+   *   or the first judge's error if no judge succeeded
+   * @private
+   */
+  _usableVerdicts(verdicts) {
+    // Cancellation and configuration errors stop the search whichever judge hit them
+    const fatal = verdicts.find(({ error }) => error && (error.name === 'AbortError' || isFatalProviderError(error)));
+    if (fatal) throw fatal.error;
+    
+    // The remaining judges decide; if none succeeded, fail like a single judge
+    const valid = verdicts.filter(verdict => !verdict.error);
+    if (valid.length === 0) throw verdicts[0].error;
+    
+    return valid;
+  }
+
+  /**
+   * Handle an evaluation that failed
+   * The failure is recorded on the node rather than replaced by a made-up
+   * score, and the null score is not backpropagated.
+   * @param {Node} node - The node being evaluated
+   * @param {Error} error - The error
+   * @param {Object} details - Fields added to the evaluate event (prompt or mode)
+   *   plus startedAt, when the evaluation started
+   * @returns {null} No score
+   * @throws {SearchCancelledError} If the search was cancelled
+   * @throws {Error} Fatal provider errors
+   * @private
+   */
+  _evaluationFailed(node, error, { startedAt, ...details }) {
+    if (this.signal?.aborted) throw new SearchCancelledError();
+    
+    // Failing every evaluation would hide a broken configuration
+    if (isFatalProviderError(error)) {
+      this._emit('error', { phase: 'evaluation', nodeId: node.id, message: error.message, error });
+      throw error;
     }
+    
+    const parseFailed = error instanceof StructuredOutputError;
+    this._recordFailure(node, 'evaluation', error);
+    this._emit('evaluate', {
+      nodeId: node.id,
+      ...details,
+      ...(parseFailed ? { response: error.response } : {}),
+      rawScore: null,
+      perseveranceBonus: false,
+      score: null,
+      ...(parseFailed ? { parseFailed: true } : { requestFailed: true }),
+      durationMs: Date.now() - startedAt
+    });
+    return null;
+  }
+
+  /**
+   * Ask one judge model to score a node against the rubric
+   * @param {Node} node - The node being evaluated
+   * @param {string} prompt - Evaluation prompt
+   * @param {Object} rubric - Normalized rubric
+   * @param {string|null} model - Judge model, or null for the provider's default model
+   * @returns {Promise<Object>} { model, scores, response }
+   * @throws {StructuredOutputError} If the judge's response could not be parsed
+   * @private
+   */
+  async _judge(node, prompt, rubric, model) {
+    // Get evaluation as { scores: { [criterion]: score within the rubric's scale } }
+    const { value, response } = await generateStructured(
+      this.llmClient,
+      prompt,
+      getRubricEvaluationSchema(rubric),
+      this._callOptions({
+        ...(model ? { model } : {}),
+        schemaName: 'evaluation',
+        coerce: toRubricScores(rubric),
+        repairTemplate: this._template('repair'),
+        temperature: 0.3,
+        maxTokens: 40 + 20 * rubric.criteria.length,
+        onUsage: usage => this._recordUsage(node, 'evaluation', usage)
+      })
+    );
+    
+    return { model: model || this.llmClient.defaultModel || null, scores: value.scores, response };
   }
 
   /**
@@ -227,9 +1239,11 @@ Provide an initial approach or solution to this problem. Think about both analyt
    * @param {number} score - The evaluation score
    */
   backpropagate(node, score) {
+    const updatedNodeIds = [];
     let current = node;
     
     while (current) {
+      updatedNodeIds.push(current.id);
       current.visits += 1;
       current.value += score;
       
@@ -241,42 +1255,80 @@ Provide an initial approach or solution to this problem. Think about both analyt
       
       current = current.parent;
     }
+    
+    this._emit('backpropagate', { nodeId: node.id, score, updatedNodeIds });
   }
 
   /**
    * Perform the MCTS search
    * @param {number} numSimulations - Number of simulations to run
+   * @param {Object} options - Search options
+   * @param {AbortSignal} options.signal - Signal that cancels the search
    * @returns {Promise<Node>} The best node found
+   * @throws {SearchCancelledError} If the search is cancelled
    */
-  async search(numSimulations = 10) {
-    for (let i = 0; i < numSimulations; i++) {
-      // Select node
-      let leaf = this.select();
-      
-      // If not fully expanded, expand it
-      if (leaf.children.length < 2) {
-        leaf = await this.expand(leaf);
-      }
-      
-      // Simulate from this leaf
-      const score = await this.simulate(leaf);
-      
-      // Backpropagate the score
-      this.backpropagate(leaf, score);
-      
-      // Record tree state
-      this._recordTreeState();
-      
-      // Update UI if callback is provided
-      if (this.onUpdate) {
-        this.onUpdate(this._getCurrentTreeState());
+  async search(numSimulations = 10, { signal } = {}) {
+    const ownsOperation = this._beginOperation(signal);
+    
+    try {
+      for (let i = 0; i < numSimulations; i++) {
+        await this._simulate();
       }
+    } finally {
+      if (ownsOperation) this._endOperation();
     }
     
     // Return the best child of the root
     return this.getBestNode();
   }
 
+  /**
+   * Run a single select/expand/simulate/backpropagate iteration
+   * Pauses and cancellation take effect before selection and before evaluation.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _simulate() {
+    await this._checkpoint();
+    
+    // Select node
+    let leaf = this.select();
+    const selectedNodeId = leaf.id;
+    let expandedNodeId = null;
+    
+    // If it has room for more children, expand it
+    if (this._canExpand(leaf)) {
+      expandedNodeId = leaf.id;
+      leaf = await this.expand(leaf, Math.min(this.branchingFactor, this._childLimit(leaf) - leaf.children.length));
+      await this._checkpoint();
+    }
+    
+    // Play the leaf forward and score where it leads; a complete path that has
+    // been scored already keeps its mean score instead of paying for another
+    const score = leaf.terminal && leaf.visits > 0
+      ? leaf.value / leaf.visits
+      : await this.simulate(leaf);
+    
+    // Backpropagate the score (an unparsable evaluation leaves the tree unchanged)
+    if (score !== null) {
+      this.backpropagate(leaf, score);
+    }
+    
+    // Record tree state
+    this._recordTreeState({
+      type: 'simulation',
+      selectedNodeId,
+      expandedNodeId,
+      evaluatedNodeId: leaf.id,
+      score
+    });
+    
+    // Update UI if callback is provided
+    if (this.onUpdate) {
+      this.onUpdate(this._getCurrentTreeState());
+    }
+  }
+
   /**
    * Get the best node based on visits
    * @returns {Node} The best node
@@ -297,41 +1349,615 @@ Provide an initial approach or solution to this problem. Think about both analyt
   }
 
   /**
-   * Run a complete simulation
-   * @param {number} iterations - Number of iterations
-   * @param {number} simulationsPerIteration - Simulations per iteration
-   * @returns {Promise<Object>} Simulation results
+   * Rank the leaves of the tree as candidates for the final recommendation
+   * Leaves are ordered by visits, then mean score, then emotional state.
+   * @param {number} count - Maximum number of leaves (default: recommendationSize)
+   * @returns {Array<Node>} The top leaves, best first
    */
-  async simulate(iterations = 3, simulationsPerIteration = 5) {
-    if (!this.root) {
-      await this.initialize();
+  getTopLeaves(count = this.recommendationSize) {
+    if (!this.root) return [];
+    
+    const meanScore = node => (node.visits > 0 ? node.value / node.visits : 0);
+    
+    return this.root.getAllNodes()
+      .filter(node => node.children.length === 0)
+      .sort((a, b) => (b.visits - a.visits) ||
+        (meanScore(b) - meanScore(a)) ||
+        (b.emotionalState - a.emotionalState))
+      .slice(0, count);
+  }
+
+  /**
+   * Synthesize a final recommendation from the top leaves of the tree
+   * The LLM combines the leaves into an action plan with risks and a
+   * conviction level, and names the leaves it drew on so the recommendation
+   * links back to them.
+   * @param {Object} options - Recommendation options
+   * @param {number} options.topK - Leaves to synthesize from (default: recommendationSize)
+   * @param {AbortSignal} options.signal - Signal that cancels the request
+   * @returns {Promise<Object|null>} { summary, actionPlan, risks: [{ risk, mitigation }],
+   *   conviction (1-10), candidates: [nodeId], sources: [{ approach, nodeId }],
+   *   template, createdAt }, also kept as `recommendation`; null if there is no
+   *   tree yet or the response could not be used
+   * @throws {SearchCancelledError} If cancelled
+   * @throws {Error} Fatal provider errors
+   */
+  async recommend({ topK = this.recommendationSize, signal } = {}) {
+    const leaves = this.getTopLeaves(topK);
+    if (leaves.length === 0) return null;
+    
+    const ownsOperation = this._beginOperation(signal);
+    const startedAt = Date.now();
+    const template = this._template('finalRecommendation');
+    const prompt = generateFinalRecommendationPrompt(
+      this.problem,
+      this.context,
+      leaves.map(leaf => leaf.content),
+      template
+    );
+    
+    try {
+      const { value } = await generateStructured(
+        this.llmClient,
+        prompt,
+        RECOMMENDATION_SCHEMA,
+        this._callOptions({
+          schemaName: 'recommendation',
+          repairTemplate: this._template('repair'),
+          temperature: 0.5,
+          maxTokens: 1000,
+          onUsage: usage => this._recordUsage(this.root, 'recommendation', usage)
+        })
+      );
+      
+      // Approach numbers the model made up are dropped rather than guessed at
+      const sources = [...new Set(value.sources)]
+        .filter(approach => approach <= leaves.length)
+        .map(approach => ({ approach, nodeId: leaves[approach - 1].id }));
+      
+      this.recommendation = {
+        summary: value.summary,
+        actionPlan: value.actionPlan,
+        risks: value.risks.map(({ risk, mitigation }) => ({ risk, mitigation })),
+        conviction: value.conviction,
+        candidates: leaves.map(leaf => leaf.id),
+        sources,
+        template: templateRef(template),
+        createdAt: Date.now()
+      };
+      
+      this._emit('recommend', {
+        nodeIds: this.recommendation.candidates,
+        sourceNodeIds: sources.map(source => source.nodeId),
+        conviction: value.conviction,
+        durationMs: Date.now() - startedAt
+      });
+      
+      return this.recommendation;
+    } catch (error) {
+      if (this.signal?.aborted) throw new SearchCancelledError();
+      
+      // The search goes without a recommendation rather than a made-up one
+      if (error instanceof StructuredOutputError) {
+        this._emit('recommend', {
+          nodeIds: leaves.map(leaf => leaf.id),
+          response: error.response,
+          parseFailed: true,
+          durationMs: Date.now() - startedAt
+        });
+      } else {
+        console.error('Error synthesizing recommendation:', error);
+      }
+      this._emit('error', { phase: 'recommend', nodeId: null, message: error.message, error });
+      
+      if (isFatalProviderError(error)) throw error;
+      return null;
+    } finally {
+      if (ownsOperation) this._endOperation();
     }
+  }
+
+  /**
+   * Run a complete search
+   * @param {Object} options - Run options
+   * @param {number} options.iterations - Number of iterations (default: 3)
+   * @param {number} options.simulationsPerIteration - Simulations per iteration (default: 5)
+   * @param {AbortSignal} options.signal - Signal that cancels the run
+   * @param {Object} options.budget - Limits for this run (see src/core/budget.js):
+   *   maxTokens, maxCost (USD), maxTimeMs and maxCalls. Budgets are checked
+   *   between steps, so a run can overshoot by the calls of one step.
+   * @param {boolean} options.bypassCache - Ignore cached responses for this run
+   *   when the provider has a response cache (fresh responses are still cached)
+   * @param {boolean} options.synthesize - Finish by synthesizing a recommendation
+   *   from the top leaves (see recommend()), unless the run was stopped early
+   * @returns {Promise<Object>} Run results. `cancelled` is true when the run was
+   *   cancelled and `budgetExceeded` describes the budget that stopped it; in
+   *   both cases the best node is the current most-visited leaf.
+   *   `recommendation` is null unless one was synthesized.
+   */
+  async run({
+    iterations = 3,
+    simulationsPerIteration = 5,
+    signal,
+    budget = {},
+    bypassCache = false,
+    synthesize = false
+  } = {}) {
+    const ownsOperation = this._beginOperation(signal);
+    const usageAtStart = sumUsage(this.usage);
+    
+    this._budget = {
+      limits: normalizeBudget(budget),
+      startedAt: Date.now(),
+      tokens: usageAtStart.totalTokens,
+      cost: usageAtStart.cost,
+      calls: this.llmCalls
+    };
+    this._bypassCache = bypassCache;
+    
+    // A recommendation from an earlier run no longer describes the tree
+    this.recommendation = null;
     
     let bestNode = this.root;
     let bestScore = -Infinity;
+    let cancelled = false;
+    let budgetExceeded = null;
     
-    for (let i = 0; i < iterations; i++) {
-      // Run a batch of simulations
-      await this.search(simulationsPerIteration);
+    try {
+      if (!this.root) {
+        await this.initialize();
+        bestNode = this.root;
+      }
       
-      // Evaluate the current best node
-      const currentBest = this.getBestNode();
-      const score = await this.simulate(currentBest);
+      for (let i = 0; i < iterations; i++) {
+        const startedAt = Date.now();
+        
+        // Run a batch of simulations
+        for (let j = 0; j < simulationsPerIteration; j++) {
+          await this._simulate();
+        }
+        await this._checkpoint();
+        
+        // Evaluate the current best node
+        const currentBest = this.getBestNode();
+        const score = await this.evaluate(currentBest);
+        
+        // Update best if improved
+        if (score !== null && score > bestScore) {
+          bestScore = score;
+          bestNode = currentBest;
+        }
+        
+        this._emit('iterationComplete', {
+          iteration: i + 1,
+          iterations,
+          simulationsPerIteration,
+          currentBestNodeId: currentBest.id,
+          currentBestScore: score,
+          bestNodeId: bestNode.id,
+          bestScore,
+          durationMs: Date.now() - startedAt
+        });
+      }
       
-      // Update best if improved
-      if (score > bestScore) {
-        bestScore = score;
+      if (synthesize) {
+        await this._checkpoint();
+        await this.recommend();
+      }
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        budgetExceeded = error.exceeded;
+      } else if (error instanceof SearchCancelledError) {
+        cancelled = true;
+      } else {
+        throw error;
+      }
+      
+      // Report the current best rather than the last evaluated one
+      const currentBest = this.getBestNode();
+      if (currentBest !== bestNode) {
         bestNode = currentBest;
+        bestScore = null;
       }
+    } finally {
+      this._budget = null;
+      this._bypassCache = false;
+      if (ownsOperation) this._endOperation();
     }
     
     return {
-      bestApproach: bestNode.content,
+      bestApproach: bestNode ? bestNode.content : '',
       bestNode: bestNode,
-      bestScore: bestScore,
+      bestScore: bestScore === -Infinity ? null : bestScore,
+      cancelled,
+      budgetExceeded,
+      recommendation: this.recommendation,
+      usage: this.getUsageSummary(),
+      treeHistory: this.treeHistory,
+      finalTree: this.root ? this._getCurrentTreeState() : null
+    };
+  }
+
+  /**
+   * Get the token usage and cost of the search so far
+   * @returns {Object} Usage summary with `total` and `byPhase` usage records
+   */
+  getUsageSummary() {
+    return {
+      total: sumUsage(this.usage),
+      byPhase: { ...this.usage }
+    };
+  }
+
+  /**
+   * Get the search configuration
+   * @returns {Object} Configuration parameters (without the LLM client)
+   */
+  getConfig() {
+    return {
+      problem: this.problem,
+      context: this.context,
+      explorationWeight: this.explorationWeight,
+      instinctRatio: this.instinctRatio,
+      confidenceBias: this.confidenceBias,
+      perseveranceFactor: this.perseveranceFactor,
+      uncertaintyWeight: this.uncertaintyWeight,
+      rubric: normalizeRubric(this.rubric),
+      judgeModels: [...this.judgeModels],
+      judgeAggregation: this.judgeAggregation,
+      evaluationMode: this.evaluationMode,
+      ratingSystem: this.ratingSystem,
+      comparisonsPerEvaluation: this.comparisonsPerEvaluation,
+      rolloutDepth: this.rolloutDepth,
+      rolloutTemperature: this.rolloutTemperature,
+      rolloutsPerSimulation: this.rolloutsPerSimulation,
+      branchingFactor: this.branchingFactor,
+      maxDepth: this.maxDepth,
+      progressiveWidening: this.progressiveWidening,
+      wideningCoefficient: this.wideningCoefficient,
+      wideningExponent: this.wideningExponent,
+      detectTerminal: this.detectTerminal,
+      deduplicateThoughts: this.deduplicateThoughts,
+      similarityThreshold: this.similarityThreshold,
+      pathTokenLimit: this.pathTokenLimit,
+      promptTemplates: normalizePromptTemplates(this.promptTemplates),
+      persona: this.persona,
+      systemPrompt: this.systemPrompt,
+      recommendationSize: this.recommendationSize
+    };
+  }
+
+  /**
+   * Serialize the search so it can be saved and resumed later
+   * @returns {Object} Serialized search
+   */
+  toJSON() {
+    return {
+      version: SERIALIZATION_VERSION,
+      config: this.getConfig(),
+      root: this.root ? this.root.toJSON() : null,
+      selectedNodeId: this.selectedNode ? this.selectedNode.id : null,
       treeHistory: this.treeHistory,
-      finalTree: this._getCurrentTreeState()
+      usage: this.usage,
+      recommendation: this.recommendation,
+      savedAt: Date.now()
+    };
+  }
+
+  /**
+   * Rebuild a search from serialized data
+   * @param {Object} data - Serialized search from toJSON()
+   * @param {Object} llmClient - LLM provider used to continue the search
+   * @returns {InstinctMCTS} The restored search
+   */
+  static fromJSON(data, llmClient = null) {
+    if (!data || typeof data !== 'object' || !data.config) {
+      throw new TypeError('Cannot deserialize search: missing configuration');
+    }
+    
+    if (data.version > SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported search format version: ${data.version}`);
+    }
+    
+    const mcts = new InstinctMCTS({ ...data.config, llmClient });
+    
+    if (data.root) {
+      mcts.root = Node.fromJSON(data.root);
+      mcts.selectedNode = data.selectedNodeId
+        ? mcts.root.findNodeById(data.selectedNodeId)
+        : null;
+    }
+    
+    mcts.treeHistory = Array.isArray(data.treeHistory) ? data.treeHistory : [];
+    mcts.usage = data.usage && typeof data.usage === 'object' ? { ...data.usage } : {};
+    mcts.recommendation = data.recommendation || null;
+    
+    return mcts;
+  }
+
+  /**
+   * Analyze a node's content for emotional state and instinct indicators
+   * @param {Node} node - The node to analyze
+   * @returns {Promise<Object|null>} Analysis results, or null if the request
+   *   failed or its response could not be parsed (recorded on the node)
+   * @private
+   */
+  async _analyze(node) {
+    const startedAt = Date.now();
+    let analysis = null;
+    let failure = {};
+    
+    try {
+      const template = this._template('analysis');
+      node.templates.analysis = templateRef(template);
+      analysis = await this.llmClient.analyzeContent(node.content, this._callOptions({
+        template,
+        repairTemplate: this._template('repair'),
+        onUsage: usage => this._recordUsage(node, 'analysis', usage)
+      }));
+      delete node.parseFailures.analysis;
+      delete node.requestFailures.analysis;
+    } catch (error) {
+      if (this.signal?.aborted || isFatalProviderError(error)) throw error;
+      this._recordFailure(node, 'analysis', error);
+      failure = error instanceof StructuredOutputError ? { parseFailed: true } : { requestFailed: true };
+    }
+    
+    this._emit('analyze', {
+      nodeId: node.id,
+      analysis,
+      ...failure,
+      durationMs: Date.now() - startedAt
+    });
+    
+    return analysis;
+  }
+
+  /**
+   * Flag a node whose LLM response could not be parsed, or whose request failed
+   * @param {Node} node - The node the response was about
+   * @param {string} phase - 'analysis' or 'evaluation'
+   * @param {Error} error - StructuredOutputError for an unparsable response,
+   *   otherwise the error of the failed request
+   * @private
+   */
+  _recordFailure(node, phase, error) {
+    if (error instanceof StructuredOutputError) {
+      node.parseFailures[phase] = {
+        errors: error.errors,
+        response: error.response,
+        attempts: error.attempts
+      };
+    } else {
+      console.error(`Error during ${phase}:`, error);
+      node.requestFailures[phase] = { error: error.name, message: error.message };
+    }
+    this._emit('error', { phase, nodeId: node.id, message: error.message, error });
+  }
+
+  /**
+   * Analyze sibling nodes in a single request
+   * The usage of the request is recorded on the parent, since it cannot be
+   * split between the children.
+   * @param {Node} parent - The node whose children are analyzed
+   * @param {Array<Node>} nodes - The nodes to analyze
+   * @returns {Promise<Array<Object>|null>} Analysis results in node order, or
+   *   null if batching is off or unsupported, or the batch failed
+   * @private
+   */
+  async _analyzeBatch(parent, nodes) {
+    if (!this.batchAnalysis || nodes.length < 2 || typeof this.llmClient.analyzeContentBatch !== 'function') {
+      return null;
+    }
+    
+    const startedAt = Date.now();
+    const template = this._template('batchAnalysis');
+    const analyses = await this.llmClient.analyzeContentBatch(
+      nodes.map(node => node.content),
+      this._callOptions({
+        template,
+        repairTemplate: this._template('repair'),
+        onUsage: usage => this._recordUsage(parent, 'analysis', usage)
+      })
+    );
+    if (!analyses) return null;
+    
+    nodes.forEach(node => {
+      node.templates.analysis = templateRef(template);
+    });
+    
+    const durationMs = Date.now() - startedAt;
+    nodes.forEach((node, i) => {
+      this._emit('analyze', {
+        nodeId: node.id,
+        analysis: analyses[i],
+        batchSize: nodes.length,
+        durationMs
+      });
+    });
+    
+    return analyses;
+  }
+
+  /**
+   * Get the prompt template this run uses
+   * @param {string} id - Template id
+   * @returns {Object} The run's custom template, or the built-in one
+   * @private
+   */
+  _template(id) {
+    return getPromptTemplate(id, this.promptTemplates);
+  }
+
+  /**
+   * Request options that make the LLM write in the run's voice
+   * Only thoughts and rollouts use it; analysis and evaluation stay neutral,
+   * and a persona's judgement comes from its rubric instead.
+   * @returns {Object} { systemPrompt } or an empty object
+   * @private
+   */
+  _voiceOptions() {
+    return this.systemPrompt ? { systemPrompt: this.systemPrompt } : {};
+  }
+
+  /**
+   * Build the options for an LLM call
+   * Every request the provider reports through `onRequest` counts toward the
+   * call budget; responses replayed from a cache cost nothing.
+   * @param {Object} options - Request options
+   * @returns {Object} Options with the current abort signal and cache mode
+   * @private
+   */
+  _callOptions(options = {}) {
+    const callOptions = {
+      ...options,
+      signal: this.signal,
+      onRequest: () => {
+        this.llmCalls += 1;
+      }
     };
+    if (this._bypassCache) callOptions.bypassCache = true;
+    return callOptions;
+  }
+
+  /**
+   * Throw if the current run has reached one of its budgets
+   * @throws {BudgetExceededError} If a budget has been reached
+   * @private
+   */
+  _checkBudget() {
+    if (!this._budget) return;
+    
+    const usage = sumUsage(this.usage);
+    const exceeded = findExceededBudget(this._budget.limits, {
+      tokens: usage.totalTokens - this._budget.tokens,
+      cost: usage.cost - this._budget.cost,
+      timeMs: Date.now() - this._budget.startedAt,
+      calls: this.llmCalls - this._budget.calls
+    });
+    
+    if (exceeded) {
+      this._emit('budgetExceeded', exceeded);
+      throw new BudgetExceededError(exceeded);
+    }
+  }
+
+  /**
+   * Price a call's token usage and attribute it to a node and phase
+   * @param {Node} node - Node the call was made for
+   * @param {string} phase - Usage phase (see USAGE_PHASES)
+   * @param {Object} usage - Usage reported by the provider
+   * @private
+   */
+  _recordUsage(node, phase, usage) {
+    const cost = priceUsage(usage, this.pricing[usage.model] || null);
+    
+    node.usage = { ...node.usage, [phase]: addUsage(node.usage[phase], usage, cost) };
+    this.usage = { ...this.usage, [phase]: addUsage(this.usage[phase], usage, cost) };
+    
+    this._emit('usage', {
+      nodeId: node.id,
+      phase,
+      model: usage.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      cost
+    });
+  }
+
+  /**
+   * Start a cancellable operation unless one is already in progress
+   * @param {AbortSignal} signal - External signal that cancels the operation (optional)
+   * @returns {boolean} True if this call started the operation and must end it
+   * @private
+   */
+  _beginOperation(signal) {
+    if (this.abortController) {
+      if (signal) this._linkSignal(signal);
+      return false;
+    }
+    
+    this.abortController = new AbortController();
+    this.paused = false;
+    if (signal) this._linkSignal(signal);
+    
+    return true;
+  }
+
+  /**
+   * Cancel the current operation when an external signal aborts
+   * @param {AbortSignal} signal - External abort signal
+   * @private
+   */
+  _linkSignal(signal) {
+    if (signal.aborted) {
+      this.cancel();
+    } else {
+      signal.addEventListener('abort', () => this.cancel(), { once: true });
+    }
+  }
+
+  /**
+   * Finish the current cancellable operation
+   * @private
+   */
+  _endOperation() {
+    this.abortController = null;
+    this.paused = false;
+    this._releaseWaiters();
+  }
+
+  /**
+   * Wait while paused, then throw if the operation has been cancelled or has
+   * reached its budget
+   * @returns {Promise<void>}
+   * @throws {SearchCancelledError} If the operation has been cancelled
+   * @throws {BudgetExceededError} If a budget of the current run has been reached
+   * @private
+   */
+  async _checkpoint() {
+    while (this.paused && !this.signal?.aborted) {
+      await new Promise(resolve => this._resumeWaiters.push(resolve));
+    }
+    
+    if (this.signal?.aborted) {
+      throw new SearchCancelledError();
+    }
+    
+    this._checkBudget();
+  }
+
+  /**
+   * Wake everything waiting in _checkpoint()
+   * @private
+   */
+  _releaseWaiters() {
+    const waiters = this._resumeWaiters;
+    this._resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Emit a search event to its listeners and to wildcard listeners
+   * @param {string} type - Event type
+   * @param {Object} payload - Event fields
+   * @private
+   */
+  _emit(type, payload = {}) {
+    const listeners = [...(this.listeners[type] || []), ...(this.listeners['*'] || [])];
+    if (listeners.length === 0) return;
+    
+    const event = { type, timestamp: Date.now(), ...payload };
+    
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        // A failing listener must not abort the search
+        console.error(`Error in ${type} event listener:`, error);
+      }
+    }
   }
 
   /**
@@ -368,10 +1994,26 @@ Provide an initial approach or solution to this problem. Think about both analyt
 
   /**
    * Record the current state of the tree for history
+   * @param {Object} step - What happened in this step
+   * @param {string} step.type - Step type ('initialize', 'simulation' or 'explore')
+   * @param {string} step.selectedNodeId - ID of the node chosen by selection
+   * @param {string} step.expandedNodeId - ID of the node that was expanded (if any)
+   * @param {string} step.evaluatedNodeId - ID of the node that was evaluated
+   * @param {number} step.score - Score that was backpropagated
    * @private
    */
-  _recordTreeState() {
-    this.treeHistory.push(this._getCurrentTreeState());
+  _recordTreeState(step = {}) {
+    this.treeHistory.push({
+      ...this._getCurrentTreeState(),
+      step: {
+        type: 'simulation',
+        selectedNodeId: null,
+        expandedNodeId: null,
+        evaluatedNodeId: null,
+        score: null,
+        ...step
+      }
+    });
   }
 
   /**
@@ -390,6 +2032,9 @@ Provide an initial approach or solution to this problem. Think about both analyt
         instinctWeight: node.instinctWeight,
         confidence: node.confidence,
         perseverance: node.perseverance,
+        terminal: node.terminal,
+        streaming: node.streaming,
+        usage: node.usage,
         children: node.children.map(nodeToObject)
       };
     };
@@ -0,0 +1,1759 @@
+// src/core/InstinctMCTS.test.js
+
+import InstinctMCTS from './InstinctMCTS';
+import Node from './Node';
+import { SearchCancelledError } from './errors';
+import { DEFAULT_RUBRIC, applyWeights } from './rubric';
+import MockProvider from '../api/mock';
+import CachingProvider from '../api/cache';
+import { AuthenticationError } from '../api/errors';
+
+/**
+ * Build a fake LLM client that replays scripted responses
+ * @param {Object} script - Scripted responses
+ * @param {Array<string>} script.thoughts - Thoughts returned for expansion prompts, in order
+ *   (then numbered filler thoughts)
+ * @param {Array<string>} script.evaluations - Raw evaluation responses, in order
+ * @param {Array<Object>} script.analyses - Analysis results returned by analyzeContent, in order
+ * @returns {Object} Fake client with jest mock functions
+ */
+function createScriptedClient({ thoughts = [], evaluations = [], analyses = [] } = {}) {
+  const queues = {
+    thoughts: [...thoughts],
+    evaluations: [...evaluations],
+    analyses: [...analyses]
+  };
+  const neutralAnalysis = { confidence: 5, perseverance: 5, instinctVsAnalysis: 5, emotionalState: 5 };
+  let fillerThoughts = 0;
+
+  // Reports every request, as providers do, so the call budget sees them
+  return {
+    generateCompletion: jest.fn(async (prompt, options = {}) => {
+      options.onRequest?.();
+      if (prompt.includes('Provide an initial approach')) {
+        return 'Initial approach';
+      }
+      if (prompt.includes('Rate this approach')) {
+        return queues.evaluations.length > 0 ? queues.evaluations.shift() : '5';
+      }
+      return queues.thoughts.length > 0 ? queues.thoughts.shift() : `Another thought ${++fillerThoughts}`;
+    }),
+    analyzeContent: jest.fn(async (content, options = {}) => {
+      options.onRequest?.();
+      return queues.analyses.length > 0 ? queues.analyses.shift() : neutralAnalysis;
+    })
+  };
+}
+
+describe('InstinctMCTS', () => {
+  // instinctRatio 0 forces the analytical (UCT) branch of selection
+  const createMCTS = (client, overrides = {}) => new InstinctMCTS({
+    llmClient: client,
+    problem: 'Test problem',
+    context: 'Test context',
+    instinctRatio: 0,
+    ...overrides
+  });
+
+  describe('constructor', () => {
+    it('rejects clients missing required provider methods', () => {
+      expect(() => new InstinctMCTS({ llmClient: { generateCompletion() {} } }))
+        .toThrow('analyzeContent');
+    });
+
+    it('rejects invalid rubrics', () => {
+      expect(() => new InstinctMCTS({ rubric: { criteria: [] } })).toThrow('At least one criterion');
+    });
+  });
+
+  describe('initialize', () => {
+    it('creates a root node from the initial response', async () => {
+      const client = createScriptedClient({
+        analyses: [{ confidence: 6, perseverance: 7, instinctVsAnalysis: 8, emotionalState: 9 }]
+      });
+      const mcts = createMCTS(client);
+
+      const root = await mcts.initialize();
+
+      expect(root).toBeInstanceOf(Node);
+      expect(root.content).toBe('Initial approach');
+      expect(root.emotionalState).toBeCloseTo(0.9);
+      expect(root.instinctWeight).toBeCloseTo(0.8);
+      expect(mcts.treeHistory).toHaveLength(1);
+    });
+  });
+
+  describe('select', () => {
+    it('returns the root when it has no children', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+
+      expect(mcts.select()).toBe(mcts.root);
+      expect(mcts.selectedNode).toBe(mcts.root);
+    });
+
+    it('descends to the child with the highest UCT value', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+
+      const weak = mcts.root.addChild('weak');
+      const strong = mcts.root.addChild('strong');
+      mcts.root.visits = 4;
+      weak.visits = 2;
+      weak.value = 2;
+      strong.visits = 2;
+      strong.value = 16;
+
+      expect(mcts.select()).toBe(strong);
+    });
+
+    it('follows emotional state when choosing by instinct', async () => {
+      const mcts = createMCTS(createScriptedClient(), { instinctRatio: 1 });
+      await mcts.initialize();
+
+      const calm = mcts.root.addChild('calm');
+      const excited = mcts.root.addChild('excited');
+      calm.emotionalState = 0;
+      excited.emotionalState = 1;
+
+      expect(mcts.select()).toBe(excited);
+    });
+  });
+
+  describe('expand', () => {
+    it('adds analyzed children and returns the most instinctive one', async () => {
+      const client = createScriptedClient({
+        thoughts: ['First thought', 'Second thought'],
+        analyses: [
+          { confidence: 5, perseverance: 5, instinctVsAnalysis: 5, emotionalState: 5 },
+          { confidence: 5, perseverance: 5, instinctVsAnalysis: 5, emotionalState: 5 },
+          { confidence: 8, perseverance: 6, instinctVsAnalysis: 9, emotionalState: 7 }
+        ]
+      });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+
+      const child = await mcts.expand(mcts.root);
+
+      expect(mcts.root.children.map(c => c.content)).toEqual(['First thought', 'Second thought']);
+      expect(child.content).toBe('Second thought');
+      expect(child.instinctWeight).toBeCloseTo(0.9);
+      expect(child.confidence).toBeCloseTo(0.8);
+      expect(child.perseverance).toBeCloseTo(0.6);
+      expect(child.emotionalState).toBeCloseTo(0.7);
+      expect(child.parent).toBe(mcts.root);
+    });
+
+    it('limits parallel thought requests to maxConcurrency', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, { maxConcurrency: 1 });
+      await mcts.initialize();
+      let active = 0;
+      let peak = 0;
+      let calls = 0;
+      client.generateCompletion.mockImplementation(async () => {
+        active += 1;
+        calls += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        active -= 1;
+        return `Thought ${calls}`;
+      });
+
+      await mcts.expand(mcts.root, 3);
+
+      expect(mcts.root.children).toHaveLength(3);
+      expect(peak).toBe(1);
+    });
+
+    describe('diversity', () => {
+      const thoughtCalls = (client) => client.generateCompletion.mock.calls
+        .filter(([prompt]) => prompt.includes('Generate a next step'));
+
+      it('shows earlier siblings to new thoughts and ramps their temperature', async () => {
+        const client = createScriptedClient();
+        const mcts = createMCTS(client);
+        await mcts.initialize();
+        mcts.root.addChild('Raise prices for enterprise customers');
+
+        await mcts.expand(mcts.root, 3);
+
+        const calls = thoughtCalls(client);
+        expect(calls.every(([prompt]) => prompt.includes('- Raise prices for enterprise customers'))).toBe(true);
+        expect(calls.map(([, options]) => options.temperature)).toEqual([0.7, 0.8, 0.9]);
+      });
+
+      it('retries a near-duplicate thought with every kept sibling in the prompt', async () => {
+        const client = createScriptedClient({
+          thoughts: ['Raise prices for enterprise customers', 'Raise prices now for enterprise customers', 'Hire a designer']
+        });
+        const mcts = createMCTS(client);
+        await mcts.initialize();
+        const onExpand = jest.fn();
+        mcts.on('expand', onExpand);
+
+        await mcts.expand(mcts.root);
+
+        expect(mcts.root.children.map(child => child.content)).toEqual([
+          'Raise prices for enterprise customers',
+          'Hire a designer'
+        ]);
+        expect(thoughtCalls(client)[2][0]).toContain('- Raise prices for enterprise customers');
+        expect(onExpand.mock.calls[0][0].discarded).toEqual([
+          { content: 'Raise prices now for enterprise customers', similarity: expect.any(Number) }
+        ]);
+      });
+
+      it('discards thoughts that stay too similar but keeps at least one', async () => {
+        const client = createScriptedClient({ thoughts: Array(4).fill('Raise prices for enterprise customers') });
+        const mcts = createMCTS(client);
+        await mcts.initialize();
+
+        await mcts.expand(mcts.root);
+
+        expect(mcts.root.children).toHaveLength(1);
+        expect(thoughtCalls(client)).toHaveLength(3);
+        expect(mcts.root.children[0].content).toBe('Raise prices for enterprise customers');
+      });
+
+      it('keeps near-duplicates when deduplication is off', async () => {
+        const client = createScriptedClient({ thoughts: Array(2).fill('Raise prices for enterprise customers') });
+        const mcts = createMCTS(client, { deduplicateThoughts: false });
+        await mcts.initialize();
+
+        await mcts.expand(mcts.root);
+
+        expect(mcts.root.children).toHaveLength(2);
+        expect(thoughtCalls(client)).toHaveLength(2);
+      });
+    });
+
+    describe('path context', () => {
+      const thoughtCalls = (client) => client.generateCompletion.mock.calls
+        .filter(([prompt]) => prompt.includes('Generate a next step'));
+      const summaryCalls = (client) => client.generateCompletion.mock.calls
+        .filter(([prompt]) => prompt.includes('Summarize these steps'));
+
+      it('shows the steps that led to the expanded thought', async () => {
+        const client = createScriptedClient();
+        const mcts = createMCTS(client);
+        await mcts.initialize();
+        const first = mcts.root.addChild('Survey the largest customers');
+        const second = first.addChild('Raise prices for enterprise customers');
+
+        await mcts.expand(second);
+
+        const [prompt] = thoughtCalls(client)[0];
+        expect(prompt).toContain('STEP 1: Initial approach\nSTEP 2: Survey the largest customers');
+        expect(prompt).toContain('Raise prices for enterprise customers');
+        expect(summaryCalls(client)).toHaveLength(0);
+      });
+
+      it('summarizes the early steps of long paths once', async () => {
+        const client = createScriptedClient({ thoughts: ['Early steps in brief'] });
+        const mcts = createMCTS(client, { pathTokenLimit: 20 });
+        await mcts.initialize();
+        const first = mcts.root.addChild('Survey the forty largest customers first');
+        const second = first.addChild('Raise prices for the enterprise tier now');
+        const leaf = second.addChild('Add a discount');
+
+        await mcts.expand(leaf);
+        await mcts.expand(leaf);
+
+        expect(summaryCalls(client)).toHaveLength(1);
+        expect(summaryCalls(client)[0][0]).toContain('STEP 2: Survey the forty largest customers first');
+        expect(first.pathSummary).toBe('Early steps in brief');
+
+        const [prompt] = thoughtCalls(client)[0];
+        expect(prompt).toContain('EARLIER STEPS (summarized): Early steps in brief');
+        expect(prompt).toContain('STEP 1: Raise prices for the enterprise tier now');
+        expect(prompt).not.toContain('Survey the forty largest customers first');
+      });
+    });
+
+    describe('streaming', () => {
+      // Stream each scripted thought word by word
+      const withStreaming = (client) => {
+        client.generateStreamingCompletion = jest.fn(async (prompt, options, onChunk) => {
+          const text = await client.generateCompletion(prompt, options);
+          text.split(/(?= )/).forEach(piece => onChunk(piece));
+          return text;
+        });
+        client.analyzeContentBatch = jest.fn(async () => null);
+        return client;
+      };
+
+      it('shows children while their thoughts are written', async () => {
+        const client = withStreaming(createScriptedClient({ thoughts: ['Ship the beta', 'Hire a designer'] }));
+        const mcts = createMCTS(client, { streamThoughts: true });
+        await mcts.initialize();
+        const snapshots = [];
+        mcts.setUpdateCallback(state => snapshots.push(state.tree));
+        const streamed = [];
+        mcts.on('stream', event => streamed.push({ ...event, content: mcts.root.findNodeById(event.nodeId).content }));
+
+        await mcts.expand(mcts.root);
+
+        expect(snapshots[0].children).toEqual([expect.objectContaining({ content: '', streaming: true })]);
+        expect(streamed.map(event => event.content).slice(0, 3)).toEqual(['Ship', 'Ship the', 'Ship the beta']);
+        expect(streamed.every(event => event.parentId === mcts.root.id)).toBe(true);
+        expect(mcts.root.children.map(child => [child.content, child.streaming]))
+          .toEqual([['Ship the beta', false], ['Hire a designer', false]]);
+        expect(snapshots.at(-1).children.every(child => !child.streaming)).toBe(true);
+      });
+
+      it('analyzes each thought as soon as its stream completes', async () => {
+        const client = withStreaming(createScriptedClient());
+        let finishSecond;
+        client.generateStreamingCompletion
+          .mockImplementationOnce(async (prompt, options, onChunk) => {
+            onChunk('Fast thought');
+            return 'Fast thought';
+          })
+          .mockImplementationOnce(async (prompt, options, onChunk) => {
+            onChunk('Slow');
+            await new Promise(resolve => { finishSecond = resolve; });
+            onChunk(' thought');
+            return 'Slow thought';
+          });
+        const mcts = createMCTS(client, { streamThoughts: true });
+        await mcts.initialize();
+
+        const expanding = mcts.expand(mcts.root);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(client.analyzeContent).toHaveBeenLastCalledWith('Fast thought', expect.anything());
+        expect(mcts.root.children.map(child => child.streaming)).toEqual([false, true]);
+
+        finishSecond();
+        await expanding;
+
+        expect(client.analyzeContent).toHaveBeenLastCalledWith('Slow thought', expect.anything());
+        expect(client.analyzeContentBatch).not.toHaveBeenCalled();
+      });
+
+      it('analyzes only the streamed thoughts it keeps', async () => {
+        const client = withStreaming(createScriptedClient({
+          thoughts: ['Raise the price now', 'Raise the price now', 'Cut costs across the board']
+        }));
+        const mcts = createMCTS(client, { streamThoughts: true });
+        await mcts.initialize();
+        client.analyzeContent.mockClear();
+
+        await mcts.expand(mcts.root);
+
+        expect(mcts.root.children.map(child => child.content)).toEqual(['Raise the price now', 'Cut costs across the board']);
+        expect(client.analyzeContent.mock.calls.map(([content]) => content))
+          .toEqual(['Raise the price now', 'Cut costs across the board']);
+      });
+
+      it('removes streamed children that are discarded or belong to a failed expansion', async () => {
+        const client = withStreaming(createScriptedClient({
+          thoughts: ['Raise the price now', 'Raise the price now', 'Raise the price now']
+        }));
+        const mcts = createMCTS(client, { streamThoughts: true });
+        await mcts.initialize();
+
+        await mcts.expand(mcts.root);
+        expect(mcts.root.children.map(child => child.content)).toEqual(['Raise the price now']);
+
+        const [child] = mcts.root.children;
+        client.generateStreamingCompletion.mockImplementationOnce(async (prompt, options, onChunk) => {
+          onChunk('Half a');
+          throw new AuthenticationError('Invalid API key');
+        });
+        await expect(mcts.expand(child)).rejects.toBeInstanceOf(AuthenticationError);
+        expect(child.children).toEqual([]);
+      });
+
+      it('delivers thoughts whole from providers that cannot stream', async () => {
+        const client = createScriptedClient({ thoughts: ['Ship the beta', 'Hire a designer'] });
+        const mcts = createMCTS(client, { streamThoughts: true });
+        await mcts.initialize();
+        const listener = jest.fn();
+        mcts.on('stream', listener);
+
+        await mcts.expand(mcts.root);
+
+        expect(listener.mock.calls.map(([event]) => event.text)).toEqual(['Ship the beta', 'Hire a designer']);
+        expect(mcts.root.children.map(child => child.content)).toEqual(['Ship the beta', 'Hire a designer']);
+      });
+    });
+  });
+
+  describe('exploreBranch', () => {
+    it('adds a child in the requested direction and backpropagates its score', async () => {
+      const client = createScriptedClient({ thoughts: ['Wait a year, then launch'], evaluations: ['8'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const onExpand = jest.fn();
+      mcts.on('expand', onExpand);
+
+      const { child, score } = await mcts.exploreBranch(mcts.root, 'we wait a year before launching');
+
+      const [prompt] = client.generateCompletion.mock.calls[1];
+      expect(prompt).toContain('explore a branch where: we wait a year before launching');
+      expect(prompt).toContain('STEP 1: Initial approach');
+      expect(child.content).toBe('Wait a year, then launch');
+      expect(mcts.root.visits).toBe(1);
+      expect(mcts.root.value).toBe(score);
+      expect(onExpand.mock.calls[0][0].direction).toBe('we wait a year before launching');
+      expect(mcts.treeHistory.at(-1).step).toEqual(expect.objectContaining({
+        type: 'explore',
+        evaluatedNodeId: child.id,
+        direction: 'we wait a year before launching'
+      }));
+    });
+
+    it('generates an ordinary thought without a direction', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+
+      await mcts.exploreBranch(mcts.root);
+
+      expect(client.generateCompletion.mock.calls[1][0]).toContain('Generate a next step');
+      expect(mcts.root.children).toHaveLength(1);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('parses the score from the structured evaluation response', async () => {
+      const client = createScriptedClient({ evaluations: ['{"score": 7}'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await expect(mcts.evaluate(node)).resolves.toBe(7);
+      const [, options] = client.generateCompletion.mock.calls.at(-1);
+      expect(options.responseFormat).toEqual(expect.objectContaining({ name: 'evaluation' }));
+    });
+
+    it('scores every rubric criterion and backpropagates the weighted mean', async () => {
+      const scores = { balance: 8, perseverance: 4, creativity: 9, conviction: 2, patternRecognition: 6 };
+      const client = createScriptedClient({ evaluations: [JSON.stringify({ scores })] });
+      const mcts = createMCTS(client, {
+        rubric: applyWeights(DEFAULT_RUBRIC, { creativity: 3, conviction: 0 })
+      });
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+      const onEvaluate = jest.fn();
+      mcts.on('evaluate', onEvaluate);
+
+      // (8 + 4 + 9 * 3 + 2 * 0 + 6) / 6
+      await expect(mcts.evaluate(node)).resolves.toBeCloseTo(7.5);
+      const [prompt, options] = client.generateCompletion.mock.calls.at(-1);
+      for (const criterion of DEFAULT_RUBRIC.criteria) {
+        expect(prompt).toContain(`${criterion.id}: ${criterion.description}`);
+      }
+      expect(Object.keys(options.responseFormat.schema.properties.scores.properties))
+        .toEqual(DEFAULT_RUBRIC.criteria.map(criterion => criterion.id));
+      expect(node.scoreBreakdown.score).toBeCloseTo(7.5);
+      expect(node.scoreBreakdown.criteria.find(c => c.id === 'creativity')).toEqual({
+        id: 'creativity',
+        name: 'Creativity',
+        weight: 3,
+        score: 9
+      });
+      expect(onEvaluate).toHaveBeenCalledWith(expect.objectContaining({ scores, rawScore: 7.5 }));
+    });
+
+    it('scores custom rubrics on their own scale', async () => {
+      const client = createScriptedClient({ evaluations: ['{"scores": {"teamFit": 5, "legalRisk": 2}}'] });
+      const mcts = createMCTS(client, {
+        rubric: {
+          scale: { min: 1, max: 5 },
+          criteria: [
+            { name: 'Team fit', description: 'Will the team work well with them?', weight: 1 },
+            { name: 'Legal risk', weight: 3 }
+          ]
+        }
+      });
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      // (5 + 2 * 3) / 4 = 2.75 on 1-5, i.e. 1 + 9 * 1.75 / 4 on 1-10
+      await expect(mcts.evaluate(node)).resolves.toBeCloseTo(4.9375);
+      const [prompt, options] = client.generateCompletion.mock.calls.at(-1);
+      expect(prompt).toContain('on a scale from 1 to 5, where 5 is best');
+      expect(prompt).toContain('- teamFit: Will the team work well with them?');
+      expect(prompt).toContain('- legalRisk: Legal risk');
+      expect(options.responseFormat.schema.properties.scores.properties.legalRisk)
+        .toEqual({ type: 'number', minimum: 1, maximum: 5 });
+      expect(node.scoreBreakdown).toEqual(expect.objectContaining({ scale: { min: 1, max: 5 }, score: 2.75 }));
+    });
+
+    it('applies a single score to every criterion', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['{"score": 7}'] }));
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await mcts.evaluate(node);
+
+      expect(node.scoreBreakdown.criteria.map(c => c.score)).toEqual([7, 7, 7, 7, 7]);
+    });
+
+    it('asks the model to repair unstructured scores instead of guessing', async () => {
+      const client = createScriptedClient({ evaluations: ['Out of 10, 8', '{"score": 8}'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await expect(mcts.evaluate(node)).resolves.toBe(8);
+      const [repairPrompt] = client.generateCompletion.mock.calls.at(-1);
+      expect(repairPrompt).toContain('Out of 10, 8');
+      expect(repairPrompt).toContain('not valid JSON');
+      expect(node.parseFailures).toEqual({});
+    });
+
+    it('flags the node instead of scoring it when the score cannot be parsed', async () => {
+      const client = createScriptedClient({ evaluations: ['Out of 10, 8', '{"score": 11}'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+      const onEvaluate = jest.fn();
+      mcts.on('evaluate', onEvaluate);
+
+      await expect(mcts.evaluate(node)).resolves.toBeNull();
+      expect(node.parseFailures.evaluation).toEqual({
+        errors: DEFAULT_RUBRIC.criteria.map(criterion => `$.scores.${criterion.id} must be at most 10`),
+        response: '{"score": 11}',
+        attempts: 2
+      });
+      expect(onEvaluate).toHaveBeenCalledWith(expect.objectContaining({ score: null, parseFailed: true }));
+    });
+
+    it('does not backpropagate unparsable evaluations', async () => {
+      const client = createScriptedClient({ evaluations: ['no idea', 'still no idea'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      expect(mcts.root.visits).toBe(0);
+      expect(mcts.treeHistory.at(-1).step.score).toBeNull();
+    });
+
+    it('applies the perseverance bonus', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['6'] }));
+      await mcts.initialize();
+      const node = mcts.root.addChild('Persist despite the challenge');
+
+      await expect(mcts.evaluate(node)).resolves.toBeCloseTo(6 * (1 + node.perseveranceFactor));
+    });
+
+    it('does not recurse into a full run', async () => {
+      const client = createScriptedClient({ evaluations: ['4'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const callsBefore = client.generateCompletion.mock.calls.length;
+
+      await mcts.evaluate(mcts.root);
+
+      expect(client.generateCompletion.mock.calls.length).toBe(callsBefore + 1);
+      expect(mcts.root.children).toHaveLength(0);
+    });
+
+    it('flags the node instead of scoring it when the request fails', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const onEvaluate = jest.fn();
+      mcts.on('evaluate', onEvaluate);
+      client.generateCompletion.mockRejectedValueOnce(new Error('network down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(mcts.evaluate(mcts.root)).resolves.toBeNull();
+      expect(mcts.root.requestFailures.evaluation).toEqual({ error: 'Error', message: 'network down' });
+      expect(onEvaluate).toHaveBeenCalledWith(expect.objectContaining({ score: null, requestFailed: true }));
+
+      await mcts.evaluate(mcts.root);
+      expect(mcts.root.requestFailures).toEqual({});
+      console.error.mockRestore();
+    });
+
+    it('does not backpropagate failed evaluations', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const original = client.generateCompletion.getMockImplementation();
+      client.generateCompletion.mockImplementation((prompt, options) => (prompt.includes('Rate this approach')
+        ? Promise.reject(new Error('502 - bad gateway'))
+        : original(prompt, options)));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await mcts.search(1);
+
+      expect(mcts.root.visits).toBe(0);
+      expect(mcts.treeHistory.at(-1).step.score).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('rethrows errors that would fail every evaluation', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      client.generateCompletion.mockRejectedValueOnce(new AuthenticationError('401 - invalid key'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(mcts.evaluate(mcts.root)).rejects.toBeInstanceOf(AuthenticationError);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('backpropagate', () => {
+    it('adds visits and value to every ancestor', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+      const child = mcts.root.addChild('child');
+      const grandchild = child.addChild('grandchild');
+
+      mcts.backpropagate(grandchild, 8);
+
+      for (const node of [grandchild, child, mcts.root]) {
+        expect(node.visits).toBe(1);
+        expect(node.value).toBe(8);
+      }
+    });
+
+    it('shifts emotional state with the score', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+      const good = mcts.root.addChild('good');
+      const bad = mcts.root.addChild('bad');
+
+      mcts.backpropagate(good, 10);
+      mcts.backpropagate(bad, 0);
+
+      expect(good.emotionalState).toBeCloseTo(0.6);
+      expect(bad.emotionalState).toBeCloseTo(0.4);
+    });
+  });
+
+  describe('search', () => {
+    it('runs select, expand, evaluate and backpropagate for each simulation', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['8', '6', '7'] }));
+      await mcts.initialize();
+
+      const best = await mcts.search(3);
+
+      expect(mcts.root.visits).toBe(3);
+      expect(mcts.root.children.length).toBeGreaterThanOrEqual(2);
+      expect(mcts.treeHistory).toHaveLength(4);
+      expect(best).toBeInstanceOf(Node);
+      expect(best.children).toHaveLength(0);
+    });
+
+    it('records what each simulation selected, expanded and scored', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['8'] }));
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      const [initial, simulation] = mcts.treeHistory;
+      expect(initial.step.type).toBe('initialize');
+      expect(simulation.step).toEqual({
+        type: 'simulation',
+        selectedNodeId: mcts.root.id,
+        expandedNodeId: mcts.root.id,
+        evaluatedNodeId: expect.any(String),
+        score: 8
+      });
+      expect(mcts.root.findNodeById(simulation.step.evaluatedNodeId).parent).toBe(mcts.root);
+    });
+
+    it('notifies the update callback', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      const onUpdate = jest.fn();
+      mcts.setUpdateCallback(onUpdate);
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      const lastState = onUpdate.mock.calls[onUpdate.mock.calls.length - 1][0];
+      expect(lastState.tree.id).toBe(mcts.root.id);
+      expect(lastState.selectedNodeId).toBe(mcts.root.id);
+    });
+  });
+
+  describe('branching', () => {
+    const thoughtPrompts = (client) => client.generateCompletion.mock.calls
+      .filter(([prompt]) => prompt.includes('Generate a next step'));
+
+    it('generates branchingFactor thoughts per expansion', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, { branchingFactor: 3 });
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      expect(mcts.root.children).toHaveLength(3);
+      expect(thoughtPrompts(client)).toHaveLength(3);
+    });
+
+    it('widens nodes as their visits grow', async () => {
+      const mcts = createMCTS(createScriptedClient(), { branchingFactor: 1, progressiveWidening: true });
+      await mcts.initialize();
+      const child = mcts.root.addChild('Only child');
+
+      mcts.root.visits = 3;
+      expect(mcts.select()).toBe(child);
+
+      // floor(1 × 4^0.5) = 2 children allowed
+      mcts.root.visits = 4;
+      expect(mcts.select()).toBe(mcts.root);
+
+      await mcts.search(1);
+      expect(mcts.root.children).toHaveLength(2);
+    });
+
+    it('does not widen without progressive widening', async () => {
+      const mcts = createMCTS(createScriptedClient(), { branchingFactor: 1 });
+      await mcts.initialize();
+      const child = mcts.root.addChild('Only child');
+      mcts.root.visits = 100;
+
+      expect(mcts.select()).toBe(child);
+    });
+
+    it('does not expand nodes at the maximum depth', async () => {
+      const mcts = createMCTS(createScriptedClient(), { maxDepth: 1 });
+      await mcts.initialize();
+
+      await mcts.search(4);
+
+      expect(mcts.root.children).toHaveLength(2);
+      expect(mcts.root.children.every(child => child.children.length === 0)).toBe(true);
+      expect(mcts.root.visits).toBe(4);
+    });
+
+    it('marks thoughts that complete their path as terminal', async () => {
+      const client = createScriptedClient({ thoughts: ['[COMPLETE] Sign the deal today', 'Keep negotiating'] });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      const [done, open] = ['Sign the deal today', 'Keep negotiating']
+        .map(content => mcts.root.children.find(child => child.content === content));
+      expect(done.terminal).toBe(true);
+      expect(open.terminal).toBe(false);
+      expect(thoughtPrompts(client)[0][0]).toContain('start your response with [COMPLETE]');
+    });
+
+    it('reuses the score of a complete path instead of expanding or scoring it again', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, { branchingFactor: 1 });
+      await mcts.initialize();
+      const done = mcts.root.addChild('Sign the deal today');
+      done.terminal = true;
+      mcts.backpropagate(done, 8);
+      const calls = client.generateCompletion.mock.calls.length;
+
+      await mcts.search(1);
+
+      expect(client.generateCompletion.mock.calls).toHaveLength(calls);
+      expect(done.children).toHaveLength(0);
+      expect(done.visits).toBe(2);
+      expect(done.value).toBe(16);
+    });
+
+    it('leaves the marker in place when terminal detection is off', async () => {
+      const client = createScriptedClient({ thoughts: ['[COMPLETE] Sign the deal today'] });
+      const mcts = createMCTS(client, { detectTerminal: false });
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      expect(mcts.root.children.some(child => child.content === '[COMPLETE] Sign the deal today')).toBe(true);
+      expect(mcts.root.children.every(child => !child.terminal)).toBe(true);
+      expect(thoughtPrompts(client)[0][0]).not.toContain('[COMPLETE]');
+    });
+
+    it('keeps branching settings and terminal nodes when saved and restored', async () => {
+      const client = createScriptedClient({ thoughts: ['[COMPLETE] Sign the deal today'] });
+      const mcts = createMCTS(client, { branchingFactor: 3, maxDepth: 4, progressiveWidening: true });
+      await mcts.initialize();
+      await mcts.search(1);
+
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)), client);
+      const done = mcts.root.children.find(child => child.terminal);
+
+      expect(restored.root.findNodeById(done.id).terminal).toBe(true);
+      expect(restored.getConfig()).toEqual(expect.objectContaining({
+        branchingFactor: 3,
+        maxDepth: 4,
+        progressiveWidening: true,
+        wideningCoefficient: 1,
+        wideningExponent: 0.5,
+        detectTerminal: true
+      }));
+    });
+  });
+
+  describe('prompt templates', () => {
+    it('renders every phase from the run\'s templates and records them on the nodes', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, {
+        promptTemplates: {
+          initial: { text: 'Provide an initial approach to {{problem}}', version: 2 },
+          thought: { text: 'Next after {{currentApproach}}', version: 3 }
+        }
+      });
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      const prompts = client.generateCompletion.mock.calls.map(([prompt]) => prompt);
+      expect(prompts).toContain('Provide an initial approach to Test problem');
+      expect(prompts).toContain('Next after Initial approach');
+      expect(client.analyzeContent.mock.calls[0][1].template.id).toBe('analysis');
+      expect(mcts.root.templates.generation).toEqual({ id: 'initial', version: 2, custom: true });
+      expect(mcts.root.children[0].templates).toEqual({
+        generation: { id: 'thought', version: 3, custom: true },
+        analysis: { id: 'analysis', version: 1 },
+        evaluation: { id: 'evaluation', version: 1 }
+      });
+    });
+
+    it('keeps custom templates and node records when saved and restored', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, { promptTemplates: { thought: { text: 'Next after {{currentApproach}}' } } });
+      await mcts.initialize();
+      await mcts.search(1);
+
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)), client);
+      const child = mcts.root.children[0];
+
+      expect(restored.getConfig().promptTemplates.thought.text).toBe('Next after {{currentApproach}}');
+      expect(restored.root.findNodeById(child.id).templates).toEqual(child.templates);
+    });
+
+    it('repairs invalid responses with the run\'s repair template', async () => {
+      // Valid as both an analysis and an evaluation
+      const reply = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5, "score": 5}';
+      const provider = new MockProvider({}, {
+        fallback: prompt => (prompt.startsWith('Fix it:') ? reply : 'Not JSON at all')
+      });
+      const mcts = createMCTS(provider, { promptTemplates: { repair: { text: 'Fix it: {{errors}}' } } });
+
+      await mcts.initialize();
+
+      expect(provider.calls.map(call => call.prompt)).toContain('Fix it: - the response is not valid JSON');
+      expect(mcts.root.parseFailures.analysis).toBeUndefined();
+    });
+
+    it('rejects templates with unknown variables', () => {
+      expect(() => createMCTS(createScriptedClient(), { promptTemplates: { thought: { text: '{{goal}}' } } }))
+        .toThrow('unknown variables: goal');
+    });
+  });
+
+  describe('voice', () => {
+    it('writes thoughts and rollouts in the run\'s voice but analyzes and scores neutrally', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client, { systemPrompt: 'You are a CFO.', rolloutDepth: 1 });
+      await mcts.initialize();
+
+      await mcts.search(1);
+
+      const systemPrompts = client.generateCompletion.mock.calls.map(([prompt, options]) => [
+        prompt.includes('Rate this approach') ? 'evaluation' : 'generation',
+        options.systemPrompt
+      ]);
+      expect(systemPrompts.filter(([phase]) => phase === 'generation').every(([, system]) => system === 'You are a CFO.'))
+        .toBe(true);
+      expect(systemPrompts.filter(([phase]) => phase === 'evaluation').every(([, system]) => system === undefined))
+        .toBe(true);
+      expect(client.analyzeContent.mock.calls[0][1].systemPrompt).toBeUndefined();
+    });
+  });
+
+  describe('run', () => {
+    it('initializes when needed and returns the best approach', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+
+      const result = await mcts.run({ iterations: 2, simulationsPerIteration: 2 });
+
+      expect(mcts.root).not.toBeNull();
+      expect(mcts.root.visits).toBe(4);
+      expect(result.bestNode).toBeInstanceOf(Node);
+      expect(result.bestApproach).toBe(result.bestNode.content);
+      expect(result.bestScore).toBe(5);
+      expect(result.finalTree.tree.id).toBe(mcts.root.id);
+      expect(result.treeHistory).toBe(mcts.treeHistory);
+    });
+
+    it('uses default iteration counts', async () => {
+      const mcts = createMCTS(createScriptedClient());
+
+      await mcts.run();
+
+      expect(mcts.root.visits).toBe(15);
+    });
+  });
+
+  describe('recommendation', () => {
+    const recommendation = JSON.stringify({
+      summary: 'Launch a paid pilot.',
+      actionPlan: ['Find three customers', 'Run the pilot'],
+      risks: [{ risk: 'Nobody pays', mitigation: 'Ask for a deposit' }],
+      conviction: 7,
+      sources: [2, 1, 2, 9]
+    });
+
+    // Answer final recommendation prompts with a canned response
+    const withRecommendation = (client, response) => {
+      const generate = client.generateCompletion.getMockImplementation();
+      client.generateCompletion.mockImplementation(async (prompt, options) =>
+        (prompt.includes('synthesize a final recommendation') ? response : generate(prompt, options)));
+      return client;
+    };
+
+    const buildTree = (mcts) => {
+      mcts.root = new Node({ content: 'Root' });
+      const [rarely, often, hopeful, gloomy] = ['Rarely', 'Often', 'Hopeful', 'Gloomy']
+        .map(content => mcts.root.addChild(content));
+      Object.assign(rarely, { visits: 1, value: 9 });
+      Object.assign(often, { visits: 3, value: 15 });
+      Object.assign(hopeful, { visits: 2, value: 12, emotionalState: 0.9 });
+      Object.assign(gloomy, { visits: 2, value: 12, emotionalState: 0.2 });
+      mcts.root.visits = 8;
+      return { rarely, often, hopeful, gloomy };
+    };
+
+    it('ranks leaves by visits, then mean score, then emotional state', () => {
+      const mcts = createMCTS(createScriptedClient());
+      const { rarely, often, hopeful, gloomy } = buildTree(mcts);
+
+      expect(mcts.getTopLeaves(4)).toEqual([often, hopeful, gloomy, rarely]);
+      expect(mcts.getTopLeaves()).toHaveLength(3);
+    });
+
+    it('synthesizes the top leaves into a plan that links back to them', async () => {
+      const client = withRecommendation(createScriptedClient(), recommendation);
+      const mcts = createMCTS(client, { recommendationSize: 2 });
+      const { often, hopeful } = buildTree(mcts);
+      const listener = jest.fn();
+      mcts.on('recommend', listener);
+
+      const result = await mcts.recommend();
+
+      const [prompt] = client.generateCompletion.mock.calls[0];
+      expect(prompt).toContain('APPROACH 1:\n"""Often"""');
+      expect(prompt).toContain('APPROACH 2:\n"""Hopeful"""');
+      expect(prompt).not.toContain('Gloomy');
+      expect(result).toMatchObject({
+        summary: 'Launch a paid pilot.',
+        actionPlan: ['Find three customers', 'Run the pilot'],
+        risks: [{ risk: 'Nobody pays', mitigation: 'Ask for a deposit' }],
+        conviction: 7,
+        candidates: [often.id, hopeful.id],
+        sources: [{ approach: 2, nodeId: hopeful.id }, { approach: 1, nodeId: often.id }],
+        template: { id: 'finalRecommendation', version: 2 }
+      });
+      expect(mcts.recommendation).toBe(result);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        sourceNodeIds: [hopeful.id, often.id],
+        conviction: 7
+      }));
+    });
+
+    it('goes without a recommendation when the response cannot be parsed', async () => {
+      const mcts = createMCTS(withRecommendation(createScriptedClient(), 'Just do it.'));
+      buildTree(mcts);
+      const listener = jest.fn();
+      mcts.on('recommend', listener);
+
+      await expect(mcts.recommend()).resolves.toBeNull();
+
+      expect(mcts.recommendation).toBeNull();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ parseFailed: true, response: 'Just do it.' }));
+    });
+
+    it('finishes a run with a recommendation when asked to', async () => {
+      const client = withRecommendation(createScriptedClient(), recommendation);
+      const mcts = createMCTS(client);
+
+      const plain = await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+      expect(plain.recommendation).toBeNull();
+
+      const result = await mcts.run({ iterations: 1, simulationsPerIteration: 2, synthesize: true });
+      expect(result.recommendation.summary).toBe('Launch a paid pilot.');
+      expect(result.recommendation.candidates).toEqual(mcts.getTopLeaves().map(leaf => leaf.id));
+    });
+
+    it('is saved with the search', async () => {
+      const mcts = createMCTS(withRecommendation(createScriptedClient(), recommendation));
+      await mcts.run({ iterations: 1, simulationsPerIteration: 2, synthesize: true });
+
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)));
+
+      expect(restored.recommendation).toEqual(mcts.recommendation);
+    });
+  });
+
+  describe('serialization', () => {
+    it('restores configuration, tree and selection', async () => {
+      const mcts = createMCTS(createScriptedClient(), {
+        explorationWeight: 2.1,
+        perseveranceFactor: 0.9,
+        rubric: applyWeights(DEFAULT_RUBRIC, { creativity: 2 })
+      });
+      await mcts.run({ iterations: 1, simulationsPerIteration: 3 });
+
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)), createScriptedClient());
+
+      expect(restored.getConfig()).toEqual(mcts.getConfig());
+      expect(restored.root.toJSON()).toEqual(mcts.root.toJSON());
+      expect(restored.selectedNode.id).toBe(mcts.selectedNode.id);
+      expect(restored.treeHistory).toHaveLength(mcts.treeHistory.length);
+      expect(restored.getBestNode().id).toBe(mcts.getBestNode().id);
+    });
+
+    it('resumes searching from a restored tree', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+      const client = createScriptedClient();
+
+      const restored = InstinctMCTS.fromJSON(mcts.toJSON(), client);
+      await restored.search(2);
+
+      expect(restored.root.id).toBe(mcts.root.id);
+      expect(restored.root.visits).toBe(4);
+      expect(client.generateCompletion).not.toHaveBeenCalledWith(
+        expect.stringContaining('Provide an initial approach'),
+        expect.anything()
+      );
+    });
+
+    it('rejects newer format versions', () => {
+      const data = createMCTS(createScriptedClient()).toJSON();
+      data.version += 1;
+
+      expect(() => InstinctMCTS.fromJSON(data)).toThrow('Unsupported search format version');
+    });
+  });
+
+  describe('analysis', () => {
+    it('flags nodes whose analysis cannot be parsed and keeps their defaults', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const provider = new MockProvider({}, {
+        fallback: prompt => (prompt.includes('Analyze the following') ? 'Quite confident.' : 'An approach')
+      });
+      const mcts = createMCTS(provider);
+
+      try {
+        await mcts.initialize();
+      } finally {
+        warn.mockRestore();
+      }
+
+      expect(mcts.root.emotionalState).toBe(0.5);
+      expect(mcts.root.parseFailures.analysis.response).toBe('Quite confident.');
+      expect(mcts.root.parseFailures.analysis.attempts).toBe(2);
+      expect(mcts.root.toJSON().parseFailures).toEqual(mcts.root.parseFailures);
+    });
+
+    it('flags nodes whose analysis request fails and keeps their defaults', async () => {
+      const client = createScriptedClient();
+      client.analyzeContent.mockRejectedValueOnce(new Error('502 - bad gateway'));
+      const mcts = createMCTS(client);
+      const onAnalyze = jest.fn();
+      mcts.on('analyze', onAnalyze);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await mcts.initialize();
+
+      expect(mcts.root.emotionalState).toBe(0.5);
+      expect(mcts.root.requestFailures.analysis).toEqual({ error: 'Error', message: '502 - bad gateway' });
+      expect(onAnalyze).toHaveBeenCalledWith(expect.objectContaining({ analysis: null, requestFailed: true }));
+      expect(Node.fromJSON(mcts.root.toJSON()).requestFailures).toEqual(mcts.root.requestFailures);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('judges', () => {
+    /**
+     * Build a client whose evaluations depend on the judge model
+     * @param {Object} replies - Evaluation response (or error to throw) by model,
+     *   under 'default' for calls without a model
+     * @returns {Object} Fake client
+     */
+    const createJudgedClient = (replies) => {
+      const client = createScriptedClient();
+      const generate = client.generateCompletion.getMockImplementation();
+      client.defaultModel = 'generator';
+      client.generateCompletion = jest.fn(async (prompt, options = {}) => {
+        if (!prompt.includes('Rate this approach')) return generate(prompt, options);
+        const reply = replies[options.model ?? 'default'];
+        if (reply instanceof Error) throw reply;
+        return reply;
+      });
+      return client;
+    };
+
+    it('asks every judge model and combines their scores', async () => {
+      const client = createJudgedClient({ a: '{"score": 9}', b: '{"score": 4}', c: '{"score": 5}' });
+      const mcts = createMCTS(client, { judgeModels: ['a', 'b', 'c'], judgeAggregation: 'median' });
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await expect(mcts.evaluate(node)).resolves.toBe(5);
+      const judgeCalls = client.generateCompletion.mock.calls.filter(([prompt]) => prompt.includes('Rate this approach'));
+      expect(judgeCalls.map(([, options]) => options.model).sort()).toEqual(['a', 'b', 'c']);
+      expect(node.scoreVariance).toBeCloseTo(14 / 3);
+      expect(node.scoreBreakdown).toEqual(expect.objectContaining({
+        aggregation: 'median',
+        variance: node.scoreVariance
+      }));
+      expect(node.scoreBreakdown.judges.map(judge => [judge.model, judge.score])).toEqual([['a', 9], ['b', 4], ['c', 5]]);
+    });
+
+    it('uses the generator model as the only judge by default', async () => {
+      const client = createJudgedClient({ default: '{"score": 6}' });
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await expect(mcts.evaluate(node)).resolves.toBe(6);
+      expect(node.scoreVariance).toBe(0);
+      expect(node.scoreBreakdown.judges).toEqual([
+        { model: 'generator', scores: expect.any(Object), score: 6 }
+      ]);
+    });
+
+    it('drops judges whose scores cannot be parsed', async () => {
+      const client = createJudgedClient({ a: '{"score": 8}', b: 'no idea', c: new Error('502 - bad gateway') });
+      const mcts = createMCTS(client, { judgeModels: ['a', 'b', 'c'] });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await mcts.initialize();
+      const node = mcts.root.addChild('A measured plan');
+
+      await expect(mcts.evaluate(node)).resolves.toBe(8);
+      expect(node.parseFailures).toEqual({});
+      expect(node.scoreBreakdown.judges[1]).toEqual({ model: 'b', error: expect.stringContaining('not valid JSON') });
+      expect(node.scoreBreakdown.judges[2]).toEqual({ model: 'c', error: '502 - bad gateway' });
+      console.warn.mockRestore();
+    });
+
+    it('stops on configuration errors from any judge', async () => {
+      const client = createJudgedClient({ a: '{"score": 8}', b: new AuthenticationError('401 - invalid key') });
+      const mcts = createMCTS(client, { judgeModels: ['a', 'b'] });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await mcts.initialize();
+
+      await expect(mcts.evaluate(mcts.root.addChild('x'))).rejects.toBeInstanceOf(AuthenticationError);
+      console.error.mockRestore();
+    });
+
+    it('rejects unknown aggregation methods', () => {
+      expect(() => createMCTS(createScriptedClient(), { judgeAggregation: 'mode' })).toThrow('Unknown judge aggregation');
+    });
+  });
+
+  describe('pairwise evaluation', () => {
+    /**
+     * Build a client whose comparisons prefer the approach mentioning "strong"
+     * @returns {Object} Fake client
+     */
+    const createComparingClient = () => {
+      const client = createScriptedClient();
+      const generate = client.generateCompletion.getMockImplementation();
+      client.generateCompletion = jest.fn(async (prompt, options) => {
+        if (!prompt.includes('Compare these two approaches')) return generate(prompt, options);
+        const [, first, second] = prompt.match(/APPROACH A:\n"""\n([^]*?)\n"""[^]*APPROACH B:\n"""\n([^]*?)\n"""/);
+        if (first.includes('strong') === second.includes('strong')) return '{"winner": "tie"}';
+        return first.includes('strong') ? '{"winner": "A"}' : '"b"';
+      });
+      return client;
+    };
+
+    const setUp = async (overrides = {}) => {
+      const client = createComparingClient();
+      const mcts = createMCTS(client, { evaluationMode: 'pairwise', ...overrides });
+      await mcts.initialize();
+      const [strong, weak, weaker] = ['A strong plan', 'A weak plan', 'A weak idea'].map(c => mcts.root.addChild(c));
+      return { client, mcts, strong, weak, weaker };
+    };
+
+    it('compares a node with its siblings and scores it by Elo rating', async () => {
+      const { client, mcts, strong, weak, weaker } = await setUp();
+      // Show the evaluated node first, then second
+      jest.spyOn(Math, 'random').mockReturnValueOnce(0.2).mockReturnValueOnce(0.8);
+      const onEvaluate = jest.fn();
+      mcts.on('evaluate', onEvaluate);
+
+      const score = await mcts.evaluate(strong);
+      Math.random.mockRestore();
+
+      expect(mcts.root.comparisons).toEqual([
+        { a: strong.id, b: weak.id, result: 1, model: null },
+        { a: strong.id, b: weaker.id, result: 1, model: null }
+      ]);
+      expect(strong.rating).toBeGreaterThan(1500);
+      expect(weak.rating).toBeLessThan(1500);
+      expect(weaker.rating).toBeLessThan(1500);
+      expect(score).toBeGreaterThan(5.5);
+      expect(client.generateCompletion.mock.calls.at(-1)[1].responseFormat.name).toBe('comparison');
+      expect(onEvaluate).toHaveBeenCalledWith(expect.objectContaining({
+        nodeId: strong.id,
+        mode: 'pairwise',
+        rating: strong.rating,
+        score
+      }));
+    });
+
+    it('fits Bradley–Terry strengths when asked to', async () => {
+      const { mcts, strong, weak } = await setUp({ ratingSystem: 'bradleyTerry' });
+
+      const strongScore = await mcts.evaluate(strong);
+      const weakScore = await mcts.evaluate(weak);
+
+      expect(strong.rating).toBeGreaterThan(1);
+      expect(weak.rating).toBeLessThan(1);
+      expect(strongScore).toBeGreaterThan(5.5);
+      expect(weakScore).toBeLessThan(5.5);
+      expect(mcts.root.comparisons).toHaveLength(4);
+    });
+
+    it('prefers siblings the node has been compared with least', async () => {
+      const { mcts, strong, weak, weaker } = await setUp({ comparisonsPerEvaluation: 1 });
+
+      await mcts.evaluate(strong);
+      await mcts.evaluate(strong);
+
+      expect(mcts.root.comparisons.map(c => c.b)).toEqual([weak.id, weaker.id]);
+    });
+
+    it('scores nodes without siblings absolutely', async () => {
+      const { client, mcts } = await setUp();
+
+      await expect(mcts.evaluate(mcts.root)).resolves.toBe(5);
+      expect(client.generateCompletion.mock.calls.at(-1)[0]).toContain('Rate this approach');
+    });
+
+    it('runs a whole search and restores the comparisons', async () => {
+      const client = createComparingClient();
+      const mcts = createMCTS(client, { evaluationMode: 'pairwise', ratingSystem: 'bradleyTerry' });
+
+      await mcts.run({ iterations: 1, simulationsPerIteration: 3 });
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)), client);
+
+      expect(mcts.root.comparisons.length).toBeGreaterThan(0);
+      expect(restored.root.comparisons).toEqual(mcts.root.comparisons);
+      expect(restored.getConfig()).toEqual(expect.objectContaining({ evaluationMode: 'pairwise', ratingSystem: 'bradleyTerry' }));
+    });
+
+    it('rejects unknown modes and rating systems', () => {
+      expect(() => createMCTS(createScriptedClient(), { evaluationMode: 'vibes' })).toThrow('Unknown evaluation mode');
+      expect(() => createMCTS(createScriptedClient(), { ratingSystem: 'glicko' })).toThrow('Unknown rating system');
+    });
+  });
+
+  describe('rollouts', () => {
+    /**
+     * Build a client that numbers the rollout steps it imagines
+     * @param {Object} script - Scripted responses (see createScriptedClient)
+     * @returns {Object} Fake client
+     */
+    const createRolloutClient = (script) => {
+      const client = createScriptedClient(script);
+      const generate = client.generateCompletion.getMockImplementation();
+      client.generateCompletion = jest.fn(async (prompt, options) => {
+        if (!prompt.includes('describe what happens next')) return generate(prompt, options);
+        return `Step ${(prompt.match(/STEP \d+:/g) || []).length + 1}`;
+      });
+      return client;
+    };
+
+    const rolloutPrompts = (client) => client.generateCompletion.mock.calls
+      .filter(([prompt]) => prompt.includes('describe what happens next'));
+
+    it('plays the leaf forward before scoring where it leads', async () => {
+      const client = createRolloutClient({ evaluations: ['7'] });
+      const mcts = createMCTS(client, { rolloutDepth: 3, rolloutTemperature: 0.9 });
+      await mcts.initialize();
+      const onRollout = jest.fn();
+      mcts.on('rollout', onRollout);
+
+      const score = await mcts.simulate(mcts.root);
+
+      const calls = rolloutPrompts(client);
+      expect(calls).toHaveLength(3);
+      expect(calls[0][1]).toEqual(expect.objectContaining({ temperature: 0.9 }));
+      expect(calls[2][0]).toContain('STEP 2: Step 2');
+      expect(client.generateCompletion.mock.calls.at(-1)[0]).toContain('STEP 3: Step 3');
+      expect(score).toBe(7);
+      expect(mcts.root.rollouts).toEqual([{ steps: ['Step 1', 'Step 2', 'Step 3'], score: 7 }]);
+      expect(onRollout).toHaveBeenCalledWith(expect.objectContaining({
+        nodeId: mcts.root.id,
+        index: 0,
+        steps: ['Step 1', 'Step 2', 'Step 3']
+      }));
+    });
+
+    it('averages the scores of several rollouts', async () => {
+      const client = createRolloutClient({ evaluations: ['4', '8'] });
+      const mcts = createMCTS(client, { rolloutDepth: 1, rolloutsPerSimulation: 2 });
+      await mcts.initialize();
+
+      await expect(mcts.simulate(mcts.root)).resolves.toBe(6);
+      expect(mcts.root.rollouts.map(rollout => rollout.score)).toEqual([4, 8]);
+      expect(rolloutPrompts(client)).toHaveLength(2);
+    });
+
+    it('scores leaves as written by default', async () => {
+      const client = createRolloutClient();
+      const mcts = createMCTS(client);
+
+      await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+
+      expect(rolloutPrompts(client)).toHaveLength(0);
+      expect(mcts.root.rollouts).toEqual([]);
+    });
+
+    it('scores the steps so far when a rollout step fails', async () => {
+      const client = createRolloutClient({ evaluations: ['6'] });
+      const generate = client.generateCompletion.getMockImplementation();
+      client.generateCompletion.mockImplementation(async (prompt, options) => {
+        if (prompt.includes('STEP 1:') && !prompt.includes('Rate this approach')) throw new Error('Rate limited');
+        return generate(prompt, options);
+      });
+      const mcts = createMCTS(client, { rolloutDepth: 3 });
+      await mcts.initialize();
+      const onError = jest.fn();
+      mcts.on('error', onError);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const score = await mcts.simulate(mcts.root);
+      console.error.mockRestore();
+
+      expect(score).toBe(6);
+      expect(mcts.root.rollouts).toEqual([{ steps: ['Step 1'], score: 6 }]);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ phase: 'rollout', message: 'Rate limited' }));
+    });
+
+    it('keeps rollout settings and results when saved and restored', async () => {
+      const client = createRolloutClient();
+      const mcts = createMCTS(client, { rolloutDepth: 2, rolloutsPerSimulation: 2 });
+
+      await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)), client);
+      const leaf = mcts.root.children.find(child => child.rollouts.length > 0);
+
+      expect(leaf.rollouts).toHaveLength(2);
+      expect(restored.root.findNodeById(leaf.id).rollouts).toEqual(leaf.rollouts);
+      expect(restored.getConfig()).toEqual(expect.objectContaining({ rolloutDepth: 2, rolloutsPerSimulation: 2 }));
+    });
+  });
+
+  describe('batch analysis', () => {
+    const single = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5}';
+    const batch = JSON.stringify({
+      analyses: [
+        { confidence: 9, perseverance: 8, instinctVsAnalysis: 2, emotionalState: 7 },
+        { confidence: 3, perseverance: 4, instinctVsAnalysis: 9, emotionalState: 6 }
+      ]
+    });
+    const isBatchPrompt = prompt => prompt.includes('Analyze each of the following');
+    // Thoughts are the same reply too, so deduplication is turned off
+    const createProvider = (batchReply) => new MockProvider({}, {
+      fallback: prompt => (isBatchPrompt(prompt) ? batchReply : single)
+    });
+
+    it('analyzes all children of an expansion in one request', async () => {
+      const provider = createProvider(batch);
+      const mcts = createMCTS(provider, { deduplicateThoughts: false });
+      await mcts.initialize();
+
+      await mcts.expand(mcts.root);
+
+      expect(provider.calls.filter(call => isBatchPrompt(call.prompt))).toHaveLength(1);
+      expect(mcts.usage.analysis.calls).toBe(2);
+      expect(mcts.root.usage.analysis.calls).toBe(2);
+
+      const [first, second] = mcts.root.children;
+      expect(first.confidence).toBe(0.9);
+      expect(first.instinctWeight).toBe(0.2);
+      expect(second.confidence).toBe(0.3);
+      expect(second.instinctWeight).toBe(0.9);
+    });
+
+    it('falls back to analyzing each child when the batch cannot be parsed', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const provider = createProvider('{"analyses": [{"confidence": 9}]}');
+      const mcts = createMCTS(provider, { deduplicateThoughts: false });
+      const onAnalyze = jest.fn();
+      mcts.on('analyze', onAnalyze);
+      await mcts.initialize();
+
+      try {
+        await mcts.expand(mcts.root);
+      } finally {
+        warn.mockRestore();
+      }
+
+      // Root, the failed batch and its repair, and one request per child
+      expect(mcts.usage.analysis.calls).toBe(5);
+      expect(mcts.root.children.map(child => child.usage.analysis.calls)).toEqual([1, 1]);
+      expect(onAnalyze).toHaveBeenCalledTimes(3);
+      expect(mcts.root.children[0].confidence).toBe(0.5);
+    });
+
+    it('analyzes each child separately when batching is off', async () => {
+      const provider = createProvider(batch);
+      const mcts = createMCTS(provider, { batchAnalysis: false, deduplicateThoughts: false });
+      await mcts.initialize();
+
+      await mcts.expand(mcts.root);
+
+      expect(provider.calls.some(call => isBatchPrompt(call.prompt))).toBe(false);
+      expect(mcts.usage.analysis.calls).toBe(3);
+    });
+  });
+
+  describe('usage accounting', () => {
+    // Valid as both an analysis and an evaluation
+    const reply = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5, "score": 5}';
+    const pricing = { 'mock/scripted': { prompt: 0.001, completion: 0.002 } };
+
+    it('attributes token usage to nodes and phases', async () => {
+      const mcts = createMCTS(new MockProvider({ fallback: reply }), { pricing, batchAnalysis: false, deduplicateThoughts: false });
+      const onUsage = jest.fn();
+      mcts.on('usage', onUsage);
+
+      await mcts.initialize();
+      await mcts.search(1);
+
+      const { total, byPhase } = mcts.getUsageSummary();
+      expect(byPhase.initialization.calls).toBe(1);
+      expect(byPhase.expansion.calls).toBe(2);
+      expect(byPhase.analysis.calls).toBe(3);
+      expect(byPhase.evaluation.calls).toBe(1);
+      expect(total.calls).toBe(7);
+      expect(onUsage).toHaveBeenCalledTimes(7);
+
+      const [first, second] = mcts.root.children;
+      expect(Object.keys(mcts.root.usage).sort()).toEqual(['analysis', 'initialization']);
+      expect(first.usage.expansion.calls).toBe(1);
+      expect(second.usage.expansion.calls).toBe(1);
+      expect(first.usage.evaluation.calls).toBe(1);
+      expect(second.usage.evaluation).toBeUndefined();
+
+      const { promptTokens, completionTokens } = first.usage.expansion;
+      expect(first.usage.expansion.cost).toBeCloseTo(promptTokens * 0.001 + completionTokens * 0.002);
+      expect(total.unpricedCalls).toBe(0);
+    });
+
+    it('counts calls to models without pricing as unpriced', async () => {
+      const mcts = createMCTS(new MockProvider({ fallback: reply }));
+
+      const result = await mcts.run({ iterations: 1, simulationsPerIteration: 1 });
+
+      expect(result.usage.total.calls).toBeGreaterThan(0);
+      expect(result.usage.total.cost).toBe(0);
+      expect(result.usage.total.unpricedCalls).toBe(result.usage.total.calls);
+    });
+
+    it('keeps usage when saved and restored', async () => {
+      const mcts = createMCTS(new MockProvider({ fallback: reply }), { pricing });
+      await mcts.run({ iterations: 1, simulationsPerIteration: 2 });
+
+      const restored = InstinctMCTS.fromJSON(JSON.parse(JSON.stringify(mcts)));
+
+      expect(restored.getUsageSummary()).toEqual(mcts.getUsageSummary());
+      expect(restored.root.usage).toEqual(mcts.root.usage);
+    });
+  });
+
+  describe('budgets', () => {
+    it('stops when the call budget is reached and reports it', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      const onBudget = jest.fn();
+      mcts.on('budgetExceeded', onBudget);
+
+      const result = await mcts.run({ iterations: 3, simulationsPerIteration: 5, budget: { maxCalls: 5 } });
+
+      // Initialization (2 calls) plus one expansion (4 calls) before the next check
+      expect(mcts.llmCalls).toBe(6);
+      expect(result.cancelled).toBe(false);
+      expect(result.budgetExceeded).toEqual({ budget: 'maxCalls', limit: 5, used: 6 });
+      expect(result.bestNode).toBe(mcts.getBestNode());
+      expect(onBudget).toHaveBeenCalledWith(expect.objectContaining({ budget: 'maxCalls' }));
+    });
+
+    it('stops on token and cost budgets using reported usage', async () => {
+      // Valid as both an analysis and an evaluation
+    const reply = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5, "score": 5}';
+      const mcts = createMCTS(new MockProvider({ fallback: reply }), {
+        pricing: { 'mock/scripted': { prompt: 0.001, completion: 0.001 } }
+      });
+
+      const byTokens = await mcts.run({ iterations: 5, budget: { maxTokens: 1 } });
+      expect(byTokens.budgetExceeded.budget).toBe('maxTokens');
+
+      // Budgets count from the start of each run
+      const byCost = await mcts.run({ iterations: 5, budget: { maxCost: 0.0001 } });
+      expect(byCost.budgetExceeded.budget).toBe('maxCost');
+      expect(byCost.budgetExceeded.used).toBeLessThan(mcts.getUsageSummary().total.cost);
+    });
+
+    it('stops on the wall-clock budget', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+      const now = jest.spyOn(Date, 'now');
+      let clock = 0;
+      now.mockImplementation(() => (clock += 1000));
+
+      const result = await mcts.run({ iterations: 10, budget: { maxTimeMs: 5000 } });
+
+      expect(result.budgetExceeded.budget).toBe('maxTimeMs');
+      expect(mcts.root.visits).toBeLessThan(50);
+      now.mockRestore();
+    });
+
+    it('charges structured-output repairs against the call budget', async () => {
+      const provider = new MockProvider({ fallback: 'Not JSON at all' });
+      const mcts = createMCTS(provider);
+
+      const result = await mcts.run({ iterations: 3, budget: { maxCalls: 3 } });
+
+      // Initialization: the initial thought, then an analysis and its repair
+      expect(provider.calls).toHaveLength(3);
+      expect(mcts.llmCalls).toBe(3);
+      expect(result.budgetExceeded).toEqual({ budget: 'maxCalls', limit: 3, used: 3 });
+      expect(mcts.root.visits).toBe(0);
+    });
+
+    it('does not charge cached responses against the call budget', async () => {
+      // Valid as both an analysis and an evaluation
+      const reply = '{"confidence": 5, "perseverance": 5, "instinctVsAnalysis": 5, "emotionalState": 5, "score": 5}';
+      const provider = new MockProvider({ fallback: reply });
+      const client = new CachingProvider(provider);
+      const options = { batchAnalysis: false, deduplicateThoughts: false };
+
+      const first = createMCTS(client, options);
+      await first.run({ iterations: 2, simulationsPerIteration: 2 });
+      const requests = provider.calls.length;
+
+      const second = createMCTS(client, options);
+      const result = await second.run({ iterations: 2, simulationsPerIteration: 2, budget: { maxCalls: first.llmCalls } });
+
+      expect(first.llmCalls).toBe(requests);
+      expect(second.llmCalls).toBe(provider.calls.length - requests);
+      expect(second.llmCalls).toBeLessThan(first.llmCalls);
+      expect(result.budgetExceeded).toBeNull();
+    });
+
+    it('runs to completion within budget', async () => {
+      const mcts = createMCTS(createScriptedClient());
+
+      const result = await mcts.run({ iterations: 1, simulationsPerIteration: 2, budget: { maxCalls: 100 } });
+
+      expect(result.budgetExceeded).toBeNull();
+      expect(mcts.root.visits).toBe(2);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('returns the partial tree and current best node when cancelled', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      mcts.on('backpropagate', () => mcts.cancel());
+
+      const result = await mcts.run({ iterations: 3, simulationsPerIteration: 5 });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.bestNode).toBe(mcts.getBestNode());
+      expect(result.bestApproach).toBe(result.bestNode.content);
+      expect(result.finalTree.tree.children).toHaveLength(2);
+      // One initialization plus the single completed simulation
+      expect(mcts.treeHistory).toHaveLength(2);
+      expect(mcts.signal).toBeNull();
+    });
+
+    it('passes the abort signal to the provider and stops on an external abort', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      const controller = new AbortController();
+      mcts.on('expand', () => controller.abort());
+
+      const result = await mcts.run({ signal: controller.signal });
+
+      expect(result.cancelled).toBe(true);
+      const options = client.generateCompletion.mock.calls[0][1];
+      expect(options.signal).toBeInstanceOf(AbortSignal);
+      expect(options.signal.aborted).toBe(true);
+      expect(client.generateCompletion.mock.calls.some(
+        ([prompt]) => prompt.includes('Rate this approach')
+      )).toBe(false);
+    });
+
+    it('asks the provider to bypass its cache only for runs that request it', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+
+      await mcts.run({ iterations: 1, simulationsPerIteration: 1, bypassCache: true });
+      expect(client.generateCompletion.mock.calls.every(([, options]) => options.bypassCache)).toBe(true);
+      expect(client.analyzeContent.mock.calls.every(([, options]) => options.bypassCache)).toBe(true);
+
+      client.generateCompletion.mockClear();
+      await mcts.run({ iterations: 1, simulationsPerIteration: 1 });
+      expect(client.generateCompletion).toHaveBeenCalled();
+      expect(client.generateCompletion.mock.calls.some(([, options]) => options.bypassCache)).toBe(false);
+    });
+
+    it('treats provider errors after cancelling as cancellation', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const onError = jest.fn();
+      mcts.on('error', onError);
+      client.generateCompletion.mockImplementation(async () => {
+        mcts.cancel();
+        throw new DOMException('The operation was aborted', 'AbortError');
+      });
+
+      await expect(mcts.search(1)).rejects.toBeInstanceOf(SearchCancelledError);
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    it('waits while paused and continues after resume', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+      const stopPausing = mcts.on('backpropagate', () => mcts.pause());
+      const events = [];
+      mcts.on('*', event => events.push(event.type));
+
+      const searching = mcts.search(2);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mcts.paused).toBe(true);
+      expect(events.filter(type => type === 'backpropagate')).toHaveLength(1);
+
+      stopPausing();
+      mcts.resume();
+      await searching;
+
+      expect(events.filter(type => type === 'backpropagate')).toHaveLength(2);
+      expect(events).toEqual(expect.arrayContaining(['pause', 'resume']));
+    });
+
+    it('can be cancelled while paused', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+
+      const running = mcts.run({ iterations: 1, simulationsPerIteration: 1 });
+      mcts.pause();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      mcts.cancel();
+      const result = await running;
+
+      expect(result.cancelled).toBe(true);
+      expect(result.bestNode).toBe(mcts.getBestNode());
+      expect(result.bestScore).toBeNull();
+      expect(mcts.paused).toBe(false);
+    });
+  });
+
+  describe('events', () => {
+    it('emits typed events for each search phase', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['7', '6'] }));
+      const events = [];
+      mcts.on('*', event => events.push(event));
+
+      await mcts.run({ iterations: 1, simulationsPerIteration: 1 });
+
+      expect(events.map(e => e.type)).toEqual([
+        'analyze',
+        'select',
+        'analyze',
+        'analyze',
+        'expand',
+        'evaluate',
+        'backpropagate',
+        'evaluate',
+        'iterationComplete'
+      ]);
+      for (const event of events) {
+        expect(event.timestamp).toEqual(expect.any(Number));
+      }
+    });
+
+    it('includes prompts, raw responses, parsed scores and timing', async () => {
+      const mcts = createMCTS(createScriptedClient({ evaluations: ['Out of 10, I give it 7', '{"score": 7}'] }));
+      await mcts.initialize();
+      const onExpand = jest.fn();
+      const onEvaluate = jest.fn();
+      const onBackpropagate = jest.fn();
+      mcts.on('expand', onExpand);
+      mcts.on('evaluate', onEvaluate);
+      mcts.on('backpropagate', onBackpropagate);
+
+      await mcts.search(1);
+
+      const expand = onExpand.mock.calls[0][0];
+      expect(expand.nodeId).toBe(mcts.root.id);
+      expect(expand.childIds).toEqual(mcts.root.children.map(c => c.id));
+      expect(expand.prompts).toHaveLength(2);
+      expect(expand.responses).toEqual(['Another thought 1', 'Another thought 2']);
+      expect(expand.durationMs).toEqual(expect.any(Number));
+
+      const evaluate = onEvaluate.mock.calls[0][0];
+      expect(evaluate.prompt).toContain('Rate this approach');
+      // The unstructured reply is repaired rather than read as a 10
+      expect(evaluate.response).toBe('{"score": 7}');
+      expect(evaluate.rawScore).toBe(7);
+      expect(evaluate.score).toBe(7);
+
+      expect(onBackpropagate.mock.calls[0][0]).toEqual(expect.objectContaining({
+        nodeId: evaluate.nodeId,
+        score: 7,
+        updatedNodeIds: [evaluate.nodeId, mcts.root.id]
+      }));
+    });
+
+    it('emits error events', async () => {
+      const client = createScriptedClient();
+      const mcts = createMCTS(client);
+      await mcts.initialize();
+      const onError = jest.fn();
+      mcts.on('error', onError);
+      client.generateCompletion.mockRejectedValueOnce(new Error('rate limited'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(mcts.expand(mcts.root)).rejects.toThrow('rate limited');
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'error',
+        phase: 'expand',
+        nodeId: mcts.root.id,
+        message: 'rate limited'
+      }));
+      console.error.mockRestore();
+    });
+
+    it('stops delivering events after unsubscribing', async () => {
+      const mcts = createMCTS(createScriptedClient());
+      await mcts.initialize();
+      const listener = jest.fn();
+      const unsubscribe = mcts.on('select', listener);
+
+      mcts.select();
+      unsubscribe();
+      mcts.select();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects unknown event types', () => {
+      const mcts = createMCTS(createScriptedClient());
+
+      expect(() => mcts.on('explode', () => {})).toThrow('Unknown search event');
+    });
+  });
+});
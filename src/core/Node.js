@@ -13,6 +13,7 @@ class Node {
    * @param {number} params.explorationWeight - Exploration weight for UCT
    * @param {number} params.confidenceBias - Bias toward confident responses
    * @param {number} params.perseveranceFactor - Factor to boost perseverance
+   * @param {number} params.uncertaintyWeight - Weight of judge disagreement in UCT
    */
   constructor({
     id = null,
@@ -20,7 +21,8 @@ class Node {
     parent = null,
     explorationWeight = 1.4,
     confidenceBias = 0.2,
-    perseveranceFactor = 0.7
+    perseveranceFactor = 0.7,
+    uncertaintyWeight = 0.5
   }) {
     // Generate random ID if not provided
     this.id = id || this._generateId();
@@ -34,6 +36,7 @@ class Node {
     this.explorationWeight = explorationWeight;
     this.confidenceBias = confidenceBias;
     this.perseveranceFactor = perseveranceFactor;
+    this.uncertaintyWeight = uncertaintyWeight;
     
     // State variables
     this.emotionalState = 0.5; // Initial neutral emotional state (0-1)
@@ -41,6 +44,51 @@ class Node {
     this.confidence = 0.5;     // Confidence level (0-1)
     this.perseverance = 0.5;   // Perseverance level (0-1)
     
+    // Token usage of the LLM calls that created and scored this node, by phase
+    this.usage = {};
+    
+    // LLM responses about this node that could not be parsed, by phase
+    // ({ errors, response }); the node keeps its previous values for that phase
+    this.parseFailures = {};
+    
+    // LLM requests about this node that failed, by phase ({ error, message });
+    // the node keeps its previous values for that phase
+    this.requestFailures = {};
+    
+    // Per-criterion scores of the latest evaluation
+    // ({ criteria: [{ id, name, weight, score }], scale, score }), null until evaluated
+    this.scoreBreakdown = null;
+    
+    // Variance between the judges of the latest evaluation (0 with a single judge)
+    this.scoreVariance = 0;
+    
+    // Rating from head-to-head comparisons with siblings (Elo rating or
+    // Bradley–Terry strength), null until compared
+    this.rating = null;
+    
+    // Head-to-head comparisons between this node's children ({ a, b, result, model })
+    this.comparisons = [];
+    
+    // Rollouts of the latest simulation from this node ({ steps, score }),
+    // empty when the node was scored without playing it forward
+    this.rollouts = [];
+    
+    // Whether the LLM marked this thought as completing its path; terminal
+    // nodes are never expanded
+    this.terminal = false;
+    
+    // Whether the thought is still being streamed into this node; its content
+    // is incomplete until then
+    this.streaming = false;
+    
+    // LLM summary of the path from the root to this node, made when a
+    // descendant's path grew too long to include verbatim
+    this.pathSummary = null;
+    
+    // Prompt templates used for this node by phase ('generation', 'analysis',
+    // 'rollout', 'evaluation'), as { id, version, custom? }
+    this.templates = {};
+    
     // Metadata for visualization and tracking
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
@@ -69,7 +117,8 @@ class Node {
       parent: this,
       explorationWeight: this.explorationWeight,
       confidenceBias: this.confidenceBias,
-      perseveranceFactor: this.perseveranceFactor
+      perseveranceFactor: this.perseveranceFactor,
+      uncertaintyWeight: this.uncertaintyWeight
     });
     
     this.children.push(child);
@@ -102,7 +151,10 @@ class Node {
     // Apply perseverance boost
     const perseveranceBoost = this.perseverance * this.perseveranceFactor;
     
-    return exploitation + exploration * (1 + confidenceModifier) + perseveranceBoost;
+    // Judges that disagree leave the score uncertain, which is worth exploring
+    const uncertaintyBonus = this.uncertaintyWeight * Math.sqrt(this.scoreVariance);
+    
+    return exploitation + exploration * (1 + confidenceModifier) + perseveranceBoost + uncertaintyBonus;
   }
 
   /**
@@ -123,10 +175,108 @@ class Node {
       path: this.path,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
+      usage: this.usage,
+      parseFailures: this.parseFailures,
+      requestFailures: this.requestFailures,
+      scoreBreakdown: this.scoreBreakdown,
+      scoreVariance: this.scoreVariance,
+      rating: this.rating,
+      comparisons: this.comparisons,
+      rollouts: this.rollouts,
+      terminal: this.terminal,
+      streaming: this.streaming,
+      pathSummary: this.pathSummary,
+      templates: this.templates,
       childrenCount: this.children.length
     };
   }
 
+  /**
+   * Serialize this subtree to a plain object
+   * Unlike getState(), this keeps every field needed to rebuild the tree.
+   * @returns {Object} Serialized subtree
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      content: this.content,
+      visits: this.visits,
+      value: this.value,
+      emotionalState: this.emotionalState,
+      instinctWeight: this.instinctWeight,
+      confidence: this.confidence,
+      perseverance: this.perseverance,
+      explorationWeight: this.explorationWeight,
+      confidenceBias: this.confidenceBias,
+      perseveranceFactor: this.perseveranceFactor,
+      uncertaintyWeight: this.uncertaintyWeight,
+      depth: this.depth,
+      path: [...this.path],
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      usage: this.usage,
+      parseFailures: this.parseFailures,
+      requestFailures: this.requestFailures,
+      scoreBreakdown: this.scoreBreakdown,
+      scoreVariance: this.scoreVariance,
+      rating: this.rating,
+      comparisons: this.comparisons,
+      rollouts: this.rollouts,
+      terminal: this.terminal,
+      pathSummary: this.pathSummary,
+      templates: this.templates,
+      children: this.children.map(child => child.toJSON())
+    };
+  }
+
+  /**
+   * Rebuild a subtree from a serialized object
+   * @param {Object} data - Serialized subtree from toJSON()
+   * @param {Node} parent - Parent node for the rebuilt subtree
+   * @returns {Node} The rebuilt node
+   */
+  static fromJSON(data, parent = null) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Cannot deserialize node: expected an object');
+    }
+    
+    const node = new Node({
+      id: data.id,
+      content: data.content || '',
+      parent,
+      explorationWeight: data.explorationWeight ?? parent?.explorationWeight,
+      confidenceBias: data.confidenceBias ?? parent?.confidenceBias,
+      perseveranceFactor: data.perseveranceFactor ?? parent?.perseveranceFactor,
+      uncertaintyWeight: data.uncertaintyWeight ?? parent?.uncertaintyWeight
+    });
+    
+    for (const key of ['visits', 'value', 'emotionalState', 'instinctWeight', 'confidence', 'perseverance', 'scoreVariance', 'rating']) {
+      if (typeof data[key] === 'number') {
+        node[key] = data[key];
+      }
+    }
+    
+    if (typeof data.depth === 'number') node.depth = data.depth;
+    if (Array.isArray(data.path)) node.path = [...data.path];
+    if (data.createdAt) node.createdAt = data.createdAt;
+    if (data.usage && typeof data.usage === 'object') node.usage = { ...data.usage };
+    if (data.parseFailures && typeof data.parseFailures === 'object') node.parseFailures = { ...data.parseFailures };
+    if (data.requestFailures && typeof data.requestFailures === 'object') node.requestFailures = { ...data.requestFailures };
+    if (data.scoreBreakdown && Array.isArray(data.scoreBreakdown.criteria)) node.scoreBreakdown = data.scoreBreakdown;
+    if (Array.isArray(data.comparisons)) node.comparisons = data.comparisons.map(comparison => ({ ...comparison }));
+    if (data.terminal === true) node.terminal = true;
+    if (typeof data.pathSummary === 'string') node.pathSummary = data.pathSummary;
+    if (data.templates && typeof data.templates === 'object') node.templates = { ...data.templates };
+    if (Array.isArray(data.rollouts)) node.rollouts = data.rollouts.map(rollout => ({ ...rollout, steps: [...rollout.steps] }));
+    
+    node.children = (data.children || []).map(child => Node.fromJSON(child, node));
+    
+    // Restore last so rebuilding children does not bump the timestamp
+    node.updatedAt = data.updatedAt || node.createdAt;
+    
+    return node;
+  }
+
   /**
    * Find a node by ID in this subtree
    * @param {string} id - Node ID to find
@@ -189,6 +339,10 @@ class Node {
       this.perseveranceFactor = params.perseveranceFactor;
     }
     
+    if ('uncertaintyWeight' in params) {
+      this.uncertaintyWeight = params.uncertaintyWeight;
+    }
+    
     this.updatedAt = Date.now();
   }
 
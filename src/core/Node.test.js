@@ -0,0 +1,75 @@
+// src/core/Node.test.js
+
+import Node from './Node';
+
+describe('Node serialization', () => {
+  const buildTree = () => {
+    const root = new Node({ content: 'root', explorationWeight: 2, confidenceBias: 0.3, perseveranceFactor: 0.9 });
+    const child = root.addChild('child');
+    const grandchild = child.addChild('grandchild');
+
+    root.visits = 3;
+    root.value = 21;
+    child.updateParameters({ emotionalState: 0.8, confidence: 0.7, perseverance: 0.6, instinctWeight: 0.4 });
+    grandchild.visits = 1;
+    grandchild.value = 7;
+
+    return { root, child, grandchild };
+  };
+
+  it('round-trips a subtree', () => {
+    const { root } = buildTree();
+
+    const restored = Node.fromJSON(JSON.parse(JSON.stringify(root)));
+
+    expect(restored.toJSON()).toEqual(root.toJSON());
+  });
+
+  it('restores parent links, depth, path and parameters', () => {
+    const { root, child, grandchild } = buildTree();
+
+    const restored = Node.fromJSON(root.toJSON());
+    const restoredGrandchild = restored.findNodeById(grandchild.id);
+
+    expect(restoredGrandchild.parent.id).toBe(child.id);
+    expect(restoredGrandchild.parent.parent).toBe(restored);
+    expect(restoredGrandchild.depth).toBe(2);
+    expect(restoredGrandchild.path).toEqual([root.id, child.id]);
+    expect(restoredGrandchild.explorationWeight).toBe(2);
+    expect(restoredGrandchild.perseveranceFactor).toBe(0.9);
+    expect(restored.findNodeById(child.id).emotionalState).toBe(0.8);
+  });
+
+  it('keeps the original timestamps', () => {
+    const { root } = buildTree();
+    const data = root.toJSON();
+    data.createdAt = 1000;
+    data.updatedAt = 2000;
+
+    const restored = Node.fromJSON(data);
+
+    expect(restored.createdAt).toBe(1000);
+    expect(restored.updatedAt).toBe(2000);
+  });
+
+  it('rejects invalid data', () => {
+    expect(() => Node.fromJSON(null)).toThrow(TypeError);
+  });
+});
+
+describe('Node UCT', () => {
+  it('favors nodes whose judges disagree', () => {
+    const root = new Node({ content: 'root', uncertaintyWeight: 0.5 });
+    root.visits = 4;
+    const agreed = root.addChild('agreed');
+    const disputed = root.addChild('disputed');
+    for (const node of [agreed, disputed]) {
+      node.visits = 2;
+      node.value = 12;
+    }
+    disputed.scoreVariance = 4;
+
+    expect(disputed.uctValue() - agreed.uctValue()).toBeCloseTo(0.5 * 2);
+    expect(Node.fromJSON(JSON.parse(JSON.stringify(root))).children[1].scoreVariance).toBe(4);
+  });
+});
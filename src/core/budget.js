@@ -0,0 +1,73 @@
+// src/core/budget.js
+
+/**
+ * Search budgets for LLM Instinct
+ *
+ * A budget is an object with any of `maxTokens`, `maxCost` (USD),
+ * `maxTimeMs` and `maxCalls`. Missing, null or non-positive limits are unlimited.
+ */
+
+/**
+ * Budget limits and the measurement each one caps
+ * @type {Object}
+ */
+export const BUDGET_LIMITS = {
+  maxTokens: 'tokens',
+  maxCost: 'cost',
+  maxTimeMs: 'timeMs',
+  maxCalls: 'calls'
+};
+
+/**
+ * Drop unset and invalid limits from a budget
+ * @param {Object} budget - Budget with optional limits
+ * @returns {Object} Budget containing only positive, finite limits
+ */
+export function normalizeBudget(budget = {}) {
+  const normalized = {};
+
+  for (const limit of Object.keys(BUDGET_LIMITS)) {
+    const value = Number(budget?.[limit]);
+    if (budget?.[limit] !== null && budget?.[limit] !== '' && Number.isFinite(value) && value > 0) {
+      normalized[limit] = value;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Find the first budget limit that has been reached
+ * @param {Object} budget - Normalized budget
+ * @param {Object} used - Consumption so far ({ tokens, cost, timeMs, calls })
+ * @returns {Object|null} { budget, limit, used } for the limit reached, or null
+ */
+export function findExceededBudget(budget, used) {
+  for (const [limit, measure] of Object.entries(BUDGET_LIMITS)) {
+    if (budget[limit] !== undefined && used[measure] >= budget[limit]) {
+      return { budget: limit, limit: budget[limit], used: used[measure] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a reached budget for display
+ * @param {Object} exceeded - Result of findExceededBudget()
+ * @returns {string} Human-readable description
+ */
+export function describeExceededBudget(exceeded) {
+  switch (exceeded.budget) {
+    case 'maxTokens':
+      return `token budget reached (${exceeded.used.toLocaleString()} of ${exceeded.limit.toLocaleString()} tokens)`;
+    case 'maxCost':
+      return `cost budget reached ($${exceeded.used.toFixed(4)} of $${exceeded.limit.toFixed(2)})`;
+    case 'maxTimeMs':
+      return `time budget reached (${(exceeded.used / 1000).toFixed(1)} of ${(exceeded.limit / 1000).toFixed(1)} s)`;
+    case 'maxCalls':
+      return `call budget reached (${exceeded.used} of ${exceeded.limit} LLM calls)`;
+    default:
+      return `${exceeded.budget} reached`;
+  }
+}
@@ -0,0 +1,33 @@
+// src/core/budget.test.js
+
+import { normalizeBudget, findExceededBudget, describeExceededBudget } from './budget';
+
+describe('budgets', () => {
+  it('keeps only positive, finite limits', () => {
+    expect(normalizeBudget({
+      maxTokens: '5000',
+      maxCost: '',
+      maxTimeMs: null,
+      maxCalls: 0,
+      unknown: 3
+    })).toEqual({ maxTokens: 5000 });
+    expect(normalizeBudget()).toEqual({});
+  });
+
+  it('reports the first limit reached', () => {
+    const budget = { maxTokens: 1000, maxCalls: 10 };
+
+    expect(findExceededBudget(budget, { tokens: 999, cost: 5, timeMs: 0, calls: 9 })).toBeNull();
+    expect(findExceededBudget(budget, { tokens: 1200, cost: 0, timeMs: 0, calls: 10 }))
+      .toEqual({ budget: 'maxTokens', limit: 1000, used: 1200 });
+    expect(findExceededBudget(budget, { tokens: 0, cost: 0, timeMs: 0, calls: 10 }))
+      .toEqual({ budget: 'maxCalls', limit: 10, used: 10 });
+  });
+
+  it('describes reached limits', () => {
+    expect(describeExceededBudget({ budget: 'maxCalls', limit: 10, used: 12 }))
+      .toBe('call budget reached (12 of 10 LLM calls)');
+    expect(describeExceededBudget({ budget: 'maxTimeMs', limit: 30000, used: 31500 }))
+      .toBe('time budget reached (31.5 of 30.0 s)');
+  });
+});
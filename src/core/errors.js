@@ -0,0 +1,33 @@
+// src/core/errors.js
+
+/**
+ * Error classes for the LLM Instinct core
+ */
+
+/**
+ * Thrown inside a search when it has been cancelled
+ */
+export class SearchCancelledError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Search cancelled') {
+    super(message);
+    this.name = 'SearchCancelledError';
+  }
+}
+
+
+/**
+ * Thrown inside a search when one of its budgets has been reached
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {Object} exceeded - Budget reached ({ budget, limit, used })
+   */
+  constructor(exceeded) {
+    super(`Search budget reached: ${exceeded.budget}`);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+  }
+}
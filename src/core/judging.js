@@ -0,0 +1,57 @@
+// src/core/judging.js
+
+/**
+ * Combining the scores of several judge models
+ */
+
+/**
+ * Ways to combine judge scores
+ * @type {Array<Object>}
+ */
+export const JUDGE_AGGREGATIONS = [
+  { id: 'mean', name: 'Mean' },
+  { id: 'median', name: 'Median' },
+  { id: 'trimmedMean', name: 'Trimmed mean (drops the highest and lowest)' }
+];
+
+/**
+ * Combine scores from several judges into one
+ * @param {Array<number>} values - One score per judge
+ * @param {string} method - 'mean', 'median' or 'trimmedMean'
+ * @returns {number} Combined score
+ * @throws {TypeError} If the method is unknown or there are no scores
+ */
+export function combineScores(values, method = 'mean') {
+  if (values.length === 0) {
+    throw new TypeError('Cannot combine an empty list of scores');
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+
+  switch (method) {
+    case 'mean':
+      return mean(sorted);
+    case 'median': {
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    case 'trimmedMean':
+      // Trimming fewer than three scores would leave nothing to average
+      return mean(sorted.length >= 3 ? sorted.slice(1, -1) : sorted);
+    default:
+      throw new TypeError(`Unknown judge aggregation: ${method}`);
+  }
+}
+
+/**
+ * Population variance of a list of scores
+ * @param {Array<number>} values - Scores
+ * @returns {number} Variance (0 for fewer than two scores)
+ */
+export function scoreVariance(values) {
+  if (values.length < 2) return 0;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
@@ -0,0 +1,23 @@
+// src/core/judging.test.js
+
+import { combineScores, scoreVariance } from './judging';
+
+describe('judging', () => {
+  it('combines judge scores', () => {
+    expect(combineScores([9, 4, 5], 'mean')).toBe(6);
+    expect(combineScores([9, 4, 5], 'median')).toBe(5);
+    expect(combineScores([9, 4, 5, 6], 'median')).toBe(5.5);
+    expect(combineScores([10, 4, 5, 6], 'trimmedMean')).toBe(5.5);
+    expect(combineScores([10, 4], 'trimmedMean')).toBe(7);
+  });
+
+  it('rejects unknown methods and empty lists', () => {
+    expect(() => combineScores([5], 'mode')).toThrow('Unknown judge aggregation');
+    expect(() => combineScores([], 'mean')).toThrow(TypeError);
+  });
+
+  it('computes the population variance', () => {
+    expect(scoreVariance([7])).toBe(0);
+    expect(scoreVariance([4, 8])).toBe(4);
+  });
+});
@@ -0,0 +1,143 @@
+// src/core/personas.js
+
+import InstinctMCTS from './InstinctMCTS';
+import { normalizeRubric } from './rubric';
+
+/**
+ * Decision-maker personas
+ *
+ * A persona bundles the voice the LLM thinks in (a system prompt), default
+ * values for the instinct parameters and the rubric its thoughts are judged
+ * by. personaConfig() turns one into InstinctMCTS constructor parameters, and
+ * comparePersonas() searches the same problem once per persona.
+ */
+
+/**
+ * Built-in personas
+ * @type {Array<Object>}
+ */
+export const PERSONAS = Object.freeze([
+  {
+    id: 'serialFounder',
+    name: 'Serial founder',
+    description: 'Moves fast on gut feeling, bets on upside and keeps going after setbacks.',
+    systemPrompt: 'You are a serial founder who has started and sold several companies. You trust your instincts, ' +
+      'move fast with incomplete information, favour bold bets with large upside, and treat setbacks as tuition ' +
+      'rather than reasons to quit.',
+    parameters: { instinctRatio: 0.8, perseveranceFactor: 0.9, confidenceBias: 0.4, explorationWeight: 1.8 },
+    rubric: {
+      criteria: [
+        { name: 'Upside', description: 'How large is the payoff if this works?', weight: 2 },
+        { name: 'Speed', description: 'How quickly can this be tried and learned from?', weight: 1.5 },
+        { name: 'Conviction', description: 'Does it commit to a clear direction despite uncertainty?', weight: 1 },
+        { name: 'Creativity', description: 'Does it find an angle others would miss?', weight: 1 }
+      ]
+    }
+  },
+  {
+    id: 'riskAverseCfo',
+    name: 'Risk-averse CFO',
+    description: 'Protects the downside, wants numbers and prefers reversible steps.',
+    systemPrompt: 'You are a risk-averse chief financial officer. You protect the downside first, ask what each ' +
+      'option costs and what happens if it fails, prefer reversible and staged commitments, and distrust ' +
+      'plans that rest on optimism rather than evidence.',
+    parameters: { instinctRatio: 0.2, perseveranceFactor: 0.4, confidenceBias: 0, explorationWeight: 1 },
+    rubric: {
+      criteria: [
+        { name: 'Downside protection', description: 'How well does it limit losses if things go wrong?', weight: 2 },
+        { name: 'Financial soundness', description: 'Are costs, returns and cash needs realistic?', weight: 2 },
+        { name: 'Reversibility', description: 'Can the decision be undone or staged cheaply?', weight: 1 },
+        { name: 'Evidence', description: 'Does it rest on data rather than hope?', weight: 1 }
+      ]
+    }
+  },
+  {
+    id: 'stubbornResearcher',
+    name: 'Stubborn researcher',
+    description: 'Pursues a hypothesis doggedly, cares about rigour and what can be learned.',
+    systemPrompt: 'You are a stubborn research scientist. You form a clear hypothesis and pursue it through ' +
+      'failed experiments, insist on rigour and on testing assumptions, and value what a path teaches you ' +
+      'even when it does not pay off quickly.',
+    parameters: { instinctRatio: 0.5, perseveranceFactor: 1, confidenceBias: 0.3, explorationWeight: 1.2 },
+    rubric: {
+      criteria: [
+        { name: 'Rigour', description: 'Are its assumptions stated and tested?', weight: 2 },
+        { name: 'Insight', description: 'Does it reveal something non-obvious about the problem?', weight: 1.5 },
+        { name: 'Perseverance', description: 'Does it keep pursuing a promising idea through setbacks?', weight: 1.5 },
+        { name: 'Learning', description: 'Will following it teach something useful even if it fails?', weight: 1 }
+      ]
+    }
+  }
+].map(persona => Object.freeze({ ...persona, parameters: Object.freeze(persona.parameters) })));
+
+/**
+ * Find a persona by id
+ * @param {string} id - Persona id
+ * @returns {Object} The persona
+ * @throws {TypeError} If there is no persona with that id
+ */
+export function getPersona(id) {
+  const persona = PERSONAS.find(candidate => candidate.id === id);
+  if (!persona) {
+    throw new TypeError(`Unknown persona: ${id}`);
+  }
+  return persona;
+}
+
+/**
+ * InstinctMCTS parameters for searching as a persona
+ * @param {string} id - Persona id
+ * @returns {Object} { persona, systemPrompt, rubric, instinctRatio,
+ *   perseveranceFactor, confidenceBias, explorationWeight }
+ * @throws {TypeError} If there is no persona with that id
+ */
+export function personaConfig(id) {
+  const { systemPrompt, parameters, rubric } = getPersona(id);
+  return { persona: id, systemPrompt, rubric: normalizeRubric(rubric), ...parameters };
+}
+
+/**
+ * Search the same problem once per persona
+ * Searches run one after another with the same settings apart from what each
+ * persona brings. Best scores are on each persona's own rubric, so they show
+ * how convinced each persona is rather than which approach is better.
+ * @param {Object} params - Comparison parameters
+ * @param {Array<string>} params.personas - Ids of the personas to compare
+ * @param {Object} params.config - Other InstinctMCTS parameters shared by every
+ *   search (llmClient, problem, context, ...)
+ * @param {Object} params.run - Options for run() (iterations,
+ *   simulationsPerIteration, budget, ...); budgets apply to each search
+ * @param {AbortSignal} params.signal - Cancels the comparison (optional)
+ * @param {Function} params.onSearch - Called with (mcts, persona, index) before
+ *   each search starts, e.g. to subscribe to its events (optional)
+ * @returns {Promise<Array<Object>>} One result per persona searched:
+ *   { persona, bestApproach, bestScore, bestNode, usage, cancelled,
+ *   budgetExceeded, mcts }
+ * @throws {TypeError} If a persona id is unknown
+ */
+export async function comparePersonas({ personas, config, run = {}, signal = null, onSearch = null }) {
+  const selected = personas.map(getPersona);
+  const results = [];
+
+  for (const [index, persona] of selected.entries()) {
+    if (signal?.aborted) break;
+
+    const mcts = new InstinctMCTS({ ...config, ...personaConfig(persona.id) });
+    if (onSearch) onSearch(mcts, persona, index);
+
+    const result = await mcts.run({ ...run, signal });
+    results.push({
+      persona: persona.id,
+      bestApproach: result.bestApproach,
+      bestScore: result.bestScore,
+      bestNode: result.bestNode,
+      usage: result.usage,
+      cancelled: result.cancelled,
+      budgetExceeded: result.budgetExceeded,
+      mcts
+    });
+    if (result.cancelled) break;
+  }
+
+  return results;
+}
@@ -0,0 +1,80 @@
+// src/core/personas.test.js
+
+import { PERSONAS, getPersona, personaConfig, comparePersonas } from './personas';
+import { validateRubric } from './rubric';
+
+/**
+ * Build a fake LLM client that answers every prompt generically
+ * @returns {Object} Fake client with jest mock functions
+ */
+function createClient() {
+  let thoughts = 0;
+  return {
+    generateCompletion: jest.fn(async (prompt) => {
+      if (prompt.includes('Rate this approach')) return '{"score": 7}';
+      return `Thought ${++thoughts}`;
+    }),
+    analyzeContent: jest.fn(async () => ({ confidence: 5, perseverance: 5, instinctVsAnalysis: 5, emotionalState: 5 }))
+  };
+}
+
+describe('personas', () => {
+  it('bundles a voice, instinct parameters and a valid rubric', () => {
+    PERSONAS.forEach(persona => {
+      expect(persona.systemPrompt).toBeTruthy();
+      expect(Object.keys(persona.parameters).sort()).toEqual(
+        ['confidenceBias', 'explorationWeight', 'instinctRatio', 'perseveranceFactor']
+      );
+      expect(validateRubric(persona.rubric)).toEqual([]);
+    });
+  });
+
+  it('turns a persona into search parameters', () => {
+    const config = personaConfig('serialFounder');
+
+    expect(config).toEqual(expect.objectContaining({
+      persona: 'serialFounder',
+      systemPrompt: getPersona('serialFounder').systemPrompt,
+      instinctRatio: 0.8,
+      explorationWeight: 1.8
+    }));
+    expect(config.rubric.criteria[0]).toEqual(expect.objectContaining({ id: 'upside', weight: 2 }));
+    expect(() => getPersona('pirate')).toThrow('Unknown persona: pirate');
+  });
+
+  it('searches the same problem once per persona', async () => {
+    const client = createClient();
+    const onSearch = jest.fn();
+
+    const results = await comparePersonas({
+      personas: ['serialFounder', 'riskAverseCfo'],
+      config: { llmClient: client, problem: 'Expand abroad?', context: 'Small team' },
+      run: { iterations: 1, simulationsPerIteration: 1 },
+      onSearch
+    });
+
+    expect(results.map(result => result.persona)).toEqual(['serialFounder', 'riskAverseCfo']);
+    expect(results[1].mcts.getConfig()).toEqual(expect.objectContaining({ persona: 'riskAverseCfo', instinctRatio: 0.2 }));
+    results.forEach(result => {
+      expect(result.bestApproach).toBeTruthy();
+      expect(result.cancelled).toBe(false);
+    });
+    expect(onSearch.mock.calls.map(([, persona, index]) => [persona.id, index])).toEqual([
+      ['serialFounder', 0],
+      ['riskAverseCfo', 1]
+    ]);
+  });
+
+  it('stops comparing when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const results = await comparePersonas({
+      personas: ['serialFounder', 'riskAverseCfo'],
+      config: { llmClient: createClient(), problem: 'Expand abroad?', context: '' },
+      signal: controller.signal
+    });
+
+    expect(results).toEqual([]);
+  });
+});
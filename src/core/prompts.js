@@ -1,47 +1,72 @@
 // src/core/prompts.js
 
+import { DEFAULT_RUBRIC } from './rubric';
+
 /**
  * Prompt templates for the LLM Instinct framework
+ *
+ * Every prompt the search sends is rendered from a named, versioned template
+ * whose `{{variable}}` placeholders are filled in by the generate* functions
+ * below. A run can override any template with custom text (see
+ * normalizePromptTemplates()); nodes record which template and version
+ * produced, analyzed and scored them.
  */
 
 /**
- * Generate a prompt for the initial response
- * @param {string} problem - Problem statement
- * @param {string} context - Additional context
- * @returns {string} Formatted prompt
+ * Marker a thought starts with when its path needs no further steps
+ * @type {string}
  */
-export function generateInitialPrompt(problem, context) {
-  return `
-You are facing this problem: ${problem}
+export const COMPLETION_MARKER = '[COMPLETE]';
 
-Additional context: ${context}
+/**
+ * Built-in prompt templates by id
+ * Bump a template's version whenever its text or variables change, so that
+ * saved results keep pointing at the text that produced them.
+ * @type {Object}
+ */
+export const PROMPT_TEMPLATES = Object.freeze(Object.fromEntries([
+  {
+    id: 'initial',
+    name: 'Initial approach',
+    description: 'Asks for the first approach to the problem, which becomes the root of the tree.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' }
+    ],
+    text: `
+You are facing this problem: {{problem}}
+
+Additional context: {{context}}
 
 Provide an initial approach or solution to this problem. Think about both analytical reasoning and instinctual feelings about the best path forward.
 
 Your response should be thoughtful and consider both the logical aspects of the problem and any intuitive insights you might have.
-`;
-}
-
-/**
- * Generate a prompt for thought exploration
- * @param {string} problem - Problem statement
- * @param {string} context - Additional context
- * @param {string} currentApproach - Current approach content
- * @returns {string} Formatted prompt
- */
-export function generateThoughtPrompt(problem, context, currentApproach) {
-  return `
+`
+  },
+  {
+    id: 'thought',
+    name: 'Thought',
+    description: 'Asks for a next step from a node when it is expanded.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'currentApproach', description: 'Content of the node being expanded' },
+      { name: 'history', description: 'Steps that led to the node, if any' },
+      { name: 'alternatives', description: 'Sibling thoughts to differ from, if any' },
+      { name: 'completion', description: `How to mark a thought that completes its path with ${COMPLETION_MARKER}, if enabled` }
+    ],
+    text: `
 Given the following problem and context:
 
-PROBLEM: ${problem}
-
-CONTEXT: ${context}
+PROBLEM: {{problem}}
 
+CONTEXT: {{context}}
+{{history}}
 And the current approach being considered:
 """
-${currentApproach}
+{{currentApproach}}
 """
-
+{{alternatives}}
 Generate a next step, consideration, or alternative approach. Balance logical thinking with intuitive insights.
 
 Your response should demonstrate one or more of these qualities:
@@ -51,49 +76,160 @@ Your response should demonstrate one or more of these qualities:
 4. Ability to go against conventional wisdom when your instinct suggests it
 
 Your response should be a single comprehensive paragraph explaining your suggested next step or consideration.
-`;
-}
+{{completion}}`
+  },
+  {
+    id: 'branch',
+    name: 'Branch exploration',
+    description: 'Asks for a new thought in a direction chosen by the user.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'currentPath', description: 'Steps from the root to the node being branched from' },
+      { name: 'branch', description: 'Direction the user asked for' }
+    ],
+    text: `
+You're exploring a decision tree for the following problem:
 
-/**
- * Generate a prompt for evaluating an approach
- * @param {string} problem - Problem statement
- * @param {string} context - Additional context
- * @param {string} approach - Approach content to evaluate
- * @returns {string} Formatted prompt
- */
-export function generateEvaluationPrompt(problem, context, approach) {
-  return `
-Evaluate the quality of the following approach to this problem:
+PROBLEM: {{problem}}
 
-PROBLEM: ${problem}
+CONTEXT: {{context}}
 
-CONTEXT: ${context}
+The current decision path you've been following is:
+"""
+{{currentPath}}
+"""
+
+Now, you want to explore a branch where: {{branch}}
+
+Generate a new approach that follows this branch. Your approach should:
+1. Address the original problem
+2. Incorporate the branch direction
+3. Balance logical reasoning with intuitive insights
+4. Demonstrate conviction even if the path seems uncertain
+
+Your response should be a comprehensive paragraph describing this new approach.
+`
+  },
+  {
+    id: 'pathSummary',
+    name: 'Path summary',
+    description: 'Condenses the early steps of a path too long to show in full.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'steps', description: 'Steps to summarize, numbered' }
+    ],
+    text: `
+These are the first steps of a line of reasoning about this problem:
+
+PROBLEM: {{problem}}
+
+{{steps}}
+
+Summarize these steps in one paragraph of at most 150 words. Keep the decisions that were made, the facts and constraints they relied on, and any open questions; drop repetition and wording.
+`
+  },
+  {
+    id: 'rollout',
+    name: 'Rollout step',
+    description: 'Plays an approach forward one step before it is scored.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'approach', description: 'Approach being played out' },
+      { name: 'history', description: 'Steps imagined so far, if any' }
+    ],
+    text: `
+Imagine this approach to the problem is actually followed, and describe what happens next.
+
+PROBLEM: {{problem}}
+
+CONTEXT: {{context}}
 
 APPROACH:
 """
-${approach}
+{{approach}}
 """
+{{history}}
+Describe the next step in two or three sentences: what is done, how people and circumstances respond, and any setback or success it leads to. Be realistic rather than optimistic, and stay consistent with what has already happened.
+`
+  },
+  {
+    id: 'evaluation',
+    name: 'Evaluation',
+    description: 'Scores an approach on every rubric criterion.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'approach', description: 'Approach being scored' },
+      { name: 'outcome', description: 'Rollout of the approach, if any' },
+      { name: 'scaleMin', description: 'Lowest score of the rubric' },
+      { name: 'scaleMax', description: 'Highest score of the rubric' },
+      { name: 'criteria', description: 'Rubric criteria, one per line' },
+      { name: 'example', description: 'Example of the expected JSON response' }
+    ],
+    text: `
+Evaluate the quality of the following approach to this problem:
 
-Rate this approach on a scale from 1 to 10, where 10 is best.
+PROBLEM: {{problem}}
 
-Consider:
-1. How well does this approach balance analysis with intuition?
-2. Does it show perseverance in the face of uncertainty?
-3. Is it creative and potentially effective?
-4. Does it demonstrate conviction despite possible doubt?
-5. Does it recognize patterns or insights that aren't immediately obvious?
+CONTEXT: {{context}}
 
-Return only a single number from 1 to 10.
-`;
-}
+APPROACH:
+"""
+{{approach}}
+"""
+{{outcome}}
+Rate this approach on each of these criteria, on a scale from {{scaleMin}} to {{scaleMax}}, where {{scaleMax}} is best:
+{{criteria}}
+
+Respond with only a JSON object containing a score for every criterion, like this: {{example}}
+`
+  },
+  {
+    id: 'pairwise',
+    name: 'Pairwise comparison',
+    description: 'Picks the better of two sibling approaches in pairwise evaluation.',
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'approachA', description: 'First approach' },
+      { name: 'approachB', description: 'Second approach' },
+      { name: 'criteria', description: 'Rubric criteria, one per line' }
+    ],
+    text: `
+Compare these two approaches to the same problem and decide which one is better.
+
+PROBLEM: {{problem}}
+
+CONTEXT: {{context}}
+
+APPROACH A:
+"""
+{{approachA}}
+"""
 
-/**
- * Generate a prompt for emotional state analysis
- * @param {string} content - Content to analyze
- * @returns {string} Formatted prompt
- */
-export function generateEmotionalAnalysisPrompt(content) {
-  return `
+APPROACH B:
+"""
+{{approachB}}
+"""
+
+Weigh them against these criteria:
+{{criteria}}
+
+Pick a winner even if the difference is small; answer "tie" only if they are genuinely equal. The order in which the approaches are shown says nothing about their quality.
+
+Respond with only a JSON object naming the better approach, like this: {"winner": "A"} (or "B", or "tie")
+`
+  },
+  {
+    id: 'analysis',
+    name: 'Emotional analysis',
+    description: 'Reads confidence, perseverance, instinct and emotional tone from one thought.',
+    variables: [
+      { name: 'content', description: 'Thought to analyze' }
+    ],
+    text: `
 Analyze the following text and provide scores for these dimensions:
 1. Confidence (1-10): How confident does the author appear?
 2. Perseverance (1-10): How much determination to continue despite challenges?
@@ -102,57 +238,106 @@ Analyze the following text and provide scores for these dimensions:
 
 Text to analyze:
 """
-${content}
+{{content}}
 """
 
 Provide your response in JSON format like this: {"confidence": 7, "perseverance": 8, "instinctVsAnalysis": 6, "emotionalState": 5}
-`;
-}
+`
+  },
+  {
+    id: 'batchAnalysis',
+    name: 'Batched emotional analysis',
+    description: 'Analyzes all the thoughts of one expansion in a single request.',
+    variables: [
+      { name: 'count', description: 'Number of thoughts' },
+      { name: 'texts', description: 'Numbered thoughts to analyze' }
+    ],
+    text: `
+Analyze each of the following {{count}} texts and provide scores for these dimensions:
+1. Confidence (1-10): How confident does the author appear?
+2. Perseverance (1-10): How much determination to continue despite challenges?
+3. Instinct vs Analysis (1-10): Is this more instinct-driven (10) or analytical (1)?
+4. Emotional State (1-10): How positive is the emotional tone?
 
-/**
- * Generate a prompt for branch exploration
- * @param {string} problem - Problem statement
- * @param {string} context - Additional context
- * @param {string} currentPath - Description of the current decision path
- * @param {string} branch - Branch instruction
- * @returns {string} Formatted prompt
- */
-export function generateBranchExplorationPrompt(problem, context, currentPath, branch) {
-  return `
-You're exploring a decision tree for the following problem:
+{{texts}}
+Provide your response as a JSON object whose "analyses" array has exactly one entry per text, in the same order, like this:
+{"analyses": [{"confidence": 7, "perseverance": 8, "instinctVsAnalysis": 6, "emotionalState": 5}, {"confidence": 4, "perseverance": 6, "instinctVsAnalysis": 3, "emotionalState": 6}]}
+`
+  },
+  {
+    id: 'finalRecommendation',
+    name: 'Final recommendation',
+    description: 'Synthesizes the best approaches found into one structured recommendation.',
+    version: 2,
+    variables: [
+      { name: 'problem', description: 'Problem statement' },
+      { name: 'context', description: 'Additional context' },
+      { name: 'approaches', description: 'Numbered candidate approaches, strongest first' }
+    ],
+    text: `
+You're solving the following problem:
 
-PROBLEM: ${problem}
+PROBLEM: {{problem}}
 
-CONTEXT: ${context}
+CONTEXT: {{context}}
 
-The current decision path you've been following is:
-"""
-${currentPath}
-"""
+You've explored these approaches, strongest first:
 
-Now, you want to explore a branch where: ${branch}
+{{approaches}}
 
-Generate a new approach that follows this branch. Your approach should:
-1. Address the original problem
-2. Incorporate the branch direction
-3. Balance logical reasoning with intuitive insights
-4. Demonstrate conviction even if the path seems uncertain
+Based on these approaches, synthesize a final recommendation that:
+1. Combines the strongest elements of the approaches
+2. Demonstrates conviction despite uncertainty
+3. Acknowledges challenges but maintains perseverance
+4. Balances analytical reasoning with intuitive insights
+5. Provides a clear path forward
 
-Your response should be a comprehensive paragraph describing this new approach.
-`;
-}
+Provide your response as a JSON object with these fields:
+- "summary": the recommendation in a few sentences
+- "actionPlan": the concrete steps someone would take to implement it, in order
+- "risks": the main risks, each with a "risk" and a "mitigation"
+- "conviction": how strongly you stand behind it, from 1 (tentative) to 10 (certain)
+- "sources": the numbers of the approaches it draws on
+
+For example:
+{"summary": "...", "actionPlan": ["...", "..."], "risks": [{"risk": "...", "mitigation": "..."}], "conviction": 7, "sources": [1, 3]}
+`
+  },
+  {
+    id: 'repair',
+    name: 'Structured output repair',
+    description: 'Shows the model a response that did not match its JSON schema and asks for a valid one.',
+    variables: [
+      { name: 'prompt', description: 'Original prompt' },
+      { name: 'response', description: 'Invalid response' },
+      { name: 'errors', description: 'Validation errors, one per line' },
+      { name: 'schema', description: 'Expected JSON schema' }
+    ],
+    text: `{{prompt}}
+Your previous response was:
+"""
+{{response}}
+"""
 
-/**
- * Generate a prompt for analyzing perseverance indicators
- * @param {string} content - Content to analyze
- * @returns {string} Formatted prompt
- */
-export function generatePerseveranceAnalysisPrompt(content) {
-  return `
+It is not valid because:
+{{errors}}
+
+Respond again with only a JSON value matching this JSON schema, and no other text:
+{{schema}}
+`
+  },
+  {
+    id: 'perseverance',
+    name: 'Perseverance analysis',
+    description: 'Scores perseverance against doubt in one text. Available to callers; the search does not send it.',
+    variables: [
+      { name: 'content', description: 'Text to analyze' }
+    ],
+    text: `
 Analyze the following text for indicators of perseverance and doubt:
 
 """
-${content}
+{{content}}
 """
 
 Identify words, phrases, or themes that indicate:
@@ -161,37 +346,341 @@ Identify words, phrases, or themes that indicate:
 
 Provide a score from 1-10 where 10 indicates strong perseverance and 1 indicates strong doubt.
 Return only the score as a single number.
-`;
+`
+  }
+].map(template => [template.id, Object.freeze({
+  version: 1,
+  ...template,
+  variables: Object.freeze(template.variables.map(variable => Object.freeze(variable)))
+})])));
+
+/**
+ * Placeholder syntax in template text, e.g. {{problem}}
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill in the placeholders of a template
+ * Values are inserted as they are: placeholders inside them are not expanded.
+ * @param {string} text - Template text
+ * @param {Object} variables - Value of each variable
+ * @returns {string} Rendered text (placeholders without a value are kept)
+ */
+export function renderTemplate(text, variables) {
+  return text.replace(PLACEHOLDER, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : placeholder
+  ));
 }
 
 /**
- * Generate a prompt for final recommendation
+ * Check custom prompt templates for problems
+ * @param {Object} overrides - Custom templates by id: { text, version }
+ * @returns {Array<string>} Problems found (empty if the templates are valid)
+ */
+export function validatePromptTemplates(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['Prompt templates must be an object keyed by template id'];
+  }
+
+  const errors = [];
+  Object.entries(overrides).forEach(([id, override]) => {
+    const builtIn = PROMPT_TEMPLATES[id];
+    if (!builtIn) {
+      errors.push(`Unknown prompt template: ${id}`);
+      return;
+    }
+    const label = `The "${builtIn.name}" template`;
+    if (typeof override?.text !== 'string' || !override.text.trim()) {
+      errors.push(`${label} needs text`);
+      return;
+    }
+    const version = override.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      errors.push(`${label} must have a positive whole version number`);
+    }
+    const known = builtIn.variables.map(variable => variable.name);
+    const unknown = [...new Set([...override.text.matchAll(PLACEHOLDER)].map(match => match[1]))]
+      .filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`${label} uses unknown variables: ${unknown.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate custom prompt templates and fill in their name, description and
+ * variables from the built-in template they replace
+ * @param {Object} overrides - Custom templates by id: { text, version } (default: none)
+ * @returns {Object} Custom templates by id, each marked `custom: true`
+ * @throws {TypeError} If the templates are invalid
+ */
+export function normalizePromptTemplates(overrides = {}) {
+  const errors = validatePromptTemplates(overrides);
+  if (errors.length > 0) {
+    throw new TypeError(`Invalid prompt templates: ${errors.join('; ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(overrides).map(([id, { text, version = 1 }]) => [
+    id,
+    { ...PROMPT_TEMPLATES[id], version, text, custom: true }
+  ]));
+}
+
+/**
+ * Get the template a run uses for a prompt
+ * @param {string} id - Template id
+ * @param {Object} overrides - Normalized custom templates (default: none)
+ * @returns {Object} The custom template if there is one, else the built-in one
+ */
+export function getPromptTemplate(id, overrides = {}) {
+  return overrides[id] || PROMPT_TEMPLATES[id];
+}
+
+/**
+ * Identify a template in node metadata
+ * @param {Object} template - Built-in or normalized custom template
+ * @returns {Object} { id, version }, plus `custom: true` for custom templates
+ */
+export function templateRef(template) {
+  return template.custom
+    ? { id: template.id, version: template.version, custom: true }
+    : { id: template.id, version: template.version };
+}
+
+/**
+ * Describe a decision path as numbered steps
+ * @param {Array<string>} steps - Steps of the path, oldest first
+ * @param {string|null} summary - Summary of the steps before these (default: none)
+ * @returns {string} Path description
+ */
+export function formatPath(steps, summary = null) {
+  const lines = steps.map((step, i) => `STEP ${i + 1}: ${step}`);
+  return [...(summary ? [`EARLIER STEPS (summarized): ${summary}`] : []), ...lines].join('\n');
+}
+
+/**
+ * Generate a prompt for the initial response
  * @param {string} problem - Problem statement
  * @param {string} context - Additional context
- * @param {Array<string>} approaches - List of candidate approaches
+ * @param {Object} template - Template to render (default: built-in)
  * @returns {string} Formatted prompt
  */
-export function generateFinalRecommendationPrompt(problem, context, approaches) {
-  const approachesText = approaches.map((a, i) => `APPROACH ${i+1}:\n"""${a}"""\n`).join('\n');
-  
-  return `
-You're solving the following problem:
+export function generateInitialPrompt(problem, context, template = PROMPT_TEMPLATES.initial) {
+  return renderTemplate(template.text, { problem, context });
+}
 
-PROBLEM: ${problem}
+/**
+ * Generate a prompt for thought exploration
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {string} currentApproach - Current approach content
+ * @param {Object} options - Prompt options
+ * @param {Array<string>} options.path - Steps that led to the current approach,
+ *   oldest first (default: none)
+ * @param {string|null} options.pathSummary - Summary of the steps before
+ *   options.path (default: none)
+ * @param {Array<string>} options.siblings - Thoughts already proposed from the
+ *   same approach, which the new one should differ from (default: none)
+ * @param {boolean} options.allowCompletion - Let the model mark a thought that
+ *   completes the path with COMPLETION_MARKER (default: false)
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateThoughtPrompt(problem, context, currentApproach, {
+  path = [],
+  pathSummary = null,
+  siblings = [],
+  allowCompletion = false
+} = {}, template = PROMPT_TEMPLATES.thought) {
+  const history = path.length > 0 || pathSummary
+    ? `\nThe reasoning that led to the current approach:\n${formatPath(path, pathSummary)}\n`
+    : '';
+  const alternatives = siblings.length > 0
+    ? `\nOther directions already proposed from this point:\n${siblings.map(sibling => `- ${sibling}`).join('\n')}\n\n` +
+      `Propose something clearly different from these rather than a variation of them.\n`
+    : '';
+  const completion = allowCompletion
+    ? `\nIf your step fully resolves the problem and nothing further needs to be decided, start your response with ${COMPLETION_MARKER}.\n`
+    : '';
+
+  return renderTemplate(template.text, { problem, context, currentApproach, history, alternatives, completion });
+}
 
-CONTEXT: ${context}
+/**
+ * Generate a prompt that plays an approach forward one step
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {string} approach - Approach being played out
+ * @param {Array<string>} steps - Steps already imagined, oldest first
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateRolloutPrompt(problem, context, approach, steps = [], template = PROMPT_TEMPLATES.rollout) {
+  const history = steps.length > 0
+    ? `\nWhat has happened so far:\n${steps.map((step, i) => `STEP ${i + 1}: ${step}`).join('\n')}\n`
+    : '';
 
-You've explored these approaches:
+  return renderTemplate(template.text, { problem, context, approach, history });
+}
 
-${approachesText}
+/**
+ * Generate a prompt for evaluating an approach against a rubric
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {string} approach - Approach content to evaluate
+ * @param {Object} rubric - Normalized rubric to score against (default: DEFAULT_RUBRIC)
+ * @param {Array<string>} rollout - Simulated steps of following the approach,
+ *   judged along with it (default: none)
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateEvaluationPrompt(
+  problem,
+  context,
+  approach,
+  rubric = DEFAULT_RUBRIC,
+  rollout = [],
+  template = PROMPT_TEMPLATES.evaluation
+) {
+  const { scale, criteria } = rubric;
+  const example = Object.fromEntries(criteria.map(criterion => [
+    criterion.id,
+    Math.round(scale.min + (scale.max - scale.min) * 0.7)
+  ]));
+  const outcome = rollout.length > 0
+    ? `\nA simulation of following this approach played out like this:\n` +
+      `${rollout.map((step, i) => `STEP ${i + 1}: ${step}`).join('\n')}\n\n` +
+      `Judge the approach by where it leads in this simulation, not only by how it reads.\n`
+    : '';
+
+  return renderTemplate(template.text, {
+    problem,
+    context,
+    approach,
+    outcome,
+    scaleMin: scale.min,
+    scaleMax: scale.max,
+    criteria: criteria.map(criterion => `- ${criterion.id}: ${criterion.description || criterion.name}`).join('\n'),
+    example: JSON.stringify({ scores: example })
+  });
+}
 
-Based on these approaches, synthesize a final recommendation that:
-1. Combines the strongest elements of the approaches
-2. Demonstrates conviction despite uncertainty
-3. Acknowledges challenges but maintains perseverance
-4. Balances analytical reasoning with intuitive insights
-5. Provides a clear path forward
+/**
+ * Generate a prompt comparing two approaches head-to-head
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {string} approachA - First approach
+ * @param {string} approachB - Second approach
+ * @param {Object} rubric - Normalized rubric whose criteria guide the comparison (default: DEFAULT_RUBRIC)
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generatePairwiseComparisonPrompt(
+  problem,
+  context,
+  approachA,
+  approachB,
+  rubric = DEFAULT_RUBRIC,
+  template = PROMPT_TEMPLATES.pairwise
+) {
+  return renderTemplate(template.text, {
+    problem,
+    context,
+    approachA,
+    approachB,
+    criteria: rubric.criteria
+      .map(criterion => `- ${criterion.name}${criterion.description ? `: ${criterion.description}` : ''}`)
+      .join('\n')
+  });
+}
+
+/**
+ * Generate a prompt for emotional state analysis
+ * @param {string} content - Content to analyze
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateEmotionalAnalysisPrompt(content, template = PROMPT_TEMPLATES.analysis) {
+  return renderTemplate(template.text, { content });
+}
+
+/**
+ * Generate a prompt for analyzing several texts in one request
+ * @param {Array<string>} contents - Contents to analyze
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateBatchEmotionalAnalysisPrompt(contents, template = PROMPT_TEMPLATES.batchAnalysis) {
+  const textsText = contents.map((c, i) => `TEXT ${i+1}:\n"""\n${c}\n"""\n`).join('\n');
+
+  return renderTemplate(template.text, { count: contents.length, texts: textsText });
+}
+
+/**
+ * Generate a prompt asking the model to fix a response that did not match its schema
+ * @param {string} prompt - Original prompt
+ * @param {string} response - Invalid response
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} schema - Expected JSON schema
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateRepairPrompt(prompt, response, errors, schema, template = PROMPT_TEMPLATES.repair) {
+  return renderTemplate(template.text, {
+    prompt,
+    response,
+    errors: errors.map(error => `- ${error}`).join('\n'),
+    schema: JSON.stringify(schema)
+  });
+}
+
+/**
+ * Generate a prompt that condenses the early steps of a long decision path
+ * @param {string} problem - Problem statement
+ * @param {Array<string>} steps - Steps to summarize, oldest first
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generatePathSummaryPrompt(problem, steps, template = PROMPT_TEMPLATES.pathSummary) {
+  return renderTemplate(template.text, { problem, steps: formatPath(steps) });
+}
+
+/**
+ * Generate a prompt for branch exploration
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {string} currentPath - Description of the current decision path
+ * @param {string} branch - Branch instruction
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateBranchExplorationPrompt(problem, context, currentPath, branch, template = PROMPT_TEMPLATES.branch) {
+  return renderTemplate(template.text, { problem, context, currentPath, branch });
+}
+
+/**
+ * Generate a prompt for analyzing perseverance indicators
+ * @param {string} content - Content to analyze
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generatePerseveranceAnalysisPrompt(content, template = PROMPT_TEMPLATES.perseverance) {
+  return renderTemplate(template.text, { content });
+}
 
-Your response should be a comprehensive recommendation that someone could actually implement.
-`;
-}
\ No newline at end of file
+/**
+ * Generate a prompt for final recommendation
+ * @param {string} problem - Problem statement
+ * @param {string} context - Additional context
+ * @param {Array<string>} approaches - List of candidate approaches
+ * @param {Object} template - Template to render (default: built-in)
+ * @returns {string} Formatted prompt
+ */
+export function generateFinalRecommendationPrompt(problem, context, approaches, template = PROMPT_TEMPLATES.finalRecommendation) {
+  const approachesText = approaches.map((a, i) => `APPROACH ${i+1}:\n"""${a}"""\n`).join('\n');
+
+  return renderTemplate(template.text, { problem, context, approaches: approachesText });
+}
@@ -0,0 +1,91 @@
+// src/core/prompts.test.js
+
+import {
+  PROMPT_TEMPLATES,
+  renderTemplate,
+  validatePromptTemplates,
+  normalizePromptTemplates,
+  getPromptTemplate,
+  templateRef,
+  generateThoughtPrompt,
+  generateEmotionalAnalysisPrompt,
+  generateRepairPrompt,
+  generatePerseveranceAnalysisPrompt
+} from './prompts';
+
+describe('prompt templates', () => {
+  it('fills in placeholders without expanding the values', () => {
+    expect(renderTemplate('Solve {{ problem }} given {{context}}.', { problem: 'X {{context}}', context: '$& 1' }))
+      .toBe('Solve X {{context}} given $& 1.');
+    expect(renderTemplate('{{missing}}', {})).toBe('{{missing}}');
+  });
+
+  it('only uses variables the built-in templates declare', () => {
+    Object.values(PROMPT_TEMPLATES).forEach(template => {
+      expect(validatePromptTemplates({ [template.id]: { text: template.text } })).toEqual([]);
+    });
+  });
+
+  it('reports invalid custom templates', () => {
+    expect(validatePromptTemplates({
+      thought: { text: 'Go from {{currentApproach}} to {{goal}}' },
+      analysis: { text: ' ' },
+      evaluation: { text: '{{approach}}', version: 0 },
+      summary: { text: 'x' }
+    })).toEqual([
+      'The "Thought" template uses unknown variables: goal',
+      'The "Emotional analysis" template needs text',
+      'The "Evaluation" template must have a positive whole version number',
+      'Unknown prompt template: summary'
+    ]);
+    expect(validatePromptTemplates([])).toEqual(['Prompt templates must be an object keyed by template id']);
+  });
+
+  it('normalizes custom templates and prefers them over the built-in ones', () => {
+    const overrides = normalizePromptTemplates({ analysis: { text: 'How bold is {{content}}?', version: 2 } });
+
+    expect(getPromptTemplate('analysis', overrides)).toEqual(expect.objectContaining({
+      name: 'Emotional analysis',
+      text: 'How bold is {{content}}?',
+      version: 2,
+      custom: true
+    }));
+    expect(getPromptTemplate('thought', overrides)).toBe(PROMPT_TEMPLATES.thought);
+    expect(normalizePromptTemplates(overrides)).toEqual(overrides);
+    expect(() => normalizePromptTemplates({ nope: { text: 'x' } })).toThrow('Invalid prompt templates');
+  });
+
+  it('identifies templates by id and version', () => {
+    expect(templateRef(PROMPT_TEMPLATES.thought)).toEqual({ id: 'thought', version: 1 });
+    expect(templateRef(PROMPT_TEMPLATES.repair)).toEqual({ id: 'repair', version: 1 });
+    expect(templateRef(PROMPT_TEMPLATES.perseverance)).toEqual({ id: 'perseverance', version: 1 });
+    expect(templateRef(normalizePromptTemplates({ thought: { text: 'x' } }).thought))
+      .toEqual({ id: 'thought', version: 1, custom: true });
+  });
+
+  it('renders prompts from a custom template', () => {
+    const { thought, analysis } = normalizePromptTemplates({
+      thought: { text: 'After {{currentApproach}}:{{alternatives}}' },
+      analysis: { text: 'Rate {{content}}' }
+    });
+
+    expect(generateThoughtPrompt('P', 'C', 'hiring', { siblings: ['firing'] }, thought)).toContain('After hiring:\nOther directions');
+    expect(generateEmotionalAnalysisPrompt('a bold plan', analysis)).toBe('Rate a bold plan');
+  });
+
+  it('renders the repair and perseverance prompts from their templates', () => {
+    expect(generateRepairPrompt('Rate it', '{"score": 0}', ['$.score must be at least 1', 'too short'], { type: 'object' }))
+      .toBe('Rate it\nYour previous response was:\n"""\n{"score": 0}\n"""\n\nIt is not valid because:\n'
+        + '- $.score must be at least 1\n- too short\n\n'
+        + 'Respond again with only a JSON value matching this JSON schema, and no other text:\n{"type":"object"}\n');
+    expect(generatePerseveranceAnalysisPrompt('We keep going')).toContain('"""\nWe keep going\n"""');
+
+    const { repair, perseverance } = normalizePromptTemplates({
+      repair: { text: '{{prompt}} Fix: {{errors}}' },
+      perseverance: { text: 'Grit in {{content}}?' }
+    });
+
+    expect(generateRepairPrompt('Rate it', 'x', ['not JSON'], {}, repair)).toBe('Rate it Fix: - not JSON');
+    expect(generatePerseveranceAnalysisPrompt('the plan', perseverance)).toBe('Grit in the plan?');
+  });
+});
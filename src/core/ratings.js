@@ -0,0 +1,120 @@
+// src/core/ratings.js
+
+/**
+ * Ratings from head-to-head comparisons of sibling nodes
+ *
+ * A comparison is `{ a, b, result }` where `a` and `b` are node ids and
+ * `result` is 1 if `a` won, 0 if `b` won and 0.5 for a tie.
+ */
+
+/**
+ * Supported rating systems
+ * @type {Array<Object>}
+ */
+export const RATING_SYSTEMS = [
+  { id: 'elo', name: 'Elo' },
+  { id: 'bradleyTerry', name: 'Bradley–Terry' }
+];
+
+/**
+ * Elo rating of a node that has not been compared yet
+ * @type {number}
+ */
+export const INITIAL_ELO = 1500;
+
+/**
+ * Elo K-factor: how far one comparison moves a rating
+ * @type {number}
+ */
+const ELO_K = 32;
+
+/**
+ * Probability that a player rated `rating` beats one rated `opponent`
+ * @param {number} rating - Elo rating
+ * @param {number} opponent - Opponent's Elo rating
+ * @returns {number} Expected score from 0 to 1
+ * @private
+ */
+function expectedElo(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+/**
+ * Update two Elo ratings after a comparison
+ * @param {number} ratingA - Rating of the first node
+ * @param {number} ratingB - Rating of the second node
+ * @param {number} result - 1 if A won, 0 if B won, 0.5 for a tie
+ * @returns {Array<number>} New ratings [A, B]
+ */
+export function updateElo(ratingA, ratingB, result) {
+  const change = ELO_K * (result - expectedElo(ratingA, ratingB));
+  return [ratingA + change, ratingB - change];
+}
+
+/**
+ * Fit Bradley–Terry strengths to a set of comparisons
+ * Uses the MM algorithm with ties counted as half a win each. Every node also
+ * plays one virtual tie against an average opponent, which keeps strengths
+ * finite for nodes that won or lost every comparison.
+ * @param {Array<string>} ids - Node ids to rate
+ * @param {Array<Object>} comparisons - Comparisons between those nodes
+ * @param {number} iterations - MM iterations (default: 100)
+ * @returns {Object} Map of node id to strength (geometric mean 1)
+ */
+export function fitBradleyTerry(ids, comparisons, iterations = 100) {
+  const relevant = comparisons.filter(({ a, b }) => ids.includes(a) && ids.includes(b));
+  let strengths = Object.fromEntries(ids.map(id => [id, 1]));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const next = {};
+    for (const id of ids) {
+      let wins = 0.5;
+      let denominator = 1 / (strengths[id] + 1);
+      for (const { a, b, result } of relevant) {
+        if (a !== id && b !== id) continue;
+        const opponent = a === id ? b : a;
+        wins += a === id ? result : 1 - result;
+        denominator += 1 / (strengths[id] + strengths[opponent]);
+      }
+      next[id] = wins / denominator;
+    }
+
+    // Strengths are only defined up to a constant factor
+    const logMean = ids.reduce((sum, id) => sum + Math.log(next[id]), 0) / ids.length;
+    strengths = Object.fromEntries(ids.map(id => [id, next[id] / Math.exp(logMean)]));
+  }
+
+  return strengths;
+}
+
+/**
+ * Map a rating to the 1-10 range the search works in
+ * The score reflects the chance of beating an average sibling.
+ * @param {number} rating - Elo rating or Bradley–Terry strength
+ * @param {string} system - 'elo' or 'bradleyTerry'
+ * @returns {number} Score from 1 to 10
+ */
+export function ratingToScore(rating, system) {
+  const winProbability = system === 'bradleyTerry'
+    ? rating / (rating + 1)
+    : expectedElo(rating, INITIAL_ELO);
+  return 1 + 9 * winProbability;
+}
+
+/**
+ * Count a node's wins, losses and ties
+ * @param {string} id - Node id
+ * @param {Array<Object>} comparisons - Comparisons the node may appear in
+ * @returns {Object} { wins, losses, ties }
+ */
+export function getRecord(id, comparisons) {
+  const record = { wins: 0, losses: 0, ties: 0 };
+  for (const { a, b, result } of comparisons) {
+    if (a !== id && b !== id) continue;
+    const points = a === id ? result : 1 - result;
+    if (points === 0.5) record.ties += 1;
+    else if (points === 1) record.wins += 1;
+    else record.losses += 1;
+  }
+  return record;
+}
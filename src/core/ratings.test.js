@@ -0,0 +1,42 @@
+// src/core/ratings.test.js
+
+import { updateElo, fitBradleyTerry, ratingToScore, getRecord, INITIAL_ELO } from './ratings';
+
+describe('ratings', () => {
+  it('moves Elo ratings by the surprise of the result', () => {
+    expect(updateElo(1500, 1500, 1)).toEqual([1516, 1484]);
+    expect(updateElo(1500, 1500, 0.5)).toEqual([1500, 1500]);
+
+    const [underdog] = updateElo(1300, 1700, 1);
+    expect(underdog - 1300).toBeGreaterThan(16);
+  });
+
+  it('fits Bradley–Terry strengths that order nodes by wins', () => {
+    const strengths = fitBradleyTerry(['a', 'b', 'c'], [
+      { a: 'a', b: 'b', result: 1 },
+      { a: 'a', b: 'c', result: 1 },
+      { a: 'b', b: 'c', result: 0.5 },
+      { a: 'x', b: 'a', result: 1 }
+    ]);
+
+    expect(strengths.a).toBeGreaterThan(1);
+    expect(strengths.b).toBeCloseTo(strengths.c);
+    expect(Number.isFinite(strengths.a)).toBe(true);
+    expect(strengths.a * strengths.b * strengths.c).toBeCloseTo(1);
+  });
+
+  it('maps ratings to the chance of beating an average sibling on 1-10', () => {
+    expect(ratingToScore(INITIAL_ELO, 'elo')).toBe(5.5);
+    expect(ratingToScore(1, 'bradleyTerry')).toBe(5.5);
+    expect(ratingToScore(1900, 'elo')).toBeCloseTo(1 + 9 * (10 / 11));
+  });
+
+  it('counts wins, losses and ties from either side', () => {
+    expect(getRecord('a', [
+      { a: 'a', b: 'b', result: 1 },
+      { a: 'c', b: 'a', result: 1 },
+      { a: 'a', b: 'c', result: 0.5 },
+      { a: 'b', b: 'c', result: 0 }
+    ])).toEqual({ wins: 1, losses: 1, ties: 1 });
+  });
+});
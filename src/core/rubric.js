@@ -0,0 +1,173 @@
+// src/core/rubric.js
+
+/**
+ * Evaluation rubrics for LLM Instinct
+ *
+ * A rubric is `{ scale: { min, max }, criteria: [{ id, name, description, weight }] }`.
+ * The evaluator scores an approach on every criterion within the scale and the
+ * node's score is the weighted mean of those scores.
+ */
+
+/**
+ * Score range used when a rubric does not define one
+ * @type {Object}
+ */
+export const DEFAULT_SCALE = Object.freeze({ min: 1, max: 10 });
+
+/**
+ * Rubric used when none is given
+ * @type {Object}
+ */
+export const DEFAULT_RUBRIC = Object.freeze({
+  scale: DEFAULT_SCALE,
+  criteria: Object.freeze([
+    {
+      id: 'balance',
+      name: 'Analysis/intuition balance',
+      description: 'How well does this approach balance analysis with intuition?',
+      weight: 1
+    },
+    {
+      id: 'perseverance',
+      name: 'Perseverance',
+      description: 'Does it show perseverance in the face of uncertainty?',
+      weight: 1
+    },
+    {
+      id: 'creativity',
+      name: 'Creativity',
+      description: 'Is it creative and potentially effective?',
+      weight: 1
+    },
+    {
+      id: 'conviction',
+      name: 'Conviction',
+      description: 'Does it demonstrate conviction despite possible doubt?',
+      weight: 1
+    },
+    {
+      id: 'patternRecognition',
+      name: 'Pattern recognition',
+      description: "Does it recognize patterns or insights that aren't immediately obvious?",
+      weight: 1
+    }
+  ].map(criterion => Object.freeze(criterion)))
+});
+
+/**
+ * Derive a criterion id from its name, e.g. "Legal risk" -> "legalRisk"
+ * @param {string} name - Criterion name
+ * @returns {string} Identifier usable as a JSON key
+ */
+export function createCriterionId(name) {
+  const words = String(name).toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words
+    .map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join('') || 'criterion';
+}
+
+/**
+ * Check a rubric for problems
+ * Accepts a bare array of criteria as a rubric with the default scale.
+ * @param {Object|Array<Object>} rubric - Rubric to check
+ * @returns {Array<string>} Problems found (empty if the rubric is valid)
+ */
+export function validateRubric(rubric) {
+  const { scale = DEFAULT_SCALE, criteria } = Array.isArray(rubric) ? { criteria: rubric } : rubric || {};
+  const errors = [];
+
+  if (!Number.isFinite(scale.min) || !Number.isFinite(scale.max) || scale.min >= scale.max) {
+    errors.push('The scale minimum must be a number below the maximum');
+  }
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    errors.push('At least one criterion is required');
+    return errors;
+  }
+
+  const ids = new Set();
+  criteria.forEach((criterion, i) => {
+    const label = criterion?.name ? `"${criterion.name}"` : `Criterion ${i + 1}`;
+    if (!criterion?.name || !String(criterion.name).trim()) {
+      errors.push(`${label} needs a name`);
+      return;
+    }
+    const id = criterion.id || createCriterionId(criterion.name);
+    if (ids.has(id)) errors.push(`${label} has the same id as another criterion (${id})`);
+    ids.add(id);
+    const weight = criterion.weight ?? 1;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`${label} must have a non-negative weight`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a rubric and fill in defaults (scale, ids, descriptions, weights)
+ * @param {Object|Array<Object>} rubric - Rubric, or a bare array of criteria
+ * @returns {Object} Normalized rubric
+ * @throws {TypeError} If the rubric is invalid
+ */
+export function normalizeRubric(rubric) {
+  const errors = validateRubric(rubric);
+  if (errors.length > 0) {
+    throw new TypeError(`Invalid rubric: ${errors.join('; ')}`);
+  }
+
+  const { scale = DEFAULT_SCALE, criteria } = Array.isArray(rubric) ? { criteria: rubric } : rubric;
+  return {
+    scale: { min: scale.min, max: scale.max },
+    criteria: criteria.map(criterion => ({
+      id: criterion.id || createCriterionId(criterion.name),
+      name: String(criterion.name).trim(),
+      description: criterion.description || '',
+      weight: criterion.weight ?? 1
+    }))
+  };
+}
+
+/**
+ * Override the weights of a rubric's criteria
+ * @param {Object} rubric - Rubric
+ * @param {Object} weights - Map of criterion id to weight; other criteria keep theirs
+ * @returns {Object} New normalized rubric
+ */
+export function applyWeights(rubric, weights = {}) {
+  const normalized = normalizeRubric(rubric);
+  return {
+    ...normalized,
+    criteria: normalized.criteria.map(criterion => {
+      const weight = Number(weights[criterion.id]);
+      return Number.isFinite(weight) && weight >= 0 ? { ...criterion, weight } : criterion;
+    })
+  };
+}
+
+/**
+ * Combine per-criterion scores into one score on the rubric's scale
+ * @param {Object} scores - Map of criterion id to score
+ * @param {Object} rubric - Normalized rubric with the weights to apply
+ * @returns {number} Weighted mean of the scores (plain mean if every weight is 0)
+ */
+export function aggregateScores(scores, rubric) {
+  const scored = rubric.criteria.filter(criterion => typeof scores[criterion.id] === 'number');
+  if (scored.length === 0) return rubric.scale.min;
+
+  const totalWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+  if (totalWeight === 0) {
+    return scored.reduce((sum, criterion) => sum + scores[criterion.id], 0) / scored.length;
+  }
+
+  return scored.reduce((sum, criterion) => sum + scores[criterion.id] * criterion.weight, 0) / totalWeight;
+}
+
+/**
+ * Map a score on a rubric's scale to the 1-10 range the search works in
+ * @param {number} score - Score on the rubric's scale
+ * @param {Object} scale - Rubric scale { min, max }
+ * @returns {number} Equivalent score from 1 to 10
+ */
+export function toSearchScore(score, { min, max }) {
+  return 1 + 9 * (score - min) / (max - min);
+}
@@ -0,0 +1,71 @@
+// src/core/rubric.test.js
+
+import {
+  DEFAULT_RUBRIC,
+  createCriterionId,
+  validateRubric,
+  normalizeRubric,
+  applyWeights,
+  aggregateScores,
+  toSearchScore
+} from './rubric';
+
+describe('rubric', () => {
+  const scores = { balance: 8, perseverance: 4, creativity: 9, conviction: 2, patternRecognition: 6 };
+
+  it('averages criterion scores by weight', () => {
+    expect(aggregateScores(scores, DEFAULT_RUBRIC)).toBeCloseTo(5.8);
+    expect(aggregateScores(scores, applyWeights(DEFAULT_RUBRIC, { creativity: 3, conviction: 0 })))
+      .toBeCloseTo(7.5);
+  });
+
+  it('falls back to a plain mean when every weight is zero', () => {
+    const zeros = Object.fromEntries(DEFAULT_RUBRIC.criteria.map(c => [c.id, 0]));
+
+    expect(aggregateScores(scores, applyWeights(DEFAULT_RUBRIC, zeros))).toBeCloseTo(5.8);
+  });
+
+  it('ignores criteria without a score', () => {
+    expect(aggregateScores({ creativity: 9 }, DEFAULT_RUBRIC)).toBe(9);
+    expect(aggregateScores({}, DEFAULT_RUBRIC)).toBe(1);
+  });
+
+  it('only overrides valid weights and leaves the rubric untouched', () => {
+    const rubric = applyWeights(DEFAULT_RUBRIC, { balance: 2, creativity: -1, conviction: 'high' });
+
+    expect(rubric.criteria.map(c => c.weight)).toEqual([2, 1, 1, 1, 1]);
+    expect(DEFAULT_RUBRIC.criteria[0].weight).toBe(1);
+  });
+
+  it('fills in ids, descriptions, weights and the scale', () => {
+    expect(normalizeRubric([{ name: ' Legal risk ' }, { name: 'Team fit', weight: 2, description: 'Gets along' }]))
+      .toEqual({
+        scale: { min: 1, max: 10 },
+        criteria: [
+          { id: 'legalRisk', name: 'Legal risk', description: '', weight: 1 },
+          { id: 'teamFit', name: 'Team fit', description: 'Gets along', weight: 2 }
+        ]
+      });
+    expect(createCriterionId('Long-term potential (5y)')).toBe('longTermPotential5y');
+  });
+
+  it('explains what is wrong with a rubric', () => {
+    expect(validateRubric(DEFAULT_RUBRIC)).toEqual([]);
+    expect(validateRubric({ scale: { min: 5, max: 5 }, criteria: [] })).toEqual([
+      'The scale minimum must be a number below the maximum',
+      'At least one criterion is required'
+    ]);
+    expect(validateRubric([{ name: 'Fit' }, { name: 'fit' }, { name: '' }, { name: 'Risk', weight: -1 }])).toEqual([
+      '"fit" has the same id as another criterion (fit)',
+      'Criterion 3 needs a name',
+      '"Risk" must have a non-negative weight'
+    ]);
+    expect(() => normalizeRubric({ criteria: [] })).toThrow(TypeError);
+  });
+
+  it('maps scores onto the 1-10 search scale', () => {
+    expect(toSearchScore(7, { min: 1, max: 10 })).toBe(7);
+    expect(toSearchScore(3, { min: 1, max: 5 })).toBe(5.5);
+    expect(toSearchScore(0, { min: 0, max: 100 })).toBe(1);
+  });
+});
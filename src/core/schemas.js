@@ -0,0 +1,158 @@
+// src/core/schemas.js
+
+/**
+ * JSON schemas for the structured LLM outputs of LLM Instinct
+ * Used to request JSON from providers that support it and to validate responses.
+ */
+
+/**
+ * Schema of a 1-10 score
+ * @type {Object}
+ * @private
+ */
+const SCORE = { type: 'number', minimum: 1, maximum: 10 };
+
+/**
+ * Emotional state and instinct analysis of a text
+ * @type {Object}
+ */
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    confidence: SCORE,
+    perseverance: SCORE,
+    instinctVsAnalysis: SCORE,
+    emotionalState: SCORE
+  },
+  required: ['confidence', 'perseverance', 'instinctVsAnalysis', 'emotionalState']
+};
+
+/**
+ * Build the schema of a batched analysis of several texts
+ * @param {number} count - Number of texts analyzed
+ * @returns {Object} Schema of { analyses: [analysis, ...] } with exactly `count` items
+ */
+export function getAnalysisBatchSchema(count) {
+  return {
+    type: 'object',
+    properties: {
+      analyses: {
+        type: 'array',
+        items: ANALYSIS_SCHEMA,
+        minItems: count,
+        maxItems: count
+      }
+    },
+    required: ['analyses']
+  };
+}
+
+/**
+ * Evaluation of an approach
+ * @type {Object}
+ */
+export const EVALUATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: SCORE
+  },
+  required: ['score']
+};
+
+/**
+ * Build the schema of a per-criterion evaluation of an approach
+ * @param {Object} rubric - Normalized rubric (see src/core/rubric.js)
+ * @returns {Object} Schema of { scores: { [criterion.id]: score within the rubric's scale } }
+ */
+export function getRubricEvaluationSchema(rubric) {
+  const score = { type: 'number', minimum: rubric.scale.min, maximum: rubric.scale.max };
+
+  return {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'object',
+        properties: Object.fromEntries(rubric.criteria.map(criterion => [criterion.id, score])),
+        required: rubric.criteria.map(criterion => criterion.id)
+      }
+    },
+    required: ['scores']
+  };
+}
+
+/**
+ * Build a coerce function that accepts a single score as a rubric evaluation
+ * A bare number or { score } is applied to every criterion, so models that
+ * ignore the rubric still produce a usable evaluation.
+ * @param {Object} rubric - Normalized rubric
+ * @returns {Function} Maps parsed responses to { scores }
+ */
+export function toRubricScores(rubric) {
+  return value => {
+    const { score } = toScoreObject(value) || {};
+    if (typeof score !== 'number' || value?.scores !== undefined) return value;
+    return { scores: Object.fromEntries(rubric.criteria.map(criterion => [criterion.id, score])) };
+  };
+}
+
+/**
+ * Head-to-head comparison of two approaches
+ * @type {Object}
+ */
+export const COMPARISON_SCHEMA = {
+  type: 'object',
+  properties: {
+    winner: { type: 'string', enum: ['A', 'B', 'tie'] }
+  },
+  required: ['winner']
+};
+
+/**
+ * Final recommendation synthesized from the best approaches of a search
+ * `sources` are the 1-based numbers of the approaches it draws on.
+ * @type {Object}
+ */
+export const RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    actionPlan: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          risk: { type: 'string' },
+          mitigation: { type: 'string' }
+        },
+        required: ['risk', 'mitigation']
+      }
+    },
+    conviction: SCORE,
+    sources: { type: 'array', items: { type: 'integer', minimum: 1 } }
+  },
+  required: ['summary', 'actionPlan', 'risks', 'conviction', 'sources']
+};
+
+/**
+ * Accept a bare verdict and any capitalization, e.g. "a" instead of {"winner": "A"}
+ * @param {*} value - Parsed comparison response
+ * @returns {*} { winner } with a canonical verdict where recognizable
+ */
+export function toComparison(value) {
+  const comparison = typeof value === 'string' ? { winner: value } : value;
+  if (typeof comparison?.winner !== 'string') return comparison;
+
+  const winner = comparison.winner.trim();
+  const canonical = { a: 'A', b: 'B', tie: 'tie' }[winner.toLowerCase()];
+  return { ...comparison, winner: canonical || winner };
+}
+
+/**
+ * Accept a bare number as an evaluation, e.g. "7" instead of {"score": 7}
+ * @param {*} value - Parsed evaluation response
+ * @returns {*} { score } for numbers, otherwise the value unchanged
+ */
+export function toScoreObject(value) {
+  return typeof value === 'number' ? { score: value } : value;
+}
@@ -0,0 +1,83 @@
+// src/core/similarity.js
+
+/**
+ * Lexical similarity between thoughts
+ *
+ * Thoughts are compared as bags of words: the cosine similarity of their word
+ * counts, ignoring case, punctuation and common function words.
+ */
+
+/**
+ * Words too common to say anything about what a thought proposes
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'do',
+  'does', 'each', 'even', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'may', 'me', 'might', 'more', 'most',
+  'my', 'no', 'not', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'very', 'was',
+  'we', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with', 'would',
+  'you', 'your'
+]);
+
+/**
+ * Split text into lowercase content words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words, without stop words
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9']+/g) || [])
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Count how often each word occurs
+ * @param {string} text - Text to count
+ * @returns {Map<string, number>} Word counts
+ * @private
+ */
+function countWords(text) {
+  const counts = new Map();
+  for (const word of tokenize(text)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of two texts' word counts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (no words in common) to 1 (same words)
+ */
+export function textSimilarity(a, b) {
+  const countsA = countWords(a);
+  const countsB = countWords(b);
+  if (countsA.size === 0 || countsB.size === 0) return 0;
+
+  let dot = 0;
+  for (const [word, count] of countsA) {
+    dot += count * (countsB.get(word) || 0);
+  }
+  const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+/**
+ * Find the text most similar to a given one
+ * @param {string} text - Text to compare
+ * @param {Array<string>} others - Texts to compare it with
+ * @returns {Object} { index, similarity } of the closest text (index -1 and
+ *   similarity 0 if there are none)
+ */
+export function findMostSimilar(text, others) {
+  return others.reduce((closest, other, index) => {
+    const similarity = textSimilarity(text, other);
+    return similarity > closest.similarity ? { index, similarity } : closest;
+  }, { index: -1, similarity: 0 });
+}
@@ -0,0 +1,25 @@
+// src/core/similarity.test.js
+
+import { tokenize, textSimilarity, findMostSimilar } from './similarity';
+
+describe('similarity', () => {
+  it('keeps content words only', () => {
+    expect(tokenize("Launch the product in Q3, and don't wait for funding.")).toEqual([
+      'launch', 'product', 'q3', "don't", 'wait', 'funding'
+    ]);
+  });
+
+  it('scores texts by their shared words', () => {
+    expect(textSimilarity('Raise prices for enterprise customers', 'raise PRICES for enterprise customers!')).toBeCloseTo(1);
+    expect(textSimilarity('Raise prices', 'Hire a designer')).toBe(0);
+    expect(textSimilarity('Raise prices for enterprise customers', 'Lower prices for small customers')).toBeCloseTo(0.5);
+    expect(textSimilarity('', 'Anything')).toBe(0);
+  });
+
+  it('finds the most similar text', () => {
+    const others = ['Hire a designer', 'Raise prices for small customers', 'Raise prices for enterprise customers'];
+
+    expect(findMostSimilar('Raise enterprise prices', others)).toEqual({ index: 2, similarity: expect.any(Number) });
+    expect(findMostSimilar('Anything', [])).toEqual({ index: -1, similarity: 0 });
+  });
+});
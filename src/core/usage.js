@@ -0,0 +1,121 @@
+// src/core/usage.js
+
+/**
+ * Token usage and cost accounting for LLM Instinct
+ *
+ * Usage is recorded per phase as
+ * `{ calls, promptTokens, completionTokens, totalTokens, cost, unpricedCalls }`.
+ * Costs are in USD; calls for models without pricing add tokens but no cost.
+ */
+
+/**
+ * Phases that LLM calls are attributed to
+ * @type {Array<string>}
+ */
+export const USAGE_PHASES = ['initialization', 'expansion', 'analysis', 'rollout', 'evaluation', 'recommendation'];
+
+/**
+ * Roughly estimate the number of tokens in a text (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Create an empty usage record
+ * @returns {Object} Usage record with all counters at zero
+ */
+export function emptyUsage() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedCalls: 0
+  };
+}
+
+/**
+ * Build a pricing table from a provider's model list
+ * @param {Array<Object>} models - Models from getModels(); OpenRouter reports
+ *   `pricing.prompt` and `pricing.completion` in USD per token (as strings)
+ * @returns {Object} Map of model id to { prompt, completion } per-token prices
+ */
+export function buildPricingTable(models = []) {
+  const table = {};
+
+  for (const model of models) {
+    const prompt = parseFloat(model?.pricing?.prompt);
+    const completion = parseFloat(model?.pricing?.completion);
+
+    if (model.id && Number.isFinite(prompt) && Number.isFinite(completion)) {
+      table[model.id] = { prompt, completion };
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Price a single call
+ * @param {Object} usage - Call usage ({ promptTokens, completionTokens })
+ * @param {Object} pricing - Per-token prices ({ prompt, completion }), or null
+ * @returns {number|null} Cost in USD, or null if the model has no pricing
+ */
+export function priceUsage(usage, pricing) {
+  if (!pricing) return null;
+  return usage.promptTokens * pricing.prompt + usage.completionTokens * pricing.completion;
+}
+
+/**
+ * Add a priced call to a usage record
+ * @param {Object} record - Usage record (not modified)
+ * @param {Object} usage - Call usage ({ promptTokens, completionTokens, totalTokens })
+ * @param {number|null} cost - Cost of the call from priceUsage()
+ * @returns {Object} New usage record
+ */
+export function addUsage(record, usage, cost) {
+  const base = record || emptyUsage();
+
+  return {
+    calls: base.calls + 1,
+    promptTokens: base.promptTokens + usage.promptTokens,
+    completionTokens: base.completionTokens + usage.completionTokens,
+    totalTokens: base.totalTokens + usage.totalTokens,
+    cost: base.cost + (cost ?? 0),
+    unpricedCalls: base.unpricedCalls + (cost === null ? 1 : 0)
+  };
+}
+
+/**
+ * Sum usage records, e.g. the per-phase records of a node or search
+ * @param {Object} byPhase - Map of phase to usage record
+ * @returns {Object} Combined usage record
+ */
+export function sumUsage(byPhase = {}) {
+  return Object.values(byPhase).reduce((total, record) => ({
+    calls: total.calls + record.calls,
+    promptTokens: total.promptTokens + record.promptTokens,
+    completionTokens: total.completionTokens + record.completionTokens,
+    totalTokens: total.totalTokens + record.totalTokens,
+    cost: total.cost + record.cost,
+    unpricedCalls: total.unpricedCalls + record.unpricedCalls
+  }), emptyUsage());
+}
+
+/**
+ * Format a cost for display
+ * @param {Object} record - Usage record
+ * @returns {string} Cost in dollars, or 'n/a' when none of the calls were priced
+ */
+export function formatCost(record) {
+  if (!record || record.calls === 0) return '$0.00';
+  if (record.unpricedCalls === record.calls) return 'n/a';
+
+  const prefix = record.unpricedCalls > 0 ? '≥ ' : '';
+  const digits = record.cost < 0.01 ? 4 : 2;
+  return `${prefix}$${record.cost.toFixed(digits)}`;
+}
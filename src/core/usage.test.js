@@ -0,0 +1,53 @@
+// src/core/usage.test.js
+
+import { addUsage, buildPricingTable, emptyUsage, formatCost, priceUsage, sumUsage } from './usage';
+
+describe('usage accounting', () => {
+  const call = { promptTokens: 1000, completionTokens: 200, totalTokens: 1200 };
+
+  it('builds a pricing table from OpenRouter model pricing', () => {
+    const table = buildPricingTable([
+      { id: 'anthropic/claude-3-sonnet', pricing: { prompt: '0.000003', completion: '0.000015' } },
+      { id: 'local/llama', name: 'llama' }
+    ]);
+
+    expect(table).toEqual({ 'anthropic/claude-3-sonnet': { prompt: 0.000003, completion: 0.000015 } });
+  });
+
+  it('prices prompt and completion tokens separately', () => {
+    expect(priceUsage(call, { prompt: 0.000003, completion: 0.000015 })).toBeCloseTo(0.006);
+    expect(priceUsage(call, null)).toBeNull();
+  });
+
+  it('accumulates calls and counts unpriced ones', () => {
+    const record = addUsage(addUsage(emptyUsage(), call, 0.006), call, null);
+
+    expect(record).toEqual({
+      calls: 2,
+      promptTokens: 2000,
+      completionTokens: 400,
+      totalTokens: 2400,
+      cost: 0.006,
+      unpricedCalls: 1
+    });
+  });
+
+  it('sums per-phase records', () => {
+    const total = sumUsage({
+      expansion: addUsage(null, call, 0.01),
+      evaluation: addUsage(null, call, 0.02)
+    });
+
+    expect(total.calls).toBe(2);
+    expect(total.totalTokens).toBe(2400);
+    expect(total.cost).toBeCloseTo(0.03);
+  });
+
+  it('formats costs, flagging partially priced totals', () => {
+    expect(formatCost(emptyUsage())).toBe('$0.00');
+    expect(formatCost(addUsage(null, call, 1.5))).toBe('$1.50');
+    expect(formatCost(addUsage(null, call, 0.006))).toBe('$0.0060');
+    expect(formatCost(addUsage(null, call, null))).toBe('n/a');
+    expect(formatCost(addUsage(addUsage(null, call, 1.5), call, null))).toBe('≥ $1.50');
+  });
+});
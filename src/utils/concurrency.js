@@ -0,0 +1,37 @@
+// src/utils/concurrency.js
+
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Create a limiter that runs at most `maxConcurrent` tasks at a time
+ * @param {number} maxConcurrent - Maximum number of tasks in flight (Infinity for no limit)
+ * @returns {Function} limit(task) that runs an async task when a slot is free
+ *   and resolves or rejects with its result
+ */
+export function createLimiter(maxConcurrent = Infinity) {
+  const max = Math.max(1, maxConcurrent || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active += 1;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
@@ -0,0 +1,28 @@
+import { createLimiter } from './concurrency';
+
+describe('createLimiter', () => {
+  it('runs at most the given number of tasks at once', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = (value) => limit(async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      active -= 1;
+      return value;
+    });
+
+    await expect(Promise.all([1, 2, 3, 4, 5].map(task))).resolves.toEqual([1, 2, 3, 4, 5]);
+    expect(peak).toBe(2);
+  });
+
+  it('passes failures through and keeps going', async () => {
+    const limit = createLimiter(1);
+
+    await expect(limit(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await expect(limit(async () => 'ok')).resolves.toBe('ok');
+  });
+});
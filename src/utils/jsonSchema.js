@@ -0,0 +1,91 @@
+// src/utils/jsonSchema.js
+
+/**
+ * Minimal JSON Schema validation
+ * Supports the subset used by LLM Instinct's structured outputs: type
+ * (object, array, string, number, integer, boolean), properties, required,
+ * additionalProperties: false, items, minItems, maxItems, minimum, maximum and enum.
+ */
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has that type
+ * @private
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if the value is valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type && !hasType(value, schema.type)) {
+    return [`${path} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,41 @@
+import { validateSchema } from './jsonSchema';
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 1, maximum: 10 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      mood: { enum: ['calm', 'excited'] }
+    },
+    required: ['score']
+  };
+
+  it('accepts valid values and ignores unknown properties', () => {
+    expect(validateSchema({ score: 7, tags: ['a'], mood: 'calm', extra: true }, schema)).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    expect(validateSchema({ score: 11, tags: ['a', 2, 'c'], mood: 'sad' }, schema)).toEqual([
+      '$.score must be at most 10',
+      '$.tags must have at most 2 items',
+      '$.tags[1] must be a string',
+      '$.mood must be one of "calm", "excited"'
+    ]);
+  });
+
+  it('checks types and required properties', () => {
+    expect(validateSchema([], schema)).toEqual(['$ must be an object']);
+    expect(validateSchema({}, schema)).toEqual(['$.score is required']);
+    expect(validateSchema({ score: '7' }, schema)).toEqual(['$.score must be a number']);
+    expect(validateSchema(7.5, { type: 'integer' })).toEqual(['$ must be an integer']);
+  });
+
+  it('rejects additional properties when asked to', () => {
+    expect(validateSchema({ a: 1, b: 2 }, {
+      type: 'object',
+      properties: { a: { type: 'number' } },
+      additionalProperties: false
+    })).toEqual(['$.b is not allowed']);
+  });
+});
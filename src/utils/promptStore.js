@@ -0,0 +1,123 @@
+// src/utils/promptStore.js
+
+/**
+ * Browser-local persistence of custom prompt templates
+ *
+ * Every saved edit of a template becomes a new numbered version, so results
+ * recorded with an older version can still be traced to its text. One version
+ * per template (or none, for the built-in template) is active and used by new
+ * searches.
+ */
+
+const STORAGE_KEY = 'llm-instinct:prompt-templates';
+
+/**
+ * Get the default storage backend
+ * @returns {Storage|null} window.localStorage, or null outside the browser
+ * @private
+ */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Read the stored template library
+ * @param {Storage} storage - Storage backend
+ * @returns {Object} { versions: { [id]: [{ version, text, savedAt }] }, active: { [id]: version } }
+ * @private
+ */
+function readLibrary(storage) {
+  const empty = { versions: {}, active: {} };
+  if (!storage) return empty;
+
+  try {
+    const library = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    return library && typeof library === 'object'
+      ? { versions: library.versions || {}, active: library.active || {} }
+      : empty;
+  } catch (e) {
+    console.warn('Could not read saved prompt templates:', e);
+    return empty;
+  }
+}
+
+/**
+ * Write the template library
+ * @param {Storage} storage - Storage backend
+ * @param {Object} library - Library to write
+ * @private
+ */
+function writeLibrary(storage, library) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(library));
+  } catch (e) {
+    console.warn('Could not save prompt templates:', e);
+  }
+}
+
+/**
+ * List the saved versions of every custom template
+ * @param {Storage} storage - Storage backend
+ * @returns {Object} Versions by template id, oldest first: [{ version, text, savedAt }]
+ */
+export function listTemplateVersions(storage = defaultStorage()) {
+  return readLibrary(storage).versions;
+}
+
+/**
+ * Save new text for a template as its next version and make it active
+ * @param {string} id - Template id
+ * @param {string} text - Template text
+ * @param {Storage} storage - Storage backend
+ * @returns {number|null} The new version, or null if storage is unavailable
+ */
+export function saveTemplateVersion(id, text, storage = defaultStorage()) {
+  if (!storage) return null;
+
+  const library = readLibrary(storage);
+  const versions = library.versions[id] || [];
+  const version = versions.reduce((latest, saved) => Math.max(latest, saved.version), 0) + 1;
+
+  writeLibrary(storage, {
+    versions: { ...library.versions, [id]: [...versions, { version, text, savedAt: Date.now() }] },
+    active: { ...library.active, [id]: version }
+  });
+
+  return version;
+}
+
+/**
+ * Choose which saved version of a template new searches use
+ * @param {string} id - Template id
+ * @param {number|null} version - Saved version, or null for the built-in template
+ * @param {Storage} storage - Storage backend
+ */
+export function setActiveTemplateVersion(id, version, storage = defaultStorage()) {
+  if (!storage) return;
+
+  const library = readLibrary(storage);
+  const { [id]: previous, ...active } = library.active;
+  writeLibrary(storage, {
+    ...library,
+    active: version === null ? active : { ...active, [id]: version }
+  });
+}
+
+/**
+ * Load the active custom templates, ready to pass to InstinctMCTS
+ * @param {Storage} storage - Storage backend
+ * @returns {Object} Custom templates by id: { text, version }
+ */
+export function loadPromptTemplates(storage = defaultStorage()) {
+  const { versions, active } = readLibrary(storage);
+
+  return Object.fromEntries(Object.entries(active).flatMap(([id, version]) => {
+    const saved = (versions[id] || []).find(entry => entry.version === version);
+    return saved ? [[id, { text: saved.text, version }]] : [];
+  }));
+}
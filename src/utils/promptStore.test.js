@@ -0,0 +1,55 @@
+import {
+  listTemplateVersions,
+  saveTemplateVersion,
+  setActiveTemplateVersion,
+  loadPromptTemplates
+} from './promptStore';
+
+/**
+ * In-memory Storage stand-in
+ * @returns {Object} Storage-like object
+ */
+function createStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    }
+  };
+}
+
+describe('promptStore', () => {
+  it('saves each edit as a new active version', () => {
+    const storage = createStorage();
+
+    expect(saveTemplateVersion('thought', 'First {{currentApproach}}', storage)).toBe(1);
+    expect(saveTemplateVersion('thought', 'Second {{currentApproach}}', storage)).toBe(2);
+
+    expect(listTemplateVersions(storage).thought.map(entry => entry.version)).toEqual([1, 2]);
+    expect(loadPromptTemplates(storage)).toEqual({ thought: { text: 'Second {{currentApproach}}', version: 2 } });
+  });
+
+  it('switches between saved versions and the built-in template', () => {
+    const storage = createStorage();
+    saveTemplateVersion('thought', 'First', storage);
+    saveTemplateVersion('thought', 'Second', storage);
+    saveTemplateVersion('analysis', 'Rate {{content}}', storage);
+
+    setActiveTemplateVersion('thought', 1, storage);
+    expect(loadPromptTemplates(storage).thought).toEqual({ text: 'First', version: 1 });
+
+    setActiveTemplateVersion('thought', null, storage);
+    expect(loadPromptTemplates(storage)).toEqual({ analysis: { text: 'Rate {{content}}', version: 1 } });
+    expect(listTemplateVersions(storage).thought).toHaveLength(2);
+  });
+
+  it('works without storage', () => {
+    expect(saveTemplateVersion('thought', 'x', null)).toBeNull();
+    expect(loadPromptTemplates(null)).toEqual({});
+    expect(listTemplateVersions(null)).toEqual({});
+  });
+});
@@ -0,0 +1,112 @@
+// src/utils/searchEvents.js
+
+/**
+ * Helpers for consuming InstinctMCTS search events
+ */
+
+import { formatCost } from '../core/usage';
+import { describeExceededBudget } from '../core/budget';
+
+/**
+ * Format a score for display
+ * @param {number} score - Score
+ * @returns {string} Formatted score
+ * @private
+ */
+const formatScore = (score) => (typeof score === 'number' ? score.toFixed(2) : 'n/a');
+
+/**
+ * Describe a search event in one line of text
+ * @param {Object} event - Event emitted by InstinctMCTS
+ * @returns {string} Human-readable description
+ */
+export function formatSearchEvent(event) {
+  const timing = typeof event.durationMs === 'number' ? ` (${event.durationMs} ms)` : '';
+  
+  switch (event.type) {
+    case 'select':
+      return `Selected ${event.nodeId} at depth ${event.depth}`;
+    case 'stream':
+      return `Writing ${event.nodeId} (${event.length} characters)`;
+    case 'expand':
+      return `Expanded ${event.nodeId} into ${event.childIds.join(', ')}` +
+        `${event.discarded?.length ? ` (${event.discarded.length} near-${event.discarded.length === 1 ? 'duplicate' : 'duplicates'} discarded)` : ''}${timing}`;
+    case 'analyze':
+      if (event.parseFailed) {
+        return `Could not parse the analysis of ${event.nodeId}${timing}`;
+      }
+      if (event.requestFailed) {
+        return `Could not analyze ${event.nodeId}: the request failed${timing}`;
+      }
+      return `Analyzed ${event.nodeId}: emotional state ${event.analysis.emotionalState}, ` +
+        `instinct ${event.analysis.instinctVsAnalysis}` +
+        `${event.batchSize ? ` (batch of ${event.batchSize})` : ''}${timing}`;
+    case 'rollout':
+      return `Played ${event.nodeId} forward ${event.steps.length} ${event.steps.length === 1 ? 'step' : 'steps'}` +
+        ` (rollout ${event.index + 1})${timing}`;
+    case 'evaluate':
+      if (event.parseFailed) {
+        return `Could not parse the evaluation of ${event.nodeId}; no score recorded${timing}`;
+      }
+      if (event.requestFailed) {
+        return `Could not evaluate ${event.nodeId}: the request failed; no score recorded${timing}`;
+      }
+      if (event.mode === 'pairwise') {
+        const compared = event.comparisons.filter(comparison => !comparison.error).length;
+        return `Compared ${event.nodeId} with its siblings (${compared} ${compared === 1 ? 'verdict' : 'verdicts'}): ` +
+          `score ${formatScore(event.score)}${event.perseveranceBonus ? ' (perseverance bonus)' : ''}${timing}`;
+      }
+      return `Evaluated ${event.nodeId}: score ${formatScore(event.score)}` +
+        `${event.judges?.length > 1 ? ` from ${event.judges.length} judges (variance ${formatScore(event.variance)})` : ''}` +
+        `${event.perseveranceBonus ? ' (perseverance bonus)' : ''}${timing}`;
+    case 'backpropagate':
+      return `Backpropagated ${formatScore(event.score)} from ${event.nodeId} through ${event.updatedNodeIds.length} nodes`;
+    case 'iterationComplete':
+      return `Iteration ${event.iteration} of ${event.iterations} complete: ` +
+        `best ${event.bestNodeId} (${formatScore(event.bestScore)})${timing}`;
+    case 'recommend':
+      if (event.parseFailed) {
+        return `Could not parse the final recommendation${timing}`;
+      }
+      return `Synthesized a recommendation from ${event.nodeIds.length} ` +
+        `${event.nodeIds.length === 1 ? 'approach' : 'approaches'}: conviction ${event.conviction}/10${timing}`;
+    case 'usage':
+      return `${event.phase} of ${event.nodeId} used ${event.totalTokens} tokens` +
+        ` (${formatCost({ calls: 1, cost: event.cost ?? 0, unpricedCalls: event.cost === null ? 1 : 0 })})`;
+    case 'budgetExceeded':
+      return `Stopping: ${describeExceededBudget(event)}`;
+    case 'pause':
+      return 'Search paused';
+    case 'resume':
+      return 'Search resumed';
+    case 'cancel':
+      return 'Search cancelled';
+    case 'error':
+      return `Error during ${event.phase}${event.nodeId ? ` at ${event.nodeId}` : ''}: ${event.message}`;
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Track simulation progress from search events
+ * @param {number} totalSimulations - Number of simulations expected
+ * @returns {Function} Reducer taking an event and returning { completed, total, percent }
+ */
+export function createProgressTracker(totalSimulations) {
+  let completed = 0;
+  
+  return (event) => {
+    if (event.type === 'backpropagate') {
+      completed += 1;
+    }
+    
+    return {
+      completed,
+      total: totalSimulations,
+      percent: totalSimulations > 0
+        ? Math.min(100, Math.round((completed / totalSimulations) * 100))
+        : 0
+    };
+  };
+}
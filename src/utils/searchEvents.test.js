@@ -0,0 +1,55 @@
+import { formatSearchEvent, createProgressTracker } from './searchEvents';
+
+describe('searchEvents', () => {
+  it('counts completed simulations from backpropagate events', () => {
+    const track = createProgressTracker(4);
+
+    track({ type: 'select' });
+    const progress = track({ type: 'backpropagate' });
+
+    expect(progress).toEqual({ completed: 1, total: 4, percent: 25 });
+  });
+
+  it('formats events as one-line descriptions', () => {
+    expect(formatSearchEvent({ type: 'select', nodeId: 'abc', depth: 2 })).toBe('Selected abc at depth 2');
+    expect(formatSearchEvent({
+      type: 'evaluate',
+      nodeId: 'abc',
+      score: 7,
+      perseveranceBonus: false,
+      durationMs: 12
+    })).toBe('Evaluated abc: score 7.00 (12 ms)');
+    expect(formatSearchEvent({
+      type: 'evaluate',
+      nodeId: 'abc',
+      score: 6,
+      judges: [{ model: 'a' }, { model: 'b' }],
+      variance: 1,
+      perseveranceBonus: false
+    })).toBe('Evaluated abc: score 6.00 from 2 judges (variance 1.00)');
+    expect(formatSearchEvent({
+      type: 'evaluate',
+      nodeId: 'abc',
+      mode: 'pairwise',
+      comparisons: [{ opponentId: 'def', result: 1 }, { opponentId: 'ghi', error: 'boom' }],
+      score: 6.25,
+      perseveranceBonus: false
+    })).toBe('Compared abc with its siblings (1 verdict): score 6.25');
+    expect(formatSearchEvent({ type: 'expand', nodeId: 'abc', childIds: ['def'], discarded: [{ content: 'x', similarity: 0.9 }] }))
+      .toBe('Expanded abc into def (1 near-duplicate discarded)');
+    expect(formatSearchEvent({ type: 'stream', nodeId: 'def', parentId: 'abc', text: 'so', length: 42 }))
+      .toBe('Writing def (42 characters)');
+    expect(formatSearchEvent({ type: 'rollout', nodeId: 'abc', index: 0, steps: ['a', 'b', 'c'], durationMs: 30 }))
+      .toBe('Played abc forward 3 steps (rollout 1) (30 ms)');
+    expect(formatSearchEvent({ type: 'recommend', nodeIds: ['abc', 'def'], sourceNodeIds: ['def'], conviction: 7 }))
+      .toBe('Synthesized a recommendation from 2 approaches: conviction 7/10');
+    expect(formatSearchEvent({ type: 'recommend', nodeIds: ['abc'], parseFailed: true, durationMs: 12 }))
+      .toBe('Could not parse the final recommendation (12 ms)');
+    expect(formatSearchEvent({ type: 'analyze', nodeId: 'abc', analysis: null, requestFailed: true }))
+      .toBe('Could not analyze abc: the request failed');
+    expect(formatSearchEvent({ type: 'evaluate', nodeId: 'abc', score: null, requestFailed: true, durationMs: 12 }))
+      .toBe('Could not evaluate abc: the request failed; no score recorded (12 ms)');
+    expect(formatSearchEvent({ type: 'error', phase: 'expand', nodeId: 'abc', message: 'boom' }))
+      .toBe('Error during expand at abc: boom');
+  });
+});
@@ -0,0 +1,128 @@
+// src/utils/sessionStore.js
+
+/**
+ * Browser-local persistence of recent search sessions
+ */
+
+const STORAGE_KEY = 'llm-instinct:sessions';
+const MAX_SESSIONS = 10;
+
+/**
+ * Get the default storage backend
+ * @returns {Storage|null} window.localStorage, or null outside the browser
+ * @private
+ */
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Read all stored sessions
+ * @param {Storage} storage - Storage backend
+ * @returns {Array<Object>} Stored sessions, most recent first
+ * @private
+ */
+function readSessions(storage) {
+  if (!storage) return [];
+
+  try {
+    const sessions = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(sessions) ? sessions : [];
+  } catch (e) {
+    console.warn('Could not read saved sessions:', e);
+    return [];
+  }
+}
+
+/**
+ * Write sessions, dropping replay history and then the oldest sessions
+ * until they fit in the available storage
+ * @param {Storage} storage - Storage backend
+ * @param {Array<Object>} sessions - Sessions to write
+ * @private
+ */
+function writeSessions(storage, sessions) {
+  let remaining = sessions;
+  let trimmedHistory = false;
+
+  while (remaining.length > 0) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(remaining));
+      return;
+    } catch (e) {
+      if (!trimmedHistory) {
+        trimmedHistory = true;
+        remaining = remaining.map(session => ({
+          ...session,
+          data: { ...session.data, treeHistory: [] }
+        }));
+      } else {
+        remaining = remaining.slice(0, -1);
+      }
+    }
+  }
+
+  storage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Save a serialized search as a recent session
+ * Saving with an existing id replaces that session.
+ * @param {Object} data - Serialized search from InstinctMCTS.toJSON()
+ * @param {Object} options - Session options
+ * @param {string} options.id - Session id (generated if not provided)
+ * @param {string} options.name - Display name (defaults to the problem)
+ * @param {Storage} options.storage - Storage backend
+ * @returns {string|null} The session id, or null if storage is unavailable
+ */
+export function saveSession(data, { id = null, name = null, storage = defaultStorage() } = {}) {
+  if (!storage) return null;
+
+  const sessionId = id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const session = {
+    id: sessionId,
+    name: name || data.config?.problem || 'Untitled session',
+    savedAt: Date.now(),
+    data
+  };
+
+  const sessions = readSessions(storage).filter(s => s.id !== sessionId);
+  writeSessions(storage, [session, ...sessions].slice(0, MAX_SESSIONS));
+
+  return sessionId;
+}
+
+/**
+ * List recent sessions without their tree data
+ * @param {Storage} storage - Storage backend
+ * @returns {Array<Object>} Session summaries ({ id, name, savedAt }), most recent first
+ */
+export function listSessions(storage = defaultStorage()) {
+  return readSessions(storage).map(({ id, name, savedAt }) => ({ id, name, savedAt }));
+}
+
+/**
+ * Load a session's serialized search
+ * @param {string} id - Session id
+ * @param {Storage} storage - Storage backend
+ * @returns {Object|null} Serialized search, or null if not found
+ */
+export function loadSession(id, storage = defaultStorage()) {
+  const session = readSessions(storage).find(s => s.id === id);
+  return session ? session.data : null;
+}
+
+/**
+ * Delete a session
+ * @param {string} id - Session id
+ * @param {Storage} storage - Storage backend
+ */
+export function deleteSession(id, storage = defaultStorage()) {
+  if (!storage) return;
+  writeSessions(storage, readSessions(storage).filter(s => s.id !== id));
+}
@@ -0,0 +1,81 @@
+import { saveSession, listSessions, loadSession, deleteSession } from './sessionStore';
+
+/**
+ * In-memory Storage stand-in with an optional size limit
+ * @param {number} limit - Maximum stored characters
+ * @returns {Object} Storage-like object
+ */
+function createStorage(limit = Infinity) {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      if (value.length > limit) {
+        throw new Error('QuotaExceededError');
+      }
+      items[key] = value;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    }
+  };
+}
+
+const searchData = (problem, historyLength = 0) => ({
+  version: 1,
+  config: { problem, context: 'ctx' },
+  root: { id: 'abc', content: 'root', children: [] },
+  treeHistory: Array(historyLength).fill({ tree: { id: 'abc', content: 'x'.repeat(100) } })
+});
+
+describe('sessionStore', () => {
+  it('saves, lists and loads sessions', () => {
+    const storage = createStorage();
+
+    const id = saveSession(searchData('First problem'), { storage });
+
+    expect(listSessions(storage)).toEqual([
+      { id, name: 'First problem', savedAt: expect.any(Number) }
+    ]);
+    expect(loadSession(id, storage).config.problem).toBe('First problem');
+  });
+
+  it('replaces a session saved with the same id and keeps it first', () => {
+    const storage = createStorage();
+    const first = saveSession(searchData('First'), { storage });
+    saveSession(searchData('Second'), { storage });
+
+    saveSession(searchData('First, updated'), { id: first, storage });
+
+    expect(listSessions(storage).map(s => s.name)).toEqual(['First, updated', 'Second']);
+  });
+
+  it('keeps only the most recent sessions', () => {
+    const storage = createStorage();
+    for (let i = 0; i < 12; i++) {
+      saveSession(searchData(`Problem ${i}`), { id: `s${i}`, storage });
+    }
+
+    const sessions = listSessions(storage);
+    expect(sessions).toHaveLength(10);
+    expect(sessions[0].id).toBe('s11');
+  });
+
+  it('drops replay history when storage is full', () => {
+    const storage = createStorage(2000);
+
+    const id = saveSession(searchData('Big', 50), { storage });
+
+    expect(loadSession(id, storage).treeHistory).toEqual([]);
+  });
+
+  it('deletes sessions', () => {
+    const storage = createStorage();
+    const id = saveSession(searchData('Doomed'), { storage });
+
+    deleteSession(id, storage);
+
+    expect(listSessions(storage)).toEqual([]);
+    expect(loadSession(id, storage)).toBeNull();
+  });
+});
@@ -157,4 +157,45 @@ export function getPathToNode(root, id) {
   
   findPath(root, id, path);
   return path;
-}
\ No newline at end of file
+}
+/**
+ * Index every node in a tree by ID
+ * @param {Object} root - Root node of the tree
+ * @returns {Object} Map of node ID to node
+ */
+export function indexTreeById(root) {
+  const index = {};
+  
+  const traverse = (node) => {
+    if (!node) return;
+    index[node.id] = node;
+    (node.children || []).forEach(traverse);
+  };
+  
+  traverse(root);
+  return index;
+}
+
+/**
+ * Compare two snapshots of a tree
+ * @param {Object} previousRoot - Root of the earlier snapshot (may be null)
+ * @param {Object} currentRoot - Root of the later snapshot
+ * @returns {Object} Map of node ID to { isNew, previousVisits, previousEmotionalState, visitsDelta }
+ */
+export function diffTreeStates(previousRoot, currentRoot) {
+  const previous = indexTreeById(previousRoot);
+  const current = indexTreeById(currentRoot);
+  const changes = {};
+  
+  for (const [id, node] of Object.entries(current)) {
+    const before = previous[id];
+    changes[id] = {
+      isNew: !before,
+      previousVisits: before ? before.visits || 0 : 0,
+      previousEmotionalState: before ? before.emotionalState : node.emotionalState,
+      visitsDelta: (node.visits || 0) - (before ? before.visits || 0 : 0)
+    };
+  }
+  
+  return changes;
+}
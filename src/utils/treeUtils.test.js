@@ -0,0 +1,48 @@
+import { diffTreeStates, indexTreeById } from './treeUtils';
+
+describe('treeUtils', () => {
+  const before = {
+    id: 'root',
+    visits: 1,
+    emotionalState: 0.5,
+    children: [{ id: 'a', visits: 1, emotionalState: 0.4, children: [] }]
+  };
+  const after = {
+    id: 'root',
+    visits: 2,
+    emotionalState: 0.6,
+    children: [
+      { id: 'a', visits: 1, emotionalState: 0.4, children: [] },
+      { id: 'b', visits: 1, emotionalState: 0.7, children: [] }
+    ]
+  };
+
+  it('indexes nodes by id', () => {
+    expect(Object.keys(indexTreeById(after)).sort()).toEqual(['a', 'b', 'root']);
+  });
+
+  it('reports visit and emotional state changes between snapshots', () => {
+    const changes = diffTreeStates(before, after);
+
+    expect(changes.root).toEqual({
+      isNew: false,
+      previousVisits: 1,
+      previousEmotionalState: 0.5,
+      visitsDelta: 1
+    });
+    expect(changes.a.visitsDelta).toBe(0);
+    expect(changes.b).toEqual({
+      isNew: true,
+      previousVisits: 0,
+      previousEmotionalState: 0.7,
+      visitsDelta: 1
+    });
+  });
+
+  it('treats every node as new without a previous snapshot', () => {
+    const changes = diffTreeStates(null, before);
+
+    expect(changes.root.isNew).toBe(true);
+    expect(changes.a.isNew).toBe(true);
+  });
+});